@@ -0,0 +1,1010 @@
+const express = require('express');
+const cors = require('cors');
+const dotenv = require('dotenv');
+const { db } = require('./config/firebase');
+const { razorpay } = require('./config/razorpay');
+const {
+    MembershipActivationError,
+    activateMembership,
+    getRenewalEligibility
+} = require('./services/membershipService');
+const { getAvailablePlans, getPlan, isPlanAvailable } = require('./services/planService');
+const { getMembershipView } = require('./services/membershipStatusService');
+const { sweepExpiredMemberships } = require('./services/expirySweeper');
+const {
+    applyProcessedRefund,
+    recordFailedPayment,
+    recordRefundCreated
+} = require('./services/paymentEventService');
+const { RefundError, initiateRefund } = require('./services/refundService');
+const { parseRange, reconcilePayments } = require('./services/reconciliationService');
+const { claimWebhookEvent, releaseWebhookEvent } = require('./services/webhookEventService');
+const { CouponError, applyCoupon } = require('./services/couponService');
+const {
+    OfflinePaymentError,
+    approveOfflinePayment,
+    recordOfflinePayment,
+    rejectOfflinePayment
+} = require('./services/offlinePaymentService');
+const {
+    EventRegistrationError,
+    confirmEventRegistration,
+    createEventOrder,
+    expirePendingRegistrations
+} = require('./services/eventPaymentService');
+const { cancelRegistration, registerForEvent, reviewRegistration } = require('./services/eventRegistrationService');
+const { checkInRegistration, getCheckInRoster, getTicket } = require('./services/ticketService');
+const { issueReceipt, renderReceiptPdf } = require('./services/receiptService');
+const {
+    getCertificate,
+    getPublicCertificate,
+    issueEventCertificates,
+    listEventCertificates,
+    renderCertificatePreview,
+    renderCertificatesPdf,
+    revokeCertificate
+} = require('./services/certificateService');
+const { checkReadiness, getHealth, getVersion } = require('./services/healthService');
+const { recordPaymentEvent } = require('./services/paymentAuditService');
+const { createRateLimitStore } = require('./services/rateLimitStore');
+const { RATE_LIMIT_WINDOW_MINUTES, RATE_LIMITS } = require('./config/rateLimits');
+const { isAllowedOrigin } = require('./config/cors');
+const { getVerifiedAdmin, requireAuth, requireAdmin, requireAdminOrPermission, requirePermission } = require('./middleware/auth');
+const { byIp, byUser, createRateLimiter } = require('./middleware/rateLimit');
+const { requestContext } = require('./middleware/requestContext');
+const { securityHeaders } = require('./middleware/securityHeaders');
+const { verifySignature } = require('./utils/signature');
+
+dotenv.config();
+
+const app = express();
+
+// Vercel sits in front as one proxy hop; req.ip is then the real client
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? 1));
+
+app.disable('x-powered-by');
+
+// Middleware
+app.use(requestContext);
+app.use(securityHeaders);
+
+// Only allowlisted browser origins (CORS_ORIGINS) get CORS headers. The
+// correlation ID is exposed so the frontend can quote it in support requests.
+const corsMiddleware = cors({
+    origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(origin)),
+    exposedHeaders: ['X-Request-Id']
+});
+// Razorpay calls the webhook server-to-server; its signature is the only credential it needs
+app.use((req, res, next) => (req.path === '/webhook' ? next() : corsMiddleware(req, res, next)));
+
+// Keep the exact bytes received: webhook signatures are computed over the raw body.
+// Every request body here is a small form or a Razorpay event.
+app.use(express.json({
+    limit: process.env.BODY_LIMIT || '64kb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
+
+// Per-IP limits run before authentication, per-user limits after it.
+// Event checkouts share the membership buckets.
+const rateLimitStore = createRateLimitStore();
+const paymentLimiters = (name, { perIp, perUser }) => {
+    const options = { windowMs: RATE_LIMIT_WINDOW_MINUTES * 60 * 1000, store: rateLimitStore };
+    return {
+        perIp: createRateLimiter({ ...options, name: `${name}:ip`, max: perIp, keyBy: byIp }),
+        perUser: createRateLimiter({ ...options, name: `${name}:user`, max: perUser, keyBy: byUser })
+    };
+};
+const orderLimits = paymentLimiters('create-order', RATE_LIMITS.createOrder);
+const verifyLimits = paymentLimiters('verify-payment', RATE_LIMITS.verifyPayment);
+
+// Log a payment event under the request's correlation ID and keep it in paymentEvents
+const auditPayment = (req, type, fields = {}) => recordPaymentEvent({
+    ...fields,
+    type,
+    requestId: req.id,
+    actor: fields.actor || null
+}, req.log);
+
+// Status Endpoints (public; report whether secrets are set, never their values)
+app.get('/health', (req, res) => {
+    res.set('Cache-Control', 'no-store').json(getHealth());
+});
+
+app.get('/ready', async (req, res) => {
+    const result = await checkReadiness();
+    if (!result.ready) {
+        req.log.warn('Readiness check failed', { checks: result.checks });
+    }
+    res.set('Cache-Control', 'no-store').status(result.ready ? 200 : 503).json(result);
+});
+
+app.get('/version', (req, res) => {
+    res.set('Cache-Control', 'no-store').json(getVersion());
+});
+
+// Plan Catalogue Endpoint
+app.get('/plans', async (req, res) => {
+    try {
+        const plans = await getAvailablePlans();
+        res.json({ plans });
+    } catch (error) {
+        req.log.error('Error loading plans', { error });
+        res.status(500).json({ error: 'Failed to load plans' });
+    }
+});
+
+// Membership Status Endpoint
+// The signed-in user's membership, normalised: status as of now, days left, renewal window, payments
+app.get('/membership/me', requireAuth, async (req, res) => {
+    try {
+        const membership = await getMembershipView(req.user.uid);
+        res.set('Cache-Control', 'private, no-store').json(membership);
+    } catch (error) {
+        req.log.error('Error loading membership', { error });
+        res.status(500).json({ error: 'Failed to load membership' });
+    }
+});
+
+// Coupon Preview Endpoint
+// Prices a coupon for the signed-in user; /create-order validates it again
+app.post('/coupons/validate', requireAuth, async (req, res) => {
+    try {
+        const { code, planId } = req.body;
+        const plan = await getPlan(planId);
+        if (!isPlanAvailable(plan)) {
+            return res.status(400).json({ error: 'Invalid plan selected' });
+        }
+
+        const userDoc = await db.collection('users').doc(req.user.uid).get();
+        const coupon = await applyCoupon({
+            code,
+            plan,
+            userId: req.user.uid,
+            userData: userDoc.exists ? userDoc.data() : {}
+        });
+        res.json(coupon);
+    } catch (error) {
+        if (error instanceof CouponError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        req.log.error('Error validating coupon', { uid: req.user.uid, error });
+        res.status(500).json({ error: 'Failed to validate coupon' });
+    }
+});
+
+// Create Order Endpoint
+app.post('/create-order', orderLimits.perIp, requireAuth, orderLimits.perUser, async (req, res) => {
+    try {
+        const { planId, couponCode } = req.body;
+        // Never trust a uid from the body: the order (and the webhook upgrade) is tied to the token's user
+        const userId = req.user.uid;
+
+        const plan = await getPlan(planId);
+        if (!isPlanAvailable(plan)) {
+            return res.status(400).json({ error: 'Invalid plan selected' });
+        }
+
+        // Active members can only buy their next term once the renewal window opens
+        const userDoc = await db.collection('users').doc(userId).get();
+        if (userDoc.exists) {
+            const eligibility = getRenewalEligibility(userDoc.data().membership);
+            if (!eligibility.canPurchase) {
+                return res.status(400).json({
+                    error: 'User already has an active subscription',
+                    renewalOpensAt: eligibility.renewalOpensAt
+                });
+            }
+        }
+
+        // The discount is always recomputed here; the client only sends the code
+        const coupon = couponCode
+            ? await applyCoupon({
+                code: couponCode,
+                plan,
+                userId,
+                userData: userDoc.exists ? userDoc.data() : {}
+            })
+            : null;
+        const price = coupon ? coupon.amount : plan.price;
+
+        const amount = price * 100; // Amount in paise
+
+        const options = {
+            amount: amount,
+            currency: 'INR',
+            receipt: `order_${Date.now()}`,
+            notes: {
+                userId: userId,
+                planId: planId,
+                planName: plan.name,
+                amount: price,
+                basePrice: plan.basePrice,
+                platformFee: plan.platformFee,
+                ...(coupon && { couponCode: coupon.code, discount: coupon.discount })
+            }
+        };
+
+        const order = await razorpay.orders.create(options);
+
+        await auditPayment(req, 'order_created', {
+            userId,
+            orderId: order.id,
+            source: 'checkout',
+            details: { planId, amount: price, couponCode: coupon?.code || null, discount: coupon?.discount || 0 }
+        });
+
+        res.json({
+            orderId: order.id,
+            amount: order.amount,
+            currency: order.currency,
+            discount: coupon ? coupon.discount : 0,
+            keyId: process.env.RAZORPAY_KEY_ID
+        });
+    } catch (error) {
+        if (error instanceof CouponError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        req.log.error('Error creating order', { uid: req.user.uid, planId: req.body?.planId, error });
+        res.status(500).json({ error: 'Failed to create order' });
+    }
+});
+
+// Verify Payment Endpoint
+app.post('/verify-payment', verifyLimits.perIp, requireAuth, verifyLimits.perUser, async (req, res) => {
+    try {
+        const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+        const sign = razorpay_order_id + "|" + razorpay_payment_id;
+        const ids = { userId: req.user.uid, orderId: razorpay_order_id || null, paymentId: razorpay_payment_id || null };
+
+        if (!verifySignature(sign, razorpay_signature, process.env.RAZORPAY_KEY_SECRET)) {
+            await auditPayment(req, 'checkout_signature_rejected', { ...ids, source: 'checkout' });
+            return res.status(400).json({ verified: false, error: 'Invalid signature' });
+        }
+
+        try {
+            const result = await activateMembership({
+                paymentId: razorpay_payment_id,
+                orderId: razorpay_order_id,
+                expectedUserId: req.user.uid
+            });
+
+            await auditPayment(req, result.alreadyProcessed ? 'payment_already_processed' : 'membership_activated', {
+                ...ids,
+                source: 'checkout',
+                details: { planId: result.planId, expiresAt: result.expiresAt }
+            });
+
+            res.json({
+                verified: true,
+                activated: true,
+                planId: result.planId,
+                expiresAt: result.expiresAt
+            });
+        } catch (error) {
+            // Signature is genuine but the payment isn't settled yet:
+            // the payment.captured webhook will activate the membership
+            if (error instanceof MembershipActivationError && error.statusCode === 409) {
+                await auditPayment(req, 'payment_not_captured', { ...ids, source: 'checkout' });
+                return res.json({ verified: true, activated: false });
+            }
+            throw error;
+        }
+    } catch (error) {
+        const ids = {
+            userId: req.user.uid,
+            orderId: req.body?.razorpay_order_id || null,
+            paymentId: req.body?.razorpay_payment_id || null
+        };
+        if (error instanceof MembershipActivationError) {
+            await auditPayment(req, 'activation_rejected', { ...ids, source: 'checkout', details: { reason: error.message } });
+            return res.status(error.statusCode).json({ verified: false, error: error.message });
+        }
+        req.log.error('Error verifying payment', { ...ids, error });
+        res.status(500).json({ error: 'Verification failed' });
+    }
+});
+
+// Create Event Order Endpoint
+// Holds a pending_payment registration until the payment is verified
+app.post('/create-event-order', orderLimits.perIp, requireAuth, orderLimits.perUser, async (req, res) => {
+    try {
+        const { eventId, teamName, teamSize } = req.body;
+        const result = await createEventOrder({
+            eventId,
+            userId: req.user.uid,
+            team: { teamName, teamSize }
+        });
+
+        await auditPayment(req, 'event_order_created', {
+            userId: req.user.uid,
+            orderId: result.orderId,
+            source: 'checkout',
+            details: { eventId, registrationId: result.registrationId, amount: result.amount / 100 }
+        });
+
+        res.json({ ...result, keyId: process.env.RAZORPAY_KEY_ID });
+    } catch (error) {
+        if (error instanceof EventRegistrationError) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        req.log.error('Error creating event order', { uid: req.user.uid, eventId: req.body?.eventId, error });
+        res.status(500).json({ error: 'Failed to create event order' });
+    }
+});
+
+// Verify Event Payment Endpoint
+app.post('/verify-event-payment', verifyLimits.perIp, requireAuth, verifyLimits.perUser, async (req, res) => {
+    try {
+        const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+        const payload = `${razorpay_order_id}|${razorpay_payment_id}`;
+        const ids = { userId: req.user.uid, orderId: razorpay_order_id || null, paymentId: razorpay_payment_id || null };
+        if (!verifySignature(payload, razorpay_signature, process.env.RAZORPAY_KEY_SECRET)) {
+            await auditPayment(req, 'checkout_signature_rejected', { ...ids, source: 'checkout' });
+            return res.status(400).json({ verified: false, error: 'Invalid signature' });
+        }
+
+        try {
+            const result = await confirmEventRegistration({
+                paymentId: razorpay_payment_id,
+                orderId: razorpay_order_id,
+                expectedUserId: req.user.uid
+            });
+            const type = result.alreadyProcessed
+                ? 'payment_already_processed'
+                : result.refundDue ? 'event_payment_refund_due' : 'event_registration_confirmed';
+            await auditPayment(req, type, {
+                ...ids,
+                source: 'checkout',
+                details: { eventId: result.eventId, registrationId: result.registrationId }
+            });
+            // The place was gone when the payment landed; it is being refunded
+            if (result.refundDue) {
+                return res.json({ verified: true, confirmed: false, refundDue: true, registrationId: result.registrationId });
+            }
+            res.json({ verified: true, confirmed: true, registrationId: result.registrationId });
+        } catch (error) {
+            // Authorised but not captured yet: the webhook confirms it on capture
+            if (error instanceof EventRegistrationError && error.statusCode === 409) {
+                await auditPayment(req, 'payment_not_captured', { ...ids, source: 'checkout' });
+                return res.json({ verified: true, confirmed: false });
+            }
+            throw error;
+        }
+    } catch (error) {
+        const ids = {
+            userId: req.user.uid,
+            orderId: req.body?.razorpay_order_id || null,
+            paymentId: req.body?.razorpay_payment_id || null
+        };
+        if (error instanceof EventRegistrationError) {
+            await auditPayment(req, 'event_registration_rejected', { ...ids, source: 'checkout', details: { reason: error.message } });
+            return res.status(error.statusCode).json({ verified: false, error: error.message });
+        }
+        req.log.error('Error verifying event payment', { ...ids, error });
+        res.status(500).json({ error: 'Verification failed' });
+    }
+});
+
+// Event Registration Endpoint
+// Free events and every waitlist; capacity is checked in the same transaction
+app.post('/events/:eventId/register', requireAuth, async (req, res) => {
+    try {
+        const { teamName, teamSize } = req.body;
+        const result = await registerForEvent({
+            eventId: req.params.eventId,
+            userId: req.user.uid,
+            team: { teamName, teamSize }
+        });
+        req.log.info('Event registration created', { uid: req.user.uid, eventId: req.params.eventId, ...result });
+        res.status(201).json(result);
+    } catch (error) {
+        if (error instanceof EventRegistrationError) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        req.log.error('Error registering for event', { uid: req.user.uid, eventId: req.params.eventId, error });
+        res.status(500).json({ error: 'Failed to register for event' });
+    }
+});
+
+// Event Registration Cancellation Endpoint
+// Frees the place and promotes the first waitlisted registration. Closes
+// EVENT_CANCELLATION_CUTOFF_HOURS before the event starts.
+app.post('/event-registrations/:registrationId/cancel', requireAuth, async (req, res) => {
+    try {
+        const result = await cancelRegistration({
+            registrationId: req.params.registrationId,
+            userId: req.user.uid,
+            reason: req.body?.reason
+        });
+        req.log.info('Event registration cancelled', { uid: req.user.uid, ...result });
+        res.json({ registrationId: result.registrationId, status: 'cancelled' });
+    } catch (error) {
+        if (error instanceof EventRegistrationError) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        req.log.error('Error cancelling event registration', { uid: req.user.uid, registrationId: req.params.registrationId, error });
+        res.status(500).json({ error: 'Failed to cancel registration' });
+    }
+});
+
+// Event Ticket Endpoint
+// The signed QR ticket for one of the caller's confirmed registrations
+app.get('/event-registrations/:registrationId/ticket', requireAuth, async (req, res) => {
+    try {
+        res.json(await getTicket({ registrationId: req.params.registrationId, userId: req.user.uid }));
+    } catch (error) {
+        if (error instanceof EventRegistrationError) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        req.log.error('Error issuing event ticket', { uid: req.user.uid, registrationId: req.params.registrationId, error });
+        res.status(500).json({ error: 'Failed to load ticket' });
+    }
+});
+
+// Event Check-in Endpoints
+// Admins and core members with the 'events' permission scan tickets at the door
+app.get('/check-in/events/:eventId', requireAuth, requireAdminOrPermission('events'), async (req, res) => {
+    try {
+        res.json(await getCheckInRoster(req.params.eventId));
+    } catch (error) {
+        if (error instanceof EventRegistrationError) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        req.log.error('Error loading check-in roster', { eventId: req.params.eventId, error });
+        res.status(500).json({ error: 'Failed to load registrations' });
+    }
+});
+
+app.post('/check-in/events/:eventId', requireAuth, requireAdminOrPermission('events'), async (req, res) => {
+    try {
+        const result = await checkInRegistration({
+            eventId: req.params.eventId,
+            ticket: req.body?.ticket,
+            registrationId: req.body?.registrationId,
+            staffId: req.user.uid,
+            scannedAt: req.body?.scannedAt
+        });
+        req.log.info('Event attendee checked in', { staffId: req.user.uid, eventId: req.params.eventId, registrationId: result.registrationId, manual: !req.body?.ticket });
+        res.json(result);
+    } catch (error) {
+        if (error instanceof EventRegistrationError) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        req.log.error('Error checking in attendee', { staffId: req.user.uid, eventId: req.params.eventId, error });
+        res.status(500).json({ error: 'Failed to check in' });
+    }
+});
+
+// Webhook Endpoint
+app.post('/webhook', async (req, res) => {
+    const secret = process.env.WEBHOOK_SECRET;
+    const signature = req.headers['x-razorpay-signature'];
+    const eventId = req.headers['x-razorpay-event-id'] || null;
+
+    if (!signature) {
+        req.log.warn('Webhook without signature', { eventId });
+        return res.status(400).json({ error: 'Missing signature' });
+    }
+
+    if (!req.rawBody || !verifySignature(req.rawBody, signature, secret)) {
+        // Nothing in an unsigned body can be trusted; keep what it claimed for investigation
+        await auditPayment(req, 'webhook_signature_rejected', {
+            source: 'webhook',
+            details: {
+                eventId,
+                claimedEvent: req.body?.event || null,
+                claimedPaymentId: req.body?.payload?.payment?.entity?.id || null
+            }
+        });
+        return res.status(400).json({ error: 'Invalid signature' });
+    }
+
+    const event = req.body.event;
+    const payload = req.body.payload;
+
+    const payment = payload?.payment?.entity;
+    const refund = payload?.refund?.entity;
+    const ids = {
+        userId: payment?.notes?.userId || null,
+        orderId: payment?.order_id || null,
+        paymentId: payment?.id || refund?.payment_id || null
+    };
+    const log = req.log.child({ event, eventId, ...ids });
+    log.info('Webhook verified');
+
+    // Razorpay redelivers events; process each event ID only once
+    if (eventId && !(await claimWebhookEvent(eventId, event))) {
+        log.info('Duplicate webhook ignored');
+        return res.json({ status: 'ok', duplicate: true });
+    }
+
+    const audit = (type, details = {}) => auditPayment(req, type, {
+        ...ids,
+        source: 'webhook',
+        details: { event, eventId, ...details }
+    });
+
+    try {
+        switch (event) {
+            case 'payment.captured':
+            case 'order.paid': {
+                // Event and membership orders share the webhook; the order notes tell them apart
+                const order = payload.order?.entity || await razorpay.orders.fetch(payment.order_id);
+                ids.userId = order.notes?.userId || ids.userId;
+
+                if (order.notes?.type === 'event') {
+                    const result = await confirmEventRegistration({
+                        paymentId: payment.id,
+                        orderId: payment.order_id,
+                        order
+                    });
+                    const type = result.alreadyProcessed
+                        ? 'payment_already_processed'
+                        : result.refundDue ? 'event_payment_refund_due' : 'event_registration_confirmed';
+                    await audit(type, {
+                        eventId: result.eventId,
+                        registrationId: result.registrationId
+                    });
+                    break;
+                }
+
+                const result = await activateMembership({
+                    paymentId: payment.id,
+                    orderId: payment.order_id
+                });
+                ids.userId = result.userId;
+                await audit(result.alreadyProcessed ? 'payment_already_processed' : 'membership_activated', {
+                    planId: result.planId,
+                    expiresAt: result.expiresAt
+                });
+                break;
+            }
+            case 'payment.failed': {
+                await recordFailedPayment(payment);
+                await audit('payment_failed', {
+                    amount: payment.amount / 100,
+                    reason: payment.error_description || payment.error_reason || null
+                });
+                break;
+            }
+            case 'refund.created':
+                await recordRefundCreated(refund);
+                await audit('refund_created', { refundId: refund.id, amount: refund.amount / 100 });
+                break;
+            case 'refund.processed': {
+                const result = await applyProcessedRefund(refund);
+                if (result.applied) {
+                    await audit('refund_processed', {
+                        refundId: refund.id,
+                        amount: refund.amount / 100,
+                        membershipRevoked: !!result.revoked
+                    });
+                }
+                break;
+            }
+            default:
+                log.debug('Webhook event not handled');
+                break;
+        }
+    } catch (error) {
+        if (error instanceof MembershipActivationError || error instanceof EventRegistrationError) {
+            // Not retryable; acknowledge so Razorpay stops redelivering
+            await audit('activation_rejected', { reason: error.message });
+        } else {
+            log.error('Error handling webhook', { error });
+            await audit('webhook_failed', { reason: error.message });
+            // Let Razorpay's retry through
+            if (eventId) {
+                await releaseWebhookEvent(eventId).catch(() => {});
+            }
+            return res.status(500).json({ error: 'Database update failed' });
+        }
+    }
+
+    res.json({ status: 'ok' });
+});
+
+// Receipt Download Endpoint (payer or admin)
+app.get('/receipts/:paymentId', requireAuth, async (req, res) => {
+    try {
+        const paymentDoc = await db.collection('payments').doc(req.params.paymentId).get();
+        if (!paymentDoc.exists) {
+            return res.status(404).json({ error: 'Payment not found' });
+        }
+
+        if (paymentDoc.data().userId !== req.user.uid && !(await getVerifiedAdmin(req.user.uid))) {
+            return res.status(403).json({ error: 'Not allowed to view this receipt' });
+        }
+
+        // Payments captured before receipts existed get theirs on first download
+        const receipt = await issueReceipt(req.params.paymentId);
+        if (!receipt) {
+            return res.status(404).json({ error: 'No receipt for this payment' });
+        }
+
+        const pdf = await renderReceiptPdf(receipt);
+        const filename = `receipt-${receipt.invoiceNumber.replace(/\//g, '-')}.pdf`;
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Cache-Control': 'private, no-store'
+        });
+        res.send(pdf);
+    } catch (error) {
+        req.log.error('Error generating receipt', { paymentId: req.params.paymentId, error });
+        res.status(500).json({ error: 'Failed to generate receipt' });
+    }
+});
+
+const sendCertificatePdf = (res, pdf, filename) => {
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'private, no-store'
+    });
+    res.send(pdf);
+};
+
+// Certificate Download Endpoint (holder or admin)
+app.get('/certificates/:certificateId/pdf', requireAuth, async (req, res) => {
+    try {
+        const certificate = await getCertificate(req.params.certificateId);
+        if (!certificate) {
+            return res.status(404).json({ error: 'Certificate not found' });
+        }
+        if (certificate.userId !== req.user.uid && !(await getVerifiedAdmin(req.user.uid))) {
+            return res.status(403).json({ error: 'Not allowed to view this certificate' });
+        }
+        if (certificate.status === 'revoked') {
+            return res.status(410).json({ error: 'This certificate has been revoked' });
+        }
+
+        const pdf = await renderCertificatesPdf([certificate]);
+        sendCertificatePdf(res, pdf, `certificate-${certificate.certificateId}.pdf`);
+    } catch (error) {
+        req.log.error('Error generating certificate', { certificateId: req.params.certificateId, error });
+        res.status(500).json({ error: 'Failed to generate certificate' });
+    }
+});
+
+// Certificate Verification Endpoint (public; linked from the QR code on each certificate)
+app.get('/certificates/:certificateId/verify', async (req, res) => {
+    try {
+        const certificate = await getPublicCertificate(req.params.certificateId);
+        if (!certificate) {
+            return res.status(404).json({ error: 'Certificate not found' });
+        }
+        // Never cached, so a revocation shows at once
+        res.set('Cache-Control', 'no-store').json(certificate);
+    } catch (error) {
+        req.log.error('Error verifying certificate', { certificateId: req.params.certificateId, error });
+        res.status(500).json({ error: 'Failed to verify certificate' });
+    }
+});
+
+// Admin Refund Endpoint (finance permission only)
+app.post('/admin/payments/:paymentId/refund',
+    requireAuth,
+    requireAdmin,
+    requirePermission('finance'),
+    async (req, res) => {
+        try {
+            const { amount, reason } = req.body;
+            const result = await initiateRefund({
+                paymentId: req.params.paymentId,
+                amount,
+                reason,
+                requestedBy: { uid: req.user.uid, email: req.user.email }
+            });
+
+            await auditPayment(req, 'refund_requested', {
+                userId: result.userId,
+                paymentId: req.params.paymentId,
+                source: 'admin',
+                actor: req.user,
+                details: { refundId: result.refundId, amount: result.amount, reason }
+            });
+            res.json(result);
+        } catch (error) {
+            if (error instanceof RefundError) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            // Razorpay API errors carry a description of what was rejected
+            if (error.statusCode && error.error?.description) {
+                return res.status(400).json({ error: error.error.description });
+            }
+            req.log.error('Error initiating refund', { paymentId: req.params.paymentId, error });
+            res.status(500).json({ error: 'Failed to initiate refund' });
+        }
+    }
+);
+
+// Admin Reconciliation Endpoint (finance permission only)
+// Compares Razorpay with Firestore for a date range and stores the report
+app.post('/admin/reconciliation',
+    requireAuth,
+    requireAdmin,
+    requirePermission('finance'),
+    async (req, res) => {
+        const range = parseRange(req.body?.from, req.body?.to);
+        if (!range) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+
+        try {
+            const report = await reconcilePayments({
+                ...range,
+                requestedBy: { uid: req.user.uid, email: req.user.email || null }
+            });
+            req.log.info('Reconciliation finished', { reportId: report.id, issueCount: report.issueCount });
+            res.json({ report });
+        } catch (error) {
+            req.log.error('Error reconciling payments', { error });
+            res.status(500).json({ error: 'Reconciliation failed' });
+        }
+    }
+);
+
+// Offline Payment Endpoints
+// Any admin records a cash / direct UPI payment; a second 'finance' admin approves or rejects it
+// Any admin, or a core member with 'finance' taking cash at a desk, can record
+app.post('/admin/offline-payments', requireAuth, requireAdminOrPermission('finance'), async (req, res) => {
+    try {
+        const { payerEmail, planId, amount, method, reference, note } = req.body;
+        const result = await recordOfflinePayment({
+            payerEmail,
+            planId,
+            amount,
+            method,
+            reference,
+            note,
+            recordedBy: { uid: req.user.uid, email: req.user.email }
+        });
+
+        await auditPayment(req, 'offline_payment_recorded', {
+            userId: result.userId,
+            source: 'admin',
+            actor: req.user,
+            details: { offlinePaymentId: result.id, planId, amount: Number(amount), method, reference }
+        });
+        res.json(result);
+    } catch (error) {
+        if (error instanceof OfflinePaymentError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        req.log.error('Error recording offline payment', { error });
+        res.status(500).json({ error: 'Failed to record offline payment' });
+    }
+});
+
+app.post('/admin/offline-payments/:id/approve',
+    requireAuth,
+    requireAdmin,
+    requirePermission('finance'),
+    async (req, res) => {
+        try {
+            const result = await approveOfflinePayment({
+                id: req.params.id,
+                approvedBy: { uid: req.user.uid, email: req.user.email }
+            });
+
+            await auditPayment(req, 'offline_payment_approved', {
+                userId: result.userId,
+                paymentId: result.paymentId,
+                source: 'admin',
+                actor: req.user,
+                details: { offlinePaymentId: req.params.id, amount: result.amount, expiresAt: result.expiresAt }
+            });
+            res.json(result);
+        } catch (error) {
+            if (error instanceof OfflinePaymentError) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            req.log.error('Error approving offline payment', { offlinePaymentId: req.params.id, error });
+            res.status(500).json({ error: 'Failed to approve offline payment' });
+        }
+    }
+);
+
+app.post('/admin/offline-payments/:id/reject',
+    requireAuth,
+    requireAdmin,
+    requirePermission('finance'),
+    async (req, res) => {
+        try {
+            const result = await rejectOfflinePayment({
+                id: req.params.id,
+                reason: req.body?.reason,
+                rejectedBy: { uid: req.user.uid, email: req.user.email }
+            });
+
+            await auditPayment(req, 'offline_payment_rejected', {
+                userId: result.userId,
+                source: 'admin',
+                actor: req.user,
+                details: { offlinePaymentId: req.params.id, reason: req.body?.reason }
+            });
+            res.json(result);
+        } catch (error) {
+            if (error instanceof OfflinePaymentError) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            req.log.error('Error rejecting offline payment', { offlinePaymentId: req.params.id, error });
+            res.status(500).json({ error: 'Failed to reject offline payment' });
+        }
+    }
+);
+
+// Event Registration Review Endpoints
+// Admins confirm or reject registrations, or cancel one past the member cutoff
+const reviewRegistrationHandler = (decision) => async (req, res) => {
+    try {
+        const result = await reviewRegistration({
+            registrationId: req.params.registrationId,
+            decision,
+            adminId: req.user.uid,
+            reason: req.body?.reason
+        });
+        req.log.info('Event registration reviewed', { adminId: req.user.uid, decision, ...result });
+        res.json({ registrationId: result.registrationId, status: result.status, promoted: result.promoted.length });
+    } catch (error) {
+        if (error instanceof EventRegistrationError) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        req.log.error('Error reviewing event registration', { registrationId: req.params.registrationId, error });
+        res.status(500).json({ error: 'Failed to update registration' });
+    }
+};
+
+app.post('/admin/event-registrations/:registrationId/confirm', requireAuth, requireAdmin, reviewRegistrationHandler('confirm'));
+app.post('/admin/event-registrations/:registrationId/reject', requireAuth, requireAdmin, reviewRegistrationHandler('reject'));
+
+app.post('/admin/event-registrations/:registrationId/cancel', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const result = await cancelRegistration({
+            registrationId: req.params.registrationId,
+            userId: req.user.uid,
+            byAdmin: true,
+            reason: req.body?.reason
+        });
+        req.log.info('Event registration cancelled by admin', { adminId: req.user.uid, ...result });
+        res.json({ registrationId: result.registrationId, status: 'cancelled', promoted: result.promoted.length });
+    } catch (error) {
+        if (error instanceof EventRegistrationError) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        req.log.error('Error cancelling event registration', { registrationId: req.params.registrationId, error });
+        res.status(500).json({ error: 'Failed to cancel registration' });
+    }
+});
+
+// Event Certificate Endpoints
+// Issue certificates to everyone checked in, from the event's template
+app.post('/admin/events/:eventId/certificates', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const result = await issueEventCertificates({
+            eventId: req.params.eventId,
+            issuedBy: { uid: req.user.uid, email: req.user.email }
+        });
+        req.log.info('Event certificates issued', { adminId: req.user.uid, eventId: req.params.eventId, ...result });
+        res.json(result);
+    } catch (error) {
+        if (error instanceof EventRegistrationError) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        req.log.error('Error issuing event certificates', { eventId: req.params.eventId, error });
+        res.status(500).json({ error: 'Failed to issue certificates' });
+    }
+});
+
+// Revoked certificates show as revoked on /verify and can no longer be downloaded
+app.post('/admin/certificates/:certificateId/revoke', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const result = await revokeCertificate({
+            certificateId: req.params.certificateId,
+            adminId: req.user.uid,
+            reason: req.body?.reason
+        });
+        req.log.info('Certificate revoked', { adminId: req.user.uid, ...result });
+        res.json(result);
+    } catch (error) {
+        if (error instanceof EventRegistrationError) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        req.log.error('Error revoking certificate', { certificateId: req.params.certificateId, error });
+        res.status(500).json({ error: 'Failed to revoke certificate' });
+    }
+});
+
+// Every issued certificate of the event in one PDF, for printing
+app.get('/admin/events/:eventId/certificates/pdf', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const certificates = await listEventCertificates(req.params.eventId);
+        if (certificates.length === 0) {
+            return res.status(404).json({ error: 'No certificates issued for this event' });
+        }
+
+        const pdf = await renderCertificatesPdf(certificates);
+        sendCertificatePdf(res, pdf, `certificates-${req.params.eventId}.pdf`);
+    } catch (error) {
+        if (error instanceof EventRegistrationError) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        req.log.error('Error generating event certificates', { eventId: req.params.eventId, error });
+        res.status(500).json({ error: 'Failed to generate certificates' });
+    }
+});
+
+// The saved template filled in with a sample name, to check the layout
+app.get('/admin/events/:eventId/certificates/preview', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const pdf = await renderCertificatePreview(req.params.eventId);
+        sendCertificatePdf(res, pdf, `certificate-preview-${req.params.eventId}.pdf`);
+    } catch (error) {
+        if (error instanceof EventRegistrationError) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        req.log.error('Error previewing certificate', { eventId: req.params.eventId, error });
+        res.status(500).json({ error: 'Failed to preview certificate' });
+    }
+});
+
+// Membership Expiry Job
+// Triggered daily by Vercel Cron (GET) or manually (POST), authenticated with CRON_SECRET
+const expireMembershipsHandler = async (req, res) => {
+    const secret = process.env.CRON_SECRET;
+    if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+        const dryRun = req.query.dryRun === 'true';
+        const result = await sweepExpiredMemberships({ dryRun, trigger: 'http' });
+        res.json({ dryRun, ...result });
+    } catch (error) {
+        req.log.error('Error sweeping memberships', { error });
+        res.status(500).json({ error: 'Expiry sweep failed' });
+    }
+};
+
+app.route('/jobs/expire-memberships')
+    .get(expireMembershipsHandler)
+    .post(expireMembershipsHandler);
+
+// Pending Event Registration Expiry Job (same CRON_SECRET as above)
+const expireEventRegistrationsHandler = async (req, res) => {
+    const secret = process.env.CRON_SECRET;
+    if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+        const result = await expirePendingRegistrations();
+        res.json(result);
+    } catch (error) {
+        req.log.error('Error expiring event registrations', { error });
+        res.status(500).json({ error: 'Registration expiry failed' });
+    }
+};
+
+app.route('/jobs/expire-event-registrations')
+    .get(expireEventRegistrationsHandler)
+    .post(expireEventRegistrationsHandler);
+
+// Body parser failures (oversized or malformed JSON) answer in JSON like every other error
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body too large' });
+    }
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Malformed JSON body' });
+    }
+    req.log.error('Unhandled error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+});
+
+module.exports = app;
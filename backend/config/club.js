@@ -0,0 +1,25 @@
+const dotenv = require('dotenv');
+const { CORS_ORIGINS } = require('./cors');
+
+dotenv.config();
+
+// Issuer details printed on receipts and certificates
+const CLUB_DETAILS = {
+    name: process.env.CLUB_NAME || 'CSI NMAMIT',
+    legalName: process.env.CLUB_LEGAL_NAME || 'Computer Society of India - NMAMIT Student Branch',
+    address: process.env.CLUB_ADDRESS || 'NMAM Institute of Technology, Nitte, Karkala, Karnataka 574110',
+    email: process.env.CLUB_EMAIL || 'csi@nmamit.in',
+    // Only printed (and the document made a tax invoice) when registered for GST
+    gstin: process.env.CLUB_GSTIN || null,
+    // Services provided by clubs and associations to members
+    sacCode: process.env.CLUB_SAC_CODE || '999599',
+    // GST in percent, included in every price rather than added on top
+    gstRate: Number(process.env.CLUB_GST_RATE ?? 18),
+    // <state code>-<state>; CGST and SGST apply when it is the GSTIN's state, IGST otherwise
+    placeOfSupply: process.env.CLUB_PLACE_OF_SUPPLY || '29-Karnataka',
+    invoicePrefix: process.env.INVOICE_PREFIX || 'CSI',
+    // Public site the certificate verification QR codes point to
+    siteUrl: (process.env.PUBLIC_SITE_URL || CORS_ORIGINS[0]).replace(/\/$/, '')
+};
+
+module.exports = { CLUB_DETAILS };
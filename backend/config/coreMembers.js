@@ -0,0 +1,31 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Same base64-encoded JSON as the frontend's VITE_CORE_MEMBERS_DATA:
+// { "email": { name, role, permissions: [...], level } }
+const decodeCoreMembers = (encoded) => {
+    if (!encoded) return {};
+    try {
+        return JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'));
+    } catch (error) {
+        console.error('CORE_MEMBERS_DATA is not valid base64 JSON');
+        return {};
+    }
+};
+
+const CORE_MEMBERS = decodeCoreMembers(process.env.CORE_MEMBERS_DATA);
+
+/**
+ * Check a core member's permission by email ('all' grants everything)
+ * @param {string} email - Core member email
+ * @param {string} permission - Permission key from PERMISSIONS in src/config/coreMembers.js
+ * @returns {boolean} True if the member holds the permission
+ */
+const hasPermission = (email, permission) => {
+    const member = email ? CORE_MEMBERS[email.toLowerCase()] : null;
+    if (!member || !Array.isArray(member.permissions)) return false;
+    return member.permissions.includes('all') || member.permissions.includes(permission);
+};
+
+module.exports = { CORE_MEMBERS, hasPermission };
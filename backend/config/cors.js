@@ -0,0 +1,28 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Browser origins allowed to call the API, comma-separated in CORS_ORIGINS.
+// A `*` matches part of one host label, so Vercel previews can be listed as
+// https://your-project-*-your-team.vercel.app without opening up all of vercel.app.
+const DEFAULT_ORIGINS = ['http://localhost:3000', 'http://127.0.0.1:3000'];
+
+const parseOrigins = (value) => value
+    ? value.split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean)
+    : DEFAULT_ORIGINS;
+
+const toPattern = (origin) => new RegExp(
+    `^${origin.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[a-z0-9-]+')}$`,
+    'i'
+);
+
+const CORS_ORIGINS = parseOrigins(process.env.CORS_ORIGINS);
+const ORIGIN_PATTERNS = CORS_ORIGINS.map(toPattern);
+
+/**
+ * @param {string} origin - Origin request header
+ * @returns {boolean}
+ */
+const isAllowedOrigin = (origin) => ORIGIN_PATTERNS.some(pattern => pattern.test(origin));
+
+module.exports = { CORS_ORIGINS, isAllowedOrigin };
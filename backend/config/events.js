@@ -0,0 +1,30 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Minutes a pending_payment registration made at checkout holds its place
+// before it expires
+const PAYMENT_HOLD_MINUTES = Number(process.env.EVENT_PAYMENT_HOLD_MINUTES) || 30;
+
+// Hours a paid registration promoted off the waitlist holds its place. Longer
+// than the checkout hold: the user has to see the notification first.
+const WAITLIST_PAYMENT_HOLD_HOURS = Number(process.env.EVENT_WAITLIST_PAYMENT_HOLD_HOURS) || 24;
+
+// Members can't cancel their own registration closer than this to the event's
+// start; admins still can. 0 allows cancelling right up to the start.
+const CANCELLATION_CUTOFF_HOURS = Number(process.env.EVENT_CANCELLATION_CUTOFF_HOURS ?? 24);
+
+// Event dates and times on the admin form are local to the college (IST)
+const EVENT_UTC_OFFSET = process.env.EVENT_UTC_OFFSET || '+05:30';
+
+// Signs the QR tickets of confirmed registrations; changing it voids every
+// ticket already shown to members
+const TICKET_SIGNING_SECRET = process.env.TICKET_SIGNING_SECRET || '';
+
+module.exports = {
+    CANCELLATION_CUTOFF_HOURS,
+    EVENT_UTC_OFFSET,
+    PAYMENT_HOLD_MINUTES,
+    TICKET_SIGNING_SECRET,
+    WAITLIST_PAYMENT_HOLD_HOURS
+};
@@ -24,9 +24,16 @@ try {
     };
 }
 
-admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount)
-});
+// Against the Firestore emulator (tests, local runs) no credentials are needed
+if (process.env.FIRESTORE_EMULATOR_HOST) {
+    admin.initializeApp({
+        projectId: process.env.FIREBASE_PROJECT_ID || 'demo-csi-nmamit'
+    });
+} else {
+    admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount)
+    });
+}
 
 const db = admin.firestore();
 
@@ -0,0 +1,83 @@
+// Default plan catalogue.
+// The live catalogue is the `membershipPlans` Firestore collection; these
+// entries seed it (npm run seed:plans) and are served if it is still empty.
+// Prices are in rupees; the amount charged is basePrice + platformFee.
+const DEFAULT_MEMBERSHIP_PLANS = [
+    {
+        id: 'one-year',
+        name: '1-Year Executive Membership',
+        basePrice: 350,
+        platformFee: 8,
+        durationMonths: 12,
+        duration: '1 Year',
+        active: true,
+        retired: false,
+        validFrom: null,
+        validUntil: null,
+        popular: true,
+        sortOrder: 1,
+        features: [
+            'Access to all workshops and events',
+            'Exclusive learning resources',
+            'Certificate of membership',
+            'Networking opportunities',
+            'Project collaboration',
+            'Career guidance',
+            'Competition participation',
+            'CSI India membership benefits'
+        ]
+    },
+    {
+        id: 'two-year',
+        name: '2-Year Executive Membership',
+        basePrice: 650,
+        platformFee: 14,
+        durationMonths: 24,
+        duration: '2 Years',
+        active: true,
+        retired: false,
+        validFrom: null,
+        validUntil: null,
+        popular: false,
+        sortOrder: 2,
+        features: [
+            'All 1-year benefits included',
+            'Extended access to resources',
+            'Certificate of membership',
+            'Priority event access',
+            'Project collaboration',
+            'Mentorship opportunities',
+            'Competition participation',
+            'CSI India membership benefits',
+            'Special discounts on events'
+        ]
+    },
+    {
+        id: 'three-year',
+        name: '3-Year Executive Membership',
+        basePrice: 900,
+        platformFee: 19,
+        durationMonths: 36,
+        duration: '3 Years',
+        active: true,
+        retired: false,
+        validFrom: null,
+        validUntil: null,
+        popular: false,
+        sortOrder: 3,
+        features: [
+            'All 2-year benefits included',
+            'Long-term membership access',
+            'Certificate of membership',
+            'VIP event access',
+            'Extended project collaboration',
+            'Advanced mentorship program',
+            'Exclusive competition access',
+            'CSI India membership benefits',
+            'Best value for long-term members',
+            'Alumni network access'
+        ]
+    }
+];
+
+module.exports = { DEFAULT_MEMBERSHIP_PLANS };
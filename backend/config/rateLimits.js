@@ -0,0 +1,25 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Server-side limits on the payment endpoints. Counted in fixed windows per
+// client IP (before authentication) and per Firebase uid (after it).
+// Students on the campus network share a handful of public IPs, so the
+// per-IP limits are deliberately loose; the per-user limits do the real work.
+
+const RATE_LIMIT_WINDOW_MINUTES = Number(process.env.RATE_LIMIT_WINDOW_MINUTES) || 10;
+
+const RATE_LIMITS = {
+    // /create-order and /create-event-order
+    createOrder: {
+        perIp: Number(process.env.RATE_LIMIT_ORDERS_PER_IP) || 60,
+        perUser: Number(process.env.RATE_LIMIT_ORDERS_PER_USER) || 5
+    },
+    // /verify-payment and /verify-event-payment
+    verifyPayment: {
+        perIp: Number(process.env.RATE_LIMIT_VERIFICATIONS_PER_IP) || 120,
+        perUser: Number(process.env.RATE_LIMIT_VERIFICATIONS_PER_USER) || 10
+    }
+};
+
+module.exports = { RATE_LIMIT_WINDOW_MINUTES, RATE_LIMITS };
@@ -0,0 +1,18 @@
+const Razorpay = require('razorpay');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Initialize Razorpay
+const razorpay = new Razorpay({
+    key_id: process.env.RAZORPAY_KEY_ID,
+    key_secret: process.env.RAZORPAY_KEY_SECRET
+});
+
+// Local testing: send API calls to the mock server (npm run mock:razorpay)
+// instead of api.razorpay.com. The SDK has no option for this.
+if (process.env.RAZORPAY_API_URL) {
+    razorpay.api.rq.defaults.baseURL = process.env.RAZORPAY_API_URL;
+}
+
+module.exports = { razorpay };
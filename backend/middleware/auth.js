@@ -0,0 +1,77 @@
+const { admin, db } = require('../config/firebase');
+const { hasPermission } = require('../config/coreMembers');
+
+/**
+ * Verify the Firebase ID token sent as `Authorization: Bearer <token>`.
+ * The decoded token is exposed as req.user (uid, email, ...).
+ */
+const requireAuth = async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer (.+)$/);
+
+    if (!match) {
+        return res.status(401).json({ error: 'Missing authentication token' });
+    }
+
+    try {
+        req.user = await admin.auth().verifyIdToken(match[1]);
+        next();
+    } catch (error) {
+        res.status(401).json({ error: 'Invalid or expired authentication token' });
+    }
+};
+
+/**
+ * Look up a verified admin record (admins/{uid})
+ * @returns {Promise<Object|null>} The admin document, or null if not a verified admin
+ */
+const getVerifiedAdmin = async (uid) => {
+    const adminDoc = await db.collection('admins').doc(uid).get();
+    const adminData = adminDoc.exists ? adminDoc.data() : null;
+    return adminData && adminData.role === 'admin' && adminData.verified ? adminData : null;
+};
+
+/**
+ * Require a verified admin (admins/{uid}); run after requireAuth
+ */
+const requireAdmin = async (req, res, next) => {
+    try {
+        const adminData = await getVerifiedAdmin(req.user.uid);
+        if (!adminData) {
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+
+        req.admin = adminData;
+        next();
+    } catch (error) {
+        req.log.error('Error checking admin status', { error });
+        res.status(500).json({ error: 'Failed to check admin status' });
+    }
+};
+
+// Core-member permissions are keyed by email, so they only count once Firebase has verified it
+const hasVerifiedPermission = (user, permission) =>
+    user.email_verified === true && hasPermission(user.email, permission);
+
+/**
+ * Require a core-member permission (e.g. 'finance'); run after requireAuth
+ */
+const requirePermission = (permission) => (req, res, next) => {
+    if (!hasVerifiedPermission(req.user, permission)) {
+        return res.status(403).json({ error: `Missing '${permission}' permission` });
+    }
+    next();
+};
+
+/**
+ * Require a core member with the permission, or else a verified admin;
+ * run after requireAuth
+ */
+const requireAdminOrPermission = (permission) => (req, res, next) => {
+    if (hasVerifiedPermission(req.user, permission)) {
+        return next();
+    }
+    return requireAdmin(req, res, next);
+};
+
+module.exports = { getVerifiedAdmin, requireAuth, requireAdmin, requireAdminOrPermission, requirePermission };
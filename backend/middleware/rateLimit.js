@@ -0,0 +1,45 @@
+/**
+ * Rate-limit middleware over a pluggable store (see services/rateLimitStore).
+ * Over the limit it answers 429 with Retry-After in seconds. If the store
+ * itself fails the request is let through: a Firestore hiccup must not
+ * block a student from paying.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Bucket name, part of every key
+ * @param {number} options.max - Requests allowed per window
+ * @param {number} options.windowMs
+ * @param {Function} options.keyBy - (req) => subject to count, or null to skip
+ * @param {{hit: Function}} options.store
+ */
+const createRateLimiter = ({ name, max, windowMs, keyBy, store }) => async (req, res, next) => {
+    const subject = keyBy(req);
+    if (!subject) {
+        return next();
+    }
+
+    try {
+        const { count, resetAt } = await store.hit(`${name}:${subject}`, windowMs);
+        if (count > max) {
+            const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+            req.log.warn('Rate limit exceeded', { limiter: name, count, max, retryAfter });
+
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                error: `Too many requests. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+                retryAfter
+            });
+        }
+    } catch (error) {
+        req.log.error('Rate limit store failed; request allowed', { limiter: name, error });
+    }
+
+    next();
+};
+
+// Relies on `trust proxy` so req.ip is the client, not Vercel's edge
+const byIp = (req) => req.ip;
+
+// Run after requireAuth
+const byUser = (req) => req.user?.uid || null;
+
+module.exports = { byIp, byUser, createRateLimiter };
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+// Accept a caller's X-Request-Id (e.g. from a proxy) if it looks sane
+const VALID_REQUEST_ID = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * Give every request a correlation ID, echoed in the X-Request-Id response
+ * header, and a req.log that stamps it on every entry. Logs one line per
+ * completed request.
+ */
+const requestContext = (req, res, next) => {
+    const incoming = req.headers['x-request-id'];
+    req.id = typeof incoming === 'string' && VALID_REQUEST_ID.test(incoming)
+        ? incoming
+        : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        const fields = {
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            durationMs: Number((process.hrtime.bigint() - startedAt) / 1000000n),
+            uid: req.user?.uid || null
+        };
+        if (res.statusCode >= 500) {
+            req.log.error('Request failed', fields);
+        } else {
+            req.log.info('Request completed', fields);
+        }
+    });
+
+    next();
+};
+
+module.exports = { requestContext };
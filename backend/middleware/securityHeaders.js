@@ -0,0 +1,26 @@
+// Same directives as getCSPHeaders() in the frontend's src/utils/securityUtils.js
+const CSP_DIRECTIVES = require('../config/csp.json');
+
+// Helmet's defaults, minus the ones that only matter for HTML the API never serves
+const SECURITY_HEADERS = {
+    'Content-Security-Policy': CSP_DIRECTIVES.join('; '),
+    'Strict-Transport-Security': 'max-age=15552000; includeSubDomains',
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'no-referrer',
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    'Origin-Agent-Cluster': '?1',
+    'X-DNS-Prefetch-Control': 'off',
+    'X-Download-Options': 'noopen',
+    'X-Permitted-Cross-Domain-Policies': 'none'
+};
+
+/**
+ * Set the security headers on every response
+ */
+const securityHeaders = (req, res, next) => {
+    res.set(SECURITY_HEADERS);
+    next();
+};
+
+module.exports = { SECURITY_HEADERS, securityHeaders };
@@ -0,0 +1,381 @@
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const { hmacSha256 } = require('../utils/signature');
+
+// Stand-in for the parts of the Razorpay API this backend uses, plus a
+// simulated checkout. Point the SDK at it with RAZORPAY_API_URL and the
+// browser at /checkout.js with VITE_RAZORPAY_CHECKOUT_URL.
+
+const ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Razorpay IDs are a prefix plus 14 alphanumerics
+const generateId = (prefix) => {
+    let id = '';
+    for (let i = 0; i < 14; i++) {
+        id += ID_CHARS.charAt(crypto.randomInt(ID_CHARS.length));
+    }
+    return `${prefix}_${id}`;
+};
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// Same shape as Razorpay's error responses, which the SDK rethrows as-is
+const sendError = (res, statusCode, description, code = 'BAD_REQUEST_ERROR') =>
+    res.status(statusCode).json({ error: { code, description } });
+
+const paginate = (items, query) => {
+    const from = Number(query.from) || 0;
+    const to = Number(query.to) || Infinity;
+    const skip = Number(query.skip) || 0;
+    const count = Math.min(Number(query.count) || 10, 100);
+
+    const matching = items
+        .filter(item => item.created_at >= from && item.created_at <= to)
+        .sort((a, b) => b.created_at - a.created_at);
+    const page = matching.slice(skip, skip + count);
+    return { entity: 'collection', count: page.length, items: page };
+};
+
+/**
+ * Browser replacement for checkout.razorpay.com/v1/checkout.js.
+ * open() asks the mock to settle the order instead of showing a modal.
+ * Set window.razorpayMockOutcome to 'failure' or 'dismiss' before paying
+ * to simulate those paths (default 'success').
+ */
+const checkoutScript = (baseUrl) => `(function () {
+    function Razorpay(options) {
+        this.options = options || {};
+        this.listeners = {};
+    }
+    Razorpay.prototype.on = function (event, callback) {
+        this.listeners[event] = callback;
+    };
+    Razorpay.prototype.open = function () {
+        var self = this;
+        var outcome = window.razorpayMockOutcome || 'success';
+        if (outcome === 'dismiss') {
+            var modal = self.options.modal || {};
+            if (modal.ondismiss) modal.ondismiss();
+            return;
+        }
+        fetch(${JSON.stringify(baseUrl)} + '/mock/checkout/' + encodeURIComponent(self.options.order_id), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ outcome: outcome, key: self.options.key, prefill: self.options.prefill })
+        })
+            .then(function (res) { return res.json(); })
+            .then(function (result) {
+                if (result.error) {
+                    if (self.listeners['payment.failed']) self.listeners['payment.failed'](result);
+                } else if (self.options.handler) {
+                    self.options.handler(result.response);
+                }
+            });
+    };
+    window.Razorpay = Razorpay;
+})();
+`;
+
+/**
+ * Create a mock Razorpay server.
+ *
+ * @param {Object} options
+ * @param {string} options.keyId - Must match the backend's RAZORPAY_KEY_ID
+ * @param {string} options.keySecret - Signs checkout responses, like RAZORPAY_KEY_SECRET
+ * @param {string} [options.webhookSecret] - Signs webhooks, like WEBHOOK_SECRET
+ * @param {string} [options.webhookUrl] - Backend /webhook URL; omit to skip webhooks
+ * @param {string} [options.publicUrl] - URL the browser reaches this server on
+ * @returns {{app: import('express').Express, state: Object, reset: Function}}
+ */
+const createMockRazorpay = ({ keyId, keySecret, webhookSecret, webhookUrl, publicUrl }) => {
+    const state = {
+        orders: new Map(),
+        payments: new Map(),
+        refunds: new Map(),
+        webhooks: []
+    };
+
+    const reset = () => {
+        state.orders.clear();
+        state.payments.clear();
+        state.refunds.clear();
+        state.webhooks.length = 0;
+    };
+
+    /**
+     * POST a signed webhook to the backend, recording the delivery.
+     * Awaited so tests can assert on Firestore as soon as checkout returns.
+     */
+    const deliverWebhook = async (delivery) => {
+        const body = JSON.stringify(delivery.body);
+        const attempt = { at: new Date().toISOString(), status: null, error: null };
+        delivery.attempts.push(attempt);
+
+        try {
+            const response = await fetch(webhookUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Razorpay-Signature': hmacSha256(body, webhookSecret || ''),
+                    'X-Razorpay-Event-Id': delivery.eventId
+                },
+                body
+            });
+            attempt.status = response.status;
+        } catch (error) {
+            attempt.error = error.message;
+        }
+        return { eventId: delivery.eventId, event: delivery.event, ...attempt };
+    };
+
+    const sendWebhook = async (event, entities) => {
+        if (!webhookUrl) return null;
+
+        const payload = {};
+        for (const [name, entity] of Object.entries(entities)) {
+            payload[name] = { entity };
+        }
+        const delivery = {
+            eventId: generateId('evt'),
+            event,
+            body: {
+                entity: 'event',
+                account_id: 'acc_mock',
+                event,
+                contains: Object.keys(entities),
+                payload,
+                created_at: nowSeconds()
+            },
+            attempts: []
+        };
+        state.webhooks.push(delivery);
+        return deliverWebhook(delivery);
+    };
+
+    const app = express();
+    app.use(express.json());
+
+    // Browser-facing routes: checkout.js and the simulated checkout
+    app.get('/checkout.js', (req, res) => {
+        const baseUrl = publicUrl || `${req.protocol}://${req.get('host')}`;
+        res.type('application/javascript').send(checkoutScript(baseUrl));
+    });
+
+    app.use('/mock', cors());
+
+    /**
+     * Settle an order as the checkout would.
+     * Body: { outcome: 'success'|'failure', method, prefill, webhook: false to skip webhooks }
+     * Success returns { response } with the signed handler payload;
+     * failure returns the checkout's payment.failed { error } object.
+     */
+    app.post('/mock/checkout/:orderId', async (req, res) => {
+        const order = state.orders.get(req.params.orderId);
+        if (!order) {
+            return sendError(res, 404, 'The id provided does not exist');
+        }
+        if (req.body?.key && req.body.key !== keyId) {
+            return sendError(res, 401, 'The api key provided is invalid');
+        }
+        if (order.status === 'paid') {
+            return sendError(res, 400, 'Order is already paid');
+        }
+
+        const outcome = req.body?.outcome || 'success';
+        const sendWebhooks = req.body?.webhook !== false;
+        const failed = outcome === 'failure';
+
+        const payment = {
+            id: generateId('pay'),
+            entity: 'payment',
+            amount: order.amount,
+            currency: order.currency,
+            status: failed ? 'failed' : 'captured',
+            order_id: order.id,
+            method: req.body?.method || 'upi',
+            amount_refunded: 0,
+            refund_status: null,
+            captured: !failed,
+            email: req.body?.prefill?.email || 'student@example.com',
+            contact: req.body?.prefill?.contact || '+919999999999',
+            notes: order.notes,
+            error_code: failed ? 'BAD_REQUEST_ERROR' : null,
+            error_description: failed ? 'Payment failed because the bank declined it' : null,
+            error_source: failed ? 'bank' : null,
+            error_step: failed ? 'payment_authorization' : null,
+            error_reason: failed ? 'payment_failed' : null,
+            created_at: nowSeconds()
+        };
+        state.payments.set(payment.id, payment);
+        order.attempts += 1;
+
+        const webhooks = [];
+
+        if (failed) {
+            if (sendWebhooks) {
+                webhooks.push(await sendWebhook('payment.failed', { payment }));
+            }
+            return res.json({
+                error: {
+                    code: payment.error_code,
+                    description: payment.error_description,
+                    source: payment.error_source,
+                    step: payment.error_step,
+                    reason: payment.error_reason,
+                    metadata: { order_id: order.id, payment_id: payment.id }
+                },
+                webhooks: webhooks.filter(Boolean)
+            });
+        }
+
+        order.status = 'paid';
+        order.amount_paid = order.amount;
+        order.amount_due = 0;
+
+        if (sendWebhooks) {
+            webhooks.push(await sendWebhook('payment.captured', { payment }));
+            webhooks.push(await sendWebhook('order.paid', { payment, order }));
+        }
+
+        res.json({
+            response: {
+                razorpay_payment_id: payment.id,
+                razorpay_order_id: order.id,
+                razorpay_signature: hmacSha256(`${order.id}|${payment.id}`, keySecret)
+            },
+            webhooks: webhooks.filter(Boolean)
+        });
+    });
+
+    // Webhook deliveries so far, newest last
+    app.get('/mock/webhooks', (req, res) => {
+        res.json(state.webhooks.map(({ eventId, event, attempts }) => ({ eventId, event, attempts })));
+    });
+
+    // Send a past webhook again with the same event ID, as Razorpay's retries do
+    app.post('/mock/webhooks/:eventId/redeliver', async (req, res) => {
+        const delivery = state.webhooks.find(w => w.eventId === req.params.eventId);
+        if (!delivery) {
+            return sendError(res, 404, 'Unknown webhook event');
+        }
+        res.json(await deliverWebhook(delivery));
+    });
+
+    app.post('/mock/reset', (req, res) => {
+        reset();
+        res.json({ status: 'ok' });
+    });
+
+    // Razorpay API, authenticated with the key pair like the real one
+    const requireKeys = (req, res, next) => {
+        const expected = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+        if (req.headers.authorization !== expected) {
+            return sendError(res, 401, 'The api key provided is invalid', 'BAD_REQUEST_ERROR');
+        }
+        next();
+    };
+
+    const api = express.Router();
+    api.use(requireKeys);
+
+    api.post('/orders', (req, res) => {
+        const { amount, currency = 'INR', receipt = null, notes = {} } = req.body || {};
+        if (!Number.isInteger(amount) || amount < 100) {
+            return sendError(res, 400, 'The amount must be atleast INR 1.00');
+        }
+
+        const order = {
+            id: generateId('order'),
+            entity: 'order',
+            amount,
+            amount_paid: 0,
+            amount_due: amount,
+            currency,
+            receipt,
+            status: 'created',
+            attempts: 0,
+            // Razorpay returns notes values as strings
+            notes: Object.fromEntries(Object.entries(notes).map(([k, v]) => [k, String(v)])),
+            created_at: nowSeconds()
+        };
+        state.orders.set(order.id, order);
+        res.json(order);
+    });
+
+    api.get('/orders', (req, res) => {
+        res.json(paginate([...state.orders.values()], req.query));
+    });
+
+    api.get('/orders/:id', (req, res) => {
+        const order = state.orders.get(req.params.id);
+        if (!order) {
+            return sendError(res, 400, 'The id provided does not exist');
+        }
+        res.json(order);
+    });
+
+    api.get('/orders/:id/payments', (req, res) => {
+        const items = [...state.payments.values()].filter(p => p.order_id === req.params.id);
+        res.json({ entity: 'collection', count: items.length, items });
+    });
+
+    api.get('/payments', (req, res) => {
+        res.json(paginate([...state.payments.values()], req.query));
+    });
+
+    api.get('/payments/:id', (req, res) => {
+        const payment = state.payments.get(req.params.id);
+        if (!payment) {
+            return sendError(res, 400, 'The id provided does not exist');
+        }
+        res.json(payment);
+    });
+
+    // Refunds are processed at once; refund.created and refund.processed follow
+    api.post('/payments/:id/refund', async (req, res) => {
+        const payment = state.payments.get(req.params.id);
+        if (!payment) {
+            return sendError(res, 400, 'The id provided does not exist');
+        }
+        if (payment.status !== 'captured' && payment.status !== 'refunded') {
+            return sendError(res, 400, 'The payment has not been captured');
+        }
+
+        const refundable = payment.amount - payment.amount_refunded;
+        const amount = req.body?.amount === undefined ? refundable : Number(req.body.amount);
+        if (!Number.isInteger(amount) || amount <= 0 || amount > refundable) {
+            return sendError(res, 400, 'The refund amount provided is greater than amount captured');
+        }
+
+        const refund = {
+            id: generateId('rfnd'),
+            entity: 'refund',
+            amount,
+            currency: payment.currency,
+            payment_id: payment.id,
+            notes: req.body?.notes || {},
+            status: 'processed',
+            speed_processed: 'normal',
+            created_at: nowSeconds()
+        };
+        state.refunds.set(refund.id, refund);
+
+        payment.amount_refunded += amount;
+        payment.refund_status = payment.amount_refunded === payment.amount ? 'full' : 'partial';
+        if (payment.refund_status === 'full') {
+            payment.status = 'refunded';
+        }
+
+        res.json(refund);
+
+        await sendWebhook('refund.created', { refund: { ...refund, status: 'pending' }, payment });
+        await sendWebhook('refund.processed', { refund, payment });
+    });
+
+    app.use('/v1', api);
+
+    return { app, state, reset };
+};
+
+module.exports = { createMockRazorpay };
@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+// Move lapsed memberships through active -> grace -> expired.
+// Usage: npm run expire:memberships [-- --dry-run]
+// Set FIRESTORE_EMULATOR_HOST to run against the Firestore emulator.
+
+const { sweepExpiredMemberships } = require('../services/expirySweeper');
+
+const dryRun = process.argv.includes('--dry-run');
+
+sweepExpiredMemberships({ dryRun, trigger: 'cli' })
+    .then(({ scanned, transitions }) => {
+        console.log(`Scanned ${scanned} memberships${dryRun ? ' (dry run)' : ''}`);
+        for (const t of transitions) {
+            console.log(`${t.userId}: ${t.from} -> ${t.to}${t.role ? ` (role ${t.role.from} -> ${t.role.to})` : ''}`);
+        }
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.error('Expiry sweep failed:', error);
+        process.exit(1);
+    });
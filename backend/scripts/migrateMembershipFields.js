@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+// One-off: rename legacy membership.planId / membership.expiryDate on users
+// to membership.type / membership.expiresAt. Safe to re-run.
+// Usage: npm run migrate:membership-fields [-- --dry-run]
+// Set FIRESTORE_EMULATOR_HOST to run against the Firestore emulator.
+
+const { migrateLegacyMembershipFields } = require('../services/membershipStatusService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+migrateLegacyMembershipFields({ dryRun })
+    .then(({ scanned, migrated }) => {
+        console.log(`Scanned ${scanned} users; ${migrated.length} with legacy fields${dryRun ? ' (dry run)' : ''}`);
+        for (const { userId, renamed } of migrated) {
+            console.log(`${userId}: ${renamed.map(r => `${r.from} -> ${r.to}${r.kept === 'current' ? ' (kept existing value)' : ''}`).join(', ')}`);
+        }
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    });
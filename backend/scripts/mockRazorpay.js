@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// Run a local Razorpay stand-in for end-to-end payment testing.
+// Usage: npm run mock:razorpay
+// Uses RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET / WEBHOOK_SECRET from .env and
+// delivers webhooks to MOCK_WEBHOOK_URL (default http://localhost:$PORT/webhook).
+// Start the backend with RAZORPAY_API_URL=http://localhost:5050 to use it.
+
+const dotenv = require('dotenv');
+const { createMockRazorpay } = require('../mock/razorpayServer');
+
+dotenv.config();
+
+const port = Number(process.env.MOCK_RAZORPAY_PORT) || 5050;
+const webhookUrl = process.env.MOCK_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/webhook`;
+
+if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+    console.error('Set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET (any test values) first');
+    process.exit(1);
+}
+
+const { app } = createMockRazorpay({
+    keyId: process.env.RAZORPAY_KEY_ID,
+    keySecret: process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret: process.env.WEBHOOK_SECRET,
+    webhookUrl
+});
+
+app.listen(port, () => {
+    console.log(`Mock Razorpay on http://localhost:${port} (webhooks -> ${webhookUrl})`);
+});
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Compare Razorpay payments with the Firestore payments collection.
+// Usage: npm run reconcile:payments [-- --from 2025-08-01 --to 2025-08-31] [--file payments.json] [--no-save]
+// --file reads Razorpay payment entities from a JSON export instead of calling the API,
+// handy together with FIRESTORE_EMULATOR_HOST for local runs.
+
+const fs = require('fs');
+const { parseRange, reconcilePayments } = require('../services/reconciliationService');
+
+const getArg = (name) => {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const range = parseRange(getArg('--from'), getArg('--to'));
+if (!range) {
+    console.error('Invalid --from/--to range');
+    process.exit(1);
+}
+
+const file = getArg('--file');
+const options = { ...range, save: !process.argv.includes('--no-save') };
+if (file) {
+    const exported = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const items = Array.isArray(exported) ? exported : exported.items || [];
+    options.fetchPayments = async (from, to) => items.filter((payment) => {
+        const createdAt = payment.created_at * 1000;
+        return createdAt >= from.getTime() && createdAt <= to.getTime();
+    });
+    options.fetchPayment = async (paymentId) => items.find(payment => payment.id === paymentId) || null;
+}
+
+const sections = [
+    ['missingRecords', 'Missing Firestore records'],
+    ['amountMismatches', 'Amount mismatches'],
+    ['orphanRecords', 'Records unknown to Razorpay'],
+    ['paidWithoutMembership', 'Paid users without an active membership']
+];
+
+reconcilePayments(options)
+    .then((report) => {
+        console.log(`${report.from} -> ${report.to}: ${report.gatewayCount} Razorpay payments, ${report.recordCount} records`);
+        for (const [key, label] of sections) {
+            console.log(`\n${label}: ${report[key].length}`);
+            for (const item of report[key]) {
+                console.log(`  ${item.paymentId}  ₹${item.amount}  ${item.status}  ${item.userId || '-'}`);
+            }
+        }
+        if (report.id) {
+            console.log(`\nSaved as reconciliationReports/${report.id}`);
+        }
+        process.exit(report.issueCount > 0 ? 2 : 0);
+    })
+    .catch((error) => {
+        console.error('Reconciliation failed:', error);
+        process.exit(1);
+    });
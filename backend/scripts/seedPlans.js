@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+// Seed the membershipPlans collection with the default catalogue.
+// Plans that already exist in Firestore are never overwritten.
+
+const { seedPlans } = require('../services/planService');
+
+seedPlans()
+    .then((created) => {
+        console.log(created.length
+            ? `Created plans: ${created.join(', ')}`
+            : 'All default plans already exist');
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.error('Failed to seed plans:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,438 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { admin, db } = require('../config/firebase');
+const { CLUB_DETAILS } = require('../config/club');
+const { logger } = require('../utils/logger');
+const { EventRegistrationError, parseEventId } = require('./eventPaymentService');
+const { REGISTRATIONS_COLLECTION } = require('./eventWaitlistService');
+const { getEventStart } = require('./eventRegistrationService');
+const { TICKETED_STATUSES } = require('./ticketService');
+
+const CERTIFICATES_COLLECTION = 'certificates';
+// One per event, keyed by event ID; admins edit them from the events page
+const TEMPLATES_COLLECTION = 'certificateTemplates';
+
+// Firestore batches hold at most 500 writes
+const BATCH_SIZE = 400;
+const IMAGE_TIMEOUT_MS = 8000;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const siteHost = (() => {
+    try {
+        return new URL(CLUB_DETAILS.siteUrl).hostname;
+    } catch {
+        return null;
+    }
+})();
+
+// Template images are fetched by the server, so only from where uploads
+// live: Cloudinary (the admin form uploads there), Firebase Storage and the
+// site itself, plus any hosts listed in CERTIFICATE_IMAGE_HOSTS
+const IMAGE_HOSTS = new Set([
+    'res.cloudinary.com',
+    'firebasestorage.googleapis.com',
+    'storage.googleapis.com',
+    siteHost,
+    ...String(process.env.CERTIFICATE_IMAGE_HOSTS || '').split(',').map(host => host.trim().toLowerCase())
+].filter(Boolean));
+// Crockford base32: no I, L, O or U, so IDs survive being read out or typed
+const ID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const DEFAULT_TEMPLATE = {
+    backgroundUrl: null,
+    title: 'CERTIFICATE',
+    subtitle: 'OF PARTICIPATION',
+    intro: 'THE FOLLOWING CERTIFICATE IS GIVEN TO',
+    body: 'for participating in {event} held at NMAMIT on {date}',
+    accentColor: '#1f3d2b',
+    signatures: []
+};
+
+/**
+ * Unique, unguessable verification ID, e.g. CSI-7K2M-Q9XD-4R
+ */
+const generateCertificateId = () => {
+    const chars = [...crypto.randomBytes(10)].map(byte => ID_ALPHABET[byte % 32]).join('');
+    return `CSI-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8)}`;
+};
+
+/**
+ * Public page that confirms a certificate is genuine; its QR code is
+ * printed on the PDF
+ */
+const getVerificationUrl = (certificateId) =>
+    `${CLUB_DETAILS.siteUrl}/verify/${encodeURIComponent(certificateId)}`;
+
+/**
+ * An event's certificate template with defaults filled in, or null if the
+ * admins haven't designed one
+ */
+const getTemplate = async (eventId) => {
+    const templateDoc = await db.collection(TEMPLATES_COLLECTION).doc(parseEventId(eventId)).get();
+    if (!templateDoc.exists) return null;
+
+    const template = { ...DEFAULT_TEMPLATE, ...templateDoc.data() };
+    return {
+        backgroundUrl: template.backgroundUrl || null,
+        title: template.title,
+        subtitle: template.subtitle,
+        intro: template.intro,
+        body: template.body,
+        accentColor: /^#[0-9a-f]{6}$/i.test(template.accentColor) ? template.accentColor : DEFAULT_TEMPLATE.accentColor,
+        signatures: (template.signatures || []).slice(0, 3).map(s => ({
+            name: s.name || '',
+            title: s.title || '',
+            imageUrl: s.imageUrl || null
+        }))
+    };
+};
+
+const formatEventDate = (event, fallback) => {
+    const date = getEventStart(event) || fallback;
+    return date.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Asia/Kolkata' });
+};
+
+// Everyone a registration covers: each member of a team, or the registrant
+const getHolders = (registration) => {
+    const members = Array.isArray(registration.members) ? registration.members.filter(m => m.userId) : [];
+    if (members.length > 0) {
+        return members.map(m => ({ userId: m.userId, name: m.name || m.email || 'Participant', email: m.email || null }));
+    }
+    return [{
+        userId: registration.userId,
+        name: registration.userName || registration.userEmail || 'Participant',
+        email: registration.userEmail || null
+    }];
+};
+
+/**
+ * Issue certificates to everyone checked in at an event (attendedAt set)
+ * who doesn't have one yet. The template is copied into each certificate,
+ * so editing it later doesn't change certificates already issued.
+ *
+ * @param {Object} params
+ * @param {string} params.eventId
+ * @param {{uid: string, email: string}} params.issuedBy
+ * @returns {Promise<{issued: number, alreadyIssued: number, attendees: number}>}
+ */
+const issueEventCertificates = async ({ eventId, issuedBy }) => {
+    const eventRef = db.collection('events').doc(parseEventId(eventId));
+    const [eventDoc, template, registrations, existing] = await Promise.all([
+        eventRef.get(),
+        getTemplate(eventId),
+        db.collection(REGISTRATIONS_COLLECTION).where('eventId', '==', eventRef.id).get(),
+        db.collection(CERTIFICATES_COLLECTION).where('eventId', '==', eventRef.id).get()
+    ]);
+    if (!eventDoc.exists) {
+        throw new EventRegistrationError('Event not found', 404);
+    }
+    if (!template) {
+        throw new EventRegistrationError('Design the certificate template for this event first', 409, 'template_required');
+    }
+
+    const event = eventDoc.data();
+    // Revoked certificates count too: revoking must not lead to a silent reissue
+    const issuedKeys = new Set(existing.docs.map(doc => `${doc.data().registrationId}:${doc.data().userId}`));
+    const pending = [];
+    let attendees = 0;
+
+    for (const doc of registrations.docs) {
+        const registration = doc.data();
+        if (!TICKETED_STATUSES.includes(registration.status) || !registration.attendedAt) continue;
+
+        for (const holder of getHolders(registration)) {
+            attendees++;
+            if (issuedKeys.has(`${doc.id}:${holder.userId}`)) continue;
+
+            const certificateId = generateCertificateId();
+            pending.push([db.collection(CERTIFICATES_COLLECTION).doc(certificateId), {
+                certificateId,
+                eventId: eventRef.id,
+                eventTitle: event.title || '',
+                eventDate: formatEventDate(event, registration.attendedAt.toDate()),
+                registrationId: doc.id,
+                userId: holder.userId,
+                holderName: holder.name,
+                holderEmail: holder.email,
+                teamName: registration.teamName || null,
+                attendedAt: registration.attendedAt,
+                template,
+                status: 'issued',
+                issuedAt: admin.firestore.FieldValue.serverTimestamp(),
+                issuedBy: { uid: issuedBy.uid, email: issuedBy.email || null }
+            }]);
+        }
+    }
+
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        // create() fails rather than overwrite if an ID were ever reused
+        pending.slice(i, i + BATCH_SIZE).forEach(([ref, data]) => batch.create(ref, data));
+        await batch.commit();
+    }
+
+    return { issued: pending.length, alreadyIssued: attendees - pending.length, attendees };
+};
+
+/**
+ * @param {string} certificateId
+ * @returns {Promise<Object|null>}
+ */
+const getCertificate = async (certificateId) => {
+    const certificateDoc = await db.collection(CERTIFICATES_COLLECTION).doc(String(certificateId || '').toUpperCase()).get();
+    return certificateDoc.exists ? certificateDoc.data() : null;
+};
+
+/**
+ * What the public verification page shows. Revoked certificates only say
+ * so, without the holder's details.
+ * @param {string} certificateId
+ * @returns {Promise<Object|null>} null if no such certificate
+ */
+const getPublicCertificate = async (certificateId) => {
+    const certificate = await getCertificate(certificateId);
+    if (!certificate) return null;
+
+    if (certificate.status === 'revoked') {
+        return {
+            certificateId: certificate.certificateId,
+            status: 'revoked',
+            revokedAt: certificate.revokedAt?.toDate?.().toISOString() || null
+        };
+    }
+    return {
+        certificateId: certificate.certificateId,
+        status: certificate.status,
+        holderName: certificate.holderName,
+        teamName: certificate.teamName || null,
+        eventTitle: certificate.eventTitle,
+        eventDate: certificate.eventDate,
+        issuedAt: certificate.issuedAt?.toDate?.().toISOString() || null,
+        issuer: CLUB_DETAILS.legalName,
+        signatories: certificate.template.signatures.map(({ name, title }) => ({ name, title }))
+    };
+};
+
+/**
+ * Revoke an issued certificate. It stays in Firestore so the verification
+ * page can say it was revoked, and is never reissued for the same person.
+ *
+ * @param {Object} params
+ * @param {string} params.certificateId
+ * @param {string} params.adminId
+ * @param {string} [params.reason] - Kept for admins; not shown publicly
+ * @returns {Promise<{certificateId: string, status: 'revoked'}>}
+ */
+const revokeCertificate = async ({ certificateId, adminId, reason = null }) => {
+    const certificateRef = db.collection(CERTIFICATES_COLLECTION).doc(String(certificateId || '').toUpperCase());
+
+    return db.runTransaction(async (transaction) => {
+        const certificateDoc = await transaction.get(certificateRef);
+        if (!certificateDoc.exists) {
+            throw new EventRegistrationError('Certificate not found', 404);
+        }
+        if (certificateDoc.data().status === 'revoked') {
+            throw new EventRegistrationError('Certificate is already revoked', 409, 'already_revoked');
+        }
+
+        transaction.update(certificateRef, {
+            status: 'revoked',
+            revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+            revokedBy: adminId,
+            revocationReason: typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 500) : null
+        });
+        return { certificateId: certificateRef.id, status: 'revoked' };
+    });
+};
+
+/**
+ * Issued (not revoked) certificates of an event, by holder name
+ */
+const listEventCertificates = async (eventId) => {
+    const snapshot = await db.collection(CERTIFICATES_COLLECTION).where('eventId', '==', parseEventId(eventId)).get();
+    return snapshot.docs
+        .map(doc => doc.data())
+        .filter(certificate => certificate.status === 'issued')
+        .sort((a, b) => a.holderName.localeCompare(b.holderName));
+};
+
+const isAllowedImageUrl = (url) => {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'https:' && !parsed.port && !parsed.username && !parsed.password &&
+            IMAGE_HOSTS.has(parsed.hostname);
+    } catch {
+        return false;
+    }
+};
+
+// Stops reading as soon as the image passes MAX_IMAGE_BYTES
+const readImageBody = async (response) => {
+    if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+        throw new Error('image too large');
+    }
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > MAX_IMAGE_BYTES) throw new Error('image too large');
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+// pdfkit draws PNG and JPEG only; anything else, or from another host, is skipped
+const fetchImage = async (url) => {
+    if (!url) return null;
+    try {
+        if (!isAllowedImageUrl(url)) throw new Error('host not allowed');
+        // A redirect could lead anywhere, past the host check
+        const response = await fetch(url, { signal: AbortSignal.timeout(IMAGE_TIMEOUT_MS), redirect: 'error' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const buffer = await readImageBody(response);
+        const isPng = buffer.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+        const isJpeg = buffer[0] === 0xff && buffer[1] === 0xd8;
+        if (!isPng && !isJpeg) throw new Error('not a PNG or JPEG');
+        return buffer;
+    } catch (error) {
+        logger.warn('Certificate image skipped', { url, error });
+        return null;
+    }
+};
+
+const fillPlaceholders = (text, certificate) => String(text || '')
+    .replace(/\{name\}/g, certificate.holderName)
+    .replace(/\{event\}/g, certificate.eventTitle)
+    .replace(/\{date\}/g, certificate.eventDate);
+
+/**
+ * Render certificates as one landscape A4 PDF, a page each. The layout
+ * follows public/certi.png; a template background should leave the middle
+ * of the page free for the text.
+ *
+ * @param {Array<Object>} certificates - certificates documents
+ * @returns {Promise<Buffer>}
+ */
+const renderCertificatesPdf = async (certificates) => {
+    // Events share one template, so each image is fetched once per PDF
+    const images = new Map();
+    const loadImage = async (url) => {
+        if (!images.has(url)) images.set(url, await fetchImage(url));
+        return images.get(url);
+    };
+    const qrCodes = new Map();
+    for (const certificate of certificates) {
+        await loadImage(certificate.template.backgroundUrl);
+        for (const signature of certificate.template.signatures) {
+            await loadImage(signature.imageUrl);
+        }
+        qrCodes.set(certificate.certificateId, await QRCode.toBuffer(getVerificationUrl(certificate.certificateId), {
+            type: 'png',
+            margin: 1,
+            width: 168
+        }));
+    }
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 0, autoFirstPage: false });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        for (const certificate of certificates) {
+            const { template } = certificate;
+            doc.addPage();
+            const width = doc.page.width;
+            const height = doc.page.height;
+            const centred = { width, align: 'center' };
+
+            const background = images.get(template.backgroundUrl);
+            if (background) {
+                doc.image(background, 0, 0, { width, height });
+            } else {
+                doc.lineWidth(3).strokeColor(template.accentColor).rect(20, 20, width - 40, height - 40).stroke();
+                doc.lineWidth(1).rect(28, 28, width - 56, height - 56).stroke();
+            }
+
+            doc.fillColor('#111').font('Times-Bold').fontSize(46)
+                .text(template.title, 0, 150, { ...centred, characterSpacing: 6 });
+            doc.fillColor(template.accentColor).fontSize(28)
+                .text(template.subtitle, 0, 208, { ...centred, characterSpacing: 4 });
+
+            doc.strokeColor('#b8913a').lineWidth(1)
+                .moveTo(width / 2 - 160, 270).lineTo(width / 2 + 160, 270).stroke();
+
+            doc.fillColor('#111').font('Times-Roman').fontSize(11)
+                .text(template.intro, 0, 292, { ...centred, characterSpacing: 3 });
+            doc.fontSize(34).text(certificate.holderName, 0, 322, centred);
+            doc.strokeColor('#b8913a').moveTo(100, 370).lineTo(width - 100, 370).stroke();
+            doc.fontSize(14).text(fillPlaceholders(template.body, certificate), 110, 382, { width: width - 220, align: 'center' });
+
+            const signatures = template.signatures;
+            signatures.forEach((signature, index) => {
+                const centre = (width * (index + 1)) / (signatures.length + 1);
+                const image = images.get(signature.imageUrl);
+                if (image) {
+                    doc.image(image, centre - 60, 438, { fit: [120, 48], align: 'center', valign: 'bottom' });
+                }
+                doc.strokeColor('#b8913a').moveTo(centre - 110, 492).lineTo(centre + 110, 492).stroke();
+                doc.fillColor(template.accentColor).font('Times-Bold').fontSize(12)
+                    .text(signature.name.toUpperCase(), centre - 110, 500, { width: 220, align: 'center' });
+                doc.fillColor('#7a5c1e').font('Times-Roman').fontSize(10)
+                    .text(signature.title.toUpperCase(), centre - 110, 516, { width: 220, align: 'center' });
+            });
+
+            // Bottom right, clear of the third signature
+            doc.image(qrCodes.get(certificate.certificateId), width - 98, height - 104, { width: 56 });
+            doc.fillColor('#666').font('Helvetica').fontSize(7)
+                .text(`Certificate ID: ${certificate.certificateId}  ·  Verify at ${getVerificationUrl(certificate.certificateId)}`,
+                    40, height - 34, { lineBreak: false });
+        }
+
+        doc.end();
+    });
+};
+
+/**
+ * An event's saved template filled in with a sample name, to check the
+ * layout before issuing
+ * @param {string} eventId
+ * @returns {Promise<Buffer>}
+ */
+const renderCertificatePreview = async (eventId) => {
+    const [eventDoc, template] = await Promise.all([
+        db.collection('events').doc(parseEventId(eventId)).get(),
+        getTemplate(eventId)
+    ]);
+    if (!eventDoc.exists) {
+        throw new EventRegistrationError('Event not found', 404);
+    }
+    if (!template) {
+        throw new EventRegistrationError('Save the certificate template first', 409, 'template_required');
+    }
+
+    return renderCertificatesPdf([{
+        certificateId: 'CSI-0000-0000-00',
+        eventTitle: eventDoc.data().title || '',
+        eventDate: formatEventDate(eventDoc.data(), new Date()),
+        holderName: 'Participant Name',
+        template
+    }]);
+};
+
+module.exports = {
+    CERTIFICATES_COLLECTION,
+    TEMPLATES_COLLECTION,
+    generateCertificateId,
+    getCertificate,
+    getPublicCertificate,
+    getTemplate,
+    getVerificationUrl,
+    issueEventCertificates,
+    listEventCertificates,
+    renderCertificatePreview,
+    renderCertificatesPdf,
+    revokeCertificate
+};
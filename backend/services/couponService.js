@@ -0,0 +1,141 @@
+const { admin, db } = require('../config/firebase');
+
+const COUPONS_COLLECTION = 'coupons';
+const REDEMPTIONS_COLLECTION = 'couponRedemptions';
+
+// Razorpay won't create an order below ₹1
+const MINIMUM_AMOUNT = 1;
+
+/**
+ * Raised when a coupon code can't be applied to an order
+ */
+class CouponError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CouponError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Codes are stored upper-case and used as the document ID
+const normaliseCode = (code) => String(code || '').trim().toUpperCase();
+
+// Same rule as the admin coupon form; also keeps '/' out of document IDs
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+const getUserBranch = (userData = {}) => userData.branch || userData.profile?.branch || null;
+
+/**
+ * Discount a coupon gives on a price, in whole rupees
+ */
+const calculateDiscount = (coupon, price) => {
+    const discount = coupon.type === 'percent'
+        ? Math.round(price * coupon.value / 100)
+        : coupon.value;
+    return Math.min(discount, price - MINIMUM_AMOUNT);
+};
+
+/**
+ * Validate a coupon for a user and plan and price the order.
+ *
+ * Usage limits are checked against redemptions, which are only recorded
+ * once a payment is captured, so concurrent checkouts can overshoot a
+ * limit by the number of orders in flight.
+ *
+ * @param {Object} params
+ * @param {string} params.code - Code as typed by the student
+ * @param {Object} params.plan - Normalised plan from planService
+ * @param {string} params.userId
+ * @param {Object} [params.userData] - users document, for branch restrictions
+ * @param {Date} [params.now]
+ * @returns {Promise<{code: string, discount: number, amount: number, originalAmount: number}>}
+ */
+const applyCoupon = async ({ code, plan, userId, userData = {}, now = new Date() }) => {
+    const normalised = normaliseCode(code);
+    if (!normalised) {
+        throw new CouponError('Enter a coupon code');
+    }
+    if (!CODE_PATTERN.test(normalised)) {
+        throw new CouponError('Invalid coupon code');
+    }
+
+    const couponDoc = await db.collection(COUPONS_COLLECTION).doc(normalised).get();
+    const coupon = couponDoc.exists ? couponDoc.data() : null;
+    if (!coupon || !coupon.active) {
+        throw new CouponError('Invalid coupon code');
+    }
+
+    const validFrom = coupon.validFrom?.toDate?.();
+    const expiresAt = coupon.expiresAt?.toDate?.();
+    if (validFrom && now < validFrom) {
+        throw new CouponError('This coupon is not active yet');
+    }
+    if (expiresAt && now > expiresAt) {
+        throw new CouponError('This coupon has expired');
+    }
+
+    if (coupon.planIds?.length && !coupon.planIds.includes(plan.id)) {
+        throw new CouponError('This coupon does not apply to the selected plan');
+    }
+    if (coupon.branches?.length) {
+        const branch = getUserBranch(userData);
+        if (!branch || !coupon.branches.some(b => b.toLowerCase() === String(branch).toLowerCase())) {
+            throw new CouponError('This coupon is not available for your branch');
+        }
+    }
+
+    if (coupon.maxRedemptions && (coupon.redemptionCount || 0) >= coupon.maxRedemptions) {
+        throw new CouponError('This coupon has been fully redeemed');
+    }
+
+    const perUserLimit = coupon.perUserLimit ?? 1;
+    if (perUserLimit) {
+        const previous = await db.collection(REDEMPTIONS_COLLECTION)
+            .where('code', '==', normalised)
+            .where('userId', '==', userId)
+            .get();
+        if (previous.size >= perUserLimit) {
+            throw new CouponError('You have already used this coupon');
+        }
+    }
+
+    const discount = calculateDiscount(coupon, plan.price);
+    return {
+        code: normalised,
+        discount,
+        amount: plan.price - discount,
+        originalAmount: plan.price
+    };
+};
+
+/**
+ * Record a coupon redemption for a captured payment inside the
+ * activation transaction, so it is counted exactly once
+ */
+const recordRedemption = (transaction, { code, paymentId, orderId, userId, planId, discount, amount }) => {
+    transaction.set(db.collection(REDEMPTIONS_COLLECTION).doc(paymentId), {
+        code,
+        paymentId,
+        orderId,
+        userId,
+        planId,
+        discount,
+        amount,
+        redeemedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    // merge rather than update: a coupon deleted mid-checkout must not block activation
+    transaction.set(db.collection(COUPONS_COLLECTION).doc(code), {
+        redemptionCount: admin.firestore.FieldValue.increment(1),
+        lastRedeemedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+};
+
+module.exports = {
+    COUPONS_COLLECTION,
+    REDEMPTIONS_COLLECTION,
+    CouponError,
+    applyCoupon,
+    calculateDiscount,
+    normaliseCode,
+    recordRedemption
+};
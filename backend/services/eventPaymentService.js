@@ -0,0 +1,465 @@
+const crypto = require('crypto');
+const { admin, db } = require('../config/firebase');
+const { razorpay } = require('../config/razorpay');
+const { getPayerSnapshot } = require('./membershipService');
+const { issueReceipt } = require('./receiptService');
+const { initiateRefund } = require('./refundService');
+const { queueNotification } = require('./notificationService');
+const { logger } = require('../utils/logger');
+const { PAYMENT_HOLD_MINUTES } = require('../config/events');
+const {
+    REGISTRATIONS_COLLECTION,
+    hasFreePlace,
+    hasUnclaimedPlace,
+    isLiveRegistration,
+    promoteFromWaitlist,
+    readEventPlaces,
+    releaseLapsedHolds
+} = require('./eventWaitlistService');
+
+/**
+ * Raised when an event registration can't be created, confirmed or changed.
+ * `code` lets the client tell cases apart, e.g. 'event_full' to offer the waitlist.
+ */
+class EventRegistrationError extends Error {
+    constructor(message, statusCode = 400, code = null) {
+        super(message);
+        this.name = 'EventRegistrationError';
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+/**
+ * Check an event ID from a request before it becomes a document path;
+ * an empty ID or one with '/' would make Firestore throw
+ * @returns {string}
+ */
+const parseEventId = (eventId) => {
+    if (typeof eventId !== 'string' || !eventId.trim() || eventId.includes('/')) {
+        throw new EventRegistrationError('A valid event ID is required');
+    }
+    return eventId;
+};
+
+const hasActiveMembership = (membership, now) => {
+    const expiresAt = membership?.expiresAt?.toDate?.();
+    return ['active', 'grace'].includes(membership?.status) && !!expiresAt && expiresAt > now;
+};
+
+/**
+ * Fee a user pays for an event: memberFee for active members, else entryFee
+ * @returns {{amount: number, isMemberPrice: boolean}}
+ */
+const getEventPrice = (event, userData = {}, now = new Date()) => {
+    const entryFee = Number(event.entryFee) || 0;
+    const memberFee = event.memberFee === null || event.memberFee === undefined
+        ? null
+        : Number(event.memberFee);
+
+    if (memberFee !== null && memberFee < entryFee && hasActiveMembership(userData.membership, now)) {
+        return { amount: memberFee, isMemberPrice: true };
+    }
+    return { amount: entryFee, isMemberPrice: false };
+};
+
+const TEAM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Six-character team code not yet used for this event
+ */
+const generateTeamCode = async (eventId) => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        let code = '';
+        for (let i = 0; i < 6; i++) {
+            code += TEAM_CODE_CHARS.charAt(crypto.randomInt(TEAM_CODE_CHARS.length));
+        }
+        const clash = await db.collection(REGISTRATIONS_COLLECTION)
+            .where('eventId', '==', eventId)
+            .where('teamCode', '==', code)
+            .get();
+        if (clash.empty) return code;
+    }
+    throw new EventRegistrationError('Could not allocate a team code, please retry', 503);
+};
+
+/**
+ * Create a Razorpay order for a paid event and hold a pending_payment
+ * registration for it. The registration is only confirmed once the
+ * payment is verified as captured.
+ *
+ * The place is taken in a transaction that checks the event's capacity,
+ * after lapsed holds have been handed to the waitlist; a full event is
+ * refused with code 'event_full' so the client can offer the waitlist. A user promoted from the waitlist already holds a place
+ * and pays for that registration instead.
+ *
+ * @param {Object} params
+ * @param {string} params.eventId
+ * @param {string} params.userId - From the verified ID token
+ * @param {Object} [params.team] - { teamName, teamSize } for team events
+ * @returns {Promise<{registrationId: string, orderId: string, amount: number, currency: string, isMemberPrice: boolean, teamCode: string|null}>}
+ */
+const createEventOrder = async ({ eventId: requestedEventId, userId, team = null }) => {
+    const eventId = parseEventId(requestedEventId);
+    const now = new Date();
+
+    // A first look that also hands lapsed holds to the waitlist; no locks are
+    // held while Razorpay creates the order
+    const [places, userDoc] = await Promise.all([
+        db.runTransaction(async (transaction) => {
+            const current = await readEventPlaces(transaction, eventId, now);
+            return releaseLapsedHolds(transaction, current, { now }).places;
+        }),
+        db.collection('users').doc(userId).get()
+    ]);
+    if (!places.event) {
+        throw new EventRegistrationError('Event not found', 404);
+    }
+
+    const event = places.event;
+    const eventRef = places.eventRef;
+    if (!event.registrationsAvailable) {
+        throw new EventRegistrationError('Registrations are closed for this event');
+    }
+
+    const userData = userDoc.exists ? userDoc.data() : {};
+    const price = getEventPrice(event, userData, now);
+    if (price.amount <= 0) {
+        throw new EventRegistrationError('This event is free; register directly');
+    }
+
+    const ownLive = places.registrations
+        .filter(doc => doc.data().userId === userId && isLiveRegistration(doc.data(), now));
+    // A waitlist promotion holds a place until the user pays for it
+    const promotedHold = ownLive.find(doc => doc.data().status === 'pending_payment' && doc.data().promotedAt);
+    if (ownLive.length > 0 && !promotedHold) {
+        throw new EventRegistrationError('You are already registered for this event', 409);
+    }
+    if (!promotedHold && !hasFreePlace(places)) {
+        throw new EventRegistrationError('This event is full', 409, 'event_full');
+    }
+
+    const isTeamEvent = event.type === 'TEAM';
+    const teamName = String(team?.teamName || '').trim().slice(0, 100);
+    const teamSize = Number(team?.teamSize) || 2;
+    if (isTeamEvent && !promotedHold) {
+        if (!teamName) {
+            throw new EventRegistrationError('Team name is required');
+        }
+        const sizeOptions = Array.isArray(event.teamSizeOptions) && event.teamSizeOptions.length
+            ? event.teamSizeOptions
+            : [2, 3, 4];
+        if (!sizeOptions.includes(teamSize)) {
+            throw new EventRegistrationError('Team size is not allowed for this event');
+        }
+    }
+
+    const registrationRef = promotedHold
+        ? promotedHold.ref
+        : db.collection(REGISTRATIONS_COLLECTION).doc();
+    const order = await razorpay.orders.create({
+        amount: price.amount * 100,
+        currency: 'INR',
+        receipt: `event_${Date.now()}`,
+        notes: {
+            type: 'event',
+            userId,
+            eventId: eventRef.id,
+            eventTitle: String(event.title || '').slice(0, 200),
+            registrationId: registrationRef.id,
+            amount: price.amount,
+            isMemberPrice: String(price.isMemberPrice)
+        }
+    });
+
+    const orderResult = (teamCode) => ({
+        registrationId: registrationRef.id,
+        orderId: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        isMemberPrice: price.isMemberPrice,
+        teamCode: teamCode || null
+    });
+
+    if (promotedHold) {
+        await db.runTransaction(async (transaction) => {
+            const fresh = await transaction.get(registrationRef);
+            const held = fresh.data();
+            if (!held || held.status !== 'pending_payment' || !isLiveRegistration(held, new Date())) {
+                throw new EventRegistrationError('Your place from the waitlist has expired', 409);
+            }
+            transaction.update(registrationRef, {
+                orderId: order.id,
+                amount: price.amount,
+                isMemberPrice: price.isMemberPrice,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+        return orderResult(promotedHold.data().teamCode);
+    }
+
+    const payer = getPayerSnapshot(userData);
+    const registration = {
+        eventId: eventRef.id,
+        eventTitle: event.title || null,
+        userId,
+        userName: payer.userName,
+        userEmail: payer.userEmail,
+        registrationType: isTeamEvent ? 'team' : 'individual',
+        status: 'pending_payment',
+        orderId: order.id,
+        amount: price.amount,
+        isMemberPrice: price.isMemberPrice,
+        paymentExpiresAt: admin.firestore.Timestamp.fromMillis(now.getTime() + PAYMENT_HOLD_MINUTES * 60 * 1000),
+        registeredAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (isTeamEvent) {
+        Object.assign(registration, {
+            teamName,
+            teamCode: await generateTeamCode(eventRef.id),
+            teamSize,
+            teamLeader: userId,
+            members: [{
+                userId,
+                name: payer.userName,
+                email: payer.userEmail,
+                role: 'leader',
+                joinedAt: admin.firestore.Timestamp.fromDate(now)
+            }]
+        });
+    }
+
+    // Take the place only if it is still free once the waitlist has been
+    // served; the unpaid order is simply abandoned otherwise
+    const placeTaken = await db.runTransaction(async (transaction) => {
+        const txNow = new Date();
+        const read = await readEventPlaces(transaction, eventRef.id, txNow);
+        if (read.registrations.some(doc => doc.data().userId === userId && isLiveRegistration(doc.data(), txNow))) {
+            throw new EventRegistrationError('You are already registered for this event', 409);
+        }
+        // Returned rather than thrown so the expiries and promotions still commit
+        const { places: current } = releaseLapsedHolds(transaction, read, { now: txNow });
+        if (!hasFreePlace(current)) {
+            return false;
+        }
+        transaction.set(registrationRef, registration);
+        return true;
+    });
+    if (!placeTaken) {
+        throw new EventRegistrationError('This event is full', 409, 'event_full');
+    }
+
+    return orderResult(registration.teamCode);
+};
+
+/**
+ * Confirm the registration paid for by a captured Razorpay payment.
+ *
+ * Shared by /verify-event-payment and the webhook; the payments document
+ * keyed on the payment ID makes the second caller a no-op. A payment that
+ * lands after its hold lapsed confirms only if a place is still free and no
+ * one on the waitlist is ahead for it. Otherwise, or if the registration was
+ * cancelled, rejected or already paid for, nothing is confirmed: the payment
+ * is recorded as refund_due, refunded in full and the user told why.
+ *
+ * @param {Object} params
+ * @param {string} params.paymentId
+ * @param {string} params.orderId
+ * @param {string} [params.expectedUserId]
+ * @param {Object} [params.order] - Razorpay order, if the caller already fetched it
+ * @returns {Promise<{alreadyProcessed: boolean, refundDue: boolean, registrationId: string, eventId: string}>}
+ */
+const confirmEventRegistration = async ({ paymentId, orderId, expectedUserId, order: knownOrder }) => {
+    if (!paymentId || !orderId) {
+        throw new EventRegistrationError('Missing payment or order ID');
+    }
+
+    const paymentRef = db.collection('payments').doc(paymentId);
+    const existing = await paymentRef.get();
+    if (existing.exists && existing.data().status !== 'failed') {
+        const data = existing.data();
+        if (expectedUserId && data.userId !== expectedUserId) {
+            throw new EventRegistrationError('Order belongs to another user', 403);
+        }
+        return {
+            alreadyProcessed: true,
+            refundDue: data.refundDue === true,
+            registrationId: data.registrationId,
+            eventId: data.eventId
+        };
+    }
+
+    const [order, payment] = await Promise.all([
+        knownOrder || razorpay.orders.fetch(orderId),
+        razorpay.payments.fetch(paymentId)
+    ]);
+
+    if (payment.order_id !== order.id) {
+        throw new EventRegistrationError('Payment does not belong to this order');
+    }
+    if (payment.status !== 'captured') {
+        throw new EventRegistrationError('Payment not captured yet', 409);
+    }
+
+    const { userId, eventId, registrationId } = order.notes || {};
+    if (order.notes?.type !== 'event' || !userId || !eventId || !registrationId) {
+        throw new EventRegistrationError('Order is not an event registration');
+    }
+    if (expectedUserId && expectedUserId !== userId) {
+        throw new EventRegistrationError('Order belongs to another user', 403);
+    }
+    if (order.amount !== Number(order.notes.amount) * 100 || payment.amount !== order.amount) {
+        throw new EventRegistrationError('Paid amount does not match the event fee');
+    }
+
+    const registrationRef = db.collection(REGISTRATIONS_COLLECTION).doc(registrationId);
+    const eventRef = db.collection('events').doc(eventId);
+    const userRef = db.collection('users').doc(userId);
+
+    const result = await db.runTransaction(async (transaction) => {
+        const now = new Date();
+        const [paymentDoc, registrationDoc, userDoc, places] = await Promise.all([
+            transaction.get(paymentRef),
+            transaction.get(registrationRef),
+            transaction.get(userRef),
+            readEventPlaces(transaction, eventId, now)
+        ]);
+        if (paymentDoc.exists && paymentDoc.data().status !== 'failed') {
+            const data = paymentDoc.data();
+            return { alreadyProcessed: true, refundDue: data.refundDue === true, registrationId, eventId };
+        }
+        if (!registrationDoc.exists) {
+            throw new EventRegistrationError('Registration not found', 404);
+        }
+
+        const registration = registrationDoc.data();
+        const paymentRecord = {
+            userId,
+            ...getPayerSnapshot(userDoc.exists ? userDoc.data() : {}),
+            type: 'event',
+            paymentId,
+            orderId,
+            amount: payment.amount / 100,
+            currency: payment.currency,
+            eventId,
+            eventTitle: registration.eventTitle || order.notes.eventTitle || null,
+            registrationId,
+            isMemberPrice: order.notes.isMemberPrice === 'true',
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        // A lapsed hold no longer counts as taken, so the place it had may be free
+        const liveHold = registration.status === 'pending_payment' && isLiveRegistration(registration, now);
+        const lapsedHold = registration.status === 'expired' || (registration.status === 'pending_payment' && !liveHold);
+        const registeredAgain = places.registrations.some(doc =>
+            doc.id !== registrationId && doc.data().userId === userId && isLiveRegistration(doc.data(), now));
+        const canConfirm = liveHold || (lapsedHold && !registeredAgain && hasUnclaimedPlace(places));
+
+        if (!canConfirm) {
+            const eventTitle = paymentRecord.eventTitle || 'event';
+            // Expires this lapsed hold too, if it still reads pending_payment
+            releaseLapsedHolds(transaction, places, { now });
+            transaction.set(paymentRef, { ...paymentRecord, status: 'refund_due', refundDue: true });
+            queueNotification(transaction, {
+                userId,
+                type: 'event_payment_refunded',
+                title: `Payment refunded: ${eventTitle}`,
+                message: lapsedHold && !registeredAgain
+                    ? 'Your payment arrived after your place was released and the event is now full, so you are not registered. The full amount is being refunded.'
+                    : 'This registration was no longer waiting for payment, so nothing was confirmed. The full amount is being refunded.',
+                link: `/events?event=${eventId}`
+            });
+            return { alreadyProcessed: false, refundDue: true, registrationId, eventId };
+        }
+
+        transaction.update(registrationRef, {
+            status: 'confirmed',
+            paymentId,
+            paidAt: admin.firestore.Timestamp.fromDate(now),
+            paymentExpiresAt: admin.firestore.FieldValue.delete(),
+            expiredAt: admin.firestore.FieldValue.delete(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        transaction.update(eventRef, {
+            participantCount: admin.firestore.FieldValue.increment(1),
+            participants: admin.firestore.FieldValue.arrayUnion({
+                userId,
+                name: registration.userName || null,
+                email: registration.userEmail || null,
+                registeredAt: admin.firestore.Timestamp.fromDate(now)
+            }),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        transaction.set(paymentRef, { ...paymentRecord, status: 'success' });
+
+        return { alreadyProcessed: false, refundDue: false, registrationId, eventId };
+    });
+
+    if (result.refundDue && !result.alreadyProcessed) {
+        // If Razorpay refuses, the payment stays refund_due for an admin to refund by hand
+        await initiateRefund({
+            paymentId,
+            reason: 'Event place no longer available when the payment arrived',
+            requestedBy: { uid: 'system', email: null }
+        }).catch(error => {
+            logger.error('Failed to refund late event payment', { paymentId, registrationId, error });
+        });
+    } else if (!result.alreadyProcessed) {
+        await issueReceipt(paymentId).catch(error => {
+            logger.error('Failed to issue receipt', { paymentId, error });
+        });
+    }
+
+    return result;
+};
+
+/**
+ * Mark pending_payment registrations whose hold has lapsed as expired and
+ * give each freed place to the next registration on the event's waitlist
+ * @returns {Promise<{expired: string[], promoted: Array}>} IDs of the expired registrations, and who was promoted
+ */
+const expirePendingRegistrations = async ({ now = new Date() } = {}) => {
+    // Filtered in code rather than with a range clause, which would need a composite index
+    const snapshot = await db.collection(REGISTRATIONS_COLLECTION)
+        .where('status', '==', 'pending_payment')
+        .get();
+
+    const expired = [];
+    const promoted = [];
+    for (const doc of snapshot.docs) {
+        if (isLiveRegistration(doc.data(), now)) continue;
+
+        // Re-check inside a transaction: the payment may have just been confirmed
+        const result = await db.runTransaction(async (transaction) => {
+            const fresh = await transaction.get(doc.ref);
+            if (fresh.data()?.status !== 'pending_payment') return null;
+
+            // The lapsed hold already doesn't count as taken, so its place is free
+            const places = await readEventPlaces(transaction, fresh.data().eventId, now);
+            transaction.update(doc.ref, {
+                status: 'expired',
+                expiredAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return promoteFromWaitlist(transaction, places, { now });
+        });
+        if (result) {
+            expired.push(doc.id);
+            promoted.push(...result);
+        }
+    }
+
+    return { expired, promoted };
+};
+
+module.exports = {
+    PAYMENT_HOLD_MINUTES,
+    EventRegistrationError,
+    confirmEventRegistration,
+    createEventOrder,
+    expirePendingRegistrations,
+    generateTeamCode,
+    getEventPrice,
+    parseEventId
+};
@@ -0,0 +1,384 @@
+const { admin, db } = require('../config/firebase');
+const { CANCELLATION_CUTOFF_HOURS, EVENT_UTC_OFFSET } = require('../config/events');
+const { getPayerSnapshot } = require('./membershipService');
+const { queueNotification } = require('./notificationService');
+const { EventRegistrationError, generateTeamCode, getEventPrice, parseEventId } = require('./eventPaymentService');
+const {
+    REGISTRATIONS_COLLECTION,
+    getWaitlistPosition,
+    hasFreePlace,
+    holdsPlace,
+    isLiveRegistration,
+    promoteFromWaitlist,
+    readEventPlaces,
+    releaseLapsedHolds
+} = require('./eventWaitlistService');
+
+/**
+ * Register a user for an event, or put them on its waitlist when it is full.
+ *
+ * Free events take the place here, in one transaction with the capacity check
+ * and the participant count. Lapsed payment holds are expired and handed to
+ * the waitlist first, so a newcomer never jumps the queue. Paid events with a free place go through
+ * /create-event-order instead; only their waitlist is joined here, and the
+ * user pays once a place is offered to them.
+ *
+ * @param {Object} params
+ * @param {string} params.eventId
+ * @param {string} params.userId - From the verified ID token
+ * @param {Object} [params.team] - { teamName, teamSize } for team events
+ * @returns {Promise<{registrationId: string, status: string, waitlistPosition: number|null, teamCode: string|null}>}
+ */
+const registerForEvent = async ({ eventId, userId, team = null }) => {
+    const now = new Date();
+    const [eventDoc, userDoc] = await Promise.all([
+        db.collection('events').doc(parseEventId(eventId)).get(),
+        db.collection('users').doc(userId).get()
+    ]);
+    if (!eventDoc.exists) {
+        throw new EventRegistrationError('Event not found', 404);
+    }
+
+    const event = eventDoc.data();
+    if (!event.registrationsAvailable) {
+        throw new EventRegistrationError('Registrations are closed for this event');
+    }
+
+    const isTeamEvent = event.type === 'TEAM';
+    const teamName = String(team?.teamName || '').trim().slice(0, 100);
+    const teamSize = Number(team?.teamSize) || 2;
+    if (isTeamEvent) {
+        if (!teamName) {
+            throw new EventRegistrationError('Team name is required');
+        }
+        const sizeOptions = Array.isArray(event.teamSizeOptions) && event.teamSizeOptions.length
+            ? event.teamSizeOptions
+            : [2, 3, 4];
+        if (!sizeOptions.includes(teamSize)) {
+            throw new EventRegistrationError('Team size is not allowed for this event');
+        }
+    }
+
+    const userData = userDoc.exists ? userDoc.data() : {};
+    const price = getEventPrice(event, userData, now);
+    const payer = getPayerSnapshot(userData);
+    const registrationRef = db.collection(REGISTRATIONS_COLLECTION).doc();
+
+    const registration = {
+        eventId: eventDoc.id,
+        eventTitle: event.title || null,
+        userId,
+        userName: payer.userName,
+        userEmail: payer.userEmail,
+        registrationType: isTeamEvent ? 'team' : 'individual',
+        registeredAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (isTeamEvent) {
+        Object.assign(registration, {
+            teamName,
+            teamCode: await generateTeamCode(eventDoc.id),
+            teamSize,
+            teamLeader: userId,
+            members: [{
+                userId,
+                name: payer.userName,
+                email: payer.userEmail,
+                role: 'leader',
+                joinedAt: admin.firestore.Timestamp.fromDate(now)
+            }]
+        });
+    }
+
+    const status = await db.runTransaction(async (transaction) => {
+        const txNow = new Date();
+        const read = await readEventPlaces(transaction, eventDoc.id, txNow);
+        if (read.registrations.some(doc => doc.data().userId === userId && isLiveRegistration(doc.data(), txNow))) {
+            throw new EventRegistrationError('You are already registered for this event', 409);
+        }
+        // The waitlist is served before anyone new gets a freed place
+        const { places } = releaseLapsedHolds(transaction, read, { now: txNow });
+
+        if (!hasFreePlace(places)) {
+            transaction.set(registrationRef, {
+                ...registration,
+                status: 'waitlisted',
+                waitlistedAt: admin.firestore.Timestamp.fromDate(txNow),
+                // Decided now so a promotion knows whether to ask for payment
+                requiresPayment: price.amount > 0
+            });
+            return 'waitlisted';
+        }
+
+        // Returned rather than thrown so the expiries and promotions still commit
+        if (price.amount > 0) {
+            return 'checkout_required';
+        }
+
+        transaction.set(registrationRef, { ...registration, status: 'pending' });
+        transaction.update(places.eventRef, {
+            participantCount: admin.firestore.FieldValue.increment(1),
+            participants: admin.firestore.FieldValue.arrayUnion({
+                userId,
+                name: payer.userName,
+                email: payer.userEmail,
+                registeredAt: admin.firestore.Timestamp.fromDate(txNow)
+            }),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return 'pending';
+    });
+    if (status === 'checkout_required') {
+        throw new EventRegistrationError('This event is paid; register through checkout', 409, 'checkout_required');
+    }
+
+    let waitlistPosition = null;
+    if (status === 'waitlisted') {
+        const places = await db.runTransaction(
+            transaction => readEventPlaces(transaction, eventDoc.id),
+            { readOnly: true }
+        );
+        waitlistPosition = getWaitlistPosition(places, registrationRef.id);
+    }
+
+    return {
+        registrationId: registrationRef.id,
+        status,
+        waitlistPosition,
+        teamCode: registration.teamCode || null
+    };
+};
+
+// Statuses that are counted in the event's participantCount
+const COUNTED_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * When an event starts, from its form date (YYYY-MM-DD or a Timestamp) and
+ * optional HH:MM time, in EVENT_UTC_OFFSET. Null when the date is unreadable.
+ */
+const getEventStart = (event) => {
+    if (!event?.date) return null;
+    if (typeof event.date.toDate === 'function') return event.date.toDate();
+
+    const day = String(event.date).slice(0, 10);
+    const time = /^\d{2}:\d{2}$/.test(event.time || '') ? event.time : '00:00';
+    const start = new Date(`${day}T${time}:00${EVENT_UTC_OFFSET}`);
+    return Number.isNaN(start.getTime()) ? null : start;
+};
+
+/**
+ * Last moment a member may cancel their own registration, or null if
+ * the event has no readable start
+ */
+const getCancellationDeadline = (event) => {
+    const start = getEventStart(event);
+    return start ? new Date(start.getTime() - CANCELLATION_CUTOFF_HOURS * 60 * 60 * 1000) : null;
+};
+
+/**
+ * End a registration's place (cancelled or rejected) in a transaction that
+ * has already read the registration and the event's places: take it out of
+ * participantCount if it was counted, and promote from the waitlist if it
+ * held a place.
+ * @returns {Array} Promoted registrations
+ */
+const endRegistration = (transaction, { registrationRef, registration, places, now, update }) => {
+    const freedPlace = holdsPlace(registration, now);
+
+    transaction.update(registrationRef, {
+        ...update,
+        paymentExpiresAt: admin.firestore.FieldValue.delete(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // Unpaid holds and waitlist entries were never in the count
+    if (COUNTED_STATUSES.includes(registration.status) && places.event) {
+        transaction.update(places.eventRef, {
+            participantCount: (places.event.participantCount || 0) > 0
+                ? admin.firestore.FieldValue.increment(-1)
+                : 0,
+            participants: (places.event.participants || []).filter(p => p.userId !== registration.userId),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    return freedPlace ? promoteFromWaitlist(transaction, places, { released: 1, now }) : [];
+};
+
+const readRegistration = async (transaction, registrationId) => {
+    const registrationRef = db.collection(REGISTRATIONS_COLLECTION).doc(String(registrationId || ''));
+    const registrationDoc = await transaction.get(registrationRef);
+    if (!registrationDoc.exists) {
+        throw new EventRegistrationError('Registration not found', 404);
+    }
+    return { registrationRef, registration: registrationDoc.data() };
+};
+
+/**
+ * Cancel a registration and hand its place to the first registration on
+ * the waitlist, in the same transaction. Team registrations are cancelled
+ * by their leader, who owns the document.
+ *
+ * Members can cancel until CANCELLATION_CUTOFF_HOURS before the event
+ * starts; admins can cancel any live registration at any time. Paid
+ * registrations are not refunded here; that is done from the payments page.
+ *
+ * @param {Object} params
+ * @param {string} params.registrationId
+ * @param {string} params.userId - From the verified ID token
+ * @param {boolean} [params.byAdmin] - Skip the ownership and cutoff checks
+ * @param {string} [params.reason]
+ * @returns {Promise<{registrationId: string, eventId: string, userId: string, previousStatus: string, promoted: Array}>}
+ */
+const cancelRegistration = async ({ registrationId, userId, byAdmin = false, reason = null }) => {
+    return db.runTransaction(async (transaction) => {
+        const now = new Date();
+        const { registrationRef, registration } = await readRegistration(transaction, registrationId);
+
+        if (!byAdmin && registration.userId !== userId) {
+            throw new EventRegistrationError('Registration belongs to another user', 403);
+        }
+        if (!isLiveRegistration(registration, now)) {
+            throw new EventRegistrationError(`Registration is already ${registration.status}`, 409);
+        }
+
+        const places = await readEventPlaces(transaction, registration.eventId, now);
+        const deadline = getCancellationDeadline(places.event);
+        // Leaving a waitlist never blocks anyone, so it is allowed until the end
+        if (!byAdmin && registration.status !== 'waitlisted' && deadline && now > deadline) {
+            throw new EventRegistrationError(
+                `Cancellations close ${CANCELLATION_CUTOFF_HOURS} hours before the event; contact the organisers`,
+                409,
+                'cancellation_closed'
+            );
+        }
+
+        const promoted = endRegistration(transaction, {
+            registrationRef,
+            registration,
+            places,
+            now,
+            update: {
+                status: 'cancelled',
+                cancelledAt: admin.firestore.Timestamp.fromDate(now),
+                cancelledBy: userId,
+                cancellationReason: reason ? String(reason).slice(0, 500) : null
+            }
+        });
+
+        if (byAdmin && registration.userId !== userId) {
+            queueNotification(transaction, {
+                userId: registration.userId,
+                type: 'registration_cancelled',
+                title: `Registration cancelled: ${registration.eventTitle || 'event'}`,
+                message: reason
+                    ? `The organisers cancelled your registration: ${String(reason).slice(0, 200)}`
+                    : 'The organisers cancelled your registration.',
+                link: `/events?event=${registration.eventId}`
+            });
+        }
+
+        return {
+            registrationId: registrationRef.id,
+            eventId: registration.eventId,
+            userId: registration.userId,
+            previousStatus: registration.status,
+            promoted
+        };
+    });
+};
+
+/**
+ * Admin decision on a registration: confirm a pending one, or reject a
+ * pending, confirmed or waitlisted one. A rejection frees the place for the
+ * waitlist like a cancellation does. The member is notified either way.
+ *
+ * @param {Object} params
+ * @param {string} params.registrationId
+ * @param {'confirm'|'reject'} params.decision
+ * @param {string} params.adminId
+ * @param {string} [params.reason] - Shown to the member on rejection
+ * @returns {Promise<{registrationId: string, eventId: string, userId: string, status: string, previousStatus: string, promoted: Array}>}
+ */
+const reviewRegistration = async ({ registrationId, decision, adminId, reason = null }) => {
+    if (!['confirm', 'reject'].includes(decision)) {
+        throw new EventRegistrationError("Decision must be 'confirm' or 'reject'");
+    }
+
+    return db.runTransaction(async (transaction) => {
+        const now = new Date();
+        const { registrationRef, registration } = await readRegistration(transaction, registrationId);
+        const eventTitle = registration.eventTitle || 'event';
+        const link = `/events?event=${registration.eventId}`;
+
+        if (decision === 'confirm') {
+            if (registration.status !== 'pending') {
+                throw new EventRegistrationError(`Only pending registrations can be confirmed, this one is ${registration.status}`, 409);
+            }
+            transaction.update(registrationRef, {
+                status: 'confirmed',
+                confirmedAt: admin.firestore.Timestamp.fromDate(now),
+                confirmedBy: adminId,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            queueNotification(transaction, {
+                userId: registration.userId,
+                type: 'registration_confirmed',
+                title: `Registration confirmed: ${eventTitle}`,
+                message: 'The organisers have confirmed your place.',
+                link
+            });
+            return {
+                registrationId: registrationRef.id,
+                eventId: registration.eventId,
+                userId: registration.userId,
+                status: 'confirmed',
+                previousStatus: registration.status,
+                promoted: []
+            };
+        }
+
+        if (!['pending', 'confirmed', 'waitlisted'].includes(registration.status)) {
+            throw new EventRegistrationError(`A ${registration.status} registration can't be rejected`, 409);
+        }
+
+        const places = await readEventPlaces(transaction, registration.eventId, now);
+        const promoted = endRegistration(transaction, {
+            registrationRef,
+            registration,
+            places,
+            now,
+            update: {
+                status: 'rejected',
+                rejectedAt: admin.firestore.Timestamp.fromDate(now),
+                rejectedBy: adminId,
+                rejectionReason: reason ? String(reason).slice(0, 500) : null
+            }
+        });
+        queueNotification(transaction, {
+            userId: registration.userId,
+            type: 'registration_rejected',
+            title: `Registration not accepted: ${eventTitle}`,
+            message: reason
+                ? `The organisers could not accept your registration: ${String(reason).slice(0, 200)}`
+                : 'The organisers could not accept your registration.',
+            link
+        });
+
+        return {
+            registrationId: registrationRef.id,
+            eventId: registration.eventId,
+            userId: registration.userId,
+            status: 'rejected',
+            previousStatus: registration.status,
+            promoted
+        };
+    });
+};
+
+module.exports = {
+    cancelRegistration,
+    getCancellationDeadline,
+    getEventStart,
+    registerForEvent,
+    reviewRegistration
+};
@@ -0,0 +1,202 @@
+const { admin, db } = require('../config/firebase');
+const { WAITLIST_PAYMENT_HOLD_HOURS } = require('../config/events');
+const { queueNotification } = require('./notificationService');
+
+const REGISTRATIONS_COLLECTION = 'eventRegistrations';
+
+// A pending registration stops holding its place once its hold has lapsed
+const isLiveRegistration = (registration, now) => {
+    if (registration.status !== 'pending_payment') {
+        return !['cancelled', 'rejected', 'expired'].includes(registration.status);
+    }
+    const expiresAt = registration.paymentExpiresAt?.toDate?.();
+    return !expiresAt || expiresAt > now;
+};
+
+// Waitlisted registrations are live but don't take a place
+const holdsPlace = (registration, now) => registration.status !== 'waitlisted' && isLiveRegistration(registration, now);
+
+/**
+ * Places an event offers, or null when it has no limit.
+ * For team events a place is one team, however many members join it.
+ */
+const getCapacity = (event) => {
+    const capacity = Number(event?.capacity);
+    return Number.isInteger(capacity) && capacity > 0 ? capacity : null;
+};
+
+/**
+ * Read an event and all of its registrations inside a transaction. Firestore
+ * locks what a transaction reads, so two requests racing for the last place
+ * can't both see it free. Registrations are filtered here rather than with a
+ * status clause, which would need a composite index.
+ *
+ * @param {FirebaseFirestore.Transaction} transaction
+ * @param {string} eventId
+ * @param {Date} [now]
+ * @returns {Promise<{eventRef: Object, event: Object|null, capacity: number|null, taken: number, waitlist: Array, registrations: Array}>}
+ */
+const readEventPlaces = async (transaction, eventId, now = new Date()) => {
+    const eventRef = db.collection('events').doc(String(eventId || ''));
+    const [eventDoc, snapshot] = await Promise.all([
+        transaction.get(eventRef),
+        transaction.get(db.collection(REGISTRATIONS_COLLECTION).where('eventId', '==', eventRef.id))
+    ]);
+
+    const event = eventDoc.exists ? eventDoc.data() : null;
+    const waitlist = snapshot.docs
+        .filter(doc => doc.data().status === 'waitlisted')
+        // First come, first served; the document ID breaks ties
+        .sort((a, b) => (a.data().waitlistedAt?.toMillis?.() || 0) - (b.data().waitlistedAt?.toMillis?.() || 0) ||
+            a.id.localeCompare(b.id));
+
+    return {
+        eventRef,
+        event,
+        capacity: getCapacity(event),
+        taken: snapshot.docs.filter(doc => holdsPlace(doc.data(), now)).length,
+        waitlist,
+        registrations: snapshot.docs
+    };
+};
+
+const hasFreePlace = ({ capacity, taken }) => capacity === null || taken < capacity;
+
+// A free place nobody on the waitlist is ahead for
+const hasUnclaimedPlace = ({ capacity, taken, waitlist }) => capacity === null || taken + waitlist.length < capacity;
+
+/**
+ * 1-based position of a registration on the event's waitlist, or null
+ */
+const getWaitlistPosition = ({ waitlist }, registrationId) => {
+    const index = waitlist.findIndex(doc => doc.id === registrationId);
+    return index === -1 ? null : index + 1;
+};
+
+/**
+ * Move waitlisted registrations into the places that are free, first in
+ * line first, and notify each promoted user. Free events confirm the place
+ * straight away; paid ones get a WAITLIST_PAYMENT_HOLD_HOURS payment hold,
+ * longer than a checkout's, since the user may not see the notice at once.
+ *
+ * Call after every write in the same transaction that frees a place.
+ *
+ * @param {FirebaseFirestore.Transaction} transaction
+ * @param {Object} places - From readEventPlaces in the same transaction
+ * @param {Object} [options]
+ * @param {number} [options.released] - Places freed by the caller's own writes
+ * @param {Date} [options.now]
+ * @returns {Array<{registrationId: string, userId: string, status: string}>}
+ */
+const promoteFromWaitlist = (transaction, places, { released = 0, now = new Date() } = {}) => {
+    const { eventRef, event, capacity, taken, waitlist } = places;
+    if (!event || waitlist.length === 0) return [];
+
+    const free = capacity === null ? waitlist.length : capacity - (taken - released);
+    const promoted = [];
+    const participants = [];
+
+    for (const doc of waitlist.slice(0, Math.max(0, free))) {
+        const registration = doc.data();
+        const eventLink = `/events?event=${eventRef.id}`;
+
+        if (registration.requiresPayment) {
+            transaction.update(doc.ref, {
+                status: 'pending_payment',
+                promotedAt: admin.firestore.Timestamp.fromDate(now),
+                paymentExpiresAt: admin.firestore.Timestamp.fromMillis(now.getTime() + WAITLIST_PAYMENT_HOLD_HOURS * 60 * 60 * 1000),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            queueNotification(transaction, {
+                userId: registration.userId,
+                type: 'waitlist_promoted',
+                title: `A place opened up: ${event.title || 'event'}`,
+                message: `You're off the waitlist. Complete your payment within ${WAITLIST_PAYMENT_HOLD_HOURS} hours to keep the place.`,
+                link: eventLink
+            });
+        } else {
+            transaction.update(doc.ref, {
+                status: 'pending',
+                promotedAt: admin.firestore.Timestamp.fromDate(now),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            participants.push({
+                userId: registration.userId,
+                name: registration.userName || null,
+                email: registration.userEmail || null,
+                registeredAt: admin.firestore.Timestamp.fromDate(now)
+            });
+            queueNotification(transaction, {
+                userId: registration.userId,
+                type: 'waitlist_promoted',
+                title: `You're in: ${event.title || 'event'}`,
+                message: 'A place opened up and your waitlisted registration is now confirmed.',
+                link: eventLink
+            });
+        }
+
+        promoted.push({
+            registrationId: doc.id,
+            userId: registration.userId,
+            status: registration.requiresPayment ? 'pending_payment' : 'pending'
+        });
+    }
+
+    // Paid places are counted when their payment is confirmed
+    if (participants.length > 0) {
+        transaction.update(eventRef, {
+            participantCount: admin.firestore.FieldValue.increment(participants.length),
+            participants: admin.firestore.FieldValue.arrayUnion(...participants),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    return promoted;
+};
+
+/**
+ * Expire the event's lapsed payment holds and promote from the waitlist into
+ * every free place, in the caller's transaction. Run before letting anyone
+ * new in, so a freed place goes to the first in line rather than to whoever
+ * registers next; the nightly job only catches events nobody touches.
+ *
+ * @param {FirebaseFirestore.Transaction} transaction
+ * @param {Object} places - From readEventPlaces in the same transaction
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {{places: Object, expired: string[], promoted: Array}} places as they stand after the promotions
+ */
+const releaseLapsedHolds = (transaction, places, { now = new Date() } = {}) => {
+    const lapsed = places.registrations
+        .filter(doc => doc.data().status === 'pending_payment' && !isLiveRegistration(doc.data(), now));
+    for (const doc of lapsed) {
+        transaction.update(doc.ref, {
+            status: 'expired',
+            expiredAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    const promoted = promoteFromWaitlist(transaction, places, { now });
+    return {
+        places: {
+            ...places,
+            taken: places.taken + promoted.length,
+            waitlist: places.waitlist.slice(promoted.length)
+        },
+        expired: lapsed.map(doc => doc.id),
+        promoted
+    };
+};
+
+module.exports = {
+    REGISTRATIONS_COLLECTION,
+    getCapacity,
+    getWaitlistPosition,
+    hasFreePlace,
+    hasUnclaimedPlace,
+    holdsPlace,
+    isLiveRegistration,
+    promoteFromWaitlist,
+    readEventPlaces,
+    releaseLapsedHolds
+};
@@ -0,0 +1,99 @@
+const { admin, db } = require('../config/firebase');
+
+// Days an expired membership stays in `grace` before it is marked `expired`
+const GRACE_PERIOD_DAYS = Number(process.env.GRACE_PERIOD_DAYS) || 7;
+
+const AUDIT_COLLECTION = 'membershipAudit';
+const PAID_ROLE = 'EXECUTIVE MEMBER';
+const DEFAULT_ROLE = 'member';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Status a membership should be in at `now`, or null if it is still running
+ */
+const getTargetStatus = (expiresAt, now) => {
+    if (!expiresAt || now < expiresAt) return null;
+    if (now < new Date(expiresAt.getTime() + GRACE_PERIOD_DAYS * DAY_MS)) return 'grace';
+    return 'expired';
+};
+
+/**
+ * Move lapsed memberships through active → grace → expired.
+ *
+ * Each user is re-read inside a transaction so a renewal that lands while
+ * the sweep is running is never overwritten. Every transition is recorded
+ * in the membershipAudit collection.
+ *
+ * @param {Object} options
+ * @param {Date} options.now - Reference time (overridable for tests)
+ * @param {boolean} options.dryRun - Report transitions without writing them
+ * @param {string} options.trigger - Who started the sweep ('http', 'cli', ...)
+ * @returns {Promise<{scanned: number, transitions: Array}>}
+ */
+const sweepExpiredMemberships = async ({ now = new Date(), dryRun = false, trigger = 'manual' } = {}) => {
+    const snapshot = await db.collection('users')
+        .where('membership.status', 'in', ['active', 'grace'])
+        .get();
+
+    const transitions = [];
+
+    for (const userDoc of snapshot.docs) {
+        const expiresAt = userDoc.data().membership?.expiresAt?.toDate?.();
+        if (!getTargetStatus(expiresAt, now)) continue;
+
+        const transition = await db.runTransaction(async (transaction) => {
+            const fresh = await transaction.get(userDoc.ref);
+            const data = fresh.data();
+            const from = data.membership?.status;
+            const freshExpiry = data.membership?.expiresAt?.toDate?.();
+            const to = getTargetStatus(freshExpiry, now);
+
+            if (!to || to === from || !['active', 'grace'].includes(from)) {
+                return null;
+            }
+
+            const downgradeRole = to === 'expired' && data.role === PAID_ROLE;
+            const result = {
+                userId: userDoc.id,
+                from,
+                to,
+                expiresAt: freshExpiry,
+                role: downgradeRole ? { from: PAID_ROLE, to: DEFAULT_ROLE } : null
+            };
+
+            if (dryRun) return result;
+
+            const update = {
+                'membership.status': to,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+            if (downgradeRole) {
+                update.role = DEFAULT_ROLE;
+            }
+            transaction.update(userDoc.ref, update);
+
+            transaction.set(db.collection(AUDIT_COLLECTION).doc(), {
+                ...result,
+                expiresAt: admin.firestore.Timestamp.fromDate(freshExpiry),
+                trigger,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            return result;
+        });
+
+        if (transition) {
+            transitions.push(transition);
+        }
+    }
+
+    return { scanned: snapshot.size, transitions };
+};
+
+module.exports = {
+    AUDIT_COLLECTION,
+    GRACE_PERIOD_DAYS,
+    getTargetStatus,
+    sweepExpiredMemberships
+};
@@ -0,0 +1,102 @@
+const { execSync } = require('child_process');
+const { db } = require('../config/firebase');
+const { version: packageVersion } = require('../package.json');
+
+// A readiness probe should answer quickly even when Firestore doesn't
+const FIRESTORE_TIMEOUT_MS = 3000;
+
+const startedAt = new Date();
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Vercel sets VERCEL_GIT_COMMIT_SHA; elsewhere use GIT_COMMIT_SHA or ask git
+ */
+const resolveCommit = () => {
+    const fromEnv = process.env.VERCEL_GIT_COMMIT_SHA || process.env.GIT_COMMIT_SHA;
+    if (fromEnv) return fromEnv;
+
+    try {
+        return execSync('git rev-parse HEAD', { stdio: ['ignore', 'pipe', 'ignore'], timeout: 2000 })
+            .toString()
+            .trim();
+    } catch {
+        return null;
+    }
+};
+
+const commit = resolveCommit();
+
+/**
+ * Liveness: the process is up and serving requests
+ */
+const getHealth = () => ({
+    status: 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+});
+
+/**
+ * Razorpay key mode from its prefix; the key itself is never returned
+ */
+const getRazorpayMode = (keyId) => {
+    if (!keyId) return null;
+    if (keyId.startsWith('rzp_live_')) return 'live';
+    if (keyId.startsWith('rzp_test_')) return 'test';
+    return 'unknown';
+};
+
+const checkFirestore = async () => {
+    const started = Date.now();
+    try {
+        await withTimeout(db.collection('membershipPlans').limit(1).get(), FIRESTORE_TIMEOUT_MS);
+        return { ok: true, latencyMs: Date.now() - started };
+    } catch (error) {
+        return { ok: false, latencyMs: Date.now() - started, error: error.message };
+    }
+};
+
+/**
+ * Readiness: everything a checkout needs is configured and reachable.
+ * Reports only whether secrets are present, never their values.
+ * @returns {Promise<{ready: boolean, checks: Object}>}
+ */
+const checkReadiness = async () => {
+    const keyId = process.env.RAZORPAY_KEY_ID;
+    const razorpayConfigured = !!(keyId && process.env.RAZORPAY_KEY_SECRET);
+
+    const checks = {
+        razorpay: {
+            ok: razorpayConfigured,
+            mode: getRazorpayMode(keyId),
+            ...(process.env.RAZORPAY_API_URL && { mockApi: true })
+        },
+        webhookSecret: { ok: !!process.env.WEBHOOK_SECRET },
+        firestore: await checkFirestore()
+    };
+
+    return {
+        ready: Object.values(checks).every(check => check.ok),
+        checks
+    };
+};
+
+/**
+ * Which build is running
+ */
+const getVersion = () => ({
+    commit,
+    branch: process.env.VERCEL_GIT_COMMIT_REF || null,
+    environment: process.env.VERCEL_ENV || process.env.NODE_ENV || 'development',
+    version: packageVersion,
+    node: process.version,
+    startedAt: startedAt.toISOString()
+});
+
+module.exports = { checkReadiness, getHealth, getVersion };
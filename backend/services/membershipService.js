@@ -0,0 +1,283 @@
+const { admin, db } = require('../config/firebase');
+const { razorpay } = require('../config/razorpay');
+const { getPlan } = require('./planService');
+const { issueReceipt } = require('./receiptService');
+const { recordRedemption } = require('./couponService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Raised when a payment cannot be turned into a membership
+ * (unknown plan, amount mismatch, payment not captured yet...)
+ */
+class MembershipActivationError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'MembershipActivationError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Members may buy their next term this many days before the current one ends
+const RENEWAL_WINDOW_DAYS = Number(process.env.RENEWAL_WINDOW_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Date a newly bought term counts from.
+ * New memberships run from yesterday; renewals stack on top of a
+ * still-running expiry instead of restarting.
+ */
+const getTermStart = (from = new Date(), currentExpiry = null) => {
+    if (currentExpiry && currentExpiry > from) {
+        return new Date(currentExpiry);
+    }
+    const yesterday = new Date(from);
+    yesterday.setDate(yesterday.getDate() - 1);
+    return yesterday;
+};
+
+// Calculate end date: term start + Plan Duration (Months)
+const calculateExpiry = (plan, from = new Date(), currentExpiry = null) => {
+    const expiryDate = getTermStart(from, currentExpiry);
+    expiryDate.setMonth(expiryDate.getMonth() + plan.durationMonths);
+
+    return expiryDate;
+};
+
+/**
+ * Payer details copied onto payment records so admin views and receipts
+ * don't depend on the user document staying unchanged
+ */
+const getPayerSnapshot = (userData = {}) => ({
+    userName: userData.name || userData.displayName || null,
+    userEmail: userData.email || null,
+    userPhone: userData.phone || userData.profile?.phone || null,
+    userUSN: userData.usn || userData.profile?.usn || null,
+    userBranch: userData.branch || userData.profile?.branch || null,
+    userYear: userData.year || userData.profile?.year || null
+});
+
+/**
+ * Whether a user may buy a plan now, given their current membership block
+ * @returns {{canPurchase: boolean, isRenewal: boolean, renewalOpensAt: Date|null, expiresAt: Date|null}}
+ */
+const getRenewalEligibility = (membership, now = new Date()) => {
+    const expiresAt = membership?.expiresAt?.toDate?.() || null;
+
+    if (membership?.status !== 'active' || !expiresAt) {
+        return { canPurchase: true, isRenewal: !!expiresAt, renewalOpensAt: null, expiresAt };
+    }
+
+    const renewalOpensAt = new Date(expiresAt.getTime() - RENEWAL_WINDOW_DAYS * DAY_MS);
+
+    return {
+        canPurchase: now >= renewalOpensAt,
+        isRenewal: true,
+        renewalOpensAt,
+        expiresAt
+    };
+};
+
+/**
+ * Write a paid term onto a user inside a transaction: the membership block,
+ * a membershipHistory entry and the executive role. Used for both Razorpay
+ * and approved offline payments so they activate identically.
+ *
+ * @param {FirebaseFirestore.Transaction} transaction
+ * @param {Object} params
+ * @param {FirebaseFirestore.DocumentReference} params.userRef
+ * @param {Object} params.userData - users document as read in the transaction
+ * @param {Object} params.plan - Normalised plan from planService
+ * @param {string} params.paymentId - payments document ID the term was paid by
+ * @returns {{isRenewal: boolean, termStartsAt: Date, expiresAt: Date}}
+ */
+const grantMembership = (transaction, { userRef, userData, plan, paymentId }) => {
+    const previousExpiresAt = userData.membership?.expiresAt?.toDate?.() || null;
+
+    const now = new Date();
+    const isRenewal = !!previousExpiresAt;
+    const termStartsAt = getTermStart(now, previousExpiresAt);
+    const expiresAt = calculateExpiry(plan, now, previousExpiresAt);
+
+    // An early renewal extends the running term and keeps its startDate
+    // (merge leaves it untouched); a lapsed membership starts over
+    const membership = {
+        status: 'active',
+        type: plan.id,
+        expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+        paymentId
+    };
+    if (previousExpiresAt && previousExpiresAt > now) {
+        membership.renewedAt = admin.firestore.FieldValue.serverTimestamp();
+    } else {
+        membership.startDate = admin.firestore.FieldValue.serverTimestamp();
+    }
+
+    transaction.set(userRef, {
+        membership,
+        membershipHistory: admin.firestore.FieldValue.arrayUnion({
+            paymentId,
+            planId: plan.id,
+            type: isRenewal ? 'renewal' : 'new',
+            previousExpiresAt: previousExpiresAt
+                ? admin.firestore.Timestamp.fromDate(previousExpiresAt)
+                : null,
+            expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+            purchasedAt: admin.firestore.Timestamp.fromDate(now)
+        }),
+        role: 'EXECUTIVE MEMBER',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    return { isRenewal, termStartsAt, expiresAt };
+};
+
+/**
+ * Activate the membership paid for by a Razorpay payment.
+ *
+ * Shared by /verify-payment and /webhook. The payments document is keyed on
+ * the Razorpay payment ID and written in the same transaction as the user's
+ * membership block, so whichever caller arrives second is a no-op.
+ *
+ * @param {Object} params
+ * @param {string} params.paymentId - razorpay_payment_id
+ * @param {string} params.orderId - razorpay_order_id
+ * @param {string} [params.expectedUserId] - Reject orders placed by anyone else
+ * @returns {Promise<{alreadyProcessed: boolean, userId: string, planId: string, expiresAt: Date}>}
+ */
+const activateMembership = async ({ paymentId, orderId, expectedUserId }) => {
+    if (!paymentId || !orderId) {
+        throw new MembershipActivationError('Missing payment or order ID');
+    }
+
+    const paymentRef = db.collection('payments').doc(paymentId);
+
+    // Cheap early exit before calling Razorpay for an already handled payment.
+    // A recorded failure doesn't count: Razorpay can still capture a late authorisation
+    const existing = await paymentRef.get();
+    if (existing.exists && existing.data().status !== 'failed') {
+        const data = existing.data();
+        if (expectedUserId && data.userId !== expectedUserId) {
+            throw new MembershipActivationError('Order belongs to another user', 403);
+        }
+        return {
+            alreadyProcessed: true,
+            userId: data.userId,
+            planId: data.planId,
+            expiresAt: data.expiresAt?.toDate?.() || null
+        };
+    }
+
+    // Never trust the client for amount/plan: read them back from Razorpay
+    const [order, payment] = await Promise.all([
+        razorpay.orders.fetch(orderId),
+        razorpay.payments.fetch(paymentId)
+    ]);
+
+    if (payment.order_id !== order.id) {
+        throw new MembershipActivationError('Payment does not belong to this order');
+    }
+    if (payment.status !== 'captured') {
+        throw new MembershipActivationError('Payment not captured yet', 409);
+    }
+
+    const userId = order.notes?.userId;
+    const planId = order.notes?.planId;
+    const plan = await getPlan(planId);
+
+    if (!userId || !plan) {
+        throw new MembershipActivationError('Order is missing user or plan details');
+    }
+    if (expectedUserId && expectedUserId !== userId) {
+        throw new MembershipActivationError('Order belongs to another user', 403);
+    }
+
+    // The price quoted at order time wins over today's catalogue price
+    const quotedPrice = Number(order.notes?.amount) || plan.price;
+    if (order.amount !== quotedPrice * 100 || payment.amount !== order.amount) {
+        throw new MembershipActivationError('Paid amount does not match plan price');
+    }
+
+    // Split of the quoted price, for the receipt
+    const basePrice = order.notes?.basePrice !== undefined ? Number(order.notes.basePrice) : plan.basePrice;
+    const platformFee = order.notes?.platformFee !== undefined ? Number(order.notes.platformFee) : plan.platformFee;
+    const couponCode = order.notes?.couponCode || null;
+    const discount = Number(order.notes?.discount) || 0;
+
+    const userRef = db.collection('users').doc(userId);
+
+    const result = await db.runTransaction(async (transaction) => {
+        const paymentDoc = await transaction.get(paymentRef);
+        if (paymentDoc.exists && paymentDoc.data().status !== 'failed') {
+            return {
+                alreadyProcessed: true,
+                userId,
+                planId,
+                expiresAt: paymentDoc.data().expiresAt?.toDate?.() || null
+            };
+        }
+
+        const userDoc = await transaction.get(userRef);
+        const userData = userDoc.exists ? userDoc.data() : {};
+        const { isRenewal, termStartsAt, expiresAt } = grantMembership(transaction, {
+            userRef,
+            userData,
+            plan,
+            paymentId
+        });
+
+        transaction.set(paymentRef, {
+            userId,
+            ...getPayerSnapshot(userData),
+            paymentId,
+            orderId,
+            amount: payment.amount / 100,
+            currency: payment.currency,
+            status: 'success',
+            planId,
+            planName: plan.name,
+            planDuration: plan.duration,
+            basePrice,
+            platformFee,
+            couponCode,
+            discount,
+            isRenewal,
+            termStartsAt: admin.firestore.Timestamp.fromDate(termStartsAt),
+            expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        if (couponCode) {
+            recordRedemption(transaction, {
+                code: couponCode,
+                paymentId,
+                orderId,
+                userId,
+                planId,
+                discount,
+                amount: payment.amount / 100
+            });
+        }
+
+        return { alreadyProcessed: false, userId, planId, expiresAt };
+    });
+
+    // A missing receipt is issued on first download, so don't fail activation over it
+    if (!result.alreadyProcessed) {
+        await issueReceipt(paymentId).catch(error => {
+            logger.error('Failed to issue receipt', { paymentId, error });
+        });
+    }
+
+    return result;
+};
+
+module.exports = {
+    RENEWAL_WINDOW_DAYS,
+    MembershipActivationError,
+    activateMembership,
+    calculateExpiry,
+    getPayerSnapshot,
+    getRenewalEligibility,
+    grantMembership
+};
@@ -0,0 +1,199 @@
+const { admin, db } = require('../config/firebase');
+const { getPlan } = require('./planService');
+const { getRenewalEligibility } = require('./membershipService');
+const { AUDIT_COLLECTION, GRACE_PERIOD_DAYS, getTargetStatus } = require('./expirySweeper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The first webhook wrote membership.planId / membership.expiryDate;
+// everything since writes membership.type / membership.expiresAt
+const LEGACY_MEMBERSHIP_FIELDS = {
+    planId: 'type',
+    expiryDate: 'expiresAt'
+};
+
+const toDate = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toIso = (value) => toDate(value)?.toISOString() || null;
+
+/**
+ * Membership block with legacy field names folded into the current ones.
+ * Current names win when a record has both.
+ */
+const normaliseMembership = (membership) => {
+    if (!membership) return null;
+
+    const normalised = { ...membership };
+    for (const [legacy, current] of Object.entries(LEGACY_MEMBERSHIP_FIELDS)) {
+        if (normalised[current] === undefined && normalised[legacy] !== undefined) {
+            normalised[current] = normalised[legacy];
+        }
+        delete normalised[legacy];
+    }
+    return normalised;
+};
+
+/**
+ * Status as of `now`. The expiry sweep runs once a day, so a stored
+ * 'active' may already be past its expiry; report what it will become.
+ */
+const getEffectiveStatus = (status, expiresAt, now) => {
+    if (!['active', 'grace'].includes(status)) {
+        return status || 'inactive';
+    }
+    return getTargetStatus(expiresAt, now) || 'active';
+};
+
+const getPaymentHistory = async (userId) => {
+    const snapshot = await db.collection('payments').where('userId', '==', userId).get();
+
+    return snapshot.docs
+        .map((doc) => {
+            const data = doc.data();
+            return {
+                paymentId: doc.id,
+                type: data.type || 'membership',
+                description: data.type === 'event' ? data.eventTitle || 'Event registration' : data.planName || data.planId || null,
+                planId: data.planId || null,
+                eventId: data.eventId || null,
+                amount: data.amount ?? null,
+                amountRefunded: data.amountRefunded || 0,
+                status: data.status || null,
+                paymentMethod: data.paymentMethod || 'razorpay',
+                isRenewal: !!data.isRenewal,
+                expiresAt: toIso(data.expiresAt),
+                createdAt: toIso(data.createdAt)
+            };
+        })
+        // No composite index on userId + createdAt, so sort here
+        .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+};
+
+/**
+ * Normalised membership view for one user: what /membership/me returns.
+ * The frontend shows this instead of interpreting the raw user document.
+ *
+ * @param {string} userId
+ * @param {Date} [now]
+ * @returns {Promise<Object>}
+ */
+const getMembershipView = async (userId, now = new Date()) => {
+    const [userDoc, payments] = await Promise.all([
+        db.collection('users').doc(userId).get(),
+        getPaymentHistory(userId)
+    ]);
+
+    const membership = normaliseMembership(userDoc.exists ? userDoc.data().membership : null) || {};
+    const expiresAt = toDate(membership.expiresAt);
+    const status = getEffectiveStatus(membership.status, expiresAt, now);
+    const plan = membership.type ? await getPlan(membership.type) : null;
+
+    const renewal = getRenewalEligibility({
+        status,
+        expiresAt: expiresAt ? admin.firestore.Timestamp.fromDate(expiresAt) : null
+    }, now);
+
+    return {
+        status,
+        plan: membership.type
+            ? {
+                id: membership.type,
+                name: plan?.name || membership.type,
+                duration: plan?.duration || null
+            }
+            : null,
+        startDate: toIso(membership.startDate),
+        renewedAt: toIso(membership.renewedAt),
+        expiresAt: expiresAt?.toISOString() || null,
+        graceEndsAt: status === 'grace'
+            ? new Date(expiresAt.getTime() + GRACE_PERIOD_DAYS * DAY_MS).toISOString()
+            : null,
+        daysRemaining: expiresAt ? Math.max(0, Math.ceil((expiresAt - now) / DAY_MS)) : null,
+        renewal: {
+            canPurchase: renewal.canPurchase,
+            isRenewal: renewal.isRenewal,
+            renewalOpensAt: renewal.renewalOpensAt?.toISOString() || null
+        },
+        paymentId: membership.paymentId || null,
+        payments
+    };
+};
+
+/**
+ * Rewrite legacy membership field names on every user document.
+ * Safe to run repeatedly; each user is re-read in a transaction and every
+ * rewrite is recorded in membershipAudit.
+ *
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Report what would change without writing
+ * @returns {Promise<{scanned: number, migrated: Array}>}
+ */
+const migrateLegacyMembershipFields = async ({ dryRun = false } = {}) => {
+    const snapshot = await db.collection('users').select('membership').get();
+    const migrated = [];
+
+    const hasLegacyFields = (membership) => !!membership &&
+        Object.keys(LEGACY_MEMBERSHIP_FIELDS).some(field => membership[field] !== undefined);
+
+    for (const userDoc of snapshot.docs) {
+        if (!hasLegacyFields(userDoc.data().membership)) continue;
+
+        const result = await db.runTransaction(async (transaction) => {
+            const fresh = await transaction.get(userDoc.ref);
+            const membership = fresh.data()?.membership;
+            if (!hasLegacyFields(membership)) return null;
+
+            const update = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+            const renamed = [];
+
+            for (const [legacy, current] of Object.entries(LEGACY_MEMBERSHIP_FIELDS)) {
+                if (membership[legacy] === undefined) continue;
+
+                if (membership[current] === undefined) {
+                    let value = membership[legacy];
+                    if (current === 'expiresAt') {
+                        // expiryDate may be a Timestamp, an ISO string or millis
+                        const date = toDate(value);
+                        if (!date) continue; // Leave unreadable dates for a human
+                        value = admin.firestore.Timestamp.fromDate(date);
+                    }
+                    update[`membership.${current}`] = value;
+                }
+                update[`membership.${legacy}`] = admin.firestore.FieldValue.delete();
+                renamed.push({ from: legacy, to: current, kept: membership[current] !== undefined ? 'current' : 'legacy' });
+            }
+
+            if (renamed.length === 0) return null;
+
+            const entry = { userId: userDoc.id, renamed };
+            if (dryRun) return entry;
+
+            transaction.update(userDoc.ref, update);
+            transaction.set(db.collection(AUDIT_COLLECTION).doc(), {
+                ...entry,
+                action: 'legacy_fields_migrated',
+                trigger: 'migration',
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return entry;
+        });
+
+        if (result) {
+            migrated.push(result);
+        }
+    }
+
+    return { scanned: snapshot.size, migrated };
+};
+
+module.exports = {
+    LEGACY_MEMBERSHIP_FIELDS,
+    getMembershipView,
+    migrateLegacyMembershipFields,
+    normaliseMembership
+};
@@ -0,0 +1,33 @@
+const { admin, db } = require('../config/firebase');
+
+const NOTIFICATIONS_COLLECTION = 'notifications';
+
+/**
+ * Queue an in-app notification for a user as part of a transaction, so it
+ * exists exactly when the change it describes does. The navbar bell shows
+ * unread notifications; the user can only flip `read`.
+ *
+ * @param {FirebaseFirestore.Transaction} transaction
+ * @param {Object} notification
+ * @param {string} notification.userId
+ * @param {string} notification.type - e.g. 'waitlist_promoted'
+ * @param {string} notification.title
+ * @param {string} notification.message
+ * @param {string} [notification.link] - In-app path to open
+ * @returns {string} Notification ID
+ */
+const queueNotification = (transaction, { userId, type, title, message, link = null }) => {
+    const ref = db.collection(NOTIFICATIONS_COLLECTION).doc();
+    transaction.set(ref, {
+        userId,
+        type,
+        title,
+        message,
+        link,
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return ref.id;
+};
+
+module.exports = { NOTIFICATIONS_COLLECTION, queueNotification };
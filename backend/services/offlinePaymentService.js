@@ -0,0 +1,275 @@
+const { admin, db } = require('../config/firebase');
+const { getPlan } = require('./planService');
+const { getPayerSnapshot, getRenewalEligibility, grantMembership } = require('./membershipService');
+const { issueReceipt } = require('./receiptService');
+const { logger } = require('../utils/logger');
+
+const OFFLINE_PAYMENTS_COLLECTION = 'offlinePayments';
+
+// How the treasurer was paid; recorded on the payment for the receipt
+const OFFLINE_METHODS = ['cash', 'upi', 'bank_transfer'];
+
+/**
+ * Raised when an offline payment can't be recorded, approved or rejected
+ */
+class OfflinePaymentError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'OfflinePaymentError';
+        this.statusCode = statusCode;
+    }
+}
+
+const renewalNotOpen = (eligibility) => new OfflinePaymentError(
+    `Membership is active until ${eligibility.expiresAt.toISOString().split('T')[0]}; renewal opens ${eligibility.renewalOpensAt.toISOString().split('T')[0]}`,
+    409
+);
+
+// Emails are matched as typed, then lower-cased, since older profiles kept their casing
+const findUserByEmail = async (email) => {
+    for (const candidate of new Set([email, email.toLowerCase()])) {
+        const snapshot = await db.collection('users')
+            .where('email', '==', candidate)
+            .limit(1)
+            .get();
+        if (!snapshot.empty) return snapshot.docs[0];
+    }
+    return null;
+};
+
+/**
+ * Record a cash / direct UPI payment taken by a core member. Nothing is
+ * activated until a second admin with the 'finance' permission approves it.
+ * An amount other than the plan price must come with a note saying why.
+ *
+ * @param {Object} params
+ * @param {string} params.payerEmail - Email the student signed up with
+ * @param {string} params.planId
+ * @param {number} params.amount - Amount received, in rupees
+ * @param {string} params.method - One of OFFLINE_METHODS
+ * @param {string} params.reference - Receipt book number, UPI reference...
+ * @param {string} [params.note] - Required when the amount isn't the plan price
+ * @param {{uid: string, email: string}} params.recordedBy - Verified admin or finance core member
+ * @returns {Promise<{id: string, userId: string}>}
+ */
+const recordOfflinePayment = async ({ payerEmail, planId, amount, method, reference, note, recordedBy }) => {
+    const email = String(payerEmail || '').trim();
+    const trimmedReference = String(reference || '').trim();
+    const value = Number(amount);
+
+    if (!email) {
+        throw new OfflinePaymentError('Payer email is required');
+    }
+    if (!OFFLINE_METHODS.includes(method)) {
+        throw new OfflinePaymentError('Unknown payment method');
+    }
+    if (!trimmedReference) {
+        throw new OfflinePaymentError('A payment reference is required');
+    }
+    if (!Number.isFinite(value) || value <= 0) {
+        throw new OfflinePaymentError('Amount must be greater than zero');
+    }
+
+    const plan = await getPlan(planId);
+    if (!plan) {
+        throw new OfflinePaymentError('Unknown membership plan');
+    }
+    const trimmedNote = String(note || '').trim();
+    if (value !== plan.price && !trimmedNote) {
+        throw new OfflinePaymentError(
+            `Amount differs from the plan price of ₹${plan.price}; add a note explaining why`
+        );
+    }
+
+    const userDoc = await findUserByEmail(email);
+    if (!userDoc) {
+        throw new OfflinePaymentError('No registered user with that email', 404);
+    }
+
+    const userData = userDoc.data();
+    const eligibility = getRenewalEligibility(userData.membership);
+    if (!eligibility.canPurchase) {
+        throw renewalNotOpen(eligibility);
+    }
+
+    const recordRef = await db.collection(OFFLINE_PAYMENTS_COLLECTION).add({
+        userId: userDoc.id,
+        ...getPayerSnapshot(userData),
+        planId: plan.id,
+        planName: plan.name,
+        planDuration: plan.duration,
+        planPrice: plan.price,
+        amount: value,
+        method,
+        reference: trimmedReference.slice(0, 100),
+        note: trimmedNote.slice(0, 500) || null,
+        status: 'pending_approval',
+        recordedBy: { uid: recordedBy.uid, email: recordedBy.email || null },
+        recordedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { id: recordRef.id, userId: userDoc.id };
+};
+
+/**
+ * Approve a recorded offline payment and activate the membership it paid for.
+ * The approver must be a different admin from the one who recorded it, and
+ * the member must still be able to renew: approval is refused with 409 if
+ * they renewed some other way after the payment was recorded.
+ *
+ * Writes payments/offline_{id} with paymentMethod 'offline' in the same
+ * transaction as the membership, mirroring the Razorpay activation path.
+ *
+ * @param {Object} params
+ * @param {string} params.id - offlinePayments document ID
+ * @param {{uid: string, email: string}} params.approvedBy - Verified finance admin
+ * @returns {Promise<{paymentId: string, userId: string, expiresAt: Date}>}
+ */
+const approveOfflinePayment = async ({ id, approvedBy }) => {
+    const recordRef = db.collection(OFFLINE_PAYMENTS_COLLECTION).doc(String(id || ''));
+    const paymentId = `offline_${recordRef.id}`;
+    const paymentRef = db.collection('payments').doc(paymentId);
+
+    const result = await db.runTransaction(async (transaction) => {
+        const recordDoc = await transaction.get(recordRef);
+        if (!recordDoc.exists) {
+            throw new OfflinePaymentError('Offline payment not found', 404);
+        }
+
+        const record = recordDoc.data();
+        if (record.status !== 'pending_approval') {
+            throw new OfflinePaymentError(`Offline payment is already ${record.status}`, 409);
+        }
+        if (record.recordedBy?.uid === approvedBy.uid) {
+            throw new OfflinePaymentError('A different admin must approve this payment', 403);
+        }
+
+        const plan = await getPlan(record.planId);
+        if (!plan) {
+            throw new OfflinePaymentError('Unknown membership plan');
+        }
+
+        const userRef = db.collection('users').doc(record.userId);
+        const userDoc = await transaction.get(userRef);
+        if (!userDoc.exists) {
+            throw new OfflinePaymentError('User no longer exists', 404);
+        }
+
+        // The membership may have been renewed since the payment was recorded
+        const userData = userDoc.data();
+        const eligibility = getRenewalEligibility(userData.membership);
+        if (!eligibility.canPurchase) {
+            throw renewalNotOpen(eligibility);
+        }
+
+        const { isRenewal, termStartsAt, expiresAt } = grantMembership(transaction, {
+            userRef,
+            userData,
+            plan,
+            paymentId
+        });
+
+        const approver = { uid: approvedBy.uid, email: approvedBy.email || null };
+
+        transaction.set(paymentRef, {
+            userId: record.userId,
+            ...getPayerSnapshot(userData),
+            paymentId,
+            orderId: null,
+            amount: record.amount,
+            currency: 'INR',
+            status: 'success',
+            paymentMethod: 'offline',
+            offlineMethod: record.method,
+            offlineReference: record.reference,
+            offlinePaymentId: recordRef.id,
+            recordedBy: record.recordedBy,
+            approvedBy: approver,
+            planId: plan.id,
+            planName: plan.name,
+            planDuration: plan.duration,
+            // No gateway is involved, so the whole amount is the base price
+            basePrice: record.amount,
+            platformFee: 0,
+            isRenewal,
+            termStartsAt: admin.firestore.Timestamp.fromDate(termStartsAt),
+            expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        transaction.update(recordRef, {
+            status: 'approved',
+            paymentId,
+            approvedBy: approver,
+            approvedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { paymentId, userId: record.userId, amount: record.amount, expiresAt };
+    });
+
+    await db.collection('adminActivity').add({
+        adminId: approvedBy.uid,
+        adminEmail: approvedBy.email || null,
+        action: 'offline_payment_approved',
+        details: {
+            offlinePaymentId: recordRef.id,
+            paymentId,
+            userId: result.userId,
+            amount: result.amount
+        },
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await issueReceipt(paymentId).catch(error => {
+        logger.error('Failed to issue receipt', { paymentId, error });
+    });
+
+    return result;
+};
+
+/**
+ * Reject a recorded offline payment (wrong payer, amount never received...).
+ * Either admin may reject, including the one who recorded it.
+ *
+ * @param {Object} params
+ * @param {string} params.id - offlinePayments document ID
+ * @param {string} params.reason - Mandatory justification
+ * @param {{uid: string, email: string}} params.rejectedBy - Verified finance admin
+ */
+const rejectOfflinePayment = async ({ id, reason, rejectedBy }) => {
+    const trimmedReason = String(reason || '').trim();
+    if (!trimmedReason) {
+        throw new OfflinePaymentError('A rejection reason is required');
+    }
+
+    const recordRef = db.collection(OFFLINE_PAYMENTS_COLLECTION).doc(String(id || ''));
+
+    const userId = await db.runTransaction(async (transaction) => {
+        const recordDoc = await transaction.get(recordRef);
+        if (!recordDoc.exists) {
+            throw new OfflinePaymentError('Offline payment not found', 404);
+        }
+        if (recordDoc.data().status !== 'pending_approval') {
+            throw new OfflinePaymentError(`Offline payment is already ${recordDoc.data().status}`, 409);
+        }
+
+        transaction.update(recordRef, {
+            status: 'rejected',
+            rejectionReason: trimmedReason.slice(0, 500),
+            rejectedBy: { uid: rejectedBy.uid, email: rejectedBy.email || null },
+            rejectedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return recordDoc.data().userId;
+    });
+
+    return { id: recordRef.id, userId, status: 'rejected' };
+};
+
+module.exports = {
+    OFFLINE_METHODS,
+    OFFLINE_PAYMENTS_COLLECTION,
+    OfflinePaymentError,
+    approveOfflinePayment,
+    recordOfflinePayment,
+    rejectOfflinePayment
+};
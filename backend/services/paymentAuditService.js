@@ -0,0 +1,57 @@
+const { admin, db } = require('../config/firebase');
+const { logger, redact } = require('../utils/logger');
+
+const PAYMENT_EVENTS_COLLECTION = 'paymentEvents';
+
+/**
+ * Log a payment event and append it to the paymentEvents audit trail,
+ * which admins browse per user when a payment is disputed.
+ *
+ * Never throws: a failed audit write is logged, but must not fail the
+ * payment it describes.
+ *
+ * @param {Object} event
+ * @param {string} event.type - e.g. order_created, membership_activated
+ * @param {string} [event.userId]
+ * @param {string} [event.orderId]
+ * @param {string} [event.paymentId]
+ * @param {string} [event.source] - checkout | webhook | admin
+ * @param {string} [event.requestId] - Correlation ID of the HTTP request
+ * @param {{uid: string, email: string}} [event.actor] - Admin who acted, if any
+ * @param {Object} [event.details] - Anything else worth keeping; redacted
+ * @param {Object} [log] - Request logger, so the entry carries the request ID
+ */
+const recordPaymentEvent = async ({
+    type,
+    userId = null,
+    orderId = null,
+    paymentId = null,
+    source = null,
+    requestId = null,
+    actor = null,
+    details = {}
+}, log = logger) => {
+    const entry = {
+        type,
+        userId,
+        orderId,
+        paymentId,
+        source,
+        requestId,
+        actor: actor ? { uid: actor.uid, email: actor.email || null } : null,
+        details: redact(details)
+    };
+
+    log.info(`Payment event: ${type}`, entry);
+
+    try {
+        await db.collection(PAYMENT_EVENTS_COLLECTION).add({
+            ...entry,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    } catch (error) {
+        log.error('Failed to write payment audit event', { type, userId, orderId, paymentId, error });
+    }
+};
+
+module.exports = { PAYMENT_EVENTS_COLLECTION, recordPaymentEvent };
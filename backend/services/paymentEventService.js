@@ -0,0 +1,174 @@
+const { admin, db } = require('../config/firebase');
+const { razorpay } = require('../config/razorpay');
+const { getPayerSnapshot } = require('./membershipService');
+
+const PAID_ROLE = 'EXECUTIVE MEMBER';
+const DEFAULT_ROLE = 'member';
+
+/**
+ * Record a failed payment so it shows up on the admin payments page.
+ * A later successful attempt for the same payment ID is never downgraded.
+ *
+ * @param {Object} payment - Razorpay payment entity from payment.failed
+ */
+const recordFailedPayment = async (payment) => {
+    const paymentRef = db.collection('payments').doc(payment.id);
+
+    // Checkout notes carry the user and plan; fall back to the order's notes
+    let notes = payment.notes || {};
+    if ((!notes.userId || !notes.planId) && payment.order_id) {
+        const order = await razorpay.orders.fetch(payment.order_id);
+        notes = { ...order.notes, ...notes };
+    }
+
+    const userDoc = notes.userId
+        ? await db.collection('users').doc(notes.userId).get()
+        : null;
+
+    await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(paymentRef);
+        if (existing.exists && existing.data().status !== 'failed') {
+            return;
+        }
+
+        transaction.set(paymentRef, {
+            userId: notes.userId || null,
+            ...getPayerSnapshot(userDoc?.exists ? userDoc.data() : {}),
+            paymentId: payment.id,
+            orderId: payment.order_id || null,
+            amount: payment.amount / 100,
+            currency: payment.currency,
+            status: 'failed',
+            planId: notes.planId || null,
+            planName: notes.planName || null,
+            paymentMethod: payment.method || null,
+            failureReason: payment.error_description || payment.error_reason || 'Unknown error',
+            failureCode: payment.error_code || null,
+            failureSource: payment.error_source || null,
+            failureStep: payment.error_step || null,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+    });
+};
+
+/**
+ * Note a refund Razorpay has accepted but not yet settled
+ *
+ * @param {Object} refund - Razorpay refund entity from refund.created
+ */
+const recordRefundCreated = async (refund) => {
+    const paymentRef = db.collection('payments').doc(refund.payment_id);
+    const paymentDoc = await paymentRef.get();
+    // refund.processed can overtake refund.created; don't step back to pending
+    if (!paymentDoc.exists || (paymentDoc.data().appliedRefunds || []).includes(refund.id)) {
+        return;
+    }
+
+    await paymentRef.update({
+        refundStatus: 'pending',
+        [`refunds.${refund.id}`]: {
+            amount: refund.amount / 100,
+            status: refund.status,
+            reason: refund.notes?.reason || null,
+            requestedBy: refund.notes?.requestedBy || null,
+            createdAt: admin.firestore.Timestamp.fromMillis(refund.created_at * 1000)
+        },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+};
+
+/**
+ * Apply a settled refund to the payment record and the member's term.
+ *
+ * The term this payment bought is shortened in proportion to the amount
+ * refunded; if nothing is left the membership is revoked. Each refund ID is
+ * applied at most once, so redelivered webhooks are harmless.
+ *
+ * @param {Object} refund - Razorpay refund entity from refund.processed
+ * @returns {Promise<{applied: boolean, userId?: string, expiresAt?: Date|null, revoked?: boolean}>}
+ */
+const applyProcessedRefund = async (refund) => {
+    const paymentRef = db.collection('payments').doc(refund.payment_id);
+
+    return db.runTransaction(async (transaction) => {
+        const paymentDoc = await transaction.get(paymentRef);
+        if (!paymentDoc.exists) {
+            return { applied: false };
+        }
+
+        const record = paymentDoc.data();
+        const appliedRefunds = record.appliedRefunds || [];
+        if (appliedRefunds.includes(refund.id)) {
+            return { applied: false };
+        }
+
+        const userRef = record.userId ? db.collection('users').doc(record.userId) : null;
+        const userDoc = userRef ? await transaction.get(userRef) : null;
+
+        const paidPaise = Math.round(record.amount * 100);
+        const refundedPaise = Math.round((record.amountRefunded || 0) * 100) + refund.amount;
+        const fullyRefunded = refundedPaise >= paidPaise;
+
+        transaction.update(paymentRef, {
+            status: fullyRefunded ? 'refunded' : 'partially_refunded',
+            refundStatus: 'processed',
+            amountRefunded: refundedPaise / 100,
+            appliedRefunds: admin.firestore.FieldValue.arrayUnion(refund.id),
+            [`refunds.${refund.id}`]: {
+                amount: refund.amount / 100,
+                status: 'processed',
+                reason: refund.notes?.reason || null,
+                requestedBy: refund.notes?.requestedBy || null,
+                createdAt: admin.firestore.Timestamp.fromMillis(refund.created_at * 1000),
+                processedAt: admin.firestore.Timestamp.now()
+            },
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        const userData = userDoc?.exists ? userDoc.data() : null;
+        const currentExpiry = userData?.membership?.expiresAt?.toDate?.();
+        const termStart = record.termStartsAt?.toDate?.();
+        const termEnd = record.expiresAt?.toDate?.();
+
+        if (!userData || !currentExpiry || !termStart || !termEnd) {
+            return { applied: true, userId: record.userId || null, expiresAt: null, revoked: false };
+        }
+
+        // Remove the refunded share of the term this payment bought
+        const termMs = termEnd.getTime() - termStart.getTime();
+        const share = paidPaise > 0 ? Math.min(refund.amount / paidPaise, 1) : 1;
+        const removedMs = Math.round(termMs * share);
+        const newExpiry = new Date(currentExpiry.getTime() - removedMs);
+        const now = new Date();
+        const revoked = newExpiry <= now;
+
+        const update = {
+            'membership.expiresAt': admin.firestore.Timestamp.fromDate(newExpiry),
+            membershipHistory: admin.firestore.FieldValue.arrayUnion({
+                paymentId: refund.payment_id,
+                refundId: refund.id,
+                planId: record.planId || null,
+                type: 'refund',
+                previousExpiresAt: admin.firestore.Timestamp.fromDate(currentExpiry),
+                expiresAt: admin.firestore.Timestamp.fromDate(newExpiry),
+                purchasedAt: admin.firestore.Timestamp.fromDate(now)
+            }),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        if (revoked) {
+            update['membership.status'] = 'inactive';
+            if (userData.role === PAID_ROLE) {
+                update.role = DEFAULT_ROLE;
+            }
+        }
+        transaction.update(userRef, update);
+
+        return { applied: true, userId: record.userId, expiresAt: newExpiry, revoked };
+    });
+};
+
+module.exports = {
+    applyProcessedRefund,
+    recordFailedPayment,
+    recordRefundCreated
+};
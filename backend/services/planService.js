@@ -0,0 +1,114 @@
+const { db } = require('../config/firebase');
+const { DEFAULT_MEMBERSHIP_PLANS } = require('../config/membershipPlans');
+
+const PLANS_COLLECTION = 'membershipPlans';
+
+// Plans change rarely; a short cache keeps /plans and /create-order off Firestore
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { plans: null, fetchedAt: 0 };
+
+const toDate = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Normalise a catalogue entry and derive the total price charged
+ */
+const normalisePlan = (id, data) => {
+    const basePrice = Number(data.basePrice) || 0;
+    const platformFee = Number(data.platformFee) || 0;
+
+    return {
+        id,
+        name: data.name,
+        basePrice,
+        platformFee,
+        price: basePrice + platformFee,
+        durationMonths: Number(data.durationMonths) || 0,
+        duration: data.duration || '',
+        active: data.active !== false,
+        retired: data.retired === true,
+        validFrom: toDate(data.validFrom),
+        validUntil: toDate(data.validUntil),
+        popular: data.popular === true,
+        sortOrder: Number(data.sortOrder) || 0,
+        features: Array.isArray(data.features) ? data.features : []
+    };
+};
+
+/**
+ * Whether a plan can be bought right now
+ */
+const isPlanAvailable = (plan, now = new Date()) => {
+    if (!plan || !plan.active || plan.retired) return false;
+    if (plan.validFrom && now < plan.validFrom) return false;
+    if (plan.validUntil && now > plan.validUntil) return false;
+    return true;
+};
+
+/**
+ * Load the full catalogue, including retired plans (needed to honour old orders)
+ */
+const loadCatalogue = async ({ fresh = false } = {}) => {
+    if (!fresh && cache.plans && Date.now() - cache.fetchedAt < CACHE_TTL_MS) {
+        return cache.plans;
+    }
+
+    const snapshot = await db.collection(PLANS_COLLECTION).get();
+    const plans = snapshot.empty
+        ? DEFAULT_MEMBERSHIP_PLANS.map(plan => normalisePlan(plan.id, plan))
+        : snapshot.docs.map(doc => normalisePlan(doc.id, doc.data()));
+
+    plans.sort((a, b) => a.sortOrder - b.sortOrder);
+    cache = { plans, fetchedAt: Date.now() };
+    return plans;
+};
+
+/**
+ * Plans currently on sale, in display order
+ */
+const getAvailablePlans = async () => {
+    const plans = await loadCatalogue();
+    const now = new Date();
+    return plans.filter(plan => isPlanAvailable(plan, now));
+};
+
+/**
+ * Look up any plan by ID, whether or not it is still on sale
+ */
+const getPlan = async (planId) => {
+    if (!planId) return null;
+    const plans = await loadCatalogue();
+    return plans.find(plan => plan.id === planId) || null;
+};
+
+/**
+ * Write missing default plans to Firestore; existing (possibly edited) plans are left alone
+ * @returns {Promise<string[]>} IDs of the plans that were created
+ */
+const seedPlans = async () => {
+    const created = [];
+    for (const plan of DEFAULT_MEMBERSHIP_PLANS) {
+        const { id, ...data } = plan;
+        const ref = db.collection(PLANS_COLLECTION).doc(id);
+        const doc = await ref.get();
+        if (!doc.exists) {
+            await ref.set(data);
+            created.push(id);
+        }
+    }
+    cache = { plans: null, fetchedAt: 0 };
+    return created;
+};
+
+module.exports = {
+    PLANS_COLLECTION,
+    getAvailablePlans,
+    getPlan,
+    isPlanAvailable,
+    loadCatalogue,
+    seedPlans
+};
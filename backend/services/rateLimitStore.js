@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { admin, db } = require('../config/firebase');
+
+const RATE_LIMITS_COLLECTION = 'rateLimits';
+
+// Sweep expired in-memory windows once the map grows past this
+const MEMORY_SWEEP_THRESHOLD = 10000;
+
+/**
+ * Fixed-window counters held in this process. Fast and free, but each
+ * serverless instance counts separately and a cold start resets them.
+ * @returns {{hit: Function, reset: Function}}
+ */
+const createMemoryStore = () => {
+    const windows = new Map();
+
+    const sweep = (now) => {
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) {
+                windows.delete(key);
+            }
+        }
+    };
+
+    return {
+        hit: async (key, windowMs) => {
+            const now = Date.now();
+            if (windows.size > MEMORY_SWEEP_THRESHOLD) {
+                sweep(now);
+            }
+
+            let window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+            window.count += 1;
+            return { count: window.count, resetAt: window.resetAt };
+        },
+        reset: async () => {
+            windows.clear();
+        }
+    };
+};
+
+/**
+ * Fixed-window counters in Firestore (rateLimits/{hash of key}), shared by
+ * every instance. Costs a transaction per limited request.
+ * Configure a Firestore TTL policy on `rateLimits.expireAt` to purge old windows.
+ * @returns {{hit: Function}}
+ */
+const createFirestoreStore = () => ({
+    hit: async (key, windowMs) => {
+        // Keys hold IPs and uids; hash them so document IDs stay valid and opaque
+        const id = crypto.createHash('sha256').update(key).digest('hex');
+        const ref = db.collection(RATE_LIMITS_COLLECTION).doc(id);
+
+        return db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            const now = Date.now();
+            const current = doc.exists ? doc.data() : null;
+
+            if (!current || current.resetAt.toMillis() <= now) {
+                const resetAt = now + windowMs;
+                transaction.set(ref, {
+                    count: 1,
+                    resetAt: admin.firestore.Timestamp.fromMillis(resetAt),
+                    expireAt: admin.firestore.Timestamp.fromMillis(resetAt)
+                });
+                return { count: 1, resetAt };
+            }
+
+            transaction.update(ref, { count: admin.firestore.FieldValue.increment(1) });
+            return { count: current.count + 1, resetAt: current.resetAt.toMillis() };
+        });
+    }
+});
+
+/**
+ * Store selected by RATE_LIMIT_STORE: 'memory' (default) or 'firestore'
+ */
+const createRateLimitStore = (kind = process.env.RATE_LIMIT_STORE || 'memory') => {
+    if (kind === 'firestore') {
+        return createFirestoreStore();
+    }
+    if (kind !== 'memory') {
+        throw new Error(`Unknown RATE_LIMIT_STORE '${kind}'; use 'memory' or 'firestore'`);
+    }
+    return createMemoryStore();
+};
+
+module.exports = {
+    RATE_LIMITS_COLLECTION,
+    createFirestoreStore,
+    createMemoryStore,
+    createRateLimitStore
+};
@@ -0,0 +1,298 @@
+const PDFDocument = require('pdfkit');
+const { admin, db } = require('../config/firebase');
+const { CLUB_DETAILS } = require('../config/club');
+const { getPlan } = require('./planService');
+
+const RECEIPTS_COLLECTION = 'receipts';
+const COUNTERS_COLLECTION = 'invoiceCounters';
+
+// Payment statuses that were captured at some point and so get a receipt
+const RECEIPTABLE_STATUSES = ['success', 'refunded', 'partially_refunded'];
+
+// Receipts follow the Indian financial year (April-March) in IST
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+/**
+ * Financial year label for a date, e.g. 2025-26 for 15 Aug 2025
+ */
+const getFinancialYear = (date) => {
+    const ist = new Date(date.getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const formatInvoiceNumber = (financialYear, sequence) =>
+    `${CLUB_DETAILS.invoicePrefix}/${financialYear}/${String(sequence).padStart(4, '0')}`;
+
+/**
+ * Split the amount paid into base price and platform fee.
+ * Uses the split stored on the payment; older records fall back to the plan.
+ */
+const getPriceSplit = async (record) => {
+    if (record.basePrice !== undefined && record.platformFee !== undefined) {
+        return { basePrice: record.basePrice, platformFee: record.platformFee };
+    }
+
+    const plan = record.planId ? await getPlan(record.planId) : null;
+    if (plan && plan.price === record.amount + (record.discount || 0)) {
+        return { basePrice: plan.basePrice, platformFee: plan.platformFee };
+    }
+    return { basePrice: record.amount, platformFee: 0 };
+};
+
+/**
+ * GST contained in a GST-inclusive amount: CGST and SGST in halves when the
+ * place of supply is the GSTIN's state, IGST otherwise. Null when the issuer
+ * isn't registered for GST, which makes the document a plain receipt.
+ *
+ * @param {number} amount - Amount paid in rupees
+ * @param {Object} issuer - CLUB_DETAILS
+ * @returns {Object|null}
+ */
+const getTaxBreakdown = (amount, issuer) => {
+    if (!issuer.gstin) {
+        return null;
+    }
+
+    const totalPaise = Math.round(amount * 100);
+    const taxablePaise = Math.round(totalPaise / (1 + issuer.gstRate / 100));
+    const taxPaise = totalPaise - taxablePaise;
+    const intraState = issuer.placeOfSupply.slice(0, 2) === issuer.gstin.slice(0, 2);
+    const cgstPaise = intraState ? Math.round(taxPaise / 2) : 0;
+
+    return {
+        rate: issuer.gstRate,
+        taxableValue: taxablePaise / 100,
+        cgstRate: intraState ? issuer.gstRate / 2 : 0,
+        cgst: cgstPaise / 100,
+        sgstRate: intraState ? issuer.gstRate / 2 : 0,
+        sgst: (intraState ? taxPaise - cgstPaise : 0) / 100,
+        igstRate: intraState ? 0 : issuer.gstRate,
+        igst: (intraState ? 0 : taxPaise) / 100,
+        placeOfSupply: issuer.placeOfSupply,
+        sacCode: issuer.sacCode
+    };
+};
+
+/**
+ * Issue the receipt for a captured payment, numbering it in the payment's
+ * financial year. Idempotent: an existing receipt is returned unchanged.
+ *
+ * @param {string} paymentId - Razorpay payment ID (payments document ID)
+ * @returns {Promise<Object|null>} The receipt, or null if the payment has none
+ */
+const issueReceipt = async (paymentId) => {
+    const paymentRef = db.collection('payments').doc(paymentId);
+    const receiptRef = db.collection(RECEIPTS_COLLECTION).doc(paymentId);
+
+    const existing = await receiptRef.get();
+    if (existing.exists) {
+        return existing.data();
+    }
+
+    const paymentDoc = await paymentRef.get();
+    if (!paymentDoc.exists || !RECEIPTABLE_STATUSES.includes(paymentDoc.data().status)) {
+        return null;
+    }
+
+    const record = paymentDoc.data();
+    const split = await getPriceSplit(record);
+    const paidAt = record.createdAt?.toDate?.() || new Date();
+    const financialYear = getFinancialYear(paidAt);
+    const counterRef = db.collection(COUNTERS_COLLECTION).doc(financialYear);
+
+    return db.runTransaction(async (transaction) => {
+        const [receiptDoc, counterDoc] = await Promise.all([
+            transaction.get(receiptRef),
+            transaction.get(counterRef)
+        ]);
+        if (receiptDoc.exists) {
+            return receiptDoc.data();
+        }
+
+        // The counter only moves together with a receipt, so numbers have no gaps
+        const sequence = (counterDoc.exists ? counterDoc.data().lastSequence : 0) + 1;
+        const receipt = {
+            invoiceNumber: formatInvoiceNumber(financialYear, sequence),
+            financialYear,
+            sequence,
+            paymentId,
+            orderId: record.orderId || null,
+            userId: record.userId || null,
+            userName: record.userName || null,
+            userEmail: record.userEmail || null,
+            userUSN: record.userUSN || null,
+            userBranch: record.userBranch || null,
+            userYear: record.userYear || null,
+            planId: record.planId || null,
+            planName: record.planName || null,
+            planDuration: record.planDuration || null,
+            eventId: record.eventId || null,
+            eventTitle: record.eventTitle || null,
+            basePrice: split.basePrice,
+            platformFee: split.platformFee,
+            couponCode: record.couponCode || null,
+            discount: record.discount || 0,
+            amount: record.amount,
+            currency: record.currency || 'INR',
+            paymentMethod: record.paymentMethod || 'razorpay',
+            offlineMethod: record.offlineMethod || null,
+            offlineReference: record.offlineReference || null,
+            paidAt: admin.firestore.Timestamp.fromDate(paidAt),
+            issuer: CLUB_DETAILS,
+            tax: getTaxBreakdown(record.amount, CLUB_DETAILS),
+            issuedAt: admin.firestore.Timestamp.now()
+        };
+
+        transaction.set(counterRef, {
+            lastSequence: sequence,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        transaction.set(receiptRef, receipt);
+        transaction.update(paymentRef, { invoiceNumber: receipt.invoiceNumber });
+
+        return receipt;
+    });
+};
+
+const OFFLINE_METHOD_LABELS = {
+    cash: 'Cash',
+    upi: 'UPI (direct)',
+    bank_transfer: 'Bank transfer'
+};
+
+const formatRupees = (amount) => {
+    const value = Number(amount || 0);
+    return `${value < 0 ? '- ' : ''}Rs. ${Math.abs(value).toFixed(2)}`;
+};
+
+const formatDate = (timestamp) => timestamp.toDate().toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'Asia/Kolkata'
+});
+
+/**
+ * Render a stored receipt as a PDF
+ * @param {Object} receipt - receipts document
+ * @returns {Promise<Buffer>}
+ */
+const renderReceiptPdf = (receipt) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const issuer = receipt.issuer;
+    const left = 50;
+    const right = 545;
+
+    // Issuer
+    doc.fontSize(18).font('Helvetica-Bold').text(issuer.name, left, 50);
+    doc.fontSize(9).font('Helvetica')
+        .text(issuer.legalName)
+        .text(issuer.address)
+        .text(issuer.email);
+    if (issuer.gstin) {
+        doc.text(`GSTIN: ${issuer.gstin}`);
+    }
+
+    // Receipts issued before the GST split was stored stay plain receipts
+    const { tax } = receipt;
+    doc.fontSize(14).font('Helvetica-Bold')
+        .text(tax ? 'TAX INVOICE' : 'PAYMENT RECEIPT', left, 50, { align: 'right' });
+    doc.fontSize(9).font('Helvetica')
+        .text(`No: ${receipt.invoiceNumber}`, { align: 'right' })
+        .text(`Date: ${formatDate(receipt.paidAt)}`, { align: 'right' });
+    if (tax) {
+        doc.text(`Place of supply: ${tax.placeOfSupply}`, { align: 'right' });
+    }
+
+    doc.moveTo(left, 140).lineTo(right, 140).stroke();
+
+    // Payer
+    doc.fontSize(10).font('Helvetica-Bold').text('Billed to', left, 155);
+    doc.fontSize(9).font('Helvetica')
+        .text(receipt.userName || '-')
+        .text(receipt.userEmail || '-')
+        .text(`USN: ${receipt.userUSN || '-'}`)
+        .text(`Branch: ${receipt.userBranch || '-'}${receipt.userYear ? `, Year ${receipt.userYear}` : ''}`);
+
+    // Line items
+    const tableTop = 250;
+    doc.fontSize(9).font('Helvetica-Bold')
+        .text('Description', left, tableTop)
+        .text('SAC', 330, tableTop)
+        .text('Amount', 450, tableTop, { width: 95, align: 'right' });
+    doc.moveTo(left, tableTop + 14).lineTo(right, tableTop + 14).stroke();
+
+    const description = receipt.eventTitle
+        ? `Event registration: ${receipt.eventTitle}`
+        : `${receipt.planName || 'Membership'}${receipt.planDuration ? ` (${receipt.planDuration})` : ''}`;
+    const rows = [
+        [description, tax ? tax.sacCode : issuer.sacCode, receipt.basePrice],
+        ['Platform fee', '', receipt.platformFee]
+    ];
+    if (receipt.discount) {
+        rows.push([`Discount (${receipt.couponCode})`, '', -receipt.discount]);
+    }
+    let y = tableTop + 22;
+    doc.font('Helvetica');
+    for (const [description, sac, amount] of rows) {
+        doc.text(description, left, y, { width: 270 })
+            .text(sac, 330, y)
+            .text(formatRupees(amount), 450, y, { width: 95, align: 'right' });
+        y += 18;
+    }
+
+    doc.moveTo(left, y).lineTo(right, y).stroke();
+
+    // Prices include GST, so the split is shown out of the total paid
+    if (tax) {
+        const taxRows = [['Taxable value', tax.taxableValue]];
+        if (tax.igstRate) {
+            taxRows.push([`IGST @ ${tax.igstRate}%`, tax.igst]);
+        } else {
+            taxRows.push([`CGST @ ${tax.cgstRate}%`, tax.cgst], [`SGST @ ${tax.sgstRate}%`, tax.sgst]);
+        }
+        y += 8;
+        for (const [label, amount] of taxRows) {
+            doc.text(label, 330, y)
+                .text(formatRupees(amount), 450, y, { width: 95, align: 'right' });
+            y += 16;
+        }
+        doc.moveTo(330, y).lineTo(right, y).stroke();
+    }
+
+    doc.font('Helvetica-Bold')
+        .text(tax ? 'Total paid (incl. GST)' : 'Total paid', left, y + 8)
+        .text(formatRupees(receipt.amount), 450, y + 8, { width: 95, align: 'right' });
+
+    // Payment references
+    doc.fontSize(10).font('Helvetica-Bold').text('Payment details', left, y + 45);
+    doc.fontSize(9).font('Helvetica');
+    if (receipt.paymentMethod === 'offline') {
+        doc.text(`Paid by: ${OFFLINE_METHOD_LABELS[receipt.offlineMethod] || 'Offline'}`)
+            .text(`Reference: ${receipt.offlineReference || '-'}`);
+    } else {
+        doc.text(`Razorpay payment ID: ${receipt.paymentId}`)
+            .text(`Razorpay order ID: ${receipt.orderId || '-'}`);
+    }
+    doc.text(`Currency: ${receipt.currency}`);
+
+    doc.fontSize(8).fillColor('#666')
+        .text('This is a computer generated receipt and does not require a signature.', left, 760, { align: 'center' });
+
+    doc.end();
+});
+
+module.exports = {
+    COUNTERS_COLLECTION,
+    RECEIPTS_COLLECTION,
+    getFinancialYear,
+    getTaxBreakdown,
+    issueReceipt,
+    renderReceiptPdf
+};
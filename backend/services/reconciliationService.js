@@ -0,0 +1,210 @@
+const { admin, db } = require('../config/firebase');
+const { razorpay } = require('../config/razorpay');
+
+const REPORTS_COLLECTION = 'reconciliationReports';
+
+// Razorpay caps list endpoints at 100 items per page
+const PAGE_SIZE = 100;
+
+// Razorpay statuses for money that actually reached us
+const SETTLED_STATUSES = ['captured', 'refunded'];
+
+const DEFAULT_RANGE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fetch every Razorpay payment created between two dates
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Array>} Razorpay payment entities
+ */
+const fetchRazorpayPayments = async (from, to) => {
+    const payments = [];
+    let skip = 0;
+
+    for (;;) {
+        const page = await razorpay.payments.all({
+            from: Math.floor(from.getTime() / 1000),
+            to: Math.floor(to.getTime() / 1000),
+            count: PAGE_SIZE,
+            skip
+        });
+        payments.push(...page.items);
+        if (page.items.length < PAGE_SIZE) break;
+        skip += PAGE_SIZE;
+    }
+
+    return payments;
+};
+
+/**
+ * Fetch one Razorpay payment by ID
+ * @param {string} paymentId
+ * @returns {Promise<Object|null>} The payment entity, or null if Razorpay doesn't know it
+ */
+const fetchRazorpayPayment = async (paymentId) => {
+    try {
+        return await razorpay.payments.fetch(paymentId);
+    } catch (error) {
+        // Unknown IDs come back as a 400 BAD_REQUEST_ERROR
+        if (error.statusCode === 400) return null;
+        throw error;
+    }
+};
+
+/**
+ * Turn user-supplied from/to values into a Date range.
+ * Defaults to the last 7 days; a bare `to` date covers that whole day.
+ * @returns {{from: Date, to: Date}|null} null when the range is invalid
+ */
+const parseRange = (fromValue, toValue, now = new Date()) => {
+    const to = toValue ? new Date(toValue) : now;
+    if (toValue && /^\d{4}-\d{2}-\d{2}$/.test(toValue)) {
+        to.setUTCHours(23, 59, 59, 999);
+    }
+    const from = fromValue
+        ? new Date(fromValue)
+        : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+        return null;
+    }
+    return { from, to };
+};
+
+const hasLiveMembership = (membership, now) => {
+    const expiresAt = membership?.expiresAt?.toDate?.();
+    return ['active', 'grace'].includes(membership?.status) && expiresAt && expiresAt > now;
+};
+
+/**
+ * Compare Razorpay's view of a date range with the Firestore payments collection.
+ *
+ * Reports:
+ *  - missingRecords: settled in Razorpay, no successful Firestore record
+ *  - amountMismatches: both sides exist but the amounts differ
+ *  - orphanRecords: Firestore records Razorpay doesn't know about
+ *  - paidWithoutMembership: captured membership payments whose user has no live membership
+ *
+ * @param {Object} options
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {Function} [options.fetchPayments] - Source of Razorpay payments; swap for a local export in dev
+ * @param {Function} [options.fetchPayment] - Looks up one Razorpay payment by ID, or resolves null
+ * @param {{uid: string, email: string}|null} [options.requestedBy]
+ * @param {boolean} [options.save] - Store the report in reconciliationReports
+ * @returns {Promise<Object>} The report
+ */
+const reconcilePayments = async ({
+    from,
+    to,
+    fetchPayments = fetchRazorpayPayments,
+    fetchPayment = fetchRazorpayPayment,
+    requestedBy = null,
+    save = true
+}) => {
+    const now = new Date();
+    const gatewayPayments = await fetchPayments(from, to);
+
+    const snapshot = await db.collection('payments')
+        .where('createdAt', '>=', admin.firestore.Timestamp.fromDate(from))
+        .where('createdAt', '<=', admin.firestore.Timestamp.fromDate(to))
+        .get();
+    const recordsInRange = new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+
+    const report = {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        gatewayCount: gatewayPayments.length,
+        recordCount: recordsInRange.size,
+        missingRecords: [],
+        amountMismatches: [],
+        orphanRecords: [],
+        paidWithoutMembership: []
+    };
+
+    const gatewayIds = new Set();
+    const userCache = new Map();
+
+    for (const payment of gatewayPayments) {
+        gatewayIds.add(payment.id);
+        if (!SETTLED_STATUSES.includes(payment.status)) continue;
+
+        // The record may have been written just outside the range
+        let record = recordsInRange.get(payment.id);
+        if (!record) {
+            const doc = await db.collection('payments').doc(payment.id).get();
+            record = doc.exists ? doc.data() : null;
+        }
+
+        const summary = {
+            paymentId: payment.id,
+            orderId: payment.order_id || null,
+            amount: payment.amount / 100,
+            status: payment.status,
+            userId: record?.userId || payment.notes?.userId || null,
+            createdAt: new Date(payment.created_at * 1000).toISOString()
+        };
+
+        if (!record || record.status === 'failed') {
+            report.missingRecords.push(summary);
+        } else if (Math.round(record.amount * 100) !== payment.amount) {
+            report.amountMismatches.push({ ...summary, recordedAmount: record.amount });
+        }
+
+        const isMembership = record?.planId || payment.notes?.planId;
+        if (payment.status !== 'captured' || !isMembership || !summary.userId) continue;
+
+        if (!userCache.has(summary.userId)) {
+            const userDoc = await db.collection('users').doc(summary.userId).get();
+            userCache.set(summary.userId, userDoc.exists ? userDoc.data() : null);
+        }
+        const user = userCache.get(summary.userId);
+        if (!hasLiveMembership(user?.membership, now)) {
+            report.paidWithoutMembership.push({
+                ...summary,
+                membershipStatus: user?.membership?.status || null
+            });
+        }
+    }
+
+    for (const [paymentId, record] of recordsInRange) {
+        // Approved cash / UPI payments never go through Razorpay
+        if (gatewayIds.has(paymentId) || record.paymentMethod === 'offline') continue;
+        // Razorpay filters on its own created_at, so a payment made just before `from`
+        // can have its record written just after it; look it up before calling it an orphan
+        if (await fetchPayment(paymentId)) continue;
+        report.orphanRecords.push({
+            paymentId,
+            orderId: record.orderId || null,
+            amount: record.amount,
+            status: record.status,
+            userId: record.userId || null,
+            paymentMethod: record.paymentMethod || null
+        });
+    }
+
+    report.issueCount = report.missingRecords.length +
+        report.amountMismatches.length +
+        report.orphanRecords.length +
+        report.paidWithoutMembership.length;
+
+    if (save) {
+        const ref = await db.collection(REPORTS_COLLECTION).add({
+            ...report,
+            requestedBy,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        report.id = ref.id;
+    }
+
+    return report;
+};
+
+module.exports = {
+    REPORTS_COLLECTION,
+    fetchRazorpayPayment,
+    fetchRazorpayPayments,
+    parseRange,
+    reconcilePayments
+};
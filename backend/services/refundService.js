@@ -0,0 +1,89 @@
+const { admin, db } = require('../config/firebase');
+const { razorpay } = require('../config/razorpay');
+
+// refund_due: captured for an event place that was gone by the time it landed
+const REFUNDABLE_STATUSES = ['success', 'partially_refunded', 'refund_due'];
+
+/**
+ * Raised when a refund request is rejected before reaching Razorpay
+ */
+class RefundError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'RefundError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Ask Razorpay to refund a captured payment on behalf of an admin.
+ *
+ * Only the request is made here; the payment record and the member's term
+ * are updated when the refund.created / refund.processed webhooks arrive.
+ * The reason and requester travel in the refund notes so the webhook can
+ * store them alongside the refund.
+ *
+ * @param {Object} params
+ * @param {string} params.paymentId - Razorpay payment ID (payments document ID)
+ * @param {number} [params.amount] - Amount in rupees; omit for a full refund
+ * @param {string} params.reason - Mandatory justification
+ * @param {{uid: string, email: ?string}} params.requestedBy - Verified admin, or uid 'system' for automatic refunds
+ * @returns {Promise<{refundId: string, amount: number, status: string, userId: ?string}>}
+ */
+const initiateRefund = async ({ paymentId, amount, reason, requestedBy }) => {
+    const trimmedReason = String(reason || '').trim();
+    if (!trimmedReason) {
+        throw new RefundError('A refund reason is required');
+    }
+
+    const paymentDoc = await db.collection('payments').doc(paymentId).get();
+    if (!paymentDoc.exists) {
+        throw new RefundError('Payment not found', 404);
+    }
+
+    const record = paymentDoc.data();
+    if (record.paymentMethod === 'offline') {
+        throw new RefundError('Offline payments are refunded by the treasurer, not through Razorpay');
+    }
+    if (!REFUNDABLE_STATUSES.includes(record.status)) {
+        throw new RefundError(`Cannot refund a payment with status '${record.status}'`);
+    }
+
+    const refundablePaise = Math.round((record.amount - (record.amountRefunded || 0)) * 100);
+    const requestedPaise = amount === undefined || amount === null || amount === ''
+        ? refundablePaise
+        : Math.round(Number(amount) * 100);
+
+    if (!Number.isFinite(requestedPaise) || requestedPaise <= 0) {
+        throw new RefundError('Refund amount must be greater than zero');
+    }
+    if (requestedPaise > refundablePaise) {
+        throw new RefundError(`Refund amount exceeds the refundable ₹${refundablePaise / 100}`);
+    }
+
+    const refund = await razorpay.payments.refund(paymentId, {
+        amount: requestedPaise,
+        notes: {
+            reason: trimmedReason.slice(0, 250),
+            requestedBy: requestedBy.email || requestedBy.uid
+        }
+    });
+
+    await db.collection('adminActivity').add({
+        adminId: requestedBy.uid,
+        adminEmail: requestedBy.email || null,
+        action: 'payment_refund_initiated',
+        details: {
+            paymentId,
+            refundId: refund.id,
+            amount: requestedPaise / 100,
+            reason: trimmedReason,
+            userId: record.userId || null
+        },
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { refundId: refund.id, amount: requestedPaise / 100, status: refund.status, userId: record.userId || null };
+};
+
+module.exports = { RefundError, initiateRefund };
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { admin, db } = require('../config/firebase');
+const { TICKET_SIGNING_SECRET } = require('../config/events');
+const { EventRegistrationError, parseEventId } = require('./eventPaymentService');
+const { REGISTRATIONS_COLLECTION } = require('./eventWaitlistService');
+
+// Registrations that get a ticket and can be checked in. Free events stay
+// pending until an admin confirms them, but the place is already theirs.
+const TICKETED_STATUSES = ['pending', 'confirmed'];
+
+// Bumped if the ticket layout ever changes, so old QR codes fail cleanly
+const TICKET_PREFIX = 'CSI1';
+
+// Offline scans are synced later with the time they were made; anything
+// older than this is more likely a wrong clock than a real scan
+const MAX_OFFLINE_SCAN_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const sign = (registrationId, eventId) => {
+    if (!TICKET_SIGNING_SECRET) {
+        throw new EventRegistrationError('Tickets are not configured on the server', 503, 'tickets_unavailable');
+    }
+    return crypto
+        .createHmac('sha256', TICKET_SIGNING_SECRET)
+        .update(`${registrationId}.${eventId}`)
+        .digest('base64url');
+};
+
+/**
+ * Ticket string encoded in a registration's QR code:
+ * CSI1.<registrationId>.<eventId>.<HMAC-SHA256 of both>
+ * The IDs are readable so a scanner can reject another event's ticket
+ * offline; only the backend can tell whether the signature is genuine.
+ */
+const signTicket = (registrationId, eventId) =>
+    [TICKET_PREFIX, registrationId, eventId, sign(registrationId, eventId)].join('.');
+
+/**
+ * Split and verify a scanned ticket
+ * @param {string} ticket
+ * @returns {{registrationId: string, eventId: string}}
+ * @throws {EventRegistrationError} invalid_ticket when malformed or forged
+ */
+const verifyTicket = (ticket) => {
+    const parts = String(ticket || '').trim().split('.');
+    if (parts.length !== 4 || parts[0] !== TICKET_PREFIX || !parts[1] || !parts[2]) {
+        throw new EventRegistrationError('Not a valid event ticket', 400, 'invalid_ticket');
+    }
+
+    const [, registrationId, eventId, signature] = parts;
+    const expected = Buffer.from(sign(registrationId, eventId));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw new EventRegistrationError('Ticket signature does not match', 400, 'invalid_ticket');
+    }
+    return { registrationId, eventId };
+};
+
+const displayName = (registration) =>
+    registration.teamName || registration.userName || registration.userEmail || 'Participant';
+
+/**
+ * The signed ticket for one of the user's own registrations with a place
+ * @param {Object} params
+ * @param {string} params.registrationId
+ * @param {string} params.userId - From the verified ID token
+ * @returns {Promise<{registrationId: string, eventId: string, ticket: string, attendedAt: string|null}>}
+ */
+const getTicket = async ({ registrationId, userId }) => {
+    const registrationDoc = await db.collection(REGISTRATIONS_COLLECTION).doc(String(registrationId || '')).get();
+    if (!registrationDoc.exists) {
+        throw new EventRegistrationError('Registration not found', 404);
+    }
+
+    const registration = registrationDoc.data();
+    if (registration.userId !== userId) {
+        throw new EventRegistrationError('Registration belongs to another user', 403);
+    }
+    if (!TICKETED_STATUSES.includes(registration.status)) {
+        throw new EventRegistrationError('Tickets are issued once a registration has a place', 409, 'not_confirmed');
+    }
+
+    return {
+        registrationId: registrationDoc.id,
+        eventId: registration.eventId,
+        ticket: signTicket(registrationDoc.id, registration.eventId),
+        attendedAt: registration.attendedAt?.toDate?.().toISOString() || null
+    };
+};
+
+/**
+ * Ticketed registrations of an event with their check-in state, for the
+ * scanner to work from (and to keep offline)
+ * @param {string} eventId
+ * @returns {Promise<{eventId: string, title: string, registrations: Array, counts: {registered: number, checkedIn: number}}>}
+ */
+const getCheckInRoster = async (eventId) => {
+    const eventRef = db.collection('events').doc(parseEventId(eventId));
+    const [eventDoc, snapshot] = await Promise.all([
+        eventRef.get(),
+        db.collection(REGISTRATIONS_COLLECTION).where('eventId', '==', eventRef.id).get()
+    ]);
+    if (!eventDoc.exists) {
+        throw new EventRegistrationError('Event not found', 404);
+    }
+
+    const registrations = snapshot.docs
+        .filter(doc => TICKETED_STATUSES.includes(doc.data().status))
+        .map(doc => {
+            const registration = doc.data();
+            return {
+                id: doc.id,
+                name: displayName(registration),
+                email: registration.userEmail || null,
+                teamCode: registration.teamCode || null,
+                attendedAt: registration.attendedAt?.toDate?.().toISOString() || null
+            };
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+        eventId: eventRef.id,
+        title: eventDoc.data().title || '',
+        registrations,
+        counts: {
+            registered: registrations.length,
+            checkedIn: registrations.filter(r => r.attendedAt).length
+        }
+    };
+};
+
+/**
+ * Check a registration in at an event, once: from a scanned ticket, or by
+ * registration ID when staff pick the attendee from the roster by hand.
+ * Check-ins made offline pass the time they were made, which becomes
+ * attendedAt.
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event the scanner is checking in for
+ * @param {string} [params.ticket] - Scanned ticket string
+ * @param {string} [params.registrationId] - Manual check-in when there is no ticket
+ * @param {string} params.staffId - UID of the admin or core member checking in
+ * @param {string} [params.scannedAt] - ISO time of an offline check-in
+ * @returns {Promise<{registrationId: string, name: string, attendedAt: string}>}
+ * @throws {EventRegistrationError} invalid_ticket, wrong_event, not_confirmed or already_checked_in
+ */
+const checkInRegistration = async ({ eventId, ticket = null, registrationId = null, staffId, scannedAt = null }) => {
+    let targetId = registrationId ? String(registrationId) : null;
+    if (ticket) {
+        const parsed = verifyTicket(ticket);
+        if (parsed.eventId !== eventId) {
+            throw new EventRegistrationError('This ticket is for a different event', 409, 'wrong_event');
+        }
+        targetId = parsed.registrationId;
+    }
+    if (!targetId) {
+        throw new EventRegistrationError('A ticket or registration ID is required', 400, 'invalid_ticket');
+    }
+
+    const now = new Date();
+    const scanTime = scannedAt ? new Date(scannedAt) : null;
+    const offline = !!scanTime && !Number.isNaN(scanTime.getTime()) &&
+        scanTime <= now && now - scanTime <= MAX_OFFLINE_SCAN_AGE_MS;
+    const attendedAt = offline ? scanTime : now;
+
+    return db.runTransaction(async (transaction) => {
+        const registrationRef = db.collection(REGISTRATIONS_COLLECTION).doc(targetId);
+        const registrationDoc = await transaction.get(registrationRef);
+        if (!registrationDoc.exists) {
+            throw new EventRegistrationError('Registration not found', 404, 'invalid_ticket');
+        }
+
+        const registration = registrationDoc.data();
+        const name = displayName(registration);
+        if (registration.eventId !== eventId) {
+            throw new EventRegistrationError('This ticket is for a different event', 409, 'wrong_event');
+        }
+        if (!TICKETED_STATUSES.includes(registration.status)) {
+            throw new EventRegistrationError(`${name}'s registration is ${registration.status}`, 409, 'not_confirmed');
+        }
+        if (registration.attendedAt) {
+            const when = registration.attendedAt.toDate().toISOString();
+            throw new EventRegistrationError(`${name} already checked in at ${when}`, 409, 'already_checked_in');
+        }
+
+        transaction.update(registrationRef, {
+            attendedAt: admin.firestore.Timestamp.fromDate(attendedAt),
+            checkedInBy: staffId,
+            checkInMethod: ticket ? 'qr' : 'manual',
+            checkedInOffline: offline,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { registrationId: registrationRef.id, name, attendedAt: attendedAt.toISOString() };
+    });
+};
+
+module.exports = {
+    TICKETED_STATUSES,
+    checkInRegistration,
+    getCheckInRoster,
+    getTicket,
+    signTicket,
+    verifyTicket
+};
@@ -0,0 +1,48 @@
+const { admin, db } = require('../config/firebase');
+
+const WEBHOOK_EVENTS_COLLECTION = 'webhookEvents';
+
+// Razorpay retries failed deliveries for up to 24 hours; keep IDs a little longer.
+// Configure a Firestore TTL policy on `webhookEvents.expireAt` to purge old entries.
+const EVENT_TTL_DAYS = 7;
+
+/**
+ * Claim a webhook event ID before processing it.
+ * Uses create(), which fails if the document exists, so two concurrent
+ * deliveries of the same event cannot both win.
+ *
+ * @param {string} eventId - x-razorpay-event-id header
+ * @param {string} event - Event name (e.g. payment.captured)
+ * @returns {Promise<boolean>} False if the event was already processed
+ */
+const claimWebhookEvent = async (eventId, event) => {
+    const expireAt = new Date(Date.now() + EVENT_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    try {
+        await db.collection(WEBHOOK_EVENTS_COLLECTION).doc(eventId).create({
+            event,
+            receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+            expireAt: admin.firestore.Timestamp.fromDate(expireAt)
+        });
+        return true;
+    } catch (error) {
+        // gRPC ALREADY_EXISTS
+        if (error.code === 6) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Give up a claim when processing failed so Razorpay's retry is handled
+ */
+const releaseWebhookEvent = async (eventId) => {
+    await db.collection(WEBHOOK_EVENTS_COLLECTION).doc(eventId).delete();
+};
+
+module.exports = {
+    WEBHOOK_EVENTS_COLLECTION,
+    claimWebhookEvent,
+    releaseWebhookEvent
+};
@@ -0,0 +1,91 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { auth, createTestAdmin, createTestUser, useTestApp } = require('./helpers');
+
+const context = useTestApp();
+let app;
+let admin;
+let db;
+
+before(() => {
+    ({ app, admin, db } = context);
+});
+
+describe('event certificates', () => {
+    it('issues one certificate per attendee, once, from the event template', async () => {
+        const [attendee, absentee, staff] = await Promise.all([createTestUser(), createTestUser(), createTestAdmin(db)]);
+        const eventRef = db.collection('events').doc();
+        await eventRef.set({ title: 'Hack Night', date: '2026-03-14', time: '10:00' });
+        await Promise.all([
+            db.collection('eventRegistrations').doc().set({
+                eventId: eventRef.id, userId: attendee.uid, userName: 'Asha', status: 'confirmed',
+                attendedAt: admin.firestore.Timestamp.now()
+            }),
+            db.collection('eventRegistrations').doc().set({ eventId: eventRef.id, userId: absentee.uid, userName: 'Ravi', status: 'confirmed' })
+        ]);
+
+        const untemplated = await request(app).post(`/admin/events/${eventRef.id}/certificates`).set(auth(staff));
+        assert.equal(untemplated.body.code, 'template_required');
+
+        await db.collection('certificateTemplates').doc(eventRef.id).set({ title: 'CERTIFICATE', signatures: [{ name: 'Dr. Rao', title: 'Faculty Coordinator' }] });
+        assert.equal((await request(app).post(`/admin/events/${eventRef.id}/certificates`).set(auth(attendee))).status, 403);
+
+        const issued = await request(app).post(`/admin/events/${eventRef.id}/certificates`).set(auth(staff));
+        assert.deepEqual(issued.body, { issued: 1, alreadyIssued: 0, attendees: 1 });
+        const again = await request(app).post(`/admin/events/${eventRef.id}/certificates`).set(auth(staff));
+        assert.deepEqual(again.body, { issued: 0, alreadyIssued: 1, attendees: 1 });
+
+        const snapshot = await db.collection('certificates').where('eventId', '==', eventRef.id).get();
+        const [certificate] = snapshot.docs.map(doc => doc.data());
+        assert.equal(certificate.holderName, 'Asha');
+        assert.equal(certificate.eventDate, '14 March 2026');
+
+        const pdf = await request(app).get(`/certificates/${certificate.certificateId}/pdf`).set(auth(attendee));
+        assert.equal(pdf.status, 200);
+        assert.equal(pdf.headers['content-type'], 'application/pdf');
+        assert.equal((await request(app).get(`/certificates/${certificate.certificateId}/pdf`).set(auth(absentee))).status, 403);
+    });
+
+    it('verifies certificates publicly until an admin revokes them', async () => {
+        const [holder, staff] = await Promise.all([createTestUser(), createTestAdmin(db)]);
+        const eventRef = db.collection('events').doc();
+        await eventRef.set({ title: 'Workshop', date: '2026-03-14' });
+        await db.collection('eventRegistrations').doc().set({
+            eventId: eventRef.id, userId: holder.uid, userName: 'Asha', status: 'confirmed',
+            attendedAt: admin.firestore.Timestamp.now()
+        });
+        await db.collection('certificateTemplates').doc(eventRef.id).set({ signatures: [{ name: 'Dr. Rao', title: 'Faculty Coordinator' }] });
+        await request(app).post(`/admin/events/${eventRef.id}/certificates`).set(auth(staff));
+        const [certificateDoc] = (await db.collection('certificates').where('eventId', '==', eventRef.id).get()).docs;
+
+        const verified = await request(app).get(`/certificates/${certificateDoc.id.toLowerCase()}/verify`);
+        assert.equal(verified.status, 200);
+        assert.equal(verified.body.status, 'issued');
+        assert.equal(verified.body.holderName, 'Asha');
+        assert.deepEqual(verified.body.signatories, [{ name: 'Dr. Rao', title: 'Faculty Coordinator' }]);
+        assert.equal((await request(app).get('/certificates/CSI-0000-0000-00/verify')).status, 404);
+
+        assert.equal((await request(app).post(`/admin/certificates/${certificateDoc.id}/revoke`).set(auth(holder))).status, 403);
+        const revoked = await request(app).post(`/admin/certificates/${certificateDoc.id}/revoke`).set(auth(staff)).send({ reason: 'Did not attend' });
+        assert.equal(revoked.status, 200, revoked.body.error);
+        assert.equal((await request(app).post(`/admin/certificates/${certificateDoc.id}/revoke`).set(auth(staff))).body.code, 'already_revoked');
+
+        const afterRevoke = await request(app).get(`/certificates/${certificateDoc.id}/verify`);
+        assert.equal(afterRevoke.body.status, 'revoked');
+        assert.equal(afterRevoke.body.holderName, undefined);
+        assert.equal((await request(app).get(`/certificates/${certificateDoc.id}/pdf`).set(auth(holder))).status, 410);
+    });
+
+    it('rejects a malformed event ID with a 400', async () => {
+        const staff = await createTestAdmin(db);
+
+        for (const path of ['/admin/events/a%2Fb/certificates/preview', '/admin/events/a%2Fb/certificates/pdf']) {
+            const res = await request(app).get(path).set(auth(staff));
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'A valid event ID is required');
+        }
+        const issued = await request(app).post('/admin/events/a%2Fb/certificates').set(auth(staff));
+        assert.equal(issued.status, 400);
+    });
+});
@@ -0,0 +1,162 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { auth, createTestUser, useTestApp } = require('./helpers');
+const { DEFAULT_MEMBERSHIP_PLANS } = require('../config/membershipPlans');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const context = useTestApp();
+let app;
+let admin;
+let db;
+let mockRazorpay;
+
+before(() => {
+    ({ app, admin, db, mockRazorpay } = context);
+});
+
+const oneYear = DEFAULT_MEMBERSHIP_PLANS.find(p => p.id === 'one-year');
+const PRICE = oneYear.basePrice + oneYear.platformFee;
+
+const createCoupon = (code, fields) => db.collection('coupons').doc(code).set({
+    active: true,
+    redemptionCount: 0,
+    ...fields
+});
+
+const validateCoupon = (user, code, planId = 'one-year') => request(app)
+    .post('/coupons/validate')
+    .set(auth(user))
+    .send({ code, planId });
+
+describe('POST /coupons/validate', () => {
+    it('takes a percentage off the plan price, rounded to the rupee', async () => {
+        const user = await createTestUser();
+        await createCoupon('WELCOME10', { type: 'percent', value: 10 });
+
+        const res = await validateCoupon(user, ' welcome10 ');
+        assert.equal(res.status, 200, res.body.error);
+        const discount = Math.round(PRICE * 10 / 100);
+        assert.deepEqual(res.body, {
+            code: 'WELCOME10',
+            discount,
+            amount: PRICE - discount,
+            originalAmount: PRICE
+        });
+    });
+
+    it('takes a flat amount off the plan price', async () => {
+        const user = await createTestUser();
+        await createCoupon('FLAT100', { type: 'flat', value: 100 });
+
+        const res = await validateCoupon(user, 'FLAT100');
+        assert.equal(res.status, 200, res.body.error);
+        assert.equal(res.body.discount, 100);
+        assert.equal(res.body.amount, PRICE - 100);
+    });
+
+    it('never discounts an order below ₹1', async () => {
+        const user = await createTestUser();
+        await createCoupon('FREEBIE', { type: 'flat', value: PRICE * 2 });
+        await createCoupon('HUNDRED', { type: 'percent', value: 100 });
+
+        for (const code of ['FREEBIE', 'HUNDRED']) {
+            const res = await validateCoupon(user, code);
+            assert.equal(res.status, 200, res.body.error);
+            assert.equal(res.body.discount, PRICE - 1);
+            assert.equal(res.body.amount, 1);
+        }
+    });
+
+    it('rejects unknown, inactive, expired and other-plan coupons', async () => {
+        const user = await createTestUser();
+        await createCoupon('PAUSED', { type: 'flat', value: 50, active: false });
+        await createCoupon('OLD', {
+            type: 'flat',
+            value: 50,
+            expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() - DAY_MS)
+        });
+        await createCoupon('TWOYEAR', { type: 'flat', value: 50, planIds: ['two-year'] });
+
+        const cases = [
+            ['NOPE', 'Invalid coupon code'],
+            ['PAUSED', 'Invalid coupon code'],
+            ['OLD', 'This coupon has expired'],
+            ['TWOYEAR', 'This coupon does not apply to the selected plan'],
+            ['', 'Enter a coupon code'],
+            // Malformed codes are refused before the lookup; '/' would break the document path
+            ['A/B', 'Invalid coupon code'],
+            ['../OLD', 'Invalid coupon code'],
+            ['X'.repeat(33), 'Invalid coupon code']
+        ];
+        for (const [code, error] of cases) {
+            const res = await validateCoupon(user, code);
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, error);
+        }
+    });
+
+    it('counts a redemption at activation and then holds the user to the per-user limit', async () => {
+        const [user, friend] = await Promise.all([createTestUser(), createTestUser()]);
+        await createCoupon('ONCE', { type: 'flat', value: 58 });
+
+        // The order is priced from the coupon, whatever the client claims
+        const order = await request(app)
+            .post('/create-order')
+            .set(auth(user))
+            .send({ planId: 'one-year', couponCode: 'once', amount: 1 });
+        assert.equal(order.status, 200, order.body.error);
+        assert.equal(order.body.amount, (PRICE - 58) * 100);
+
+        const checkout = await request(mockRazorpay.app)
+            .post(`/mock/checkout/${order.body.orderId}`)
+            .send({ outcome: 'success', webhook: false });
+        const verified = await request(app).post('/verify-payment').set(auth(user)).send(checkout.body.response);
+        assert.equal(verified.status, 200, verified.body.error);
+
+        const paymentId = checkout.body.response.razorpay_payment_id;
+        const redemption = await db.collection('couponRedemptions').doc(paymentId).get();
+        assert.equal(redemption.data().code, 'ONCE');
+        assert.equal(redemption.data().discount, 58);
+        assert.equal((await db.collection('coupons').doc('ONCE').get()).data().redemptionCount, 1);
+
+        const again = await validateCoupon(user, 'ONCE');
+        assert.equal(again.status, 400);
+        assert.equal(again.body.error, 'You have already used this coupon');
+
+        // The limit is per user
+        const other = await validateCoupon(friend, 'ONCE');
+        assert.equal(other.status, 200, other.body.error);
+    });
+
+    it('honours a higher per-user limit', async () => {
+        const user = await createTestUser();
+        await createCoupon('TWICE', { type: 'flat', value: 20, perUserLimit: 2 });
+        const redeem = (paymentId) => db.collection('couponRedemptions').doc(paymentId).set({
+            code: 'TWICE',
+            paymentId,
+            userId: user.uid
+        });
+
+        await redeem('pay_first');
+        assert.equal((await validateCoupon(user, 'TWICE')).status, 200);
+
+        await redeem('pay_second');
+        const res = await validateCoupon(user, 'TWICE');
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'You have already used this coupon');
+    });
+
+    it('rejects a malformed code at checkout with a 400', async () => {
+        const user = await createTestUser();
+
+        const res = await request(app)
+            .post('/create-order')
+            .set(auth(user))
+            .send({ planId: 'one-year', couponCode: 'A/B' });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'Invalid coupon code');
+        assert.equal(mockRazorpay.state.orders.size, 0);
+    });
+});
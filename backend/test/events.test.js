@@ -0,0 +1,293 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { auth, createTestAdmin, createTestUser, useCoreMembers, useTestApp } = require('./helpers');
+
+const context = useTestApp();
+// Door staff hold the 'events' permission; the impostor signed up under such an email without verifying it
+const members = useCoreMembers({
+    doorStaff: { permissions: ['events'] },
+    impostor: { permissions: ['events'], emailVerified: false }
+});
+let app;
+let admin;
+let db;
+let mockRazorpay;
+
+before(() => {
+    ({ app, admin, db, mockRazorpay } = context);
+});
+
+describe('event capacity and waitlist', () => {
+    const createEvent = async (fields = {}) => {
+        const ref = db.collection('events').doc();
+        await ref.set({
+            title: 'Hack Night',
+            type: 'INDIVIDUAL',
+            registrationsAvailable: true,
+            entryFee: 0,
+            participantCount: 0,
+            participants: [],
+            ...fields
+        });
+        return ref;
+    };
+
+    const register = (user, eventId) => request(app)
+        .post(`/events/${eventId}/register`)
+        .set(auth(user))
+        .send({});
+
+    it('waitlists past capacity and promotes the first in line on cancellation', async () => {
+        const eventRef = await createEvent({ capacity: 1 });
+        const [first, second, third] = await Promise.all([createTestUser(), createTestUser(), createTestUser()]);
+
+        const taken = await register(first, eventRef.id);
+        assert.equal(taken.status, 201, taken.body.error);
+        assert.equal(taken.body.status, 'pending');
+
+        const waitlisted = await register(second, eventRef.id);
+        assert.equal(waitlisted.body.status, 'waitlisted');
+        assert.equal(waitlisted.body.waitlistPosition, 1);
+        assert.equal((await register(third, eventRef.id)).body.waitlistPosition, 2);
+        assert.equal((await register(second, eventRef.id)).status, 409);
+
+        const cancelled = await request(app)
+            .post(`/event-registrations/${taken.body.registrationId}/cancel`)
+            .set(auth(first));
+        assert.equal(cancelled.status, 200, cancelled.body.error);
+
+        const promoted = await db.collection('eventRegistrations').doc(waitlisted.body.registrationId).get();
+        assert.equal(promoted.data().status, 'pending');
+
+        const event = (await eventRef.get()).data();
+        assert.equal(event.participantCount, 1);
+        assert.deepEqual(event.participants.map(p => p.userId), [second.uid]);
+
+        const notifications = await db.collection('notifications').where('userId', '==', second.uid).get();
+        assert.equal(notifications.size, 1);
+        assert.equal(notifications.docs[0].data().type, 'waitlist_promoted');
+    });
+
+    it('refuses a paid checkout once the event is full', async () => {
+        const eventRef = await createEvent({ capacity: 1, entryFee: 100 });
+        const [first, second] = await Promise.all([createTestUser(), createTestUser()]);
+
+        const order = await request(app).post('/create-event-order').set(auth(first)).send({ eventId: eventRef.id });
+        assert.equal(order.status, 200, order.body.error);
+
+        const full = await request(app).post('/create-event-order').set(auth(second)).send({ eventId: eventRef.id });
+        assert.equal(full.status, 409);
+        assert.equal(full.body.code, 'event_full');
+
+        const waitlisted = await register(second, eventRef.id);
+        assert.equal(waitlisted.body.status, 'waitlisted');
+    });
+
+    it('rejects a missing or malformed event ID with a 400', async () => {
+        const [member, staff] = await Promise.all([createTestUser(), createTestAdmin(db)]);
+
+        for (const body of [{}, { eventId: '' }, { eventId: 42 }, { eventId: 'events/other' }]) {
+            const res = await request(app).post('/create-event-order').set(auth(member)).send(body);
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'A valid event ID is required');
+        }
+
+        // Route parameters are decoded, so %2F reaches the service as '/'
+        const roster = await request(app).get('/check-in/events/a%2Fb').set(auth(staff));
+        assert.equal(roster.status, 400);
+        const registered = await register(member, 'a%2Fb');
+        assert.equal(registered.status, 400);
+        assert.equal(registered.body.error, 'A valid event ID is required');
+    });
+
+    it('gives a lapsed hold to the first waitlisted user, not a newcomer', async () => {
+        const eventRef = await createEvent({ capacity: 1, entryFee: 100 });
+        const [holder, waiting, newcomer] = await Promise.all([createTestUser(), createTestUser(), createTestUser()]);
+
+        const order = await request(app).post('/create-event-order').set(auth(holder)).send({ eventId: eventRef.id });
+        assert.equal(order.status, 200, order.body.error);
+        const waitlisted = await register(waiting, eventRef.id);
+        assert.equal(waitlisted.body.status, 'waitlisted');
+
+        await db.collection('eventRegistrations').doc(order.body.registrationId).update({
+            paymentExpiresAt: admin.firestore.Timestamp.fromMillis(Date.now() - 60 * 1000)
+        });
+
+        const refused = await request(app).post('/create-event-order').set(auth(newcomer)).send({ eventId: eventRef.id });
+        assert.equal(refused.status, 409);
+        assert.equal(refused.body.code, 'event_full');
+
+        const lapsed = await db.collection('eventRegistrations').doc(order.body.registrationId).get();
+        assert.equal(lapsed.data().status, 'expired');
+        const promoted = await db.collection('eventRegistrations').doc(waitlisted.body.registrationId).get();
+        assert.equal(promoted.data().status, 'pending_payment');
+        assert.ok(promoted.data().promotedAt);
+        // Promotions get the waitlist hold, not the 30-minute checkout hold
+        assert.ok(promoted.data().paymentExpiresAt.toMillis() > Date.now() + 23 * 60 * 60 * 1000);
+
+        const joined = await register(newcomer, eventRef.id);
+        assert.equal(joined.body.status, 'waitlisted');
+        assert.equal(joined.body.waitlistPosition, 1);
+    });
+
+    it('refunds a payment that lands after its hold lapsed and the event filled', async () => {
+        const eventRef = await createEvent({ capacity: 1, entryFee: 100 });
+        const [late, punctual] = await Promise.all([createTestUser(), createTestUser()]);
+
+        const order = await request(app).post('/create-event-order').set(auth(late)).send({ eventId: eventRef.id });
+        assert.equal(order.status, 200, order.body.error);
+        await db.collection('eventRegistrations').doc(order.body.registrationId).update({
+            paymentExpiresAt: admin.firestore.Timestamp.fromMillis(Date.now() - 60 * 1000)
+        });
+
+        const taken = await request(app).post('/create-event-order').set(auth(punctual)).send({ eventId: eventRef.id });
+        assert.equal(taken.status, 200, taken.body.error);
+
+        const checkout = await request(mockRazorpay.app)
+            .post(`/mock/checkout/${order.body.orderId}`)
+            .send({ outcome: 'success', webhook: false });
+        const verified = await request(app).post('/verify-event-payment').set(auth(late)).send(checkout.body.response);
+        assert.equal(verified.status, 200, verified.body.error);
+        assert.equal(verified.body.confirmed, false);
+        assert.equal(verified.body.refundDue, true);
+
+        const registration = await db.collection('eventRegistrations').doc(order.body.registrationId).get();
+        assert.equal(registration.data().status, 'expired');
+        assert.equal((await eventRef.get()).data().participantCount, 0);
+
+        const paymentId = checkout.body.response.razorpay_payment_id;
+        const payment = (await db.collection('payments').doc(paymentId).get()).data();
+        assert.equal(payment.refundDue, true);
+        assert.notEqual(payment.status, 'success');
+        const refunds = [...mockRazorpay.state.refunds.values()].filter(refund => refund.payment_id === paymentId);
+        assert.equal(refunds.length, 1);
+        assert.equal(refunds[0].amount, 100 * 100);
+
+        const notifications = await db.collection('notifications').where('userId', '==', late.uid).get();
+        assert.deepEqual(notifications.docs.map(doc => doc.data().type), ['event_payment_refunded']);
+    });
+
+    it('closes self-cancellation before the event but lets an admin reject', async () => {
+        // Starts in two hours, inside the default 24 hour cutoff
+        const eventRef = await createEvent({
+            capacity: 1,
+            date: admin.firestore.Timestamp.fromDate(new Date(Date.now() + 2 * 60 * 60 * 1000))
+        });
+        const [member, next, reviewer] = await Promise.all([createTestUser(), createTestUser(), createTestAdmin(db)]);
+
+        const taken = await register(member, eventRef.id);
+        const waitlisted = await register(next, eventRef.id);
+
+        const late = await request(app)
+            .post(`/event-registrations/${taken.body.registrationId}/cancel`)
+            .set(auth(member));
+        assert.equal(late.status, 409);
+        assert.equal(late.body.code, 'cancellation_closed');
+
+        const forbidden = await request(app)
+            .post(`/admin/event-registrations/${taken.body.registrationId}/reject`)
+            .set(auth(member));
+        assert.equal(forbidden.status, 403);
+
+        const rejected = await request(app)
+            .post(`/admin/event-registrations/${taken.body.registrationId}/reject`)
+            .set(auth(reviewer))
+            .send({ reason: 'Not eligible' });
+        assert.equal(rejected.status, 200, rejected.body.error);
+        assert.equal(rejected.body.promoted, 1);
+
+        const registration = (await db.collection('eventRegistrations').doc(taken.body.registrationId).get()).data();
+        assert.equal(registration.status, 'rejected');
+        assert.equal(registration.rejectionReason, 'Not eligible');
+
+        const event = (await eventRef.get()).data();
+        assert.equal(event.participantCount, 1);
+        assert.deepEqual(event.participants.map(p => p.userId), [next.uid]);
+
+        const confirmed = await request(app)
+            .post(`/admin/event-registrations/${waitlisted.body.registrationId}/confirm`)
+            .set(auth(reviewer));
+        assert.equal(confirmed.body.status, 'confirmed');
+    });
+});
+
+describe('event tickets and check-in', () => {
+    it('checks a confirmed ticket in once and only at its own event', async () => {
+        const [member, staff] = await Promise.all([createTestUser(), createTestAdmin(db)]);
+        const [eventRef, otherEventRef] = [db.collection('events').doc(), db.collection('events').doc()];
+        await Promise.all([eventRef.set({ title: 'Hack Night' }), otherEventRef.set({ title: 'Workshop' })]);
+        const registrationRef = db.collection('eventRegistrations').doc();
+        await registrationRef.set({ eventId: eventRef.id, userId: member.uid, userName: 'Asha', status: 'confirmed' });
+
+        const issued = await request(app).get(`/event-registrations/${registrationRef.id}/ticket`).set(auth(member));
+        assert.equal(issued.status, 200, issued.body.error);
+        const { ticket } = issued.body;
+
+        assert.equal((await request(app).get(`/event-registrations/${registrationRef.id}/ticket`).set(auth(staff))).status, 403);
+        assert.equal((await request(app).post(`/check-in/events/${eventRef.id}`).set(auth(member)).send({ ticket })).status, 403);
+
+        const forged = await request(app).post(`/check-in/events/${eventRef.id}`).set(auth(staff)).send({ ticket: `${ticket.slice(0, -4)}AAAA` });
+        assert.equal(forged.body.code, 'invalid_ticket');
+
+        const elsewhere = await request(app).post(`/check-in/events/${otherEventRef.id}`).set(auth(staff)).send({ ticket });
+        assert.equal(elsewhere.body.code, 'wrong_event');
+
+        const scannedAt = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+        const checkedIn = await request(app).post(`/check-in/events/${eventRef.id}`).set(auth(staff)).send({ ticket, scannedAt });
+        assert.equal(checkedIn.status, 200, checkedIn.body.error);
+        assert.equal(checkedIn.body.attendedAt, scannedAt);
+
+        const again = await request(app).post(`/check-in/events/${eventRef.id}`).set(auth(staff)).send({ registrationId: registrationRef.id });
+        assert.equal(again.status, 409);
+        assert.equal(again.body.code, 'already_checked_in');
+
+        const roster = await request(app).get(`/check-in/events/${eventRef.id}`).set(auth(staff));
+        assert.deepEqual(roster.body.counts, { registered: 1, checkedIn: 1 });
+    });
+
+    it('tickets a free registration still pending confirmation, but not a waitlisted one', async () => {
+        const [member, waiting, staff] = await Promise.all([createTestUser(), createTestUser(), createTestAdmin(db)]);
+        const eventRef = db.collection('events').doc();
+        await eventRef.set({ title: 'Hack Night', registrationsAvailable: true, entryFee: 0, capacity: 1, participantCount: 0 });
+
+        const registered = await request(app).post(`/events/${eventRef.id}/register`).set(auth(member)).send({});
+        assert.equal(registered.body.status, 'pending');
+        const waitlisted = await request(app).post(`/events/${eventRef.id}/register`).set(auth(waiting)).send({});
+        assert.equal(waitlisted.body.status, 'waitlisted');
+
+        const issued = await request(app).get(`/event-registrations/${registered.body.registrationId}/ticket`).set(auth(member));
+        assert.equal(issued.status, 200, issued.body.error);
+        const refused = await request(app).get(`/event-registrations/${waitlisted.body.registrationId}/ticket`).set(auth(waiting));
+        assert.equal(refused.body.code, 'not_confirmed');
+
+        const roster = await request(app).get(`/check-in/events/${eventRef.id}`).set(auth(staff));
+        assert.deepEqual(roster.body.registrations.map(r => r.id), [registered.body.registrationId]);
+
+        const checkedIn = await request(app).post(`/check-in/events/${eventRef.id}`).set(auth(staff)).send({ ticket: issued.body.ticket });
+        assert.equal(checkedIn.status, 200, checkedIn.body.error);
+        const notPlaced = await request(app).post(`/check-in/events/${eventRef.id}`).set(auth(staff))
+            .send({ registrationId: waitlisted.body.registrationId });
+        assert.equal(notPlaced.body.code, 'not_confirmed');
+    });
+
+    it('lets core members with the events permission check in only from a verified email', async () => {
+        const { doorStaff, impostor } = members;
+        const member = await createTestUser();
+        const eventRef = db.collection('events').doc();
+        await eventRef.set({ title: 'Hack Night' });
+        const registrationRef = db.collection('eventRegistrations').doc();
+        await registrationRef.set({ eventId: eventRef.id, userId: member.uid, userName: 'Asha', status: 'confirmed' });
+
+        const roster = await request(app).get(`/check-in/events/${eventRef.id}`).set(auth(impostor));
+        assert.equal(roster.status, 403);
+        const refused = await request(app).post(`/check-in/events/${eventRef.id}`).set(auth(impostor))
+            .send({ registrationId: registrationRef.id });
+        assert.equal(refused.status, 403);
+        assert.equal((await registrationRef.get()).data().attendedAt, undefined);
+
+        const checkedIn = await request(app).post(`/check-in/events/${eventRef.id}`).set(auth(doorStaff))
+            .send({ registrationId: registrationRef.id });
+        assert.equal(checkedIn.status, 200, checkedIn.body.error);
+    });
+});
@@ -0,0 +1,138 @@
+// Secret for the /jobs endpoint. Set before the app loads; each test file runs in its own process.
+process.env.CRON_SECRET = 'test_cron_secret';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { useTestApp } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const context = useTestApp();
+let app;
+let admin;
+let db;
+let sweepExpiredMemberships;
+let GRACE_PERIOD_DAYS;
+
+before(() => {
+    ({ app, admin, db } = context);
+    ({ sweepExpiredMemberships, GRACE_PERIOD_DAYS } = require('../services/expirySweeper'));
+});
+
+const setMember = (uid, { status, expiresAt, role = 'EXECUTIVE MEMBER' }) => db.collection('users').doc(uid).set({
+    email: `${uid}@example.com`,
+    role,
+    membership: {
+        status,
+        type: 'one-year',
+        expiresAt: admin.firestore.Timestamp.fromDate(expiresAt)
+    }
+});
+
+const getUserData = async (uid) => (await db.collection('users').doc(uid).get()).data();
+
+const getAudit = async () => {
+    const snapshot = await db.collection('membershipAudit').get();
+    return snapshot.docs.map(doc => doc.data());
+};
+
+describe('sweepExpiredMemberships', () => {
+    const now = new Date('2026-06-15T00:00:00Z');
+
+    it('moves a lapsed active membership into grace and keeps the role', async () => {
+        await setMember('lapsed', { status: 'active', expiresAt: new Date(now.getTime() - DAY_MS) });
+        await setMember('running', { status: 'active', expiresAt: new Date(now.getTime() + DAY_MS) });
+
+        const result = await sweepExpiredMemberships({ now, trigger: 'test' });
+        assert.equal(result.scanned, 2);
+        assert.deepEqual(result.transitions.map(t => [t.userId, t.from, t.to]), [['lapsed', 'active', 'grace']]);
+
+        const lapsed = await getUserData('lapsed');
+        assert.equal(lapsed.membership.status, 'grace');
+        assert.equal(lapsed.role, 'EXECUTIVE MEMBER');
+        assert.equal((await getUserData('running')).membership.status, 'active');
+    });
+
+    it('expires a membership once the grace period is over and downgrades the role', async () => {
+        const graceEnded = new Date(now.getTime() - (GRACE_PERIOD_DAYS * DAY_MS) - 1);
+        const graceRunning = new Date(now.getTime() - (GRACE_PERIOD_DAYS * DAY_MS) + 1);
+        await setMember('ended', { status: 'grace', expiresAt: graceEnded });
+        await setMember('waiting', { status: 'grace', expiresAt: graceRunning });
+        // Skipped grace entirely because no sweep ran in time
+        await setMember('skipped', { status: 'active', expiresAt: graceEnded, role: 'member' });
+
+        const result = await sweepExpiredMemberships({ now, trigger: 'test' });
+        const byUser = Object.fromEntries(result.transitions.map(t => [t.userId, t]));
+        assert.deepEqual(Object.keys(byUser).sort(), ['ended', 'skipped']);
+        assert.deepEqual(byUser.ended.role, { from: 'EXECUTIVE MEMBER', to: 'member' });
+        assert.equal(byUser.skipped.role, null);
+
+        const ended = await getUserData('ended');
+        assert.equal(ended.membership.status, 'expired');
+        assert.equal(ended.role, 'member');
+        assert.equal((await getUserData('skipped')).membership.status, 'expired');
+        assert.equal((await getUserData('waiting')).membership.status, 'grace');
+    });
+
+    it('records each transition in membershipAudit', async () => {
+        const expiresAt = new Date(now.getTime() - (GRACE_PERIOD_DAYS + 1) * DAY_MS);
+        await setMember('ended', { status: 'grace', expiresAt });
+
+        await sweepExpiredMemberships({ now, trigger: 'test' });
+        const [entry, ...rest] = await getAudit();
+        assert.equal(rest.length, 0);
+        assert.equal(entry.userId, 'ended');
+        assert.equal(entry.from, 'grace');
+        assert.equal(entry.to, 'expired');
+        assert.equal(entry.trigger, 'test');
+        assert.equal(entry.expiresAt.toMillis(), expiresAt.getTime());
+        assert.deepEqual(entry.role, { from: 'EXECUTIVE MEMBER', to: 'member' });
+
+        // Nothing left to move, so a second sweep adds no entries
+        const again = await sweepExpiredMemberships({ now, trigger: 'test' });
+        assert.equal(again.transitions.length, 0);
+        assert.equal((await getAudit()).length, 1);
+    });
+
+    it('reports transitions without writing them on a dry run', async () => {
+        await setMember('lapsed', { status: 'active', expiresAt: new Date(now.getTime() - DAY_MS) });
+        await setMember('ended', { status: 'grace', expiresAt: new Date(now.getTime() - (GRACE_PERIOD_DAYS + 1) * DAY_MS) });
+
+        const result = await sweepExpiredMemberships({ now, dryRun: true, trigger: 'test' });
+        assert.equal(result.transitions.length, 2);
+
+        assert.equal((await getUserData('lapsed')).membership.status, 'active');
+        const ended = await getUserData('ended');
+        assert.equal(ended.membership.status, 'grace');
+        assert.equal(ended.role, 'EXECUTIVE MEMBER');
+        assert.equal((await getAudit()).length, 0);
+    });
+});
+
+describe('/jobs/expire-memberships', () => {
+    it('requires the cron secret', async () => {
+        const res = await request(app).post('/jobs/expire-memberships');
+        assert.equal(res.status, 401);
+    });
+
+    it('sweeps with the current time and supports dryRun', async () => {
+        await setMember('lapsed', { status: 'active', expiresAt: new Date(Date.now() - DAY_MS) });
+
+        const dry = await request(app)
+            .post('/jobs/expire-memberships?dryRun=true')
+            .set('Authorization', `Bearer ${process.env.CRON_SECRET}`);
+        assert.equal(dry.status, 200);
+        assert.equal(dry.body.dryRun, true);
+        assert.equal(dry.body.transitions.length, 1);
+        assert.equal((await getUserData('lapsed')).membership.status, 'active');
+
+        const res = await request(app)
+            .get('/jobs/expire-memberships')
+            .set('Authorization', `Bearer ${process.env.CRON_SECRET}`);
+        assert.equal(res.status, 200);
+        assert.equal((await getUserData('lapsed')).membership.status, 'grace');
+        const [entry] = await getAudit();
+        assert.equal(entry.trigger, 'http');
+    });
+});
@@ -0,0 +1,269 @@
+// Shared setup for the integration tests.
+// They run against the Firestore and Auth emulators and the mock Razorpay
+// server, never against live services: npm run test:emulator
+
+const crypto = require('crypto');
+const assert = require('node:assert/strict');
+const { before, after, beforeEach } = require('node:test');
+const request = require('supertest');
+const { createMockRazorpay } = require('../mock/razorpayServer');
+
+const TEST_KEYS = {
+    RAZORPAY_KEY_ID: 'rzp_test_mock',
+    RAZORPAY_KEY_SECRET: 'test_key_secret',
+    WEBHOOK_SECRET: 'test_webhook_secret',
+    TICKET_SIGNING_SECRET: 'test_ticket_secret'
+};
+
+if (!process.env.FIRESTORE_EMULATOR_HOST || !process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+    throw new Error(
+        'Integration tests need the Firestore and Auth emulators. ' +
+        'Run them with `npm run test:emulator`, or set FIRESTORE_EMULATOR_HOST and FIREBASE_AUTH_EMULATOR_HOST.'
+    );
+}
+
+// Set before the app loads so dotenv can't pull in real keys from .env
+Object.assign(process.env, TEST_KEYS);
+// Every test request comes from localhost, so only the per-user limits are exercised
+process.env.RATE_LIMIT_ORDERS_PER_IP = '10000';
+process.env.RATE_LIMIT_VERIFICATIONS_PER_IP = '10000';
+process.env.FIREBASE_PROJECT_ID = process.env.GCLOUD_PROJECT || process.env.FIREBASE_PROJECT_ID || 'demo-csi-nmamit';
+
+const projectId = process.env.FIREBASE_PROJECT_ID;
+
+/**
+ * Start the mock Razorpay server on a free port and route the SDK to it.
+ * Webhooks are not delivered: tests post them to the app themselves.
+ * @returns {Promise<{mock: Object, close: Function}>}
+ */
+const startMockRazorpay = () => new Promise((resolve) => {
+    const mock = createMockRazorpay({
+        keyId: TEST_KEYS.RAZORPAY_KEY_ID,
+        keySecret: TEST_KEYS.RAZORPAY_KEY_SECRET,
+        webhookSecret: TEST_KEYS.WEBHOOK_SECRET
+    });
+    const server = mock.app.listen(0, () => {
+        process.env.RAZORPAY_API_URL = `http://localhost:${server.address().port}`;
+        resolve({ mock, close: () => new Promise(done => server.close(done)) });
+    });
+});
+
+const authEmulatorUrl = (path) =>
+    `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/identitytoolkit.googleapis.com/v1/${path}?key=fake-api-key`;
+
+const callAuthEmulator = async (path, body, headers = {}) => {
+    const response = await fetch(authEmulatorUrl(path), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(`Auth emulator ${path} failed: ${JSON.stringify(data)}`);
+    }
+    return data;
+};
+
+/**
+ * Create an Auth emulator user and sign them in
+ * @param {string} [email]
+ * @param {Object} [options]
+ * @param {boolean} [options.emailVerified] - Mark the email verified before signing in
+ * @returns {Promise<{uid: string, idToken: string, email: string}>}
+ */
+const createTestUser = async (email = `student-${crypto.randomUUID()}@example.com`, { emailVerified = false } = {}) => {
+    const credentials = { email, password: 'password123', returnSecureToken: true };
+    const account = await callAuthEmulator('accounts:signUp', credentials);
+    if (!emailVerified) {
+        return { uid: account.localId, idToken: account.idToken, email };
+    }
+
+    // "owner" is the emulator's admin credential; sign in again for a token carrying the claim
+    await callAuthEmulator('accounts:update', { localId: account.localId, emailVerified: true }, { Authorization: 'Bearer owner' });
+    const session = await callAuthEmulator('accounts:signInWithPassword', credentials);
+    return { uid: session.localId, idToken: session.idToken, email };
+};
+
+/**
+ * Delete every document in the Firestore emulator
+ */
+const clearFirestore = async () => {
+    const response = await fetch(
+        `http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${projectId}/databases/(default)/documents`,
+        { method: 'DELETE' }
+    );
+    if (!response.ok) {
+        throw new Error(`Could not clear the Firestore emulator: ${response.status}`);
+    }
+};
+
+/**
+ * Register the hooks every test file needs: the mock Razorpay server and
+ * the app before the file runs, and an empty Firestore with the default
+ * plan catalogue before each test.
+ * @returns {{app: Object, admin: Object, db: Object, mockRazorpay: Object}} Filled in once the file's `before` hooks have run
+ */
+const useTestApp = () => {
+    const context = {};
+    let closeMock;
+    let loadCatalogue;
+
+    before(async () => {
+        ({ mock: context.mockRazorpay, close: closeMock } = await startMockRazorpay());
+        context.app = require('../app');
+        ({ admin: context.admin, db: context.db } = require('../config/firebase'));
+        ({ loadCatalogue } = require('../services/planService'));
+    });
+
+    after(async () => {
+        await closeMock();
+        await context.admin.app().delete();
+    });
+
+    beforeEach(async () => {
+        await clearFirestore();
+        await loadCatalogue({ fresh: true });
+        context.mockRazorpay.reset();
+    });
+
+    return context;
+};
+
+const auth = (user) => ({ Authorization: `Bearer ${user.idToken}` });
+
+/**
+ * A verified admin, as requireAdmin expects: admins/{uid} with role admin
+ * @param {Object} db
+ * @param {Object} [user] - Existing test user to promote; a new one by default
+ * @returns {Promise<{uid: string, idToken: string, email: string}>}
+ */
+const createTestAdmin = async (db, user) => {
+    const adminUser = user || await createTestUser();
+    await db.collection('admins').doc(adminUser.uid).set({ role: 'admin', verified: true });
+    return adminUser;
+};
+
+/**
+ * Register core members (CORE_MEMBERS_DATA) and sign each of them in.
+ * Call after useTestApp() at the top of the file: the variable is read once
+ * when the app loads, and admin records must be written after Firestore is
+ * cleared before each test.
+ *
+ * @param {Object<string, {permissions: string[], admin?: boolean, emailVerified?: boolean}>} members
+ *   By name; `admin` also makes them a verified admin, `emailVerified` defaults to true
+ * @returns {Object<string, {uid: string, idToken: string, email: string}>} Filled in once the file's `before` hooks have run
+ */
+const useCoreMembers = (members) => {
+    const users = {};
+    const emails = Object.fromEntries(Object.keys(members).map(name => [
+        name,
+        `${name.toLowerCase()}-${crypto.randomUUID()}@example.com`
+    ]));
+
+    process.env.CORE_MEMBERS_DATA = Buffer.from(JSON.stringify(Object.fromEntries(
+        Object.entries(members).map(([name, { permissions }]) => [
+            emails[name],
+            { name, role: 'Core Member', permissions, level: 2 }
+        ])
+    ))).toString('base64');
+
+    before(async () => {
+        for (const [name, { emailVerified = true }] of Object.entries(members)) {
+            users[name] = await createTestUser(emails[name], { emailVerified });
+        }
+    });
+
+    beforeEach(async () => {
+        const { db } = require('../config/firebase');
+        for (const [name, { admin }] of Object.entries(members)) {
+            if (admin) await createTestAdmin(db, users[name]);
+        }
+    });
+
+    return users;
+};
+
+/**
+ * Create an order for a plan and settle it in the mock checkout
+ * @param {Object} context - From useTestApp()
+ * @param {Object} user - Test user placing the order
+ * @param {Object} [options]
+ * @param {string} [options.planId]
+ * @param {string} [options.outcome] - 'success' or 'failure'
+ * @returns {Promise<Object>} Signed checkout handler payload, as the browser gets it
+ */
+const payForPlan = async ({ app, mockRazorpay }, user, { planId = 'one-year', outcome = 'success' } = {}) => {
+    const order = await request(app).post('/create-order').set(auth(user)).send({ planId });
+    assert.equal(order.status, 200, order.body.error);
+
+    const checkout = await request(mockRazorpay.app)
+        .post(`/mock/checkout/${order.body.orderId}`)
+        .send({ outcome });
+    return outcome === 'success'
+        ? checkout.body.response
+        : signCheckout(order.body.orderId, checkout.body.error.metadata.payment_id);
+};
+
+/**
+ * Pay for a plan and activate it through /verify-payment
+ * @returns {Promise<Object>} The payments record, with its paymentId
+ */
+const activatePlan = async (context, user, options) => {
+    const payload = await payForPlan(context, user, options);
+    const verified = await request(context.app).post('/verify-payment').set(auth(user)).send(payload);
+    assert.equal(verified.status, 200, verified.body.error);
+
+    const paymentId = payload.razorpay_payment_id;
+    return { paymentId, ...(await context.db.collection('payments').doc(paymentId).get()).data() };
+};
+
+/**
+ * Signed checkout handler payload, as Razorpay returns it to the browser
+ */
+const signCheckout = (orderId, paymentId, secret = TEST_KEYS.RAZORPAY_KEY_SECRET) => ({
+    razorpay_order_id: orderId,
+    razorpay_payment_id: paymentId,
+    razorpay_signature: crypto.createHmac('sha256', secret).update(`${orderId}|${paymentId}`).digest('hex')
+});
+
+/**
+ * Webhook body and headers for a payment event, signed like Razorpay's
+ * @returns {{body: string, headers: Object}}
+ */
+const signWebhook = (event, entities, { eventId = `evt_${crypto.randomUUID()}`, secret = TEST_KEYS.WEBHOOK_SECRET } = {}) => {
+    const payload = {};
+    for (const [name, entity] of Object.entries(entities)) {
+        payload[name] = { entity };
+    }
+    const body = JSON.stringify({
+        entity: 'event',
+        event,
+        contains: Object.keys(entities),
+        payload,
+        created_at: Math.floor(Date.now() / 1000)
+    });
+
+    return {
+        body,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Razorpay-Signature': crypto.createHmac('sha256', secret).update(body).digest('hex'),
+            'X-Razorpay-Event-Id': eventId
+        }
+    };
+};
+
+module.exports = {
+    TEST_KEYS,
+    activatePlan,
+    auth,
+    clearFirestore,
+    createTestAdmin,
+    createTestUser,
+    payForPlan,
+    signCheckout,
+    signWebhook,
+    startMockRazorpay,
+    useCoreMembers,
+    useTestApp
+};
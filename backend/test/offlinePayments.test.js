@@ -0,0 +1,170 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { auth, createTestUser, useCoreMembers, useTestApp } = require('./helpers');
+const { DEFAULT_MEMBERSHIP_PLANS } = require('../config/membershipPlans');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const context = useTestApp();
+// One finance admin records a payment, the other approves it; the impostor
+// signed up under a core member's email without verifying it
+const members = useCoreMembers({
+    recorder: { permissions: ['finance'], admin: true },
+    approver: { permissions: ['finance'], admin: true },
+    impostor: { permissions: ['finance'], emailVerified: false }
+});
+let app;
+let admin;
+let db;
+
+before(() => {
+    ({ app, admin, db } = context);
+});
+
+const oneYear = DEFAULT_MEMBERSHIP_PLANS.find(p => p.id === 'one-year');
+const PRICE = oneYear.basePrice + oneYear.platformFee;
+
+// A student with a profile, as recordOfflinePayment looks them up by email
+const createStudent = async (membership) => {
+    const user = await createTestUser();
+    await db.collection('users').doc(user.uid).set({
+        email: user.email,
+        name: 'Cash Payer',
+        ...(membership && { membership })
+    });
+    return user;
+};
+
+const recordPayment = (user, student, fields = {}) => request(app)
+    .post('/admin/offline-payments')
+    .set(auth(user))
+    .send({
+        payerEmail: student.email,
+        planId: 'one-year',
+        amount: PRICE,
+        method: 'cash',
+        reference: 'Receipt book 12/34',
+        ...fields
+    });
+
+const approvePayment = (user, id) => request(app)
+    .post(`/admin/offline-payments/${id}/approve`)
+    .set(auth(user))
+    .send();
+
+describe('offline payments', () => {
+    it('ignores the finance permission on an unverified email', async () => {
+        const { recorder, impostor } = members;
+        const student = await createStudent();
+
+        const res = await recordPayment(impostor, student);
+        assert.equal(res.status, 403);
+        assert.equal((await db.collection('offlinePayments').get()).size, 0);
+
+        // Even as a verified admin, approving still needs the verified permission
+        const recorded = await recordPayment(recorder, student);
+        await db.collection('admins').doc(impostor.uid).set({ role: 'admin', verified: true });
+        const approval = await approvePayment(impostor, recorded.body.id);
+        assert.equal(approval.status, 403);
+        assert.equal(approval.body.error, "Missing 'finance' permission");
+    });
+
+    it('needs a different finance admin to approve', async () => {
+        const { recorder } = members;
+        const student = await createStudent();
+
+        const recorded = await recordPayment(recorder, student);
+        assert.equal(recorded.status, 200, recorded.body.error);
+        assert.equal(recorded.body.userId, student.uid);
+
+        const res = await approvePayment(recorder, recorded.body.id);
+        assert.equal(res.status, 403);
+        assert.equal(res.body.error, 'A different admin must approve this payment');
+
+        const record = (await db.collection('offlinePayments').doc(recorded.body.id).get()).data();
+        assert.equal(record.status, 'pending_approval');
+        assert.equal((await db.collection('payments').doc(`offline_${recorded.body.id}`).get()).exists, false);
+    });
+
+    it('writes an offline payment record and activates the membership on approval', async () => {
+        const { recorder, approver } = members;
+        const student = await createStudent();
+        const recorded = await recordPayment(recorder, student);
+        assert.equal(recorded.status, 200, recorded.body.error);
+
+        const res = await approvePayment(approver, recorded.body.id);
+        assert.equal(res.status, 200, res.body.error);
+        assert.equal(res.body.paymentId, `offline_${recorded.body.id}`);
+
+        const payment = (await db.collection('payments').doc(res.body.paymentId).get()).data();
+        assert.equal(payment.paymentMethod, 'offline');
+        assert.equal(payment.status, 'success');
+        assert.equal(payment.amount, PRICE);
+        assert.equal(payment.offlineMethod, 'cash');
+        assert.equal(payment.recordedBy.uid, recorder.uid);
+        assert.equal(payment.approvedBy.uid, approver.uid);
+
+        const user = (await db.collection('users').doc(student.uid).get()).data();
+        assert.equal(user.membership.status, 'active');
+        assert.equal(user.membership.type, 'one-year');
+        assert.equal(user.membership.expiresAt.toMillis(), payment.expiresAt.toMillis());
+
+        const record = (await db.collection('offlinePayments').doc(recorded.body.id).get()).data();
+        assert.equal(record.status, 'approved');
+        assert.equal(record.paymentId, res.body.paymentId);
+    });
+
+    it('refuses to approve the same payment twice', async () => {
+        const { recorder, approver } = members;
+        const student = await createStudent();
+        const recorded = await recordPayment(recorder, student);
+
+        assert.equal((await approvePayment(approver, recorded.body.id)).status, 200);
+        const { membership } = (await db.collection('users').doc(student.uid).get()).data();
+
+        const res = await approvePayment(approver, recorded.body.id);
+        assert.equal(res.status, 409);
+        assert.equal(res.body.error, 'Offline payment is already approved');
+
+        // The term was granted once
+        const user = (await db.collection('users').doc(student.uid).get()).data();
+        assert.equal(user.membership.expiresAt.toMillis(), membership.expiresAt.toMillis());
+    });
+
+    it('requires a note when the amount differs from the plan price', async () => {
+        const { recorder } = members;
+        const student = await createStudent();
+
+        const res = await recordPayment(recorder, student, { amount: PRICE - 50 });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, `Amount differs from the plan price of ₹${PRICE}; add a note explaining why`);
+
+        const noted = await recordPayment(recorder, student, { amount: PRICE - 50, note: 'Sibling discount' });
+        assert.equal(noted.status, 200, noted.body.error);
+        const record = (await db.collection('offlinePayments').doc(noted.body.id).get()).data();
+        assert.equal(record.amount, PRICE - 50);
+        assert.equal(record.note, 'Sibling discount');
+    });
+
+    it('refuses approval once the member has renewed some other way', async () => {
+        const { recorder, approver } = members;
+        const student = await createStudent();
+        const recorded = await recordPayment(recorder, student);
+        assert.equal(recorded.status, 200, recorded.body.error);
+
+        // Paid online while the cash payment waited for approval
+        await db.collection('users').doc(student.uid).update({
+            membership: {
+                status: 'active',
+                type: 'one-year',
+                expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + 360 * DAY_MS)
+            }
+        });
+
+        const res = await approvePayment(approver, recorded.body.id);
+        assert.equal(res.status, 409);
+        assert.match(res.body.error, /renewal opens/);
+        assert.equal((await db.collection('payments').doc(`offline_${recorded.body.id}`).get()).exists, false);
+    });
+});
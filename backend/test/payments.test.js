@@ -0,0 +1,408 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const {
+    auth,
+    createTestUser,
+    payForPlan,
+    signCheckout,
+    signWebhook,
+    useTestApp
+} = require('./helpers');
+const { DEFAULT_MEMBERSHIP_PLANS } = require('../config/membershipPlans');
+// Loaded after ./helpers, which raises the per-IP limits
+const { RATE_LIMITS } = require('../config/rateLimits');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const context = useTestApp();
+let app;
+let admin;
+let db;
+let mockRazorpay;
+let loadCatalogue;
+
+before(() => {
+    ({ app, admin, db, mockRazorpay } = context);
+    ({ loadCatalogue } = require('../services/planService'));
+});
+
+const createOrder = (user, body) => request(app)
+    .post('/create-order')
+    .set(auth(user))
+    .send(body);
+
+const verifyPayment = (user, payload) => request(app)
+    .post('/verify-payment')
+    .set(auth(user))
+    .send(payload);
+
+const getUserData = async (uid) => {
+    const doc = await db.collection('users').doc(uid).get();
+    return doc.exists ? doc.data() : null;
+};
+
+const setMembership = (user, expiresAt, status = 'active') => db.collection('users').doc(user.uid).set({
+    email: user.email,
+    membership: {
+        status,
+        type: 'one-year',
+        expiresAt: admin.firestore.Timestamp.fromDate(expiresAt)
+    }
+});
+
+// The expiry rule restated independently of membershipService:
+// a new term runs from yesterday, a renewal stacks on the running expiry
+const addMonths = (date, months) => {
+    const result = new Date(date);
+    result.setMonth(result.getMonth() + months);
+    return result;
+};
+
+const yesterdayOf = (time) => {
+    const date = new Date(time);
+    date.setDate(date.getDate() - 1);
+    return date;
+};
+
+describe('POST /create-order', () => {
+    it('requires a Firebase ID token', async () => {
+        const res = await request(app).post('/create-order').send({ planId: 'one-year' });
+        assert.equal(res.status, 401);
+
+        const forged = await request(app)
+            .post('/create-order')
+            .set('Authorization', 'Bearer not-a-token')
+            .send({ planId: 'one-year' });
+        assert.equal(forged.status, 401);
+    });
+
+    it('rejects unknown and missing plans', async () => {
+        const user = await createTestUser();
+
+        for (const body of [{ planId: 'lifetime' }, {}, { planId: '' }]) {
+            const res = await createOrder(user, body);
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Invalid plan selected');
+        }
+        assert.equal(mockRazorpay.state.orders.size, 0);
+    });
+
+    it('rejects retired plans', async () => {
+        const user = await createTestUser();
+        const [plan] = DEFAULT_MEMBERSHIP_PLANS;
+        const { id, ...data } = plan;
+        await db.collection('membershipPlans').doc(id).set({ ...data, retired: true });
+        await loadCatalogue({ fresh: true });
+
+        const res = await createOrder(user, { planId: id });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'Invalid plan selected');
+    });
+
+    it('prices the order from the catalogue and ties it to the token user', async () => {
+        const user = await createTestUser();
+        const plan = DEFAULT_MEMBERSHIP_PLANS.find(p => p.id === 'two-year');
+
+        const res = await createOrder(user, { planId: plan.id, userId: 'someone-else', amount: 1 });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.amount, (plan.basePrice + plan.platformFee) * 100);
+
+        const order = mockRazorpay.state.orders.get(res.body.orderId);
+        assert.equal(order.notes.userId, user.uid);
+        assert.equal(order.notes.planId, plan.id);
+    });
+
+    it('rejects members whose renewal window has not opened', async () => {
+        const user = await createTestUser();
+        await setMembership(user, new Date(Date.now() + 200 * DAY_MS));
+
+        const res = await createOrder(user, { planId: 'one-year' });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'User already has an active subscription');
+        assert.ok(res.body.renewalOpensAt);
+        assert.equal(mockRazorpay.state.orders.size, 0);
+    });
+
+    it('lets members renew inside the window and lapsed members buy again', async () => {
+        const renewing = await createTestUser();
+        await setMembership(renewing, new Date(Date.now() + 10 * DAY_MS));
+        assert.equal((await createOrder(renewing, { planId: 'one-year' })).status, 200);
+
+        const lapsed = await createTestUser();
+        await setMembership(lapsed, new Date(Date.now() - 3 * DAY_MS), 'grace');
+        assert.equal((await createOrder(lapsed, { planId: 'one-year' })).status, 200);
+    });
+
+    it('limits how many orders one user can create', async () => {
+        const user = await createTestUser();
+
+        for (let i = 0; i < RATE_LIMITS.createOrder.perUser; i++) {
+            assert.equal((await createOrder(user, { planId: 'one-year' })).status, 200);
+        }
+
+        const limited = await createOrder(user, { planId: 'one-year' });
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers['retry-after']) > 0);
+        assert.equal(limited.body.retryAfter, Number(limited.headers['retry-after']));
+
+        // Another user is unaffected
+        assert.equal((await createOrder(await createTestUser(), { planId: 'one-year' })).status, 200);
+    });
+});
+
+describe('POST /verify-payment', () => {
+    it('activates the membership for a correctly signed captured payment', async () => {
+        const user = await createTestUser();
+        const payload = await payForPlan(context, user);
+
+        const res = await verifyPayment(user, payload);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.verified, true);
+        assert.equal(res.body.activated, true);
+        assert.equal(res.body.planId, 'one-year');
+
+        const userData = await getUserData(user.uid);
+        assert.equal(userData.membership.status, 'active');
+        assert.equal(userData.membership.type, 'one-year');
+        assert.equal(userData.membership.paymentId, payload.razorpay_payment_id);
+        assert.equal(userData.role, 'EXECUTIVE MEMBER');
+
+        const payment = await db.collection('payments').doc(payload.razorpay_payment_id).get();
+        assert.equal(payment.data().status, 'success');
+        assert.equal(payment.data().amount, 358);
+    });
+
+    it('rejects a tampered signature without activating', async () => {
+        const user = await createTestUser();
+        const payload = await payForPlan(context, user);
+        const last = payload.razorpay_signature.slice(-1);
+        const tampered = payload.razorpay_signature.slice(0, -1) + (last === '0' ? '1' : '0');
+
+        const res = await verifyPayment(user, { ...payload, razorpay_signature: tampered });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.verified, false);
+        assert.equal(await getUserData(user.uid), null);
+    });
+
+    it('rejects signatures made with another secret or for another payment', async () => {
+        const user = await createTestUser();
+        const payload = await payForPlan(context, user);
+
+        const wrongSecret = signCheckout(payload.razorpay_order_id, payload.razorpay_payment_id, 'not-the-secret');
+        assert.equal((await verifyPayment(user, wrongSecret)).status, 400);
+
+        const swapped = { ...payload, razorpay_payment_id: 'pay_SomeOtherPayment' };
+        assert.equal((await verifyPayment(user, swapped)).status, 400);
+
+        assert.equal((await verifyPayment(user, {})).status, 400);
+        assert.equal(await getUserData(user.uid), null);
+    });
+
+    it('refuses to activate another user\'s order', async () => {
+        const payer = await createTestUser();
+        const other = await createTestUser();
+        const payload = await payForPlan(context, payer);
+
+        const res = await verifyPayment(other, payload);
+        assert.equal(res.status, 403);
+        assert.equal(await getUserData(other.uid), null);
+    });
+
+    it('verifies but does not activate a payment that was not captured', async () => {
+        const user = await createTestUser();
+        const payload = await payForPlan(context, user, { outcome: 'failure' });
+
+        const res = await verifyPayment(user, payload);
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, { verified: true, activated: false });
+        assert.equal(await getUserData(user.uid), null);
+    });
+
+    it('activates each payment only once', async () => {
+        const user = await createTestUser();
+        const payload = await payForPlan(context, user);
+
+        const first = await verifyPayment(user, payload);
+        const second = await verifyPayment(user, payload);
+        assert.equal(second.status, 200);
+        assert.equal(second.body.expiresAt, first.body.expiresAt);
+
+        const userData = await getUserData(user.uid);
+        assert.equal(userData.membershipHistory.length, 1);
+    });
+});
+
+describe('POST /webhook', () => {
+    // Pay without verifying, so only the webhook can activate
+    const capturedPayment = async (user) => {
+        const { razorpay_payment_id: paymentId } = await payForPlan(context, user);
+        return mockRazorpay.state.payments.get(paymentId);
+    };
+
+    const postWebhook = ({ body, headers }) => request(app)
+        .post('/webhook')
+        .set(headers)
+        .send(body);
+
+    it('activates the membership from a signed payment.captured event', async () => {
+        const user = await createTestUser();
+        const payment = await capturedPayment(user);
+
+        const res = await postWebhook(signWebhook('payment.captured', { payment }));
+        assert.equal(res.status, 200);
+        assert.equal((await getUserData(user.uid)).membership.status, 'active');
+    });
+
+    it('rejects a body altered after signing', async () => {
+        const user = await createTestUser();
+        const payment = await capturedPayment(user);
+        const signed = signWebhook('payment.captured', { payment });
+
+        const body = JSON.parse(signed.body);
+        body.payload.payment.entity.amount = 100;
+
+        const res = await postWebhook({ body: JSON.stringify(body), headers: signed.headers });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'Invalid signature');
+        assert.equal(await getUserData(user.uid), null);
+    });
+
+    it('rejects missing signatures and signatures made with another secret', async () => {
+        const user = await createTestUser();
+        const payment = await capturedPayment(user);
+
+        const unsigned = signWebhook('payment.captured', { payment });
+        delete unsigned.headers['X-Razorpay-Signature'];
+        const missing = await postWebhook(unsigned);
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.error, 'Missing signature');
+
+        const forged = await postWebhook(signWebhook('payment.captured', { payment }, { secret: 'not-the-secret' }));
+        assert.equal(forged.status, 400);
+
+        assert.equal(await getUserData(user.uid), null);
+    });
+
+    it('acknowledges a replayed event without processing it again', async () => {
+        const user = await createTestUser();
+        const payment = await capturedPayment(user);
+        const signed = signWebhook('payment.captured', { payment });
+
+        assert.equal((await postWebhook(signed)).status, 200);
+        const replay = await postWebhook(signed);
+        assert.equal(replay.status, 200);
+        assert.equal(replay.body.duplicate, true);
+        assert.equal((await getUserData(user.uid)).membershipHistory.length, 1);
+    });
+});
+
+describe('membership expiresAt', () => {
+    const activate = async (user, planId) => {
+        const payload = await payForPlan(context, user, { planId });
+        const res = await verifyPayment(user, payload);
+        assert.equal(res.status, 200, res.body.error);
+        return (await getUserData(user.uid)).membership.expiresAt.toDate();
+    };
+
+    for (const plan of DEFAULT_MEMBERSHIP_PLANS) {
+        it(`runs ${plan.durationMonths} months from yesterday for a new ${plan.id} member`, async () => {
+            const user = await createTestUser();
+
+            const startedAt = Date.now();
+            const expiresAt = await activate(user, plan.id);
+            const finishedAt = Date.now();
+
+            assert.ok(expiresAt >= addMonths(yesterdayOf(startedAt), plan.durationMonths));
+            assert.ok(expiresAt <= addMonths(yesterdayOf(finishedAt), plan.durationMonths));
+        });
+    }
+
+    it('stacks an early renewal on the running expiry', async () => {
+        const user = await createTestUser();
+        const currentExpiry = new Date(Date.now() + 10 * DAY_MS);
+        await setMembership(user, currentExpiry);
+
+        const expiresAt = await activate(user, 'one-year');
+        assert.equal(expiresAt.getTime(), addMonths(currentExpiry, 12).getTime());
+    });
+
+    it('starts a lapsed membership over from yesterday', async () => {
+        const user = await createTestUser();
+        await setMembership(user, new Date(Date.now() - 30 * DAY_MS), 'expired');
+
+        const startedAt = Date.now();
+        const expiresAt = await activate(user, 'two-year');
+        const finishedAt = Date.now();
+
+        assert.ok(expiresAt >= addMonths(yesterdayOf(startedAt), 24));
+        assert.ok(expiresAt <= addMonths(yesterdayOf(finishedAt), 24));
+    });
+});
+
+describe('GET /membership/me', () => {
+    const getMembership = (user) => request(app).get('/membership/me').set(auth(user));
+
+    it('returns the activated membership with its payment', async () => {
+        const user = await createTestUser();
+        const payload = await payForPlan(context, user);
+        await verifyPayment(user, payload);
+
+        const res = await getMembership(user);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'active');
+        assert.equal(res.body.plan.id, 'one-year');
+        assert.ok(res.body.daysRemaining > 300);
+        assert.equal(res.body.renewal.canPurchase, false);
+        assert.equal(res.body.payments.length, 1);
+        assert.equal(res.body.payments[0].paymentId, payload.razorpay_payment_id);
+    });
+
+    it('reports a lapsed membership as grace before the nightly sweep runs', async () => {
+        const user = await createTestUser();
+        await setMembership(user, new Date(Date.now() - DAY_MS));
+
+        const res = await getMembership(user);
+        assert.equal(res.body.status, 'grace');
+        assert.equal(res.body.daysRemaining, 0);
+        assert.equal(res.body.renewal.canPurchase, true);
+    });
+
+    it('reads and migrates legacy planId / expiryDate records', async () => {
+        const { migrateLegacyMembershipFields } = require('../services/membershipStatusService');
+        const user = await createTestUser();
+        const expiryDate = admin.firestore.Timestamp.fromDate(new Date(Date.now() + 100 * DAY_MS));
+        await db.collection('users').doc(user.uid).set({
+            membership: { status: 'active', planId: 'two-year', expiryDate }
+        });
+
+        const before = await getMembership(user);
+        assert.equal(before.body.plan.id, 'two-year');
+        assert.equal(before.body.expiresAt, expiryDate.toDate().toISOString());
+
+        const { migrated } = await migrateLegacyMembershipFields();
+        assert.equal(migrated.length, 1);
+
+        const { membership } = await getUserData(user.uid);
+        assert.equal(membership.type, 'two-year');
+        assert.equal(membership.expiresAt.toMillis(), expiryDate.toMillis());
+        assert.equal(membership.planId, undefined);
+        assert.equal(membership.expiryDate, undefined);
+    });
+});
+
+describe('status endpoints', () => {
+    it('reports readiness without exposing secrets', async () => {
+        assert.equal((await request(app).get('/health')).status, 200);
+
+        const ready = await request(app).get('/ready');
+        assert.equal(ready.status, 200);
+        assert.equal(ready.body.ready, true);
+        assert.equal(ready.body.checks.razorpay.mode, 'test');
+
+        const body = JSON.stringify(ready.body);
+        for (const secret of [process.env.RAZORPAY_KEY_SECRET, process.env.WEBHOOK_SECRET, process.env.RAZORPAY_KEY_ID]) {
+            assert.ok(!body.includes(secret));
+        }
+    });
+});
@@ -0,0 +1,94 @@
+// Registered for GST, so every receipt in this file is a tax invoice.
+// Set before the app loads; each test file runs in its own process.
+process.env.CLUB_GSTIN = '29AAATC1234F1Z5';
+process.env.CLUB_GST_RATE = '18';
+process.env.CLUB_PLACE_OF_SUPPLY = '29-Karnataka';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { auth, createTestUser, useTestApp } = require('./helpers');
+
+const context = useTestApp();
+let app;
+let admin;
+let db;
+
+before(() => {
+    ({ app, admin, db } = context);
+});
+
+describe('receipts', () => {
+    // A captured payment as activation leaves it, paid at the given instant
+    const createPayment = async (user, paidAt, amount = 500) => {
+        const ref = db.collection('payments').doc(`pay_${Math.random().toString(36).slice(2, 12)}`);
+        await ref.set({
+            userId: user.uid,
+            userEmail: user.email,
+            paymentId: ref.id,
+            orderId: `order_${ref.id}`,
+            amount,
+            basePrice: amount - 20,
+            platformFee: 20,
+            currency: 'INR',
+            status: 'success',
+            planId: 'one-year',
+            planName: '1 Year',
+            createdAt: admin.firestore.Timestamp.fromDate(new Date(paidAt))
+        });
+        return ref.id;
+    };
+
+    const downloadReceipt = async (user, paymentId) => {
+        const res = await request(app).get(`/receipts/${paymentId}`).set(auth(user));
+        assert.equal(res.status, 200, res.body.error);
+        assert.equal(res.headers['content-type'], 'application/pdf');
+        return (await db.collection('receipts').doc(paymentId).get()).data();
+    };
+
+    it('numbers receipts in sequence within each financial year', async () => {
+        const user = await createTestUser();
+        const august = await createPayment(user, '2025-08-15T10:00:00Z');
+        const january = await createPayment(user, '2026-01-10T10:00:00Z');
+        // 00:30 on 1 April in IST, so already the next financial year
+        const april = await createPayment(user, '2026-03-31T19:00:00Z');
+
+        assert.equal((await downloadReceipt(user, august)).invoiceNumber, 'CSI/2025-26/0001');
+        assert.equal((await downloadReceipt(user, april)).invoiceNumber, 'CSI/2026-27/0001');
+        assert.equal((await downloadReceipt(user, january)).invoiceNumber, 'CSI/2025-26/0002');
+
+        // Downloading again returns the same receipt without using a number
+        assert.equal((await downloadReceipt(user, august)).invoiceNumber, 'CSI/2025-26/0001');
+        const counter = await db.collection('invoiceCounters').doc('2025-26').get();
+        assert.equal(counter.data().lastSequence, 2);
+    });
+
+    it('splits the GST out of the amount paid', async () => {
+        const user = await createTestUser();
+        const paymentId = await createPayment(user, '2025-08-15T10:00:00Z', 500);
+
+        const { tax } = await downloadReceipt(user, paymentId);
+        assert.deepEqual(tax, {
+            rate: 18,
+            taxableValue: 423.73,
+            cgstRate: 9,
+            cgst: 38.14,
+            sgstRate: 9,
+            sgst: 38.13,
+            igstRate: 0,
+            igst: 0,
+            placeOfSupply: '29-Karnataka',
+            sacCode: '999599'
+        });
+        assert.equal(Math.round((tax.taxableValue + tax.cgst + tax.sgst) * 100), 500 * 100);
+    });
+
+    it('only serves a receipt to the payer or an admin', async () => {
+        const [payer, stranger] = await Promise.all([createTestUser(), createTestUser()]);
+        const paymentId = await createPayment(payer, '2025-08-15T10:00:00Z');
+
+        const res = await request(app).get(`/receipts/${paymentId}`).set(auth(stranger));
+        assert.equal(res.status, 403);
+        assert.equal((await db.collection('receipts').doc(paymentId).get()).exists, false);
+    });
+});
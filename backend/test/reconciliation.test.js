@@ -0,0 +1,123 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const {
+    activatePlan,
+    auth,
+    createTestAdmin,
+    createTestUser,
+    payForPlan,
+    useCoreMembers,
+    useTestApp
+} = require('./helpers');
+
+const context = useTestApp();
+// Reconciliation needs a verified admin who is also a core member with 'finance'
+const members = useCoreMembers({ treasurer: { permissions: ['finance'], admin: true } });
+let app;
+let admin;
+let db;
+let mockRazorpay;
+
+before(() => {
+    ({ app, admin, db, mockRazorpay } = context);
+});
+
+const reconcile = (user, body = {}) => request(app)
+    .post('/admin/reconciliation')
+    .set(auth(user))
+    .send(body);
+
+describe('POST /admin/reconciliation', () => {
+    it('is limited to admins with the finance permission', async () => {
+        const plainAdmin = await createTestAdmin(db);
+
+        const res = await reconcile(plainAdmin);
+        assert.equal(res.status, 403);
+    });
+
+    it('rejects an invalid date range', async () => {
+        const { treasurer } = members;
+
+        for (const body of [{ from: 'yesterday' }, { from: '2026-02-01', to: '2026-01-01' }]) {
+            const res = await reconcile(treasurer, body);
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Invalid date range');
+        }
+    });
+
+    it('reports a clean range when both sides agree', async () => {
+        const { treasurer } = members;
+        await activatePlan(context, await createTestUser());
+
+        const res = await reconcile(treasurer);
+        assert.equal(res.status, 200, res.body.error);
+        assert.equal(res.body.report.gatewayCount, 1);
+        assert.equal(res.body.report.recordCount, 1);
+        assert.equal(res.body.report.issueCount, 0);
+    });
+
+    it('reports missing records, amount mismatches and orphan records', async () => {
+        const { treasurer } = members;
+        const [unrecorded, mismatched] = await Promise.all([createTestUser(), createTestUser()]);
+
+        // Captured by Razorpay, but neither /verify-payment nor the webhook arrived
+        const { razorpay_payment_id: missingId } = await payForPlan(context, unrecorded);
+
+        const { paymentId: mismatchId } = await activatePlan(context, mismatched);
+        await db.collection('payments').doc(mismatchId).update({ amount: 1 });
+
+        // Recorded here, unknown to Razorpay
+        await db.collection('payments').doc('pay_orphan0000001').set({
+            userId: mismatched.uid,
+            orderId: 'order_orphan000001',
+            amount: 500,
+            status: 'success',
+            createdAt: admin.firestore.Timestamp.now()
+        });
+        // Approved cash payments never reach Razorpay and are not orphans
+        await db.collection('payments').doc('offline_cash1').set({
+            userId: mismatched.uid,
+            amount: 500,
+            status: 'success',
+            paymentMethod: 'offline',
+            createdAt: admin.firestore.Timestamp.now()
+        });
+
+        const res = await reconcile(treasurer);
+        assert.equal(res.status, 200, res.body.error);
+        const { report } = res.body;
+
+        assert.deepEqual(report.missingRecords.map(p => p.paymentId), [missingId]);
+        assert.equal(report.missingRecords[0].userId, unrecorded.uid);
+
+        assert.equal(report.amountMismatches.length, 1);
+        assert.equal(report.amountMismatches[0].paymentId, mismatchId);
+        assert.equal(report.amountMismatches[0].recordedAmount, 1);
+        assert.equal(report.amountMismatches[0].amount, mockRazorpay.state.payments.get(mismatchId).amount / 100);
+
+        assert.deepEqual(report.orphanRecords.map(p => p.paymentId), ['pay_orphan0000001']);
+
+        // The unrecorded payment also left its payer without a membership
+        assert.deepEqual(report.paidWithoutMembership.map(p => p.paymentId), [missingId]);
+        assert.equal(report.issueCount, 4);
+
+        const saved = await db.collection('reconciliationReports').doc(report.id).get();
+        assert.equal(saved.data().issueCount, 4);
+        assert.equal(saved.data().requestedBy.uid, treasurer.uid);
+    });
+
+    it('does not call a record an orphan when its payment was made just before the range', async () => {
+        const { treasurer } = members;
+        const { paymentId } = await activatePlan(context, await createTestUser());
+        // Razorpay stamped the payment an hour earlier than the record was written
+        mockRazorpay.state.payments.get(paymentId).created_at -= 60 * 60;
+
+        const res = await reconcile(treasurer, { from: new Date(Date.now() - 10 * 60 * 1000).toISOString() });
+        assert.equal(res.status, 200, res.body.error);
+        assert.equal(res.body.report.gatewayCount, 0);
+        assert.equal(res.body.report.recordCount, 1);
+        assert.deepEqual(res.body.report.orphanRecords, []);
+        assert.equal(res.body.report.issueCount, 0);
+    });
+});
@@ -0,0 +1,132 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const {
+    activatePlan,
+    auth,
+    createTestAdmin,
+    createTestUser,
+    signWebhook,
+    useCoreMembers,
+    useTestApp
+} = require('./helpers');
+
+const context = useTestApp();
+// Refunds need a verified admin who is also a core member with 'finance'
+const members = useCoreMembers({ treasurer: { permissions: ['finance'], admin: true } });
+let app;
+let admin;
+let db;
+let mockRazorpay;
+
+before(() => {
+    ({ app, admin, db, mockRazorpay } = context);
+});
+
+const requestRefund = (user, paymentId, body) => request(app)
+    .post(`/admin/payments/${paymentId}/refund`)
+    .set(auth(user))
+    .send(body);
+
+describe('POST /admin/payments/:paymentId/refund', () => {
+    it('is limited to admins with the finance permission', async () => {
+        const [student, plainAdmin] = await Promise.all([createTestUser(), createTestAdmin(db)]);
+        const payment = await activatePlan(context, student);
+
+        const res = await requestRefund(plainAdmin, payment.paymentId, { reason: 'Duplicate payment' });
+        assert.equal(res.status, 403);
+        assert.equal(mockRazorpay.state.refunds.size, 0);
+    });
+
+    it('requires a reason and a refundable amount', async () => {
+        const { treasurer } = members;
+        const student = await createTestUser();
+        const payment = await activatePlan(context, student);
+
+        const cases = [
+            [{ reason: '   ' }, 'A refund reason is required'],
+            [{ reason: 'Duplicate payment', amount: 0 }, 'Refund amount must be greater than zero'],
+            [{ reason: 'Duplicate payment', amount: 'lots' }, 'Refund amount must be greater than zero'],
+            [{ reason: 'Duplicate payment', amount: payment.amount + 1 }, `Refund amount exceeds the refundable ₹${payment.amount}`]
+        ];
+        for (const [body, error] of cases) {
+            const res = await requestRefund(treasurer, payment.paymentId, body);
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, error);
+        }
+
+        const missing = await requestRefund(treasurer, 'pay_unknown', { reason: 'Duplicate payment' });
+        assert.equal(missing.status, 404);
+        assert.equal(mockRazorpay.state.refunds.size, 0);
+    });
+
+    it('refuses offline payments', async () => {
+        const { treasurer } = members;
+        const student = await createTestUser();
+        await db.collection('payments').doc('offline_cash1').set({
+            userId: student.uid,
+            amount: 500,
+            status: 'success',
+            paymentMethod: 'offline',
+            createdAt: admin.firestore.Timestamp.now()
+        });
+
+        const res = await requestRefund(treasurer, 'offline_cash1', { reason: 'Paid twice at the desk' });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'Offline payments are refunded by the treasurer, not through Razorpay');
+        assert.equal(mockRazorpay.state.refunds.size, 0);
+    });
+
+    it('refuses payments that were already fully refunded', async () => {
+        const { treasurer } = members;
+        const student = await createTestUser();
+        const payment = await activatePlan(context, student);
+        await db.collection('payments').doc(payment.paymentId).update({ status: 'refunded' });
+
+        const res = await requestRefund(treasurer, payment.paymentId, { reason: 'Duplicate payment' });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, "Cannot refund a payment with status 'refunded'");
+    });
+
+    it('shortens the term in proportion to a processed partial refund', async () => {
+        const { treasurer } = members;
+        const student = await createTestUser();
+        const payment = await activatePlan(context, student);
+        const { membership: previous } = (await db.collection('users').doc(student.uid).get()).data();
+
+        const half = payment.amount / 2;
+        const res = await requestRefund(treasurer, payment.paymentId, { amount: half, reason: 'Left the club mid-year' });
+        assert.equal(res.status, 200, res.body.error);
+        assert.equal(res.body.amount, half);
+
+        // Nothing changes until Razorpay reports the refund as processed
+        const refund = mockRazorpay.state.refunds.get(res.body.refundId);
+        assert.equal(refund.notes.reason, 'Left the club mid-year');
+        const { body, headers } = signWebhook('refund.processed', {
+            refund,
+            payment: mockRazorpay.state.payments.get(payment.paymentId)
+        });
+        const webhook = await request(app).post('/webhook').set(headers).send(body);
+        assert.equal(webhook.status, 200);
+
+        const termMs = payment.expiresAt.toMillis() - payment.termStartsAt.toMillis();
+        const user = (await db.collection('users').doc(student.uid).get()).data();
+        assert.equal(
+            user.membership.expiresAt.toMillis(),
+            previous.expiresAt.toMillis() - Math.round(termMs / 2)
+        );
+        assert.equal(user.membership.status, 'active');
+        assert.equal(user.membershipHistory.at(-1).type, 'refund');
+
+        const record = (await db.collection('payments').doc(payment.paymentId).get()).data();
+        assert.equal(record.status, 'partially_refunded');
+        assert.equal(record.amountRefunded, half);
+        assert.deepEqual(record.appliedRefunds, [refund.id]);
+
+        // A redelivered webhook is not applied twice
+        const again = signWebhook('refund.processed', { refund });
+        await request(app).post('/webhook').set(again.headers).send(again.body);
+        const redelivered = (await db.collection('users').doc(student.uid).get()).data();
+        assert.equal(redelivered.membership.expiresAt.toMillis(), user.membership.expiresAt.toMillis());
+    });
+});
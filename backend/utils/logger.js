@@ -0,0 +1,72 @@
+// Structured JSON logging. One line per entry so Vercel's log drain and
+// `grep requestId` can reconstruct what happened to a payment.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+// Field names whose values never reach the logs
+const SENSITIVE_KEY = /secret|signature|password|token|authorization|private_?key|cookie/i;
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+const serialiseError = (error) => ({
+    name: error.name,
+    message: error.message,
+    ...(error.statusCode && { statusCode: error.statusCode }),
+    ...(error.code && { code: error.code }),
+    // Razorpay API errors carry their description here
+    ...(error.error?.description && { description: error.error.description }),
+    stack: error.stack
+});
+
+/**
+ * Copy of a value with sensitive fields replaced by [REDACTED]
+ */
+const redact = (value, depth = 0) => {
+    if (value instanceof Error) return serialiseError(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(item, depth + 1);
+    }
+    return result;
+};
+
+const write = (level, bindings, message, fields = {}) => {
+    if (LEVELS[level] < MIN_LEVEL) return;
+
+    const entry = JSON.stringify({
+        level,
+        time: new Date().toISOString(),
+        msg: message,
+        ...redact(bindings),
+        ...redact(fields instanceof Error ? { error: fields } : fields)
+    });
+    (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(`${entry}\n`);
+};
+
+/**
+ * Create a logger whose entries all carry `bindings` (e.g. requestId)
+ * @param {Object} [bindings]
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}}
+ */
+const createLogger = (bindings = {}) => ({
+    debug: (message, fields) => write('debug', bindings, message, fields),
+    info: (message, fields) => write('info', bindings, message, fields),
+    warn: (message, fields) => write('warn', bindings, message, fields),
+    error: (message, fields) => write('error', bindings, message, fields),
+    child: (extra) => createLogger({ ...bindings, ...extra })
+});
+
+const logger = createLogger({ service: 'csi-backend' });
+
+module.exports = { logger, redact };
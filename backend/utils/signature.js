@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+/**
+ * Hex HMAC-SHA256 of a payload (string or raw Buffer)
+ */
+const hmacSha256 = (payload, secret) => crypto
+    .createHmac('sha256', secret)
+    .update(payload)
+    .digest('hex');
+
+/**
+ * Check a hex HMAC-SHA256 signature in constant time
+ * @param {string|Buffer} payload - Exactly the bytes that were signed
+ * @param {string} signature - Hex signature received
+ * @param {string} secret - Shared secret
+ * @returns {boolean} True if the signature matches
+ */
+const verifySignature = (payload, signature, secret) => {
+    if (!secret || typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(hmacSha256(payload, secret), 'hex');
+    const received = Buffer.from(signature, 'hex');
+
+    // timingSafeEqual throws on length mismatch
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = { hmacSha256, verifySignature };
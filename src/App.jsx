@@ -25,6 +25,7 @@ import Team from './pages/Team-new'
 import Profile from './pages/Profile-new'
 import Recruit from './pages/Recruit-new'
 import NotFound from './pages/NotFound'
+import VerifyCertificate from './pages/VerifyCertificate'
 // import CoreDashboard from './pages/CoreDashboard'
 import CoreMemberProfile from './pages/CoreMemberProfile'
 import AdminPayments from './pages/Admin/Payments/AdminPayments'
@@ -41,6 +42,7 @@ const AdminUsers = lazy(() => import('./pages/Admin/AdminUsers-clean'))
 const AdminEvents = lazy(() => import('./pages/Admin/AdminEvents'))
 const AdminEMembers = lazy(() => import('./pages/Admin/AdminEMembers-clean'))
 const AdminSettings = lazy(() => import('./pages/Admin/AdminSettings'))
+const CheckIn = lazy(() => import('./pages/CheckIn'))
 
 // Loading component for lazy loaded admin routes
 const AdminLoading = () => (
@@ -111,6 +113,7 @@ function AppContent() {
             <Route path="events" element={<Events />} />
             <Route path="team" element={<Team />} />
             <Route path="recruit" element={<Recruit />} />
+            <Route path="verify/:certificateId" element={<VerifyCertificate />} />
             
             {/* Demo Routes (only in development) */}
             {/* {import.meta.env.DEV && (
@@ -147,6 +150,17 @@ function AppContent() {
             <Route index element={<CoreMemberProfile />} />
           </Route>
 
+          {/* Event Check-in - core members with the events permission; admins use /admin/check-in */}
+          <Route path="/check-in" element={
+            <CoreMemberGuard requiredPermission="events">
+              <Suspense fallback={<AdminLoading />}>
+                <div className="min-h-screen bg-[#f8f8f8] p-4">
+                  <CheckIn />
+                </div>
+              </Suspense>
+            </CoreMemberGuard>
+          } />
+
           {/* Admin Login - Public admin route */}
           <Route
             path="/admin/login"
@@ -174,6 +188,7 @@ function AppContent() {
             <Route path="events" element={<AdminEvents />} />
             <Route path="members" element={<AdminEMembers/>} />
             <Route path="payments" element={<AdminPayments/>} />
+            <Route path="check-in" element={<CheckIn />} />
             <Route path="content" element={<div className="p-6"><h1 className="text-3xl font-bold text-white">Content Management</h1><p className="text-gray-400 mt-2">Coming soon...</p></div>} />
             <Route path="analytics" element={<div className="p-6"><h1 className="text-3xl font-bold text-white">Analytics</h1><p className="text-gray-400 mt-2">Coming soon...</p></div>} />
             <Route path="messages" element={<div className="p-6"><h1 className="text-3xl font-bold text-white">Messages</h1><p className="text-gray-400 mt-2">Coming soon...</p></div>} />
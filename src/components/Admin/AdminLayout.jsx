@@ -23,7 +23,8 @@ import {
   Activity,
   Home,
   ChevronRight,
-  Code
+  Code,
+  ScanLine
 } from 'lucide-react'
 import toast from 'react-hot-toast'
 
@@ -53,6 +54,7 @@ const AdminLayout = () => {
         { path: '/admin/events', label: 'Events', icon: Calendar },
         { path: '/admin/members', label: 'Members', icon: UserCog },
         { path: '/admin/payments', label: 'Payments', icon: CreditCard },
+        { path: '/admin/check-in', label: 'Check-in', icon: ScanLine },
         { path: '/admin/content', label: 'Content', icon: FileText },
       ]
     },
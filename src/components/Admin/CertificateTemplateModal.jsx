@@ -0,0 +1,351 @@
+import { useState, useEffect, useCallback } from 'react'
+import { X, Plus, Trash2, Upload, FileDown, Send, Eye, Ban, ExternalLink } from 'lucide-react'
+import { collection, getDocs, query, where } from 'firebase/firestore'
+import toast from 'react-hot-toast'
+import { db } from '../../config/firebase'
+import { uploadToCloudinary } from '../../services/eventService'
+import {
+  MAX_SIGNATURES,
+  getCertificateTemplate,
+  saveCertificateTemplate,
+  issueEventCertificates,
+  revokeCertificate,
+  downloadCertificatePreview,
+  downloadEventCertificates
+} from '../../services/certificateService'
+
+// The PDF renderer draws PNG and JPEG only
+const IMAGE_TYPES = ['image/png', 'image/jpeg']
+
+/**
+ * Design an event's certificate, issue it to everyone who checked in and
+ * revoke single certificates. The template is saved to Firestore; issuing,
+ * revoking and the PDFs go through the backend.
+ */
+const CertificateTemplateModal = ({ event, onClose }) => {
+  const [template, setTemplate] = useState(null)
+  const [saved, setSaved] = useState(false)
+  const [dirty, setDirty] = useState(false)
+  const [certificates, setCertificates] = useState([])
+  const [busy, setBusy] = useState(null)
+
+  const loadCertificates = useCallback(async () => {
+    const snapshot = await getDocs(query(collection(db, 'certificates'), where('eventId', '==', event.id)))
+    setCertificates(snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => a.holderName.localeCompare(b.holderName)))
+  }, [event.id])
+
+  useEffect(() => {
+    getCertificateTemplate(event.id)
+      .then(result => {
+        setTemplate(result.template)
+        setSaved(result.saved)
+      })
+      .catch(() => toast.error('Failed to load certificate template'))
+    loadCertificates().catch(() => setCertificates([]))
+  }, [event.id, loadCertificates])
+
+  const update = (changes) => {
+    setTemplate(prev => ({ ...prev, ...changes }))
+    setDirty(true)
+  }
+
+  const updateSignature = (index, changes) =>
+    update({ signatures: template.signatures.map((s, i) => (i === index ? { ...s, ...changes } : s)) })
+
+  const uploadImage = async (file, onUploaded) => {
+    if (!file) return
+    if (!IMAGE_TYPES.includes(file.type)) {
+      toast.error('Use a PNG or JPEG image')
+      return
+    }
+    setBusy('upload')
+    try {
+      onUploaded(await uploadToCloudinary(file, 'csi-certificates'))
+    } catch (error) {
+      toast.error(error.message || 'Upload failed')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const run = async (name, action) => {
+    setBusy(name)
+    try {
+      await action()
+    } catch (error) {
+      toast.error(error.message || 'Something went wrong')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleSave = () => run('save', async () => {
+    await saveCertificateTemplate(event.id, template)
+    setSaved(true)
+    setDirty(false)
+    toast.success('Certificate template saved')
+  })
+
+  const handleIssue = () => {
+    if (!window.confirm(
+      `Issue certificates to everyone checked in at ${event.title}? ` +
+      'Every member of a checked-in team gets one. Issued certificates keep this design.'
+    )) return
+    run('issue', async () => {
+      const result = await issueEventCertificates(event.id)
+      toast.success(result.attendees === 0
+        ? 'Nobody has checked in yet'
+        : `${result.issued} certificate${result.issued === 1 ? '' : 's'} issued` +
+          (result.alreadyIssued ? `, ${result.alreadyIssued} already had one` : ''))
+      await loadCertificates()
+    })
+  }
+
+  const handleRevoke = (certificate) => {
+    const reason = window.prompt(
+      `Revoke ${certificate.holderName}'s certificate ${certificate.certificateId}? ` +
+      'The verification page will show it as revoked. Reason (kept for admins only):'
+    )
+    if (reason === null) return
+    run(certificate.id, async () => {
+      await revokeCertificate(certificate.certificateId, reason.trim() || null)
+      toast.success('Certificate revoked')
+      await loadCertificates()
+    })
+  }
+
+  const issuedCount = certificates.filter(c => c.status === 'issued').length
+  const canUseSaved = saved && !dirty
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50">
+      <div className="bg-white rounded shadow-xl w-full max-w-3xl border border-[#ddd]">
+        <div className="bg-[#417690] text-white px-4 py-2 flex items-center justify-between rounded-t">
+          <span className="text-sm font-medium">Certificates — {event.title}</span>
+          <button onClick={onClose} className="p-1 hover:bg-[#205067] rounded">
+            <X size={18} />
+          </button>
+        </div>
+
+        {!template ? (
+          <div className="p-6 text-center text-sm text-[#666]">Loading...</div>
+        ) : (
+          <div className="max-h-[75vh] overflow-y-auto p-4 space-y-4 text-sm">
+            <div>
+              <label className="django-form-label">Background image</label>
+              <div className="flex items-center gap-3">
+                <label className="django-btn django-btn-default flex items-center gap-1 cursor-pointer">
+                  <Upload size={14} />
+                  {template.backgroundUrl ? 'Replace' : 'Upload'}
+                  <input
+                    type="file"
+                    accept={IMAGE_TYPES.join(',')}
+                    className="hidden"
+                    disabled={!!busy}
+                    onChange={(e) => uploadImage(e.target.files[0], url => update({ backgroundUrl: url }))}
+                  />
+                </label>
+                {template.backgroundUrl ? (
+                  <>
+                    <img src={template.backgroundUrl} alt="" className="h-12 border border-[#ddd]" />
+                    <button onClick={() => update({ backgroundUrl: '' })} className="text-xs text-red-600 hover:underline">
+                      Remove
+                    </button>
+                  </>
+                ) : (
+                  <span className="text-xs text-[#999]">None: a plain border is drawn. Landscape A4, PNG or JPEG.</span>
+                )}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <div>
+                <label className="django-form-label">Title</label>
+                <input className="django-form-input w-full" value={template.title} onChange={(e) => update({ title: e.target.value })} />
+              </div>
+              <div>
+                <label className="django-form-label">Subtitle</label>
+                <input className="django-form-input w-full" value={template.subtitle} onChange={(e) => update({ subtitle: e.target.value })} />
+              </div>
+              <div>
+                <label className="django-form-label">Line above the name</label>
+                <input className="django-form-input w-full" value={template.intro} onChange={(e) => update({ intro: e.target.value })} />
+              </div>
+              <div>
+                <label className="django-form-label">Accent colour</label>
+                <input
+                  type="color"
+                  className="h-9 w-16 border border-[#ddd] rounded"
+                  value={template.accentColor}
+                  onChange={(e) => update({ accentColor: e.target.value })}
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="django-form-label">Text below the name</label>
+              <textarea
+                rows={2}
+                className="django-form-input w-full"
+                value={template.body}
+                onChange={(e) => update({ body: e.target.value })}
+              />
+              <p className="text-xs text-[#999] mt-1">
+                Placeholders: <code>{'{name}'}</code> holder, <code>{'{event}'}</code> event title, <code>{'{date}'}</code> event date.
+              </p>
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className="django-form-label mb-0">Signatures</label>
+                {template.signatures.length < MAX_SIGNATURES && (
+                  <button
+                    onClick={() => update({ signatures: [...template.signatures, { name: '', title: '', imageUrl: '' }] })}
+                    className="text-xs text-[#417690] hover:underline flex items-center gap-1"
+                  >
+                    <Plus size={12} /> Add signature
+                  </button>
+                )}
+              </div>
+              {template.signatures.length === 0 && (
+                <p className="text-xs text-[#999]">No signatures.</p>
+              )}
+              {template.signatures.map((signature, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-2 py-2 border-t border-[#eee]">
+                  <input
+                    className="django-form-input flex-1 min-w-[8rem]"
+                    placeholder="Name"
+                    value={signature.name}
+                    onChange={(e) => updateSignature(index, { name: e.target.value })}
+                  />
+                  <input
+                    className="django-form-input flex-1 min-w-[8rem]"
+                    placeholder="Role, e.g. Faculty Coordinator"
+                    value={signature.title}
+                    onChange={(e) => updateSignature(index, { title: e.target.value })}
+                  />
+                  {signature.imageUrl && <img src={signature.imageUrl} alt="" className="h-8 border border-[#ddd]" />}
+                  <label className="text-xs text-[#417690] hover:underline cursor-pointer">
+                    {signature.imageUrl ? 'Replace image' : 'Signature image'}
+                    <input
+                      type="file"
+                      accept={IMAGE_TYPES.join(',')}
+                      className="hidden"
+                      disabled={!!busy}
+                      onChange={(e) => uploadImage(e.target.files[0], url => updateSignature(index, { imageUrl: url }))}
+                    />
+                  </label>
+                  <button
+                    onClick={() => update({ signatures: template.signatures.filter((_, i) => i !== index) })}
+                    className="text-red-600 hover:text-red-800"
+                    title="Remove signature"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <p className="text-xs text-[#666]">
+              Issue covers every registration checked in at the door. A team checks in with a single ticket,
+              so every member of a checked-in team gets a certificate, including anyone who did not come.
+              Revoke those by hand.
+            </p>
+
+            {certificates.length > 0 && (
+              <div>
+                <label className="django-form-label">Issued certificates</label>
+                <table className="django-table w-full text-sm">
+                  <thead>
+                    <tr>
+                      <th>Holder</th>
+                      <th>Certificate ID</th>
+                      <th>Status</th>
+                      <th className="text-right">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {certificates.map(certificate => (
+                      <tr key={certificate.id}>
+                        <td>
+                          <div className="font-medium text-[#333]">{certificate.holderName}</div>
+                          {certificate.teamName && <div className="text-xs text-[#999]">{certificate.teamName}</div>}
+                        </td>
+                        <td className="font-mono text-xs">{certificate.certificateId}</td>
+                        <td>
+                          <span className={`px-2 py-0.5 rounded text-xs ${certificate.status === 'issued' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+                            {certificate.status}
+                          </span>
+                          {certificate.revocationReason && (
+                            <div className="text-xs text-[#999] mt-1">{certificate.revocationReason}</div>
+                          )}
+                        </td>
+                        <td>
+                          <div className="flex justify-end gap-2">
+                            <a
+                              href={`/verify/${certificate.certificateId}`}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-gray-600 hover:text-gray-900"
+                              title="Open verification page"
+                            >
+                              <ExternalLink size={16} />
+                            </a>
+                            {certificate.status === 'issued' && (
+                              <button
+                                onClick={() => handleRevoke(certificate)}
+                                disabled={!!busy}
+                                className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                                title="Revoke"
+                              >
+                                <Ban size={16} />
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="px-4 py-3 border-t border-[#eee] flex flex-wrap items-center gap-2">
+          <span className="text-xs text-[#666] mr-auto">
+            {issuedCount} issued{!canUseSaved && ' · save the template to preview or issue'}
+          </span>
+          <button onClick={handleSave} disabled={!template || !!busy || !dirty} className="django-btn django-btn-primary">
+            {busy === 'save' ? 'Saving...' : 'Save'}
+          </button>
+          <button
+            onClick={() => run('preview', () => downloadCertificatePreview(event.id))}
+            disabled={!canUseSaved || !!busy}
+            className="django-btn django-btn-default flex items-center gap-1"
+          >
+            <Eye size={14} /> {busy === 'preview' ? 'Rendering...' : 'Preview'}
+          </button>
+          <button
+            onClick={handleIssue}
+            disabled={!canUseSaved || !!busy}
+            className="django-btn django-btn-default flex items-center gap-1"
+          >
+            <Send size={14} /> {busy === 'issue' ? 'Issuing...' : 'Issue'}
+          </button>
+          <button
+            onClick={() => run('download', () => downloadEventCertificates(event.id))}
+            disabled={issuedCount === 0 || !!busy}
+            className="django-btn django-btn-default flex items-center gap-1"
+          >
+            <FileDown size={14} /> {busy === 'download' ? 'Rendering...' : 'Download all'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CertificateTemplateModal
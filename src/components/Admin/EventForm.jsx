@@ -33,6 +33,8 @@ const EventForm = ({ event, onSubmit, onCancel, loading }) => {
     venue: '',
     organizers: 'CSI NMAMIT',
     entryFee: 0,
+    memberFee: '',
+    capacity: '',
     registrationsAvailable: false,
     published: false,
     featured: false,
@@ -59,6 +61,7 @@ const EventForm = ({ event, onSubmit, onCancel, loading }) => {
       setFormData({
         ...event,
         year: event.year || new Date().getFullYear(),
+        capacity: event.capacity ?? '',
         contactPersons: event.contactPersons || []
       })
       setTeamSizeOptions(Array.isArray(event.teamSizeOptions) && event.teamSizeOptions.length ? event.teamSizeOptions : [2,3,4])
@@ -174,6 +177,15 @@ const EventForm = ({ event, onSubmit, onCancel, loading }) => {
     if (!formData.year) newErrors.year = 'Year is required'
     if (!formData.venue) newErrors.venue = 'Venue is required'
     if (!cloudinaryUrl) newErrors.image = 'Event poster must be uploaded first'
+    if (Number(formData.entryFee) < 0) newErrors.entryFee = 'Entry fee cannot be negative'
+    if (formData.memberFee !== '' && formData.memberFee != null &&
+      (Number(formData.memberFee) < 0 || Number(formData.memberFee) > Number(formData.entryFee))) {
+      newErrors.memberFee = 'Member fee must be between 0 and the entry fee'
+    }
+    if (formData.capacity !== '' && formData.capacity != null &&
+      (!Number.isInteger(Number(formData.capacity)) || Number(formData.capacity) < 1)) {
+      newErrors.capacity = 'Capacity must be a whole number of at least 1'
+    }
     
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
@@ -188,6 +200,10 @@ const EventForm = ({ event, onSubmit, onCancel, loading }) => {
         ...formData,
         cloudinaryUrl: cloudinaryUrl,
         entryFee: Number(formData.entryFee) || 0,
+        // Blank means members pay the regular fee
+        memberFee: formData.memberFee === '' || formData.memberFee == null ? null : Number(formData.memberFee),
+        // Blank means no limit
+        capacity: formData.capacity === '' || formData.capacity == null ? null : Number(formData.capacity),
         year: Number(formData.year) || new Date().getFullYear(),
         // include team size options for TEAM events
         teamSizeOptions: formData.type === 'TEAM' ? teamSizeOptions : null
@@ -473,6 +489,64 @@ const EventForm = ({ event, onSubmit, onCancel, loading }) => {
             </div>
             </div>
 
+            {/* Fees */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="django-form-label mb-2">
+                <DollarSign className="inline w-4 h-4 mr-1" />
+                Entry Fee (₹)
+              </label>
+              <input
+                type="number"
+                name="entryFee"
+                min="0"
+                value={formData.entryFee}
+                onChange={handleInputChange}
+                className="django-form-input"
+                placeholder="0 for a free event"
+              />
+              {errors.entryFee && <p className="mt-1 text-sm text-red-600">{errors.entryFee}</p>}
+            </div>
+
+            <div>
+              <label className="django-form-label mb-2">
+                <DollarSign className="inline w-4 h-4 mr-1" />
+                Member Fee (₹)
+              </label>
+              <input
+                type="number"
+                name="memberFee"
+                min="0"
+                value={formData.memberFee ?? ''}
+                onChange={handleInputChange}
+                className="django-form-input"
+                placeholder="Same as entry fee"
+              />
+              {errors.memberFee && <p className="mt-1 text-sm text-red-600">{errors.memberFee}</p>}
+              <p className="mt-1 text-xs text-gray-500">Charged to active CSI members. Paid events are collected through Razorpay.</p>
+            </div>
+            </div>
+
+            {/* Capacity */}
+            <div>
+              <label className="django-form-label mb-2">
+                <Users className="inline w-4 h-4 mr-1" />
+                Capacity
+              </label>
+              <input
+                type="number"
+                name="capacity"
+                min="1"
+                step="1"
+                value={formData.capacity ?? ''}
+                onChange={handleInputChange}
+                className="django-form-input"
+                placeholder="No limit"
+              />
+              {errors.capacity && <p className="mt-1 text-sm text-red-600">{errors.capacity}</p>}
+              <p className="mt-1 text-xs text-gray-500">Places available; one per team for team events. Registrations beyond it join a waitlist.</p>
+            </div>
+
             {/* Team Size Options (for TEAM events) */}
             {formData.type === 'TEAM' && (
               <div>
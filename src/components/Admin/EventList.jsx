@@ -16,11 +16,15 @@ import {
   Image as ImageIcon,
   AlertCircle,
   Users,
+  ClipboardList,
+  FileBadge,
   X
 } from 'lucide-react'
 import { useEffect } from 'react'
 import { collection, getDocs, query, where, getDoc, doc } from 'firebase/firestore'
 import { db } from '../../config/firebase'
+import EventRegistrationsModal from './EventRegistrationsModal'
+import CertificateTemplateModal from './CertificateTemplateModal'
 
 const EventList = ({ events, onEdit, onDelete, onTogglePublished, onToggleFeatured, onToggleAllowViewTeams, loading }) => {
   const [searchTerm, setSearchTerm] = useState('')
@@ -34,6 +38,8 @@ const EventList = ({ events, onEdit, onDelete, onTogglePublished, onToggleFeatur
   const [teamsModalEvent, setTeamsModalEvent] = useState(null)
   const [teamsLoading, setTeamsLoading] = useState(false)
   const [teams, setTeams] = useState([])
+  const [registrationsModalEvent, setRegistrationsModalEvent] = useState(null)
+  const [certificatesModalEvent, setCertificatesModalEvent] = useState(null)
 
   // Get unique years from events
   const years = [...new Set(events.map(e => e.year))].sort((a, b) => b - a)
@@ -452,6 +458,20 @@ const EventList = ({ events, onEdit, onDelete, onTogglePublished, onToggleFeatur
                             >
                               <Users size={18} />
                             </button>
+                            <button
+                              onClick={() => setRegistrationsModalEvent(event)}
+                              className="text-gray-600 hover:text-gray-900"
+                              title="Manage Registrations"
+                            >
+                              <ClipboardList size={18} />
+                            </button>
+                            <button
+                              onClick={() => setCertificatesModalEvent(event)}
+                              className="text-gray-600 hover:text-gray-900"
+                              title="Certificates"
+                            >
+                              <FileBadge size={18} />
+                            </button>
                           </div>
                         </td>
                       </motion.tr>
@@ -602,6 +622,18 @@ const EventList = ({ events, onEdit, onDelete, onTogglePublished, onToggleFeatur
           </div>
         </div>
       )}
+      {registrationsModalEvent && (
+        <EventRegistrationsModal
+          event={registrationsModalEvent}
+          onClose={() => setRegistrationsModalEvent(null)}
+        />
+      )}
+      {certificatesModalEvent && (
+        <CertificateTemplateModal
+          event={certificatesModalEvent}
+          onClose={() => setCertificatesModalEvent(null)}
+        />
+      )}
     </div>
   )
 }
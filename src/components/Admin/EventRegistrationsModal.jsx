@@ -0,0 +1,217 @@
+import { useState, useEffect, useCallback } from 'react'
+import { X, Check, Ban, XCircle } from 'lucide-react'
+import { collection, getDocs, query, where } from 'firebase/firestore'
+import toast from 'react-hot-toast'
+import { db } from '../../config/firebase'
+import {
+  confirmEventRegistration,
+  rejectEventRegistration,
+  adminCancelEventRegistration
+} from '../../services/eventRegistrationService'
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-50 text-yellow-800',
+  pending_payment: 'bg-orange-50 text-orange-800',
+  confirmed: 'bg-green-50 text-green-800',
+  waitlisted: 'bg-blue-50 text-blue-800',
+  cancelled: 'bg-gray-100 text-gray-600',
+  rejected: 'bg-red-50 text-red-800',
+  expired: 'bg-gray-100 text-gray-600'
+}
+
+// Live registrations first, waitlist in queue order, ended ones last
+const STATUS_ORDER = ['pending', 'pending_payment', 'confirmed', 'waitlisted', 'rejected', 'cancelled', 'expired']
+
+const formatWhen = (timestamp) => {
+  const date = timestamp?.toDate?.()
+  return date ? date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : '-'
+}
+
+/**
+ * Every registration for one event, with confirm, reject and cancel
+ * actions. Status changes go through the backend so the event's
+ * participant count and waitlist stay in step.
+ */
+const EventRegistrationsModal = ({ event, onClose }) => {
+  const [registrations, setRegistrations] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [actingOn, setActingOn] = useState(null)
+  const [statusFilter, setStatusFilter] = useState('all')
+
+  const loadRegistrations = useCallback(async () => {
+    setLoading(true)
+    try {
+      const snapshot = await getDocs(query(collection(db, 'eventRegistrations'), where('eventId', '==', event.id)))
+      const list = snapshot.docs
+        .map(d => ({ id: d.id, ...d.data() }))
+        .sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) ||
+          ((a.waitlistedAt || a.createdAt)?.toMillis?.() || 0) - ((b.waitlistedAt || b.createdAt)?.toMillis?.() || 0))
+      setRegistrations(list)
+    } catch (error) {
+      toast.error('Failed to load registrations')
+      setRegistrations([])
+    } finally {
+      setLoading(false)
+    }
+  }, [event.id])
+
+  useEffect(() => {
+    loadRegistrations()
+  }, [loadRegistrations])
+
+  const runAction = async (registration, action, successMessage) => {
+    setActingOn(registration.id)
+    try {
+      const result = await action()
+      toast.success(result.promoted
+        ? `${successMessage}. ${result.promoted} promoted from the waitlist.`
+        : successMessage)
+      loadRegistrations()
+    } catch (error) {
+      toast.error(error.message || 'Failed to update registration')
+    } finally {
+      setActingOn(null)
+    }
+  }
+
+  const registrantName = (registration) =>
+    registration.teamName || registration.userName || registration.userEmail || registration.userId
+
+  const handleConfirm = (registration) =>
+    runAction(registration, () => confirmEventRegistration(registration.id), 'Registration confirmed')
+
+  const handleReject = (registration) => {
+    const reason = window.prompt(
+      `Reason for rejecting ${registrantName(registration)}? It is shown to them.` +
+      (registration.paymentId ? ' Refund their payment from the Payments page.' : '')
+    )
+    if (reason === null) return
+    runAction(registration, () => rejectEventRegistration(registration.id, reason.trim() || null), 'Registration rejected')
+  }
+
+  const handleCancel = (registration) => {
+    const reason = window.prompt(
+      `Reason for cancelling ${registrantName(registration)}'s registration? It is shown to them.` +
+      (registration.paymentId ? ' Refund their payment from the Payments page.' : '')
+    )
+    if (reason === null) return
+    runAction(registration, () => adminCancelEventRegistration(registration.id, reason.trim() || null), 'Registration cancelled')
+  }
+
+  const counts = registrations.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {})
+  const visible = statusFilter === 'all' ? registrations : registrations.filter(r => r.status === statusFilter)
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50">
+      <div className="bg-white rounded shadow-xl w-full max-w-5xl border border-[#ddd]">
+        <div className="bg-[#417690] text-white px-4 py-2 flex items-center justify-between rounded-t">
+          <span className="text-sm font-medium">Registrations — {event.title}</span>
+          <button onClick={onClose} className="p-1 hover:bg-[#205067] rounded">
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="px-4 py-2 border-b border-[#eee] flex flex-wrap items-center gap-3 text-xs text-[#666]">
+          <span>
+            {event.capacity ? `${event.participantCount || 0} / ${event.capacity} places taken` : `${event.participantCount || 0} registered`}
+          </span>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="django-form-input text-xs py-1 ml-auto"
+          >
+            <option value="all">All ({registrations.length})</option>
+            {STATUS_ORDER.filter(status => counts[status]).map(status => (
+              <option key={status} value={status}>{status.replace('_', ' ')} ({counts[status]})</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="max-h-[70vh] overflow-y-auto">
+          {loading ? (
+            <div className="p-6 text-center text-sm text-[#666]">Loading...</div>
+          ) : visible.length === 0 ? (
+            <div className="p-6 text-center text-sm text-[#666]">No registrations.</div>
+          ) : (
+            <table className="django-table w-full text-sm">
+              <thead>
+                <tr>
+                  <th>Registrant</th>
+                  <th>Status</th>
+                  <th>Registered</th>
+                  <th>Payment</th>
+                  <th className="text-right">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map(registration => {
+                  const busy = actingOn === registration.id
+                  const live = ['pending', 'confirmed', 'waitlisted'].includes(registration.status)
+                  return (
+                    <tr key={registration.id}>
+                      <td>
+                        <div className="font-medium text-[#333]">{registrantName(registration)}</div>
+                        <div className="text-xs text-[#999]">
+                          {registration.teamName ? `${registration.userName || registration.userEmail} · ${registration.teamCode}` : registration.userEmail}
+                        </div>
+                      </td>
+                      <td>
+                        <span className={`px-2 py-0.5 rounded text-xs ${STATUS_STYLES[registration.status] || 'bg-gray-100 text-gray-600'}`}>
+                          {registration.status?.replace('_', ' ')}
+                        </span>
+                        {registration.attendedAt && (
+                          <div className="text-xs text-green-700 mt-1">Checked in {formatWhen(registration.attendedAt)}</div>
+                        )}
+                        {(registration.rejectionReason || registration.cancellationReason) && (
+                          <div className="text-xs text-[#999] mt-1">{registration.rejectionReason || registration.cancellationReason}</div>
+                        )}
+                      </td>
+                      <td className="text-xs">{formatWhen(registration.createdAt)}</td>
+                      <td className="text-xs">{registration.paymentId ? <span className="font-mono">{registration.paymentId}</span> : '-'}</td>
+                      <td>
+                        <div className="flex justify-end gap-2">
+                          {registration.status === 'pending' && (
+                            <button
+                              onClick={() => handleConfirm(registration)}
+                              disabled={busy}
+                              className="text-green-700 hover:text-green-900 disabled:opacity-50"
+                              title="Confirm"
+                            >
+                              <Check size={16} />
+                            </button>
+                          )}
+                          {live && (
+                            <button
+                              onClick={() => handleReject(registration)}
+                              disabled={busy}
+                              className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                              title="Reject"
+                            >
+                              <XCircle size={16} />
+                            </button>
+                          )}
+                          {(live || registration.status === 'pending_payment') && (
+                            <button
+                              onClick={() => handleCancel(registration)}
+                              disabled={busy}
+                              className="text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                              title="Cancel"
+                            >
+                              <Ban size={16} />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default EventRegistrationsModal
@@ -0,0 +1,128 @@
+import { useEffect, useState } from 'react'
+import { Activity, RefreshCw, CheckCircle, XCircle, AlertTriangle } from 'lucide-react'
+import { fetchBackendStatus } from '../../services/backendStatusService'
+import { getCloudinaryStatus } from '../../config/cloudinary'
+import { runEmailDiagnostics } from '../../utils/emailDiagnostics'
+
+const StatusIcon = ({ ok, warn }) => {
+  if (ok) return <CheckCircle className="w-4 h-4 text-green-600" />
+  if (warn) return <AlertTriangle className="w-4 h-4 text-yellow-600" />
+  return <XCircle className="w-4 h-4 text-red-600" />
+}
+
+const Row = ({ label, ok, warn, children }) => (
+  <div className="flex items-start justify-between gap-4 py-2 border-b border-[#eee] dark:border-gray-800 last:border-0">
+    <div className="flex items-center gap-2 text-sm text-[#333] dark:text-gray-200">
+      <StatusIcon ok={ok} warn={warn} />
+      {label}
+    </div>
+    <div className="text-xs text-right text-gray-600 dark:text-gray-400">{children}</div>
+  </div>
+)
+
+/**
+ * Backend, Razorpay, Firestore, Cloudinary and EmailJS status in one place,
+ * so a failed checkout can be traced to the part that is down or misconfigured.
+ */
+const SystemStatus = () => {
+  const [backend, setBackend] = useState(null)
+  const [email, setEmail] = useState(null)
+  const [checking, setChecking] = useState(false)
+  const cloudinary = getCloudinaryStatus()
+
+  const check = async () => {
+    setChecking(true)
+    try {
+      const [backendStatus, emailStatus] = await Promise.all([
+        fetchBackendStatus(),
+        runEmailDiagnostics().catch(error => ({ configuration: {}, errors: [error.message] }))
+      ])
+      setBackend(backendStatus)
+      setEmail(emailStatus)
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  useEffect(() => {
+    check()
+  }, [])
+
+  const checks = backend?.ready?.data?.checks
+  const version = backend?.version?.data
+  const emailConfigured = email && Object.values(email.configuration).length > 0 &&
+    Object.values(email.configuration).every(Boolean)
+
+  return (
+    <section className="bg-white dark:bg-gray-900 border border-[#ddd] dark:border-gray-800 rounded-lg">
+      <div className="px-5 py-4 border-b border-[#eee] dark:border-gray-800 flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Activity className="w-4 h-4 text-[#417690]" />
+          <h2 className="text-sm font-medium text-[#333] dark:text-gray-200">System Status</h2>
+        </div>
+        <button
+          type="button"
+          onClick={check}
+          disabled={checking}
+          className="inline-flex items-center gap-1 text-xs text-[#417690] hover:text-[#205067] disabled:opacity-60"
+        >
+          <RefreshCw className={`w-3.5 h-3.5 ${checking ? 'animate-spin' : ''}`} />
+          {checking ? 'Checking...' : 'Recheck'}
+        </button>
+      </div>
+
+      <div className="px-5 py-2">
+        {!backend ? (
+          <p className="py-2 text-sm text-gray-500">Checking...</p>
+        ) : !backend.configured ? (
+          <Row label="Backend" ok={false}>VITE_API_BASE_URL is not set</Row>
+        ) : (
+          <>
+            <Row label="Backend" ok={!!backend.health.data}>
+              {backend.health.data
+                ? `Up ${Math.round(backend.health.data.uptimeSeconds / 60)} min · ${backend.apiBaseUrl}`
+                : backend.health.error}
+            </Row>
+            {checks ? (
+              <>
+                <Row label="Razorpay keys" ok={checks.razorpay.ok} warn={checks.razorpay.ok && checks.razorpay.mode !== 'live'}>
+                  {checks.razorpay.ok
+                    ? `${checks.razorpay.mode} mode${checks.razorpay.mockApi ? ' (mock API)' : ''}`
+                    : 'Not configured'}
+                </Row>
+                <Row label="Webhook secret" ok={checks.webhookSecret.ok}>
+                  {checks.webhookSecret.ok ? 'Configured' : 'Not configured'}
+                </Row>
+                <Row label="Firestore" ok={checks.firestore.ok}>
+                  {checks.firestore.ok
+                    ? `${checks.firestore.latencyMs} ms`
+                    : checks.firestore.error || 'Unreachable'}
+                </Row>
+              </>
+            ) : (
+              <Row label="Readiness" ok={false}>{backend.ready.error}</Row>
+            )}
+            <Row label="Version" ok={!!version?.commit} warn={!!version && !version.commit}>
+              {version
+                ? `${version.commit ? version.commit.slice(0, 7) : 'unknown commit'} · ${version.environment}${version.branch ? ` · ${version.branch}` : ''}`
+                : backend.version.error}
+            </Row>
+          </>
+        )}
+
+        <Row label="Cloudinary" ok={cloudinary.configured}>
+          {cloudinary.configured
+            ? `${cloudinary.cloudName} · preset ${cloudinary.uploadPreset}`
+            : 'Not configured'}
+        </Row>
+        {email && (
+          <Row label="Email (EmailJS)" ok={emailConfigured && email.initialization}>
+            {email.errors.length > 0 ? email.errors.join(', ') : 'Configured'}
+          </Row>
+        )}
+      </div>
+    </section>
+  )
+}
+
+export default SystemStatus
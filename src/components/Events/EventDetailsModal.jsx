@@ -17,22 +17,23 @@ import {
   Plus
 } from 'lucide-react'
 import { useAuth } from '../../contexts/AuthContext'
-import { formatEventDate } from '../../utils/eventUtils'
+import { formatEventDate, getCancellationDeadline, CANCELLATION_CUTOFF_HOURS } from '../../utils/eventUtils'
 import { EVENT_TYPE_COLORS } from '../../constants/eventConstants'
 import toast from 'react-hot-toast'
 import { 
   doc,
   collection,
-  addDoc,
   query,
   where,
   getDocs,
   updateDoc,
-  serverTimestamp,
-  getDoc,
   arrayUnion
 } from 'firebase/firestore'
 import { db } from '../../config/firebase'
+import paymentService from '../../services/paymentService'
+import { registerForEvent, cancelEventRegistration } from '../../services/eventRegistrationService'
+import { getEventFee } from '../../utils/membershipUtils'
+import EventTicket from './EventTicket'
 
 const getEventTypeColor = (type) => {
   return EVENT_TYPE_COLORS[type] || EVENT_TYPE_COLORS.default
@@ -50,15 +51,31 @@ const EventDetailsModal = ({ event, isOpen, onClose }) => {
   const [showOtherTeams, setShowOtherTeams] = useState(false)
   const [otherTeams, setOtherTeams] = useState([])
   const [otherTeamsLoading, setOtherTeamsLoading] = useState(false)
+  const [userRegistration, setUserRegistration] = useState(null)
+  // Set when checkout reports the event full; registering then joins the waitlist
+  const [eventFull, setEventFull] = useState(false)
+  const [confirmingCancel, setConfirmingCancel] = useState(false)
+
+  // Members pay the event's memberFee when one is set
+  const eventFee = getEventFee(event, user?.membership)
 
   useEffect(() => {
     if (event && user && isOpen) {
+      setConfirmingCancel(false)
       checkUserTeam()
     }
   }, [event, user, isOpen])
 
+  // Unpaid registrations stop counting once their payment hold lapses
+  const isLiveRegistration = (registration) => {
+    if (['cancelled', 'rejected', 'expired'].includes(registration.status)) return false
+    if (registration.status !== 'pending_payment') return true
+    const expiresAt = registration.paymentExpiresAt?.toDate?.()
+    return !expiresAt || expiresAt > new Date()
+  }
+
   const checkUserTeam = async () => {
-    if (!user || event.type !== 'TEAM') return
+    if (!user) return
     
     try {
       const registrationsRef = collection(db, 'eventRegistrations')
@@ -68,9 +85,12 @@ const EventDetailsModal = ({ event, isOpen, onClose }) => {
         where('userId', '==', user.uid)
       )
       const snapshot = await getDocs(q)
-      
-      if (!snapshot.empty) {
-        const registration = snapshot.docs[0].data()
+      const registration = snapshot.docs.map(d => ({ id: d.id, ...d.data() })).find(isLiveRegistration)
+
+      if (registration) {
+        setUserRegistration(registration)
+      }
+      if (registration && event.type === 'TEAM') {
         setUserTeam({
           teamName: registration.teamName,
           teamCode: registration.teamCode,
@@ -103,32 +123,6 @@ const EventDetailsModal = ({ event, isOpen, onClose }) => {
     }
   }
 
-  const generateTeamCode = () => {
-    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
-    let code = ''
-    for (let i = 0; i < 6; i++) {
-      code += chars.charAt(Math.floor(Math.random() * chars.length))
-    }
-    return code
-  }
-
-  // Ensure we don't collide with an existing team code for the same event
-  const generateUniqueTeamCode = async () => {
-    const registrationsRef = collection(db, 'eventRegistrations')
-    for (let attempt = 0; attempt < 5; attempt++) {
-      const code = generateTeamCode()
-      const qCode = query(
-        registrationsRef,
-        where('eventId', '==', event.id),
-        where('teamCode', '==', code)
-      )
-      const snap = await getDocs(qCode)
-      if (snap.empty) return code
-    }
-    // Fallback if repeated collisions (extremely unlikely)
-    return generateTeamCode()
-  }
-
   const handleLogin = async () => {
     try {
       const result = await signInWithGoogle()
@@ -154,6 +148,105 @@ const EventDetailsModal = ({ event, isOpen, onClose }) => {
     return true
   }
 
+  // Paid events are registered through the backend and confirmed after payment
+  const handlePaidRegistration = (team = null) => {
+    setLoading(true)
+    paymentService.payForEvent({
+      event,
+      team,
+      prefill: {
+        name: user.name,
+        email: user.email,
+        phone: user.phone || user.profile?.phone
+      },
+      onSuccess: (result) => {
+        setLoading(false)
+        if (result.refundDue) {
+          toast.error('Sorry, the last place went before your payment arrived. Your payment is being refunded in full.')
+          onClose()
+          return
+        }
+        if (!result.confirmed) {
+          toast.success('Payment received! Your registration will be confirmed shortly.')
+        } else if (result.teamCode) {
+          toast.success(`Payment successful! Your team code is: ${result.teamCode}`)
+        } else {
+          toast.success('Payment successful! You are registered for the event.')
+        }
+        if (team && result.teamCode) {
+          setUserTeam({ teamName: team.teamName, teamCode: result.teamCode, teamSize: team.teamSize, members: [] })
+          setShowTeamForm(false)
+        } else {
+          onClose()
+        }
+      },
+      onFailure: (message, code) => {
+        setLoading(false)
+        if (code === 'event_full') {
+          setEventFull(true)
+          toast.error('This event is full. You can join the waitlist instead.')
+          return
+        }
+        toast.error(message || 'Payment failed. Please try again.')
+      }
+    })
+  }
+
+  // Free events and every waitlist go through the backend, which checks
+  // capacity in the same transaction as the registration
+  const handleBackendRegistration = async (team = null) => {
+    setLoading(true)
+    try {
+      const result = await registerForEvent(event.id, team)
+      if (result.status === 'waitlisted') {
+        toast.success(`This event is full. You are #${result.waitlistPosition} on the waitlist; we'll notify you if a place opens up.`)
+        setUserRegistration({ id: result.registrationId, status: 'waitlisted', waitlistPosition: result.waitlistPosition })
+        if (team) {
+          setUserTeam({ ...team, teamCode: result.teamCode, members: [] })
+          setShowTeamForm(false)
+        }
+        return
+      }
+
+      if (team) {
+        toast.success(`Team created! Your team code is: ${result.teamCode}`)
+        setUserRegistration({ id: result.registrationId, status: result.status })
+        setUserTeam({ ...team, teamCode: result.teamCode, members: [] })
+        setShowTeamForm(false)
+      } else {
+        toast.success('Successfully registered for the event!')
+        onClose()
+      }
+    } catch (error) {
+      // A paid event freed up a place since checkout said it was full
+      if (error.code === 'checkout_required') {
+        setEventFull(false)
+        toast('A place is available again. Register to pay for it.')
+        return
+      }
+      console.error('Registration error:', error)
+      toast.error(error.message || 'Failed to register. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleCancelRegistration = async () => {
+    setLoading(true)
+    try {
+      await cancelEventRegistration(userRegistration.id)
+      toast.success(userRegistration.status === 'waitlisted' ? 'You have left the waitlist' : 'Your registration has been cancelled')
+      setUserRegistration(null)
+      setUserTeam(null)
+      setConfirmingCancel(false)
+    } catch (error) {
+      console.error('Cancellation error:', error)
+      toast.error(error.message || 'Failed to cancel. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
   const handleIndividualRegistration = async () => {
     if (!user) {
       toast.error('Please login first')
@@ -167,41 +260,12 @@ const EventDetailsModal = ({ event, isOpen, onClose }) => {
       return
     }
 
-    setLoading(true)
-    try {
-      await addDoc(collection(db, 'eventRegistrations'), {
-        eventId: event.id,
-        eventTitle: event.title,
-        userId: user.uid,
-        userName: user.name,
-        userEmail: user.email,
-        registrationType: 'individual',
-        status: 'pending',
-        registeredAt: serverTimestamp()
-      })
-
-      // Update event participant count
-      const eventRef = doc(db, 'events', event.id)
-      await updateDoc(eventRef, {
-        participantCount: (event.participantCount || 0) + 1,
-        participants: arrayUnion({
-          userId: user.uid,
-          name: user.name,
-          email: user.email,
-          // serverTimestamp is not allowed inside arrays; use client timestamp
-          registeredAt: new Date()
-        }),
-        updatedAt: serverTimestamp()
-      })
-
-      toast.success('Successfully registered for the event!')
-      onClose()
-    } catch (error) {
-      console.error('Registration error:', error)
-      toast.error('Failed to register. Please try again.')
-    } finally {
-      setLoading(false)
+    if (eventFee.amount > 0 && !eventFull) {
+      handlePaidRegistration()
+      return
     }
+
+    await handleBackendRegistration()
   }
 
   const handleCreateTeam = async () => {
@@ -221,55 +285,13 @@ const EventDetailsModal = ({ event, isOpen, onClose }) => {
       return
     }
 
-    setLoading(true)
-    try {
-      const code = await generateUniqueTeamCode()
-
-      await addDoc(collection(db, 'eventRegistrations'), {
-        eventId: event.id,
-        eventTitle: event.title,
-        userId: user.uid,
-        userName: user.name,
-        userEmail: user.email,
-        registrationType: 'team',
-        teamName: teamName.trim(),
-        teamCode: code,
-        teamSize: teamSize,
-        teamLeader: user.uid,
-        members: [{
-          userId: user.uid,
-          name: user.name,
-          email: user.email,
-          role: 'leader',
-          // serverTimestamp is not allowed inside arrays; use client timestamp
-          joinedAt: new Date()
-        }],
-        status: 'pending',
-        registeredAt: serverTimestamp()
-      })
-
-      toast.success(`Team created! Your team code is: ${code}`)
-      setUserTeam({ teamName: teamName.trim(), teamCode: code, members: [] })
-      setShowTeamForm(false)
-    } catch (error) {
-      // Enhanced error logging for easier debugging
-      console.error('Team creation error:', error)
-      let message = 'Failed to create team. Please try again.';
-      if (error) {
-        if (typeof error === 'object') {
-          try {
-            message = JSON.stringify(error);
-          } catch (e) {
-            message = error.message || error.code || message;
-          }
-        } else {
-          message = String(error);
-        }
-      }
-      toast.error(message)
-    } finally {
-      setLoading(false)
+    const team = { teamName: teamName.trim(), teamSize }
+    if (eventFee.amount > 0 && !eventFull) {
+      handlePaidRegistration(team)
+      return
     }
+
+    await handleBackendRegistration(team)
   }
 
   const handleJoinTeam = async () => {
@@ -312,6 +334,13 @@ const EventDetailsModal = ({ event, isOpen, onClose }) => {
         return
       }
 
+      // A paid team only accepts members once the leader's payment is confirmed
+      if (!isLiveRegistration(teamData) || teamData.status === 'pending_payment') {
+        toast.error('This team has not completed its registration yet')
+        setLoading(false)
+        return
+      }
+
       // Check team size
       if (teamData.members && teamData.members.length >= teamData.teamSize) {
         toast.error('This team is full')
@@ -397,6 +426,19 @@ const EventDetailsModal = ({ event, isOpen, onClose }) => {
 
   const isTeamEvent = event.type === 'TEAM'
   const isRegistered = userTeam !== null
+  // participantCount is only a hint; the backend decides who gets a place
+  const placesLeft = event.capacity ? Math.max(0, event.capacity - (event.participantCount || 0)) : null
+  const joinsWaitlist = eventFull || placesLeft === 0
+  const promotedHoldExpiresAt = userRegistration?.status === 'pending_payment' && userRegistration.promotedAt
+    ? userRegistration.paymentExpiresAt?.toDate?.()
+    : null
+  // A payment in flight can't be cancelled; everything else can until the cutoff
+  const canCancel = !!userRegistration?.id &&
+    (userRegistration.status !== 'pending_payment' || !!promotedHoldExpiresAt)
+  const cancellationDeadline = getCancellationDeadline(event)
+  // Leaving the waitlist stays open until the event
+  const cancellationClosed = userRegistration?.status !== 'waitlisted' &&
+    !!cancellationDeadline && new Date() > cancellationDeadline
 
   return (
     <>
@@ -496,9 +538,29 @@ const EventDetailsModal = ({ event, isOpen, onClose }) => {
                     <DollarSign className="w-5 h-5 text-emerald-500 mt-0.5" />
                     <div>
                       <div className="text-sm text-gray-500">Entry Fee</div>
-                      <div className="font-semibold text-gray-900 dark:text-gray-100">₹{event.entryFee || 0}</div>
+                      <div className="font-semibold text-gray-900 dark:text-gray-100">
+                        {Number(event.entryFee) > 0 ? `₹${event.entryFee}` : 'Free'}
+                      </div>
+                      {event.memberFee != null && Number(event.memberFee) < Number(event.entryFee) && (
+                        <div className="text-sm text-emerald-600 dark:text-emerald-400">
+                          CSI members: ₹{event.memberFee}{eventFee.isMemberPrice && ' (your price)'}
+                        </div>
+                      )}
                     </div>
                   </div>
+                  {event.capacity && (
+                    <div className="flex items-start gap-3">
+                      <Users className="w-5 h-5 text-sky-500 mt-0.5" />
+                      <div>
+                        <div className="text-sm text-gray-500">Capacity</div>
+                        <div className="font-semibold text-gray-900 dark:text-gray-100">
+                          {joinsWaitlist
+                            ? 'Full · waitlist open'
+                            : `${placesLeft} of ${event.capacity} ${isTeamEvent ? 'team places' : 'places'} left`}
+                        </div>
+                      </div>
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -655,6 +717,10 @@ const EventDetailsModal = ({ event, isOpen, onClose }) => {
                           >
                             {loading ? (
                               <Loader className="w-4 h-4 animate-spin mx-auto" />
+                            ) : joinsWaitlist ? (
+                              'Join Waitlist'
+                            ) : eventFee.amount > 0 ? (
+                              `Pay ₹${eventFee.amount} & Create Team`
                             ) : (
                               'Create Team'
                             )}
@@ -713,6 +779,88 @@ const EventDetailsModal = ({ event, isOpen, onClose }) => {
                       </div>
                     )}
                   </div>
+                ) : userRegistration ? (
+                  <div className="text-center text-gray-600 dark:text-gray-400 space-y-3">
+                    {promotedHoldExpiresAt ? (
+                      <>
+                        <p>
+                          A place opened up for you. Pay before {promotedHoldExpiresAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} to keep it.
+                        </p>
+                        <button
+                          onClick={() => handlePaidRegistration()}
+                          disabled={loading}
+                          className="px-6 py-2.5 rounded-lg font-semibold text-white bg-gradient-to-r from-indigo-600 via-purple-600 to-pink-600 hover:from-indigo-500 hover:via-purple-500 hover:to-pink-500 transition"
+                        >
+                          {loading ? <Loader className="w-4 h-4 animate-spin mx-auto" /> : `Pay ₹${eventFee.amount}`}
+                        </button>
+                      </>
+                    ) : userRegistration.status === 'pending_payment' ? (
+                      'Your payment is being processed. Your place is held until it is confirmed.'
+                    ) : userRegistration.status === 'waitlisted' ? (
+                      `You are on the waitlist${userRegistration.waitlistPosition ? ` (#${userRegistration.waitlistPosition})` : ''}. We'll notify you if a place opens up.`
+                    ) : userRegistration.status === 'confirmed' ? (
+                      <>
+                        <p>Your registration is confirmed.</p>
+                        <EventTicket registrationId={userRegistration.id} />
+                      </>
+                    ) : userRegistration.status === 'pending' ? (
+                      <>
+                        <p>You are registered for this event.</p>
+                        <EventTicket registrationId={userRegistration.id} />
+                      </>
+                    ) : (
+                      'You are registered for this event.'
+                    )}
+
+                    {canCancel && (cancellationClosed ? (
+                      <p className="text-xs text-gray-500 dark:text-gray-500">
+                        Cancellations closed {CANCELLATION_CUTOFF_HOURS} hours before the event. Contact the organisers if you can't attend.
+                      </p>
+                    ) : confirmingCancel ? (
+                      <div className="rounded-lg bg-red-50 dark:bg-red-900/20 p-4 space-y-3 text-sm">
+                        <p className="text-red-700 dark:text-red-300">
+                          {userRegistration.status === 'waitlisted'
+                            ? 'Leave the waitlist? You will lose your position.'
+                            : `Cancel your registration?${isTeamEvent ? ' Your whole team will be withdrawn.' : ''} Your place goes to the next person on the waitlist.`}
+                        </p>
+                        {userRegistration.paymentId && (
+                          <p className="text-red-700 dark:text-red-300">
+                            Refunds aren't automatic; contact the organisers about your payment.
+                          </p>
+                        )}
+                        <div className="flex gap-3 justify-center">
+                          <button
+                            onClick={handleCancelRegistration}
+                            disabled={loading}
+                            className="px-4 py-2 rounded-lg font-semibold text-white bg-red-600 hover:bg-red-500 transition"
+                          >
+                            {loading ? <Loader className="w-4 h-4 animate-spin mx-auto" /> : 'Yes, cancel'}
+                          </button>
+                          <button
+                            onClick={() => setConfirmingCancel(false)}
+                            disabled={loading}
+                            className="px-4 py-2 rounded-lg font-semibold bg-white/80 dark:bg-white/10 text-gray-900 dark:text-gray-100 ring-1 ring-black/10 dark:ring-white/10 hover:bg-white/90 dark:hover:bg-white/15 transition"
+                          >
+                            Keep it
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <div>
+                        <button
+                          onClick={() => setConfirmingCancel(true)}
+                          className="text-sm font-medium text-red-600 dark:text-red-400 hover:underline"
+                        >
+                          {userRegistration.status === 'waitlisted' ? 'Leave waitlist' : 'Cancel registration'}
+                        </button>
+                        {cancellationDeadline && userRegistration.status !== 'waitlisted' && (
+                          <p className="text-xs text-gray-500 mt-1">
+                            You can cancel until {cancellationDeadline.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+                          </p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
                 ) : !isTeamEvent ? (
                   <div className="text-center">
                     <button
@@ -725,7 +873,9 @@ const EventDetailsModal = ({ event, isOpen, onClose }) => {
                       ) : (
                         <span className="flex items-center gap-2">
                           <User className="w-4 h-4" />
-                          Register Now
+                          {joinsWaitlist
+                            ? 'Join Waitlist'
+                            : eventFee.amount > 0 ? `Pay ₹${eventFee.amount} & Register` : 'Register Now'}
                         </span>
                       )}
                     </button>
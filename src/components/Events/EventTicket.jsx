@@ -0,0 +1,65 @@
+import { useState, useEffect } from 'react'
+import QRCode from 'qrcode'
+import { Loader, CheckCircle } from 'lucide-react'
+import { getEventTicket } from '../../services/eventRegistrationService'
+
+/**
+ * QR ticket for a registration with a place, scanned at the door on the
+ * check-in page. The ticket is signed by the backend, so it can't be
+ * made up from a registration ID.
+ */
+const EventTicket = ({ registrationId, size = 200 }) => {
+  const [qrDataUrl, setQrDataUrl] = useState(null)
+  const [attendedAt, setAttendedAt] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setQrDataUrl(null)
+    setError(null)
+
+    getEventTicket(registrationId)
+      .then(async ({ ticket, attendedAt }) => {
+        const dataUrl = await QRCode.toDataURL(ticket, { width: size, margin: 1, errorCorrectionLevel: 'M' })
+        if (!cancelled) {
+          setQrDataUrl(dataUrl)
+          setAttendedAt(attendedAt)
+        }
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message || 'Could not load your ticket')
+      })
+
+    return () => { cancelled = true }
+  }, [registrationId, size])
+
+  if (error) {
+    return <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+  }
+
+  if (!qrDataUrl) {
+    return <Loader className="w-5 h-5 animate-spin mx-auto text-gray-400" />
+  }
+
+  return (
+    <div className="flex flex-col items-center gap-2">
+      <img
+        src={qrDataUrl}
+        width={size}
+        height={size}
+        alt="Event ticket QR code"
+        className="rounded-lg bg-white p-2"
+      />
+      {attendedAt ? (
+        <p className="text-xs text-green-600 dark:text-green-400 flex items-center gap-1">
+          <CheckCircle className="w-3.5 h-3.5" />
+          Checked in {new Date(attendedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+        </p>
+      ) : (
+        <p className="text-xs text-gray-500 dark:text-gray-400">Show this at the entrance to check in</p>
+      )}
+    </div>
+  )
+}
+
+export default EventTicket
@@ -10,7 +10,7 @@ const Layout = () => {
   
   // More reliable way to detect 404 - check if we're on an unknown route
   // Since React Router will match the "*" path for any unmatched routes
-  const validPaths = ['/', '/events', '/team', '/profile', '/recruit']
+  const validPaths = ['/', '/events', '/team', '/profile', '/recruit', '/verify/']
   const isNotFoundPage = !validPaths.some(path => 
     path === location.pathname || (path !== '/' && location.pathname.startsWith(path))
   )
@@ -15,13 +15,13 @@ import {
   Sparkles,
   ChevronDown,
   Settings,
-  Bell,
   ChevronRight,
   Shield,
   Zap,
 } from "lucide-react";
 import { useAuth } from "../../contexts/AuthContext";
 import { useTheme } from "../../contexts/ThemeContext";
+import NotificationBell from "./NotificationBell";
 
 const Navbar = () => {
   const [isOpen, setIsOpen] = useState(false);
@@ -253,6 +253,9 @@ const Navbar = () => {
             {/* Desktop Right Actions */}
             <div className="hidden lg:flex items-center space-x-3">
 
+              {/* Notifications */}
+              {user && <NotificationBell size={20} className="p-2.5 rounded-xl" />}
+
               {/* Theme Toggle */}
               <motion.button
                 whileHover={{ scale: 1.05 }}
@@ -411,15 +414,7 @@ const Navbar = () => {
             {/* Mobile Right Actions */}
             <div className="lg:hidden flex items-center space-x-2">
               {/* Mobile Notifications */}
-              {user && (
-                <motion.button
-                  whileTap={{ scale: 0.9 }}
-                  className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors relative"
-                >
-                  <Bell size={18} className="text-gray-600 dark:text-gray-400" />
-                  <div className="absolute -top-1 -right-1 w-2.5 h-2.5 bg-red-500 rounded-full border border-white dark:border-gray-900"></div>
-                </motion.button>
-              )}
+              {user && <NotificationBell />}
 
               {/* Mobile Theme Toggle */}
               <motion.button
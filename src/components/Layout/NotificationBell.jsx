@@ -0,0 +1,101 @@
+import { useState, useEffect, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { motion, AnimatePresence } from 'framer-motion'
+import { Bell } from 'lucide-react'
+import { useNotifications } from '../../hooks/useNotifications'
+
+const formatWhen = (timestamp) => {
+  const date = timestamp?.toDate?.()
+  return date ? date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : ''
+}
+
+/**
+ * Navbar bell with the signed-in user's notifications, e.g. a place
+ * opening up for them on an event waitlist
+ */
+const NotificationBell = ({ size = 18, className = 'p-2 rounded-lg' }) => {
+  const navigate = useNavigate()
+  const { notifications, unreadCount, markRead, markAllRead } = useNotifications()
+  const [open, setOpen] = useState(false)
+  const ref = useRef(null)
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (ref.current && !ref.current.contains(event.target)) {
+        setOpen(false)
+      }
+    }
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [])
+
+  const handleOpen = (notification) => {
+    if (!notification.read) {
+      markRead(notification.id).catch(() => {})
+    }
+    setOpen(false)
+    if (notification.link) {
+      navigate(notification.link)
+    }
+  }
+
+  return (
+    <div className="relative" ref={ref}>
+      <motion.button
+        whileTap={{ scale: 0.9 }}
+        onClick={() => setOpen(!open)}
+        className={`${className} hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors relative`}
+        aria-label={unreadCount ? `${unreadCount} unread notifications` : 'Notifications'}
+      >
+        <Bell size={size} className="text-gray-600 dark:text-gray-400" />
+        {unreadCount > 0 && (
+          <div className="absolute -top-1 -right-1 w-2.5 h-2.5 bg-red-500 rounded-full border border-white dark:border-gray-900"></div>
+        )}
+      </motion.button>
+
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, y: -10, scale: 0.95 }}
+            animate={{ opacity: 1, y: 0, scale: 1 }}
+            exit={{ opacity: 0, y: -10, scale: 0.95 }}
+            transition={{ duration: 0.2 }}
+            className="absolute right-0 mt-3 w-80 max-w-[calc(100vw-2rem)] bg-white dark:bg-gray-900 rounded-2xl shadow-2xl overflow-hidden border border-gray-200 dark:border-gray-700 z-50"
+          >
+            <div className="px-4 py-3 flex items-center justify-between border-b border-gray-200 dark:border-gray-700">
+              <span className="text-sm font-semibold text-gray-900 dark:text-white">Notifications</span>
+              {unreadCount > 0 && (
+                <button
+                  onClick={() => markAllRead().catch(() => {})}
+                  className="text-xs text-cyber-blue hover:underline"
+                >
+                  Mark all read
+                </button>
+              )}
+            </div>
+            {notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-center text-gray-500 dark:text-gray-400">No notifications yet</p>
+            ) : (
+              <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-800">
+                {notifications.map(notification => (
+                  <li key={notification.id}>
+                    <button
+                      onClick={() => handleOpen(notification)}
+                      className={`w-full text-left px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors ${notification.read ? '' : 'bg-blue-50/60 dark:bg-gray-800/60'}`}
+                    >
+                      <p className="text-sm font-medium text-gray-900 dark:text-white">{notification.title}</p>
+                      <p className="text-xs text-gray-600 dark:text-gray-400 mt-0.5">{notification.message}</p>
+                      <p className="text-[11px] text-gray-400 mt-1">{formatWhen(notification.createdAt)}</p>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+export default NotificationBell
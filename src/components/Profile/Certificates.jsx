@@ -0,0 +1,61 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { FileText, Download } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { useCertificates } from '../../hooks/useCertificates'
+import { downloadCertificate } from '../../services/certificateService'
+
+// The signed-in user's event certificates, each downloadable as a PDF
+const Certificates = () => {
+  const { certificates, loading } = useCertificates()
+  const [downloadingId, setDownloadingId] = useState(null)
+
+  const handleDownload = async (certificateId) => {
+    setDownloadingId(certificateId)
+    try {
+      await downloadCertificate(certificateId)
+    } catch (error) {
+      toast.error(error.message || 'Failed to download certificate')
+    } finally {
+      setDownloadingId(null)
+    }
+  }
+
+  if (loading || certificates.length === 0) return null
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.3 }}
+      className="glass-card rounded-xl p-6 mt-6"
+    >
+      <h3 className="text-xl font-semibold mb-4">Certificates</h3>
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+        {certificates.map(certificate => (
+          <li key={certificate.id} className="py-3 flex items-center justify-between gap-4">
+            <span className="flex items-center gap-2 min-w-0">
+              <FileText className="w-4 h-4 text-blue-500 shrink-0" />
+              <span className="min-w-0">
+                <span className="block font-medium truncate">{certificate.eventTitle || 'Event'}</span>
+                <span className="block text-xs text-gray-500">
+                  {certificate.eventDate} · <span className="font-mono">{certificate.certificateId}</span>
+                </span>
+              </span>
+            </span>
+            <button
+              onClick={() => handleDownload(certificate.certificateId)}
+              disabled={downloadingId === certificate.certificateId}
+              className="flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50 shrink-0"
+            >
+              <Download className="w-4 h-4" />
+              {downloadingId === certificate.certificateId ? 'Preparing...' : 'PDF'}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </motion.div>
+  )
+}
+
+export default Certificates
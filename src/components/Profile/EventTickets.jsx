@@ -0,0 +1,83 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { QrCode, ChevronDown, ChevronUp } from 'lucide-react'
+import { collection, query, where, getDocs } from 'firebase/firestore'
+import { db } from '../../config/firebase'
+import { useAuth } from '../../contexts/AuthContext'
+import EventTicket from '../Events/EventTicket'
+
+// Free registrations still pending an admin's confirmation already have a place
+const TICKETED_STATUSES = ['pending', 'confirmed']
+
+// The signed-in user's registrations with a place, each with its QR ticket
+const EventTickets = () => {
+  const { user } = useAuth()
+  const [registrations, setRegistrations] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [openId, setOpenId] = useState(null)
+
+  useEffect(() => {
+    if (!user?.uid) return
+
+    const loadRegistrations = async () => {
+      setLoading(true)
+      try {
+        const snapshot = await getDocs(query(collection(db, 'eventRegistrations'), where('userId', '==', user.uid)))
+        // Filtered and sorted here; a status clause would need a composite index
+        const ticketed = snapshot.docs
+          .map(d => ({ id: d.id, ...d.data() }))
+          .filter(r => TICKETED_STATUSES.includes(r.status))
+          .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0))
+        setRegistrations(ticketed)
+      } catch (error) {
+        setRegistrations([])
+      } finally {
+        setLoading(false)
+      }
+    }
+    loadRegistrations()
+  }, [user?.uid])
+
+  if (!loading && registrations.length === 0) return null
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.25 }}
+      className="glass-card rounded-xl p-6 mt-6"
+    >
+      <h3 className="text-xl font-semibold mb-4">Event Tickets</h3>
+      {loading ? (
+        <p className="text-sm text-gray-600 dark:text-gray-400">Loading tickets...</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {registrations.map(registration => (
+            <li key={registration.id} className="py-3">
+              <button
+                onClick={() => setOpenId(openId === registration.id ? null : registration.id)}
+                className="w-full flex items-center justify-between text-left"
+              >
+                <span className="flex items-center gap-2">
+                  <QrCode className="w-4 h-4 text-blue-500" />
+                  <span className="font-medium">{registration.eventTitle || 'Event'}</span>
+                  {registration.teamName && (
+                    <span className="text-xs text-gray-500">· {registration.teamName}</span>
+                  )}
+                </span>
+                {openId === registration.id ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+              </button>
+              {openId === registration.id && (
+                <div className="pt-4">
+                  <EventTicket registrationId={registration.id} />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </motion.div>
+  )
+}
+
+export default EventTickets
@@ -1,12 +1,36 @@
 import { useNavigate } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import toast from 'react-hot-toast'
+import paymentService from '../../services/paymentService'
 
-const MembershipDetails = ({ user, isEditing, onSave }) => {
+const STATUS_LABELS = {
+  active: 'Active',
+  grace: 'Grace period',
+  expired: 'Expired',
+  inactive: 'Inactive'
+}
+
+const RECEIPT_STATUSES = ['success', 'partially_refunded', 'refunded']
+
+const formatDate = (iso) => iso ? new Date(iso).toLocaleDateString() : null
+
+// Everything shown here comes from GET /membership/me (see useMembershipStatus)
+const MembershipDetails = ({ membership, loading, error, isEditing, onSave }) => {
   const navigate = useNavigate()
-  const membershipStatus = user?.membership?.status || 'inactive'
-  const membershipType = user?.membership?.type || 'None'
-  const membershipExpiry = user?.membership?.expiresAt?.toDate()
+  const status = membership?.status || 'inactive'
+  const renewal = membership?.renewal
+  const showRenew = !!renewal?.isRenewal && !!renewal?.canPurchase
+  const payments = membership?.payments || []
+
+  const handleReceiptClick = async (paymentId) => {
+    toast.loading('Preparing receipt...', { id: 'receipt' })
+    try {
+      await paymentService.downloadReceipt(paymentId)
+      toast.success('Receipt downloaded', { id: 'receipt' })
+    } catch (error) {
+      toast.error(error.message || 'Failed to download receipt', { id: 'receipt' })
+    }
+  }
 
   const handleActivateClick = async (e) => {
     e.preventDefault()
@@ -31,27 +55,42 @@ const MembershipDetails = ({ user, isEditing, onSave }) => {
       className="glass-card rounded-xl p-6 mt-6"
     >
       <h3 className="text-xl font-semibold mb-4">Membership Details</h3>
+      {loading ? (
+        <p className="text-sm text-gray-600 dark:text-gray-400">Loading membership...</p>
+      ) : error ? (
+        <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+      ) : (
       <div className="space-y-4">
         <div className="flex justify-between items-center p-4 rounded-lg bg-gray-50 dark:bg-gray-800">
           <div>
             <p className="text-sm text-gray-600 dark:text-gray-400">Status</p>
-            <p className="font-semibold capitalize">{membershipStatus}</p>
+            <p className="font-semibold">{STATUS_LABELS[status] || status}</p>
           </div>
           <div>
             <p className="text-sm text-gray-600 dark:text-gray-400">Type</p>
-            <p className="font-semibold">{membershipType}</p>
+            <p className="font-semibold">{membership?.plan?.name || 'None'}</p>
           </div>
-          {membershipExpiry && (
+          {membership?.expiresAt && (
             <div>
               <p className="text-sm text-gray-600 dark:text-gray-400">Expires</p>
-              <p className="font-semibold">
-                {new Date(membershipExpiry).toLocaleDateString()}
-              </p>
+              <p className="font-semibold">{formatDate(membership.expiresAt)}</p>
             </div>
           )}
         </div>
 
-        {membershipStatus === 'inactive' && (
+        {status === 'active' && membership?.daysRemaining !== null && (
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            {membership.daysRemaining} day{membership.daysRemaining === 1 ? '' : 's'} remaining
+            {renewal?.renewalOpensAt && !renewal.canPurchase && ` · renewal opens ${formatDate(renewal.renewalOpensAt)}`}
+          </p>
+        )}
+        {status === 'grace' && (
+          <p className="text-sm text-yellow-700 dark:text-yellow-400">
+            Your membership has ended. Renew before {formatDate(membership.graceEndsAt)} to keep your member benefits.
+          </p>
+        )}
+
+        {status !== 'active' && status !== 'grace' && !showRenew && (
           <button
             onClick={handleActivateClick}
             className="w-full btn-primary block text-center py-2 rounded-lg bg-primary-500 text-white hover:bg-primary-600 transition-colors"
@@ -59,7 +98,56 @@ const MembershipDetails = ({ user, isEditing, onSave }) => {
             {isEditing ? 'Save & Activate Membership' : 'Activate Membership'}
           </button>
         )}
+
+        {showRenew && (
+          <button
+            onClick={handleActivateClick}
+            className="w-full btn-primary block text-center py-2 rounded-lg bg-primary-500 text-white hover:bg-primary-600 transition-colors"
+          >
+            {isEditing ? 'Save & Renew Membership' : 'Renew Membership'}
+          </button>
+        )}
+
+        {membership?.paymentId && (
+          <button
+            onClick={() => handleReceiptClick(membership.paymentId)}
+            className="w-full block text-center py-2 rounded-lg border border-primary-500 text-primary-500 hover:bg-primary-50 dark:hover:bg-gray-800 transition-colors"
+          >
+            Download receipt
+          </button>
+        )}
+
+        {payments.length > 0 && (
+          <div>
+            <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Payment history</p>
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {payments.map(payment => (
+                <li key={payment.paymentId} className="py-2 flex items-center justify-between gap-4 text-sm">
+                  <div>
+                    <p className="font-medium">{payment.description || payment.paymentId}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {formatDate(payment.createdAt) || 'Date unknown'}
+                      {payment.status && ` · ${payment.status.replace(/_/g, ' ')}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    {payment.amount !== null && <span className="font-semibold">₹{payment.amount}</span>}
+                    {RECEIPT_STATUSES.includes(payment.status) && (
+                      <button
+                        onClick={() => handleReceiptClick(payment.paymentId)}
+                        className="text-xs text-primary-500 hover:underline"
+                      >
+                        Receipt
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
       </div>
+      )}
     </motion.div>
   )
 }
@@ -1,24 +1,24 @@
 import { useMemo } from 'react'
 import { Trophy, FileText, Award } from 'lucide-react'
 import { useAuth } from '../../contexts/AuthContext'
+import { useCertificates } from '../../hooks/useCertificates'
 
 const ProfileStats = () => {
   const { user } = useAuth()
+  const { certificates } = useCertificates()
 
-  const { eventsCount, certificatesCount, awardsCount } = useMemo(() => {
+  const { eventsCount, awardsCount } = useMemo(() => {
     const eventsCount = (user?.events && Array.isArray(user.events) && user.events.length) ||
       (user?.participation && Array.isArray(user.participation) && user.participation.length) || 0
 
-    const certificatesCount = (user?.certificates && Array.isArray(user.certificates) && user.certificates.length) || 0
-
     const awardsCount = (user?.awards && Array.isArray(user.awards) && user.awards.length) || 0
 
-    return { eventsCount, certificatesCount, awardsCount }
+    return { eventsCount, awardsCount }
   }, [user])
 
   const stats = [
     { icon: Trophy, value: eventsCount, label: 'Events', color: 'text-yellow-500' },
-    { icon: FileText, value: certificatesCount, label: 'Certificates', color: 'text-blue-500' },
+    { icon: FileText, value: certificates.length, label: 'Certificates', color: 'text-blue-500' },
     { icon: Award, value: awardsCount, label: 'Awards', color: 'text-purple-500' }
   ]
 
@@ -1,8 +1,7 @@
 import { motion } from 'framer-motion'
 import { CheckCircle, Check } from 'lucide-react'
-import { membershipPlans } from '../../data/membershipData'
 
-const MembershipPlans = ({ selectedPlan, setSelectedPlan }) => {
+const MembershipPlans = ({ plans, selectedPlan, setSelectedPlan }) => {
   return (
     <section className="container-custom mb-16">
       <motion.div
@@ -17,8 +16,8 @@ const MembershipPlans = ({ selectedPlan, setSelectedPlan }) => {
       </motion.div>
       
       <div className="grid md:grid-cols-3 gap-6 max-w-5xl mx-auto">
-        {membershipPlans.map((plan, index) => {
-          const totalPrice = plan.basePrice + plan.platformFee
+        {plans.map((plan, index) => {
+          const totalPrice = plan.price
           const isSelected = selectedPlan === plan.id
           
           return (
@@ -1,17 +1,24 @@
+import { useState } from 'react'
 import { motion } from 'framer-motion'
-import { Info, CreditCard, Shield, Loader, Lock } from 'lucide-react'
-import { membershipPlans } from '../../data/membershipData'
+import { Info, CreditCard, Shield, Loader, Lock, Tag, X } from 'lucide-react'
 
 const RegistrationForm = ({
   user,
+  plans,
   formData,
   loading,
   selectedPlan,
+  coupon,
+  applyingCoupon,
+  onApplyCoupon,
+  onRemoveCoupon,
   onInputChange,
   onSubmit,
   onSignIn
 }) => {
-  const selectedPlanData = membershipPlans.find(p => p.id === selectedPlan)
+  const selectedPlanData = plans.find(p => p.id === selectedPlan)
+  const [couponInput, setCouponInput] = useState('')
+  const totalAmount = coupon ? coupon.amount : selectedPlanData?.price || 0
 
   return (
     <section className="container-custom py-10">
@@ -71,6 +78,50 @@ const RegistrationForm = ({
                 </div>
               </div>
 
+              {/* Coupon Code */}
+              <div className="mt-6">
+                <label className="block text-sm font-semibold mb-3 text-gray-300">
+                  Coupon Code <span className="text-gray-500">(Optional)</span>
+                </label>
+                {coupon ? (
+                  <div className="flex items-center justify-between px-4 py-3 bg-green-500/10 border border-green-500/30 rounded-xl">
+                    <span className="flex items-center gap-2 text-green-400 font-semibold">
+                      <Tag className="w-4 h-4" />
+                      {coupon.code}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        onRemoveCoupon()
+                        setCouponInput('')
+                      }}
+                      className="text-gray-400 hover:text-white transition-colors"
+                      aria-label="Remove coupon"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex gap-3">
+                    <input
+                      type="text"
+                      value={couponInput}
+                      onChange={(e) => setCouponInput(e.target.value.toUpperCase().slice(0, 32))}
+                      className="flex-1 px-4 py-3 bg-white/5 border border-white/10 rounded-xl text-white placeholder-gray-500 uppercase focus:outline-none focus:border-primary-500 focus:ring-2 focus:ring-primary-500/20 transition-all"
+                      placeholder="EARLYBIRD"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => onApplyCoupon(couponInput)}
+                      disabled={applyingCoupon || !couponInput.trim()}
+                      className="px-6 py-3 bg-white/10 border border-white/10 rounded-xl font-semibold text-white hover:bg-white/20 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {applyingCoupon ? <Loader className="w-5 h-5 animate-spin" /> : 'Apply'}
+                    </button>
+                  </div>
+                )}
+              </div>
+
               {/* Membership Summary */}
               {selectedPlanData && (
                 <motion.div
@@ -82,10 +133,19 @@ const RegistrationForm = ({
                     <span className="text-gray-300 font-medium">Membership Duration:</span>
                     <span className="text-primary-400 font-bold text-lg">{selectedPlanData.duration}</span>
                   </div>
+                  {coupon && (
+                    <div className="flex items-center justify-between mb-4">
+                      <span className="text-gray-300 font-medium">Discount ({coupon.code}):</span>
+                      <span className="text-green-400 font-bold text-lg">
+                        -₹{coupon.discount}
+                        <span className="ml-2 text-sm text-gray-500 line-through">₹{coupon.originalAmount}</span>
+                      </span>
+                    </div>
+                  )}
                   <div className="flex items-center justify-between">
                     <span className="text-gray-300 font-medium">Total Amount:</span>
                     <span className="text-3xl font-black text-transparent bg-clip-text bg-gradient-to-r from-primary-400 to-cyber-blue">
-                      ₹{selectedPlanData.basePrice + selectedPlanData.platformFee}
+                      ₹{totalAmount}
                     </span>
                   </div>
                 </motion.div>
@@ -106,7 +166,7 @@ const RegistrationForm = ({
                   ) : (
                     <>
                       <CreditCard className="w-6 h-6" />
-                      Complete Payment - ₹{selectedPlanData ? (selectedPlanData.basePrice + selectedPlanData.platformFee) : 0}
+                      Complete Payment - ₹{totalAmount}
                     </>
                   )}
                 </button>
@@ -1,10 +1,12 @@
 // Membership plans data
+// Offline fallback only: the live catalogue (prices, fees, availability) is served by the backend's GET /plans
 export const membershipPlans = [
   {
     id: 'one-year',
     name: '1-Year Executive Membership',
     basePrice: 350,
     platformFee: 8,
+    durationMonths: 12,
     duration: '1 Year',
     popular: true,
     features: [
@@ -23,6 +25,7 @@ export const membershipPlans = [
     name: '2-Year Executive Membership',
     basePrice: 650,
     platformFee: 14,
+    durationMonths: 24,
     duration: '2 Years',
     popular: false,
     features: [
@@ -42,6 +45,7 @@ export const membershipPlans = [
     name: '3-Year Executive Membership',
     basePrice: 900,
     platformFee: 19,
+    durationMonths: 36,
     duration: '3 Years',
     popular: false,
     features: [
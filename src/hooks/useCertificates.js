@@ -0,0 +1,42 @@
+import { useState, useEffect } from 'react'
+import { collection, query, where, getDocs } from 'firebase/firestore'
+import { db } from '../config/firebase'
+import { useAuth } from '../contexts/AuthContext'
+
+/**
+ * Custom hook for the signed-in user's event certificates. The backend
+ * issues them once an event's attendees have checked in.
+ */
+export const useCertificates = () => {
+  const { user } = useAuth()
+  const [certificates, setCertificates] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    if (!user?.uid) {
+      setCertificates([])
+      setLoading(false)
+      return
+    }
+
+    const loadCertificates = async () => {
+      setLoading(true)
+      try {
+        const snapshot = await getDocs(query(collection(db, 'certificates'), where('userId', '==', user.uid)))
+        // No composite index on userId + issuedAt, so filter and sort here
+        const list = snapshot.docs
+          .map(d => ({ id: d.id, ...d.data() }))
+          .filter(c => c.status === 'issued')
+          .sort((a, b) => (b.issuedAt?.toMillis?.() || 0) - (a.issuedAt?.toMillis?.() || 0))
+        setCertificates(list)
+      } catch (error) {
+        setCertificates([])
+      } finally {
+        setLoading(false)
+      }
+    }
+    loadCertificates()
+  }, [user?.uid])
+
+  return { certificates, loading }
+}
@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react'
+import paymentService from '../services/paymentService'
+
+/**
+ * Custom hook for loading the membership plan catalogue from the backend
+ */
+export const useMembershipPlans = () => {
+  const [plans, setPlans] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const loadPlans = async () => {
+      const catalogue = await paymentService.getPlans()
+      if (!cancelled) {
+        setPlans(catalogue)
+        setLoading(false)
+      }
+    }
+
+    loadPlans()
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  return { plans, loading }
+}
@@ -0,0 +1,39 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import paymentService from '../services/paymentService'
+
+/**
+ * Custom hook for the signed-in user's membership from GET /membership/me.
+ * The backend works out status, expiry and renewal eligibility, so
+ * components only display what it returns.
+ */
+export const useMembershipStatus = () => {
+  const { user } = useAuth()
+  const [membership, setMembership] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const refresh = useCallback(async () => {
+    if (!user) {
+      setMembership(null)
+      setLoading(false)
+      return
+    }
+
+    setLoading(true)
+    try {
+      setMembership(await paymentService.getMembershipStatus())
+      setError(null)
+    } catch (err) {
+      setError(err.message || 'Failed to load membership')
+    } finally {
+      setLoading(false)
+    }
+  }, [user?.uid])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  return { membership, loading, error, refresh }
+}
@@ -0,0 +1,53 @@
+import { useState, useEffect, useCallback } from 'react'
+import { collection, query, where, onSnapshot, doc, updateDoc, serverTimestamp } from 'firebase/firestore'
+import { db, isDemoMode } from '../config/firebase'
+import { useAuth } from '../contexts/AuthContext'
+
+// Newest first; only the latest few are shown in the bell
+const MAX_NOTIFICATIONS = 20
+
+/**
+ * Custom hook for the signed-in user's in-app notifications, live from
+ * Firestore. The backend writes them (e.g. a waitlist promotion); the
+ * user can only mark them read.
+ */
+export const useNotifications = () => {
+  const { user } = useAuth()
+  const [notifications, setNotifications] = useState([])
+
+  useEffect(() => {
+    // The demo-mode mock Firestore has no live queries
+    if (!user?.uid || isDemoMode) {
+      setNotifications([])
+      return
+    }
+
+    const q = query(collection(db, 'notifications'), where('userId', '==', user.uid))
+    return onSnapshot(q, (snapshot) => {
+      // No composite index on userId + createdAt, so sort here
+      const list = snapshot.docs
+        .map(d => ({ id: d.id, ...d.data() }))
+        .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0))
+        .slice(0, MAX_NOTIFICATIONS)
+      setNotifications(list)
+    }, () => setNotifications([]))
+  }, [user?.uid])
+
+  const markRead = useCallback(async (notificationId) => {
+    await updateDoc(doc(db, 'notifications', notificationId), {
+      read: true,
+      readAt: serverTimestamp()
+    })
+  }, [])
+
+  const markAllRead = useCallback(async () => {
+    await Promise.all(notifications.filter(n => !n.read).map(n => markRead(n.id)))
+  }, [notifications, markRead])
+
+  return {
+    notifications,
+    unreadCount: notifications.filter(n => !n.read).length,
+    markRead,
+    markAllRead
+  }
+}
@@ -2,7 +2,7 @@
  * Secure recruitment hook with enhanced security measures
  */
 
-import { useState, useCallback, useRef } from 'react'
+import { useState, useCallback, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import toast from 'react-hot-toast'
@@ -20,8 +20,40 @@ export const useSecureRecruit = () => {
   const [selectedPlan, setSelectedPlan] = useState('one-year')
   const [loading, setLoading] = useState(false)
   const [errors, setErrors] = useState({})
-  const paymentAttempts = useRef(0)
-  const lastPaymentTime = useRef(null)
+
+  // Coupon applied to the selected plan ({ code, discount, amount, originalAmount })
+  const [coupon, setCoupon] = useState(null)
+  const [applyingCoupon, setApplyingCoupon] = useState(false)
+
+  // A coupon is priced for one plan; switching plans means applying it again
+  useEffect(() => {
+    setCoupon(null)
+  }, [selectedPlan])
+
+  const applyCoupon = async (code) => {
+    if (!user) {
+      toast.error('Please sign in to apply a coupon')
+      return
+    }
+    if (!code?.trim()) {
+      toast.error('Enter a coupon code')
+      return
+    }
+
+    setApplyingCoupon(true)
+    try {
+      const result = await paymentService.validateCoupon(code.trim(), selectedPlan)
+      setCoupon(result)
+      toast.success(`Coupon applied! You save ₹${result.discount}`)
+    } catch (error) {
+      setCoupon(null)
+      toast.error(error.message || 'Invalid coupon code')
+    } finally {
+      setApplyingCoupon(false)
+    }
+  }
+
+  const removeCoupon = () => setCoupon(null)
 
   // Initialize form with sanitized user data
   // Initialize form with sanitized user data
@@ -117,24 +149,6 @@ export const useSecureRecruit = () => {
     return missingFields.length === 0 && userData.name
   }
 
-  // Rate limiting for payment attempts
-  const checkPaymentRateLimit = () => {
-    const now = Date.now()
-
-    // Reset counter after 5 minutes
-    if (lastPaymentTime.current && now - lastPaymentTime.current > 300000) {
-      paymentAttempts.current = 0
-    }
-
-    if (paymentAttempts.current >= 3) {
-      const timeLeft = Math.ceil((300000 - (now - lastPaymentTime.current)) / 60000)
-      toast.error(`Too many payment attempts. Please wait ${timeLeft} minutes.`)
-      return false
-    }
-
-    return true
-  }
-
   // Secure payment handler
   const handlePayment = async () => {
     try {
@@ -144,10 +158,16 @@ export const useSecureRecruit = () => {
         return
       }
 
-      // Check if user already has an active subscription
-      if (user.membership?.status === 'active') {
-        toast.error('You already have an active subscription')
-        return
+      // Active members can only renew once the renewal window opens. The
+      // backend decides; if it can't be asked now, /create-order checks again.
+      try {
+        const { renewal } = await paymentService.getMembershipStatus()
+        if (!renewal.canPurchase) {
+          toast.error(`You already have an active subscription. Renewal opens on ${new Date(renewal.renewalOpensAt).toLocaleDateString()}`)
+          return
+        }
+      } catch (error) {
+        console.error('Error checking renewal eligibility:', error)
       }
 
       // Fetch fresh user data to ensure we have the latest profile updates
@@ -175,14 +195,8 @@ export const useSecureRecruit = () => {
         return
       }
 
-      // Check rate limiting
-      if (!checkPaymentRateLimit()) {
-        return
-      }
-
+      // Attempts are rate-limited by the backend; a 429 comes back through the failure callback
       setLoading(true)
-      paymentAttempts.current++
-      lastPaymentTime.current = Date.now()
 
       // Prepare payment data from fresh user data
       const paymentData = {
@@ -214,9 +228,6 @@ export const useSecureRecruit = () => {
           toast.success('Payment successful! Welcome to CSI NMAMIT!')
           // console.log('Payment verified:', result)
 
-          // Reset attempts on success
-          paymentAttempts.current = 0
-
           // Navigate to profile after delay
           setTimeout(() => {
             navigate('/profile')
@@ -226,7 +237,8 @@ export const useSecureRecruit = () => {
           // Failure callback
           toast.error(error || 'Payment failed. Please try again.')
           setLoading(false)
-        }
+        },
+        coupon?.code
       )
     } catch (error) {
       // console.error('Payment error:', error)
@@ -260,6 +272,10 @@ export const useSecureRecruit = () => {
     errors,
     selectedPlan,
     setSelectedPlan,
+    coupon,
+    applyingCoupon,
+    applyCoupon,
+    removeCoupon,
     handleInputChange,
     handleSubmit,
     signInWithGoogle: secureSignIn,
@@ -1,6 +1,7 @@
 import { useEffect, useState } from 'react'
 import { useAdminAuth } from '../../contexts/AdminAuthContext'
 import { Save, Brush, LayoutList, Bell, Shield, Database } from 'lucide-react'
+import SystemStatus from '../../components/Admin/SystemStatus'
 
 const DEFAULT_SETTINGS = {
   tableDensity: 'comfortable', // 'comfortable' | 'compact'
@@ -66,6 +67,9 @@ const AdminSettings = () => {
       <h1 className="text-2xl font-semibold text-[#333] dark:text-gray-100 mb-6">Admin Settings</h1>
 
       <div className="space-y-6">
+        {/* System Status (live checks, not saved) */}
+        <SystemStatus />
+
         {/* Appearance */}
         <section className="bg-white dark:bg-gray-900 border border-[#ddd] dark:border-gray-800 rounded-lg">
           <div className="px-5 py-4 border-b border-[#eee] dark:border-gray-800 flex items-center gap-2">
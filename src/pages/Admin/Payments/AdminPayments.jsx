@@ -12,12 +12,20 @@ import {
   Users,
   CheckCircle,
   Eye,
-  Clock
+  Clock,
+  RotateCcw,
+  Scale,
+  Tag,
+  Banknote
 } from 'lucide-react'
 import toast from 'react-hot-toast'
 import OTPModal from './components/OTPModal'
 import PaymentDetailsModal from './components/PaymentDetailsModal'
+import ReconciliationReport from './components/ReconciliationReport'
+import CouponManager from './components/CouponManager'
+import OfflinePayments from './components/OfflinePayments'
 import { paymentService } from './services/paymentDataService'
+import { emailHasPermission } from '../../../utils/secureCoreMembersUtils'
 
 export default function AdminPayments() {
   const navigate = useNavigate()
@@ -49,6 +57,12 @@ export default function AdminPayments() {
   // Modal states
   const [selectedPayment, setSelectedPayment] = useState(null)
   const [showDetailsModal, setShowDetailsModal] = useState(false)
+  const [showReconciliation, setShowReconciliation] = useState(false)
+  const [showCoupons, setShowCoupons] = useState(false)
+  const [showOfflinePayments, setShowOfflinePayments] = useState(false)
+
+  // Refunds, reconciliation, coupons and offline payment approval are limited to core members holding the 'finance' permission
+  const canRefund = emailHasPermission(adminUser?.email, 'finance')
 
   // Check if admin is already authenticated for payments
   useEffect(() => {
@@ -207,11 +221,24 @@ export default function AdminPayments() {
         return <span className="w-4 h-4 text-red-500 inline mr-1">✗</span>
       case 'pending':
         return <Clock className="w-4 h-4 text-yellow-500 inline mr-1" />
+      case 'refunded':
+      case 'partially_refunded':
+      case 'refund_due':
+        return <RotateCcw className="w-4 h-4 text-gray-500 inline mr-1" />
       default:
         return null
     }
   }
 
+  const STATUS_LABELS = {
+    success: 'Success',
+    pending: 'Pending',
+    failed: 'Failed',
+    refunded: 'Refunded',
+    partially_refunded: 'Partly Refunded',
+    refund_due: 'Refund Due'
+  }
+
   // If not authenticated, show OTP modal
   if (!isAuthenticated && showOTPModal) {
     return (
@@ -245,6 +272,31 @@ export default function AdminPayments() {
           >
             <RefreshCw className={`w-5 h-5 ${loading ? 'animate-spin' : ''}`} />
           </button>
+          {canRefund && (
+            <button
+              onClick={() => setShowReconciliation(prev => !prev)}
+              className="flex items-center px-4 py-2 border border-[#417690] text-[#417690] rounded hover:bg-gray-100 transition-colors"
+            >
+              <Scale className="w-4 h-4 mr-2" />
+              Reconcile
+            </button>
+          )}
+          {canRefund && (
+            <button
+              onClick={() => setShowCoupons(prev => !prev)}
+              className="flex items-center px-4 py-2 border border-[#417690] text-[#417690] rounded hover:bg-gray-100 transition-colors"
+            >
+              <Tag className="w-4 h-4 mr-2" />
+              Coupons
+            </button>
+          )}
+          <button
+            onClick={() => setShowOfflinePayments(prev => !prev)}
+            className="flex items-center px-4 py-2 border border-[#417690] text-[#417690] rounded hover:bg-gray-100 transition-colors"
+          >
+            <Banknote className="w-4 h-4 mr-2" />
+            Record offline payment
+          </button>
           <button
             onClick={exportPaymentData}
             className="flex items-center px-4 py-2 bg-[#417690] text-white rounded hover:bg-[#205067] transition-colors"
@@ -293,6 +345,23 @@ export default function AdminPayments() {
         </div>
       </div>
 
+      {showReconciliation && (
+        <ReconciliationReport onClose={() => setShowReconciliation(false)} />
+      )}
+
+      {showCoupons && (
+        <CouponManager adminEmail={adminUser?.email} onClose={() => setShowCoupons(false)} />
+      )}
+
+      {showOfflinePayments && (
+        <OfflinePayments
+          adminUser={adminUser}
+          canApprove={canRefund}
+          onClose={() => setShowOfflinePayments(false)}
+          onApproved={fetchPaymentData}
+        />
+      )}
+
       {/* Filters Section - Django Style */}
       <div className="bg-white border border-[#ddd] rounded mb-4">
         <div className="bg-[#f5f5f5] px-4 py-2 border-b border-[#ddd]">
@@ -321,6 +390,9 @@ export default function AdminPayments() {
               <option value="success">Success</option>
               <option value="pending">Pending</option>
               <option value="failed">Failed</option>
+              <option value="refunded">Refunded</option>
+              <option value="partially_refunded">Partly Refunded</option>
+              <option value="refund_due">Refund Due</option>
             </select>
 
             {/* Date Range */}
@@ -421,8 +493,17 @@ export default function AdminPayments() {
                     </span>
                   </td>
                   <td className="px-4 py-3">
-                    <div className="text-[#333]">{payment.planName || '1-Year Executive Membership'}</div>
-                    <div className="text-xs text-gray-500">{payment.planDuration || '1 Year'}</div>
+                    {payment.type === 'event' ? (
+                      <>
+                        <div className="text-[#333]">{payment.eventTitle || 'Event registration'}</div>
+                        <div className="text-xs text-gray-500">Event{payment.isMemberPrice ? ' · member price' : ''}</div>
+                      </>
+                    ) : (
+                      <>
+                        <div className="text-[#333]">{payment.planName || '1-Year Executive Membership'}</div>
+                        <div className="text-xs text-gray-500">{payment.planDuration || '1 Year'}</div>
+                      </>
+                    )}
                   </td>
                   <td className="px-4 py-3">
                     <span className={`inline-flex items-center px-2 py-1 text-xs font-medium rounded ${
@@ -430,11 +511,20 @@ export default function AdminPayments() {
                         ? 'bg-green-100 text-green-800' 
                         : payment.status === 'pending'
                         ? 'bg-yellow-100 text-yellow-800'
+                        : payment.status === 'refund_due'
+                        ? 'bg-orange-100 text-orange-800'
+                        : payment.status === 'refunded' || payment.status === 'partially_refunded'
+                        ? 'bg-gray-100 text-gray-800'
                         : 'bg-red-100 text-red-800'
                     }`}>
                       {getStatusIcon(payment.status)}
-                      {payment.status === 'success' ? 'Success' : payment.status === 'pending' ? 'Pending' : 'Failed'}
+                      {STATUS_LABELS[payment.status] || 'Failed'}
                     </span>
+                    {payment.status === 'failed' && payment.failureReason && (
+                      <div className="text-xs text-[#ba2121] mt-1 max-w-[200px] truncate" title={payment.failureReason}>
+                        {payment.failureReason}
+                      </div>
+                    )}
                   </td>
                   <td className="px-4 py-3">
                     <div className="flex items-center text-[#666]">
@@ -463,6 +553,8 @@ export default function AdminPayments() {
         <PaymentDetailsModal
           payment={selectedPayment}
           isOpen={showDetailsModal}
+          canRefund={canRefund}
+          onRefunded={refreshData}
           onClose={() => {
             setShowDetailsModal(false)
             setSelectedPayment(null)
@@ -0,0 +1,291 @@
+import React, { useState, useEffect } from 'react'
+import { Tag, Plus, Power } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { paymentService } from '../services/paymentDataService'
+import { useMembershipPlans } from '../../../../hooks/useMembershipPlans'
+
+// Same options as the profile form's branch select
+const BRANCHES = [
+  'Computer Science',
+  'Information Science',
+  'Electronics',
+  'Mechanical',
+  'Civil',
+  'Electrical'
+]
+
+const EMPTY_FORM = {
+  code: '',
+  type: 'percent',
+  value: '',
+  maxRedemptions: '',
+  perUserLimit: '1',
+  validFrom: '',
+  expiresAt: '',
+  planIds: [],
+  branches: []
+}
+
+const inputClass = 'w-full px-2 py-1.5 text-sm border border-[#ccc] rounded focus:outline-none focus:border-[#79aec8]'
+
+export default function CouponManager({ adminEmail, onClose }) {
+  const { plans } = useMembershipPlans()
+  const [coupons, setCoupons] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [saving, setSaving] = useState(false)
+
+  const loadCoupons = async () => {
+    setLoading(true)
+    try {
+      setCoupons(await paymentService.fetchCoupons())
+    } catch (error) {
+      toast.error('Failed to load coupons')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadCoupons()
+  }, [])
+
+  const toggleListValue = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(v => v !== value)
+        : [...prev[field], value]
+    }))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+
+    const value = Number(form.value)
+    if (!/^[A-Z0-9_-]{3,32}$/i.test(form.code.trim())) {
+      toast.error('Code must be 3-32 letters, digits, - or _')
+      return
+    }
+    if (!value || value <= 0 || (form.type === 'percent' && value > 100)) {
+      toast.error(form.type === 'percent' ? 'Percent must be between 1 and 100' : 'Enter a discount amount')
+      return
+    }
+    if (form.validFrom && form.expiresAt && new Date(form.validFrom) > new Date(form.expiresAt)) {
+      toast.error('Expiry must be after the start date')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const code = await paymentService.createCoupon(form, adminEmail)
+      toast.success(`Coupon ${code} created`)
+      setForm(EMPTY_FORM)
+      loadCoupons()
+    } catch (error) {
+      toast.error(error.message || 'Failed to create coupon')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const toggleActive = async (coupon) => {
+    try {
+      await paymentService.setCouponActive(coupon.id, !coupon.active)
+      setCoupons(prev => prev.map(c => c.id === coupon.id ? { ...c, active: !c.active } : c))
+    } catch (error) {
+      toast.error('Failed to update coupon')
+    }
+  }
+
+  const describeRestrictions = (coupon) => {
+    const parts = []
+    if (coupon.planIds?.length) {
+      parts.push(coupon.planIds.map(id => plans.find(p => p.id === id)?.duration || id).join(', '))
+    }
+    if (coupon.branches?.length) {
+      parts.push(coupon.branches.join(', '))
+    }
+    return parts.length ? parts.join(' · ') : 'All plans and branches'
+  }
+
+  return (
+    <div className="bg-white border border-[#ddd] rounded mb-4">
+      <div className="bg-[#417690] text-white px-4 py-2 flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Tag className="w-4 h-4" />
+          <span className="text-sm font-medium">Coupon Codes</span>
+        </div>
+        <button onClick={onClose} className="text-xs hover:underline">
+          Hide
+        </button>
+      </div>
+
+      {/* New coupon */}
+      <form onSubmit={handleCreate} className="px-4 py-3 border-b border-[#ddd] bg-[#f8f8f8]">
+        <div className="grid grid-cols-6 gap-3 mb-3">
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Code</label>
+            <input
+              type="text"
+              value={form.code}
+              onChange={(e) => setForm(prev => ({ ...prev, code: e.target.value.toUpperCase() }))}
+              className={inputClass}
+              placeholder="EARLYBIRD"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Discount</label>
+            <div className="flex gap-1">
+              <select
+                value={form.type}
+                onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+                className={inputClass}
+              >
+                <option value="percent">%</option>
+                <option value="flat">₹</option>
+              </select>
+              <input
+                type="number"
+                min="1"
+                value={form.value}
+                onChange={(e) => setForm(prev => ({ ...prev, value: e.target.value }))}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Total uses (blank = unlimited)</label>
+            <input
+              type="number"
+              min="1"
+              value={form.maxRedemptions}
+              onChange={(e) => setForm(prev => ({ ...prev, maxRedemptions: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Uses per member (0 = unlimited)</label>
+            <input
+              type="number"
+              min="0"
+              value={form.perUserLimit}
+              onChange={(e) => setForm(prev => ({ ...prev, perUserLimit: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Valid from</label>
+            <input
+              type="datetime-local"
+              value={form.validFrom}
+              onChange={(e) => setForm(prev => ({ ...prev, validFrom: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Expires</label>
+            <input
+              type="datetime-local"
+              value={form.expiresAt}
+              onChange={(e) => setForm(prev => ({ ...prev, expiresAt: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div className="flex items-start gap-6 text-xs text-gray-700">
+          <div>
+            <span className="block text-gray-600 mb-1">Plans (none = all)</span>
+            {plans.map(plan => (
+              <label key={plan.id} className="inline-flex items-center mr-3">
+                <input
+                  type="checkbox"
+                  checked={form.planIds.includes(plan.id)}
+                  onChange={() => toggleListValue('planIds', plan.id)}
+                  className="mr-1"
+                />
+                {plan.duration}
+              </label>
+            ))}
+          </div>
+          <div className="flex-1">
+            <span className="block text-gray-600 mb-1">Branches (none = all)</span>
+            {BRANCHES.map(branch => (
+              <label key={branch} className="inline-flex items-center mr-3">
+                <input
+                  type="checkbox"
+                  checked={form.branches.includes(branch)}
+                  onChange={() => toggleListValue('branches', branch)}
+                  className="mr-1"
+                />
+                {branch}
+              </label>
+            ))}
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="flex items-center px-3 py-1.5 text-sm bg-[#417690] text-white rounded hover:bg-[#205067] transition-colors disabled:opacity-50"
+          >
+            <Plus className="w-3 h-3 mr-1" />
+            {saving ? 'Creating...' : 'Create'}
+          </button>
+        </div>
+      </form>
+
+      {/* Existing coupons */}
+      <table className="w-full text-sm">
+        <thead className="bg-[#f8f8f8] border-b border-[#ddd]">
+          <tr>
+            <th className="text-left px-4 py-2 font-normal text-[#666] uppercase text-xs tracking-wider">Code</th>
+            <th className="text-left px-4 py-2 font-normal text-[#666] uppercase text-xs tracking-wider">Discount</th>
+            <th className="text-left px-4 py-2 font-normal text-[#666] uppercase text-xs tracking-wider">Used</th>
+            <th className="text-left px-4 py-2 font-normal text-[#666] uppercase text-xs tracking-wider">Expires</th>
+            <th className="text-left px-4 py-2 font-normal text-[#666] uppercase text-xs tracking-wider">Restrictions</th>
+            <th className="text-left px-4 py-2 font-normal text-[#666] uppercase text-xs tracking-wider">Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {loading ? (
+            <tr>
+              <td colSpan="6" className="px-4 py-6 text-center text-gray-500">Loading coupons...</td>
+            </tr>
+          ) : coupons.length === 0 ? (
+            <tr>
+              <td colSpan="6" className="px-4 py-6 text-center text-gray-500">No coupons yet</td>
+            </tr>
+          ) : (
+            coupons.map(coupon => (
+              <tr key={coupon.id} className="border-b border-[#eee]">
+                <td className="px-4 py-2 font-mono text-[#417690]">{coupon.code}</td>
+                <td className="px-4 py-2">
+                  {coupon.type === 'percent' ? `${coupon.value}%` : `₹${coupon.value}`}
+                </td>
+                <td className="px-4 py-2">
+                  {coupon.redemptionCount || 0}{coupon.maxRedemptions ? ` / ${coupon.maxRedemptions}` : ''}
+                </td>
+                <td className="px-4 py-2 text-xs text-gray-600">
+                  {coupon.expiresAt ? coupon.expiresAt.toLocaleString('en-IN') : 'Never'}
+                </td>
+                <td className="px-4 py-2 text-xs text-gray-600">{describeRestrictions(coupon)}</td>
+                <td className="px-4 py-2">
+                  <button
+                    onClick={() => toggleActive(coupon)}
+                    className={`inline-flex items-center px-2 py-1 text-xs rounded ${
+                      coupon.active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                    }`}
+                    title={coupon.active ? 'Disable' : 'Enable'}
+                  >
+                    <Power className="w-3 h-3 mr-1" />
+                    {coupon.active ? 'Active' : 'Disabled'}
+                  </button>
+                </td>
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+    </div>
+  )
+}
@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react'
+import { Banknote, Plus, Check, X } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { paymentService } from '../services/paymentDataService'
+import { useMembershipPlans } from '../../../../hooks/useMembershipPlans'
+
+const METHODS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'upi', label: 'UPI (direct)' },
+  { value: 'bank_transfer', label: 'Bank transfer' }
+]
+
+const EMPTY_FORM = {
+  payerEmail: '',
+  planId: '',
+  amount: '',
+  method: 'cash',
+  reference: '',
+  note: ''
+}
+
+const STATUS_STYLES = {
+  pending_approval: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+}
+
+const inputClass = 'w-full px-2 py-1.5 text-sm border border-[#ccc] rounded focus:outline-none focus:border-[#79aec8]'
+
+export default function OfflinePayments({ adminUser, canApprove, onClose, onApproved }) {
+  const { plans } = useMembershipPlans()
+  const [records, setRecords] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [saving, setSaving] = useState(false)
+  const [actingOn, setActingOn] = useState(null)
+
+  const loadRecords = async () => {
+    setLoading(true)
+    try {
+      setRecords(await paymentService.fetchOfflinePayments())
+    } catch (error) {
+      toast.error('Failed to load offline payments')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadRecords()
+  }, [])
+
+  // Default the amount to the plan price; the treasurer can change it
+  const selectPlan = (planId) => {
+    const plan = plans.find(p => p.id === planId)
+    setForm(prev => ({ ...prev, planId, amount: plan ? String(plan.price) : prev.amount }))
+  }
+
+  const selectedPlan = plans.find(p => p.id === form.planId)
+  // Anything but the plan price needs a note saying why
+  const amountDiffers = !!selectedPlan && form.amount !== '' && Number(form.amount) !== selectedPlan.price
+
+  const handleRecord = async (e) => {
+    e.preventDefault()
+
+    if (!form.payerEmail.trim() || !form.planId) {
+      toast.error('Enter the payer email and choose a plan')
+      return
+    }
+    if (!Number(form.amount) || Number(form.amount) <= 0) {
+      toast.error('Enter the amount received')
+      return
+    }
+    if (!form.reference.trim()) {
+      toast.error('Enter a receipt number or payment reference')
+      return
+    }
+    if (amountDiffers && !form.note.trim()) {
+      toast.error(`Add a note explaining why the amount differs from the plan price of ₹${selectedPlan.price}`)
+      return
+    }
+
+    setSaving(true)
+    try {
+      await paymentService.recordOfflinePayment({ ...form, amount: Number(form.amount) })
+      toast.success('Recorded. Another finance admin needs to approve it.')
+      setForm(EMPTY_FORM)
+      loadRecords()
+    } catch (error) {
+      toast.error(error.message || 'Failed to record payment')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleApprove = async (record) => {
+    if (!window.confirm(`Approve ₹${record.amount} from ${record.userName || record.userEmail} and activate their membership?`)) {
+      return
+    }
+
+    setActingOn(record.id)
+    try {
+      await paymentService.approveOfflinePayment(record.id)
+      toast.success('Approved. Membership activated.')
+      loadRecords()
+      onApproved?.()
+    } catch (error) {
+      toast.error(error.message || 'Failed to approve payment')
+    } finally {
+      setActingOn(null)
+    }
+  }
+
+  const handleReject = async (record) => {
+    const reason = window.prompt('Reason for rejecting this payment?')
+    if (!reason?.trim()) return
+
+    setActingOn(record.id)
+    try {
+      await paymentService.rejectOfflinePayment(record.id, reason.trim())
+      toast.success('Payment rejected')
+      loadRecords()
+    } catch (error) {
+      toast.error(error.message || 'Failed to reject payment')
+    } finally {
+      setActingOn(null)
+    }
+  }
+
+  return (
+    <div className="bg-white border border-[#ddd] rounded mb-4">
+      <div className="bg-[#417690] text-white px-4 py-2 flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Banknote className="w-4 h-4" />
+          <span className="text-sm font-medium">Offline Payments</span>
+        </div>
+        <button onClick={onClose} className="text-xs hover:underline">
+          Hide
+        </button>
+      </div>
+
+      {/* Record a payment */}
+      <form onSubmit={handleRecord} className="px-4 py-3 border-b border-[#ddd] bg-[#f8f8f8]">
+        <div className="grid grid-cols-6 gap-3 mb-3">
+          <div className="col-span-2">
+            <label className="block text-xs text-gray-600 mb-1">Payer email</label>
+            <input
+              type="email"
+              value={form.payerEmail}
+              onChange={(e) => setForm(prev => ({ ...prev, payerEmail: e.target.value }))}
+              className={inputClass}
+              placeholder="student@example.com"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Plan</label>
+            <select
+              value={form.planId}
+              onChange={(e) => selectPlan(e.target.value)}
+              className={inputClass}
+            >
+              <option value="">Select...</option>
+              {plans.map(plan => (
+                <option key={plan.id} value={plan.id}>{plan.duration} (₹{plan.price})</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Amount received (₹)</label>
+            <input
+              type="number"
+              min="1"
+              value={form.amount}
+              onChange={(e) => setForm(prev => ({ ...prev, amount: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Method</label>
+            <select
+              value={form.method}
+              onChange={(e) => setForm(prev => ({ ...prev, method: e.target.value }))}
+              className={inputClass}
+            >
+              {METHODS.map(method => (
+                <option key={method.value} value={method.value}>{method.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Reference</label>
+            <input
+              type="text"
+              value={form.reference}
+              onChange={(e) => setForm(prev => ({ ...prev, reference: e.target.value }))}
+              className={inputClass}
+              placeholder="Receipt no. / UTR"
+            />
+          </div>
+        </div>
+
+        <div className="flex items-end gap-3">
+          <div className="flex-1">
+            <label className="block text-xs text-gray-600 mb-1">
+              {amountDiffers ? 'Note (required: why the amount differs from the plan price)' : 'Note (optional)'}
+            </label>
+            <input
+              type="text"
+              value={form.note}
+              onChange={(e) => setForm(prev => ({ ...prev, note: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="flex items-center px-3 py-1.5 text-sm bg-[#417690] text-white rounded hover:bg-[#205067] transition-colors disabled:opacity-50"
+          >
+            <Plus className="w-3 h-3 mr-1" />
+            {saving ? 'Recording...' : 'Record payment'}
+          </button>
+        </div>
+      </form>
+
+      {/* Recorded payments */}
+      <table className="w-full text-sm">
+        <thead className="bg-[#f8f8f8] border-b border-[#ddd]">
+          <tr>
+            <th className="text-left px-4 py-2 font-normal text-[#666] uppercase text-xs tracking-wider">Payer</th>
+            <th className="text-left px-4 py-2 font-normal text-[#666] uppercase text-xs tracking-wider">Plan</th>
+            <th className="text-left px-4 py-2 font-normal text-[#666] uppercase text-xs tracking-wider">Amount</th>
+            <th className="text-left px-4 py-2 font-normal text-[#666] uppercase text-xs tracking-wider">Reference</th>
+            <th className="text-left px-4 py-2 font-normal text-[#666] uppercase text-xs tracking-wider">Recorded by</th>
+            <th className="text-left px-4 py-2 font-normal text-[#666] uppercase text-xs tracking-wider">Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {loading ? (
+            <tr>
+              <td colSpan="6" className="px-4 py-6 text-center text-gray-500">Loading offline payments...</td>
+            </tr>
+          ) : records.length === 0 ? (
+            <tr>
+              <td colSpan="6" className="px-4 py-6 text-center text-gray-500">No offline payments recorded</td>
+            </tr>
+          ) : (
+            records.map(record => {
+              const isOwnRecord = record.recordedBy?.uid === adminUser?.uid
+              return (
+                <tr key={record.id} className="border-b border-[#eee]">
+                  <td className="px-4 py-2">
+                    <div className="text-[#333]">{record.userName || 'Unknown'}</div>
+                    <div className="text-xs text-gray-500">{record.userEmail}</div>
+                  </td>
+                  <td className="px-4 py-2 text-xs text-gray-600">{record.planDuration || record.planId}</td>
+                  <td className="px-4 py-2">
+                    ₹{record.amount}
+                    {record.planPrice && record.amount !== record.planPrice && (
+                      <div className="text-xs text-yellow-700">Plan price ₹{record.planPrice}</div>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-xs text-gray-600">
+                    <div className="font-mono">{record.reference}</div>
+                    <div>{METHODS.find(m => m.value === record.method)?.label || record.method}</div>
+                  </td>
+                  <td className="px-4 py-2 text-xs text-gray-600">
+                    <div>{record.recordedBy?.email || 'N/A'}</div>
+                    <div>{record.recordedAt ? record.recordedAt.toLocaleString('en-IN') : ''}</div>
+                  </td>
+                  <td className="px-4 py-2">
+                    {record.status === 'pending_approval' && canApprove ? (
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => handleApprove(record)}
+                          disabled={isOwnRecord || actingOn === record.id}
+                          title={isOwnRecord ? 'Another admin must approve a payment you recorded' : 'Approve'}
+                          className="inline-flex items-center px-2 py-1 text-xs rounded bg-green-100 text-green-800 hover:bg-green-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          <Check className="w-3 h-3 mr-1" />
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => handleReject(record)}
+                          disabled={actingOn === record.id}
+                          className="inline-flex items-center px-2 py-1 text-xs rounded bg-red-100 text-red-800 hover:bg-red-200 disabled:opacity-50"
+                        >
+                          <X className="w-3 h-3 mr-1" />
+                          Reject
+                        </button>
+                      </div>
+                    ) : (
+                      <span
+                        className={`inline-flex px-2 py-1 text-xs rounded ${STATUS_STYLES[record.status] || 'bg-gray-100 text-gray-600'}`}
+                        title={record.rejectionReason || record.approvedBy?.email || ''}
+                      >
+                        {record.status.replace('_', ' ')}
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              )
+            })
+          )}
+        </tbody>
+      </table>
+    </div>
+  )
+}
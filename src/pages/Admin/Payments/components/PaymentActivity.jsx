@@ -0,0 +1,120 @@
+import React, { useState } from 'react'
+import { History, ChevronDown, ChevronUp } from 'lucide-react'
+import { paymentService } from '../services/paymentDataService'
+
+const EVENT_LABELS = {
+  order_created: 'Order created',
+  event_order_created: 'Event order created',
+  checkout_signature_rejected: 'Checkout signature rejected',
+  webhook_signature_rejected: 'Webhook signature rejected',
+  payment_not_captured: 'Payment not captured',
+  payment_failed: 'Payment failed',
+  payment_already_processed: 'Already processed',
+  membership_activated: 'Membership activated',
+  event_registration_confirmed: 'Event registration confirmed',
+  event_payment_refund_due: 'Event place gone, refund due',
+  event_registration_rejected: 'Event registration rejected',
+  activation_rejected: 'Activation rejected',
+  webhook_failed: 'Webhook failed',
+  refund_requested: 'Refund requested',
+  refund_created: 'Refund created',
+  refund_processed: 'Refund processed',
+  offline_payment_recorded: 'Offline payment recorded',
+  offline_payment_approved: 'Offline payment approved',
+  offline_payment_rejected: 'Offline payment rejected'
+}
+
+const FAILURE_EVENTS = [
+  'checkout_signature_rejected',
+  'webhook_signature_rejected',
+  'payment_failed',
+  'activation_rejected',
+  'event_registration_rejected',
+  'webhook_failed',
+  'offline_payment_rejected'
+]
+
+const formatTime = (date) => date
+  ? date.toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'medium' })
+  : 'Pending'
+
+/**
+ * Audit trail of every order, verification, webhook and admin action for one user.
+ * Loaded on demand so opening a payment doesn't cost an extra query.
+ */
+export default function PaymentActivity({ userId, paymentId }) {
+  const [open, setOpen] = useState(false)
+  const [events, setEvents] = useState(null)
+  const [error, setError] = useState('')
+
+  const toggle = async () => {
+    const next = !open
+    setOpen(next)
+    if (!next || events) return
+
+    try {
+      setEvents(await paymentService.fetchPaymentEvents(userId))
+    } catch (err) {
+      setError(err.message || 'Failed to load payment activity')
+    }
+  }
+
+  if (!userId) return null
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 mb-6">
+      <button
+        type="button"
+        onClick={toggle}
+        className="w-full font-semibold text-gray-900 flex items-center justify-between"
+      >
+        <span className="flex items-center">
+          <History className="w-5 h-5 mr-2 text-gray-500" />
+          Payment Activity
+        </span>
+        {open ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+      </button>
+
+      {open && (
+        <div className="mt-3">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {!error && !events && <p className="text-sm text-gray-500">Loading...</p>}
+          {events?.length === 0 && (
+            <p className="text-sm text-gray-500">No recorded activity for this member.</p>
+          )}
+          {events?.length > 0 && (
+            <ol className="space-y-2 max-h-72 overflow-y-auto">
+              {events.map(event => (
+                <li
+                  key={event.id}
+                  className={`text-sm border-l-2 pl-3 ${
+                    event.paymentId && event.paymentId === paymentId ? 'border-[#417690]' : 'border-[#ddd]'
+                  }`}
+                >
+                  <div className="flex justify-between gap-4">
+                    <span className={`font-medium ${FAILURE_EVENTS.includes(event.type) ? 'text-red-700' : 'text-gray-900'}`}>
+                      {EVENT_LABELS[event.type] || event.type}
+                    </span>
+                    <span className="text-xs text-gray-500 whitespace-nowrap">{formatTime(event.createdAt)}</span>
+                  </div>
+                  <div className="text-xs text-gray-500 font-mono break-all">
+                    {[event.source, event.orderId, event.paymentId].filter(Boolean).join(' · ')}
+                  </div>
+                  {event.details?.reason && (
+                    <div className="text-xs text-gray-700">{event.details.reason}</div>
+                  )}
+                  {event.actor?.email && (
+                    <div className="text-xs text-gray-500">by {event.actor.email}</div>
+                  )}
+                  {event.requestId && (
+                    <div className="text-xs text-gray-400 font-mono">request {event.requestId}</div>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
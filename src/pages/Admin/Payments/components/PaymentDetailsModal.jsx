@@ -1,4 +1,4 @@
-import React from 'react'
+import React, { useState } from 'react'
 import { 
   X, 
   User, 
@@ -17,13 +17,63 @@ import {
   Info,
   Building,
   GraduationCap,
-  FileText
+  FileText,
+  AlertTriangle,
+  RotateCcw
 } from 'lucide-react'
 import toast from 'react-hot-toast'
+import { paymentService } from '../services/paymentDataService'
+import checkoutService from '../../../../services/paymentService'
+import PaymentActivity from './PaymentActivity'
+
+export default function PaymentDetailsModal({ payment, isOpen, onClose, canRefund = false, onRefunded }) {
+  const [showRefundForm, setShowRefundForm] = useState(false)
+  const [refundType, setRefundType] = useState('full')
+  const [refundAmount, setRefundAmount] = useState('')
+  const [refundReason, setRefundReason] = useState('')
+  const [refunding, setRefunding] = useState(false)
 
-export default function PaymentDetailsModal({ payment, isOpen, onClose }) {
   if (!isOpen || !payment) return null
 
+  const refundableAmount = (payment.amount || 0) - (payment.amountRefunded || 0)
+  const isRefundable = canRefund &&
+    payment.paymentId &&
+    payment.paymentMethod !== 'offline' &&
+    ['success', 'partially_refunded', 'refund_due'].includes(payment.status) &&
+    refundableAmount > 0
+
+  const handleRefund = async (e) => {
+    e.preventDefault()
+
+    if (!refundReason.trim()) {
+      toast.error('Please enter a reason for the refund')
+      return
+    }
+
+    const amount = refundType === 'full' ? undefined : Number(refundAmount)
+    if (refundType === 'partial' && (!amount || amount <= 0 || amount > refundableAmount)) {
+      toast.error(`Enter an amount between ₹1 and ₹${refundableAmount}`)
+      return
+    }
+
+    setRefunding(true)
+    try {
+      const result = await paymentService.requestRefund(payment.paymentId, {
+        amount,
+        reason: refundReason.trim()
+      })
+      toast.success(`Refund of ₹${result.amount} initiated. The record updates once Razorpay confirms it.`)
+      setShowRefundForm(false)
+      setRefundReason('')
+      setRefundAmount('')
+      onRefunded?.(result)
+    } catch (error) {
+      toast.error(error.message || 'Failed to initiate refund')
+    } finally {
+      setRefunding(false)
+    }
+  }
+
   const getStatusIcon = (status) => {
     switch (status) {
       case 'success':
@@ -32,6 +82,10 @@ export default function PaymentDetailsModal({ payment, isOpen, onClose }) {
         return <XCircle className="w-6 h-6 text-red-500" />
       case 'pending':
         return <Clock className="w-6 h-6 text-yellow-500" />
+      case 'refunded':
+      case 'partially_refunded':
+      case 'refund_due':
+        return <RotateCcw className="w-6 h-6 text-gray-500" />
       default:
         return <Clock className="w-6 h-6 text-gray-500" />
     }
@@ -69,8 +123,23 @@ export default function PaymentDetailsModal({ payment, isOpen, onClose }) {
     toast.success('Opening print dialog...')
   }
 
-  const handleDownloadReceipt = () => {
-    // In a real app, this would generate a PDF receipt
+  const hasPdfReceipt = payment.paymentId &&
+    ['success', 'refunded', 'partially_refunded'].includes(payment.status)
+
+  const handleDownloadReceipt = async () => {
+    // Gateway payments get the numbered PDF receipt issued by the backend
+    if (hasPdfReceipt) {
+      toast.loading('Preparing receipt...', { id: 'receipt' })
+      try {
+        await checkoutService.downloadReceipt(payment.paymentId)
+        toast.success('Receipt downloaded successfully', { id: 'receipt' })
+      } catch (error) {
+        toast.error(error.message || 'Failed to download receipt', { id: 'receipt' })
+      }
+      return
+    }
+
+    // Legacy records only have a plain-text summary
     const receiptData = `
 PAYMENT RECEIPT
 =====================================
@@ -148,7 +217,7 @@ NMAM Institute of Technology
                 {getStatusIcon(payment.status)}
                 <div>
                   <p className="font-semibold text-lg capitalize">
-                    Payment {payment.status}
+                    Payment {payment.status?.replace('_', ' ')}
                   </p>
                   <p className="text-sm opacity-75">
                     {formatDate(payment.createdAt)}
@@ -188,12 +257,36 @@ NMAM Institute of Technology
                     {payment.paymentId || 'N/A'}
                   </span>
                 </div>
+                {payment.invoiceNumber && (
+                  <div className="flex justify-between">
+                    <span className="text-sm text-gray-600">Invoice No:</span>
+                    <span className="text-sm font-medium text-gray-900">
+                      {payment.invoiceNumber}
+                    </span>
+                  </div>
+                )}
                 <div className="flex justify-between">
                   <span className="text-sm text-gray-600">Method:</span>
                   <span className="text-sm font-medium text-gray-900">
                     {payment.paymentMethod || 'Razorpay'}
                   </span>
                 </div>
+                {payment.paymentMethod === 'offline' && (
+                  <>
+                    <div className="flex justify-between">
+                      <span className="text-sm text-gray-600">Reference:</span>
+                      <span className="text-sm font-medium text-gray-900">
+                        {payment.offlineReference || 'N/A'} ({payment.offlineMethod})
+                      </span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-sm text-gray-600">Recorded / approved by:</span>
+                      <span className="text-sm font-medium text-gray-900">
+                        {payment.recordedBy?.email || 'N/A'} / {payment.approvedBy?.email || 'N/A'}
+                      </span>
+                    </div>
+                  </>
+                )}
               </div>
             </div>
 
@@ -229,6 +322,122 @@ NMAM Institute of Technology
             </div>
           </div>
 
+          {/* Failure Information */}
+          {payment.status === 'failed' && payment.failureReason && (
+            <div className="bg-red-50 rounded-lg p-4 mb-6">
+              <h3 className="font-semibold text-gray-900 mb-2 flex items-center">
+                <AlertTriangle className="w-5 h-5 mr-2 text-red-500" />
+                Failure Reason
+              </h3>
+              <p className="text-sm text-gray-700">{payment.failureReason}</p>
+              {(payment.failureCode || payment.failureStep) && (
+                <p className="text-xs text-gray-500 mt-1">
+                  {[payment.failureCode, payment.failureSource, payment.failureStep].filter(Boolean).join(' · ')}
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Refund Information */}
+          {payment.refunds && Object.keys(payment.refunds).length > 0 && (
+            <div className="bg-gray-50 rounded-lg p-4 mb-6">
+              <h3 className="font-semibold text-gray-900 mb-3 flex items-center">
+                <RotateCcw className="w-5 h-5 mr-2 text-gray-500" />
+                Refunds
+              </h3>
+              <div className="space-y-2">
+                {Object.entries(payment.refunds).map(([refundId, refund]) => (
+                  <div key={refundId}>
+                    <div className="flex justify-between">
+                      <span className="text-sm text-gray-600">{refundId}</span>
+                      <span className="text-sm font-medium text-gray-900">
+                        ₹{refund.amount} · <span className="capitalize">{refund.status}</span>
+                      </span>
+                    </div>
+                    {refund.reason && (
+                      <p className="text-xs text-gray-500">
+                        {refund.reason}{refund.requestedBy ? ` — ${refund.requestedBy}` : ''}
+                      </p>
+                    )}
+                  </div>
+                ))}
+                {payment.amountRefunded > 0 && (
+                  <div className="flex justify-between border-t pt-2">
+                    <span className="text-sm text-gray-600">Total Refunded:</span>
+                    <span className="text-sm font-medium text-gray-900">₹{payment.amountRefunded}</span>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Refund Form */}
+          {isRefundable && showRefundForm && (
+            <form onSubmit={handleRefund} className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
+              <h3 className="font-semibold text-gray-900 mb-3 flex items-center">
+                <RotateCcw className="w-5 h-5 mr-2 text-yellow-600" />
+                Refund Payment
+              </h3>
+              <div className="space-y-3">
+                <div className="flex items-center gap-6">
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      checked={refundType === 'full'}
+                      onChange={() => setRefundType('full')}
+                    />
+                    Full (₹{refundableAmount})
+                  </label>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      checked={refundType === 'partial'}
+                      onChange={() => setRefundType('partial')}
+                    />
+                    Partial
+                  </label>
+                  {refundType === 'partial' && (
+                    <input
+                      type="number"
+                      min="1"
+                      max={refundableAmount}
+                      step="0.01"
+                      value={refundAmount}
+                      onChange={(e) => setRefundAmount(e.target.value)}
+                      placeholder="Amount (₹)"
+                      className="w-32 px-2 py-1 text-sm border border-gray-300 rounded"
+                    />
+                  )}
+                </div>
+                <textarea
+                  value={refundReason}
+                  onChange={(e) => setRefundReason(e.target.value)}
+                  rows={2}
+                  required
+                  maxLength={250}
+                  placeholder="Reason for refund (required)"
+                  className="w-full px-3 py-2 text-sm border border-gray-300 rounded"
+                />
+                <div className="flex justify-end gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setShowRefundForm(false)}
+                    className="px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-100 rounded"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={refunding}
+                    className="px-3 py-1.5 text-sm text-white bg-red-600 hover:bg-red-700 rounded disabled:opacity-50"
+                  >
+                    {refunding ? 'Processing...' : 'Confirm Refund'}
+                  </button>
+                </div>
+              </div>
+            </form>
+          )}
+
           {/* Member Information */}
           <div className="bg-gray-50 rounded-lg p-4 mb-6">
             <h3 className="font-semibold text-gray-900 mb-3 flex items-center">
@@ -296,6 +505,9 @@ NMAM Institute of Technology
             </div>
           )}
 
+          {/* Audit trail (admins only, per member) */}
+          <PaymentActivity userId={payment.userId} paymentId={payment.paymentId} />
+
           {/* Timestamps */}
           <div className="bg-gray-50 rounded-lg p-4">
             <h3 className="font-semibold text-gray-900 mb-3 flex items-center">
@@ -354,6 +566,15 @@ NMAM Institute of Technology
                 <Share2 className="w-4 h-4 mr-2" />
                 Share
               </button>
+              {isRefundable && !showRefundForm && (
+                <button
+                  onClick={() => setShowRefundForm(true)}
+                  className="inline-flex items-center px-4 py-2 border border-red-300 shadow-sm text-sm font-medium rounded-md text-red-700 bg-white hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+                >
+                  <RotateCcw className="w-4 h-4 mr-2" />
+                  Refund
+                </button>
+              )}
             </div>
             <button
               onClick={onClose}
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react'
+import { Scale, Play, AlertTriangle, CheckCircle } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { paymentService } from '../services/paymentDataService'
+
+const SECTIONS = [
+  {
+    key: 'missingRecords',
+    label: 'Missing Firestore records',
+    hint: 'Captured in Razorpay but never recorded'
+  },
+  {
+    key: 'amountMismatches',
+    label: 'Amount mismatches',
+    hint: 'Recorded amount differs from what Razorpay captured'
+  },
+  {
+    key: 'orphanRecords',
+    label: 'Records unknown to Razorpay',
+    hint: 'Firestore records with no Razorpay payment in the range'
+  },
+  {
+    key: 'paidWithoutMembership',
+    label: 'Paid without active membership',
+    hint: 'Captured membership payments whose user is not active'
+  }
+]
+
+const toDateInput = (date) => date.toISOString().split('T')[0]
+
+export default function ReconciliationReport({ onClose }) {
+  const [range, setRange] = useState(() => {
+    const to = new Date()
+    const from = new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000)
+    return { from: toDateInput(from), to: toDateInput(to) }
+  })
+  const [report, setReport] = useState(null)
+  const [running, setRunning] = useState(false)
+
+  // Show the last stored report until a new one is run
+  useEffect(() => {
+    paymentService.fetchLatestReconciliation().then(setReport)
+  }, [])
+
+  const runReconciliation = async () => {
+    setRunning(true)
+    try {
+      const result = await paymentService.runReconciliation(range.from, range.to)
+      setReport(result)
+      toast.success(result.issueCount ? `Found ${result.issueCount} issue(s)` : 'Everything matches')
+    } catch (error) {
+      toast.error(error.message || 'Reconciliation failed')
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  return (
+    <div className="bg-white border border-[#ddd] rounded mb-4">
+      <div className="bg-[#417690] text-white px-4 py-2 flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Scale className="w-4 h-4" />
+          <span className="text-sm font-medium">Razorpay Reconciliation</span>
+        </div>
+        <button onClick={onClose} className="text-xs hover:underline">
+          Hide
+        </button>
+      </div>
+
+      <div className="px-4 py-3 border-b border-[#ddd] flex items-center gap-2">
+        <input
+          type="date"
+          value={range.from}
+          onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+          className="px-2 py-1.5 text-sm border border-[#ccc] rounded focus:outline-none focus:border-[#79aec8]"
+        />
+        <span className="text-sm text-gray-500">to</span>
+        <input
+          type="date"
+          value={range.to}
+          onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+          className="px-2 py-1.5 text-sm border border-[#ccc] rounded focus:outline-none focus:border-[#79aec8]"
+        />
+        <button
+          onClick={runReconciliation}
+          disabled={running || !range.from || !range.to}
+          className="flex items-center px-3 py-1.5 text-sm bg-[#417690] text-white rounded hover:bg-[#205067] transition-colors disabled:opacity-50"
+        >
+          <Play className="w-3 h-3 mr-1" />
+          {running ? 'Running...' : 'Run'}
+        </button>
+      </div>
+
+      {!report ? (
+        <div className="px-4 py-6 text-center text-sm text-gray-500">
+          No reconciliation has been run yet
+        </div>
+      ) : (
+        <div className="px-4 py-3">
+          <div className="text-xs text-gray-600 mb-3">
+            {new Date(report.from).toLocaleDateString('en-IN')} – {new Date(report.to).toLocaleDateString('en-IN')}
+            {' · '}{report.gatewayCount} Razorpay payments, {report.recordCount} records
+            {report.requestedBy?.email && ` · run by ${report.requestedBy.email}`}
+          </div>
+
+          {report.issueCount === 0 ? (
+            <div className="flex items-center text-sm text-green-700">
+              <CheckCircle className="w-4 h-4 mr-2" />
+              Razorpay and Firestore agree for this range
+            </div>
+          ) : (
+            SECTIONS.filter(section => report[section.key]?.length > 0).map(section => (
+              <div key={section.key} className="mb-4">
+                <div className="flex items-center text-sm font-medium text-[#ba2121]">
+                  <AlertTriangle className="w-4 h-4 mr-1" />
+                  {section.label} ({report[section.key].length})
+                </div>
+                <p className="text-xs text-gray-500 mb-1">{section.hint}</p>
+                <table className="w-full text-xs">
+                  <thead className="bg-[#f8f8f8] text-[#666] uppercase">
+                    <tr>
+                      <th className="text-left px-2 py-1 font-normal">Payment</th>
+                      <th className="text-left px-2 py-1 font-normal">Order</th>
+                      <th className="text-left px-2 py-1 font-normal">Amount</th>
+                      <th className="text-left px-2 py-1 font-normal">Status</th>
+                      <th className="text-left px-2 py-1 font-normal">User</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report[section.key].map(item => (
+                      <tr key={item.paymentId} className="border-b border-[#eee]">
+                        <td className="px-2 py-1 font-mono">{item.paymentId}</td>
+                        <td className="px-2 py-1 font-mono">{item.orderId || '—'}</td>
+                        <td className="px-2 py-1">
+                          ₹{item.amount}
+                          {item.recordedAmount !== undefined && (
+                            <span className="text-[#ba2121]"> (recorded ₹{item.recordedAmount})</span>
+                          )}
+                        </td>
+                        <td className="px-2 py-1">
+                          {item.status}
+                          {item.membershipStatus !== undefined && ` / membership ${item.membershipStatus || 'none'}`}
+                        </td>
+                        <td className="px-2 py-1 font-mono">{item.userId || '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
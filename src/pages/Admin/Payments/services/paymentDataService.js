@@ -13,10 +13,12 @@ import {
   doc,
   getDoc,
   updateDoc,
+  setDoc,
   serverTimestamp,
+  Timestamp,
   limit
 } from 'firebase/firestore'
-import { db } from '../../../../config/firebase'
+import { db, auth } from '../../../../config/firebase'
 
 class PaymentDataService {
   constructor() {
@@ -24,6 +26,213 @@ class PaymentDataService {
     this.membershipPaymentsCollection = 'membershipPayments' // Main payments collection
     this.paymentsCollection = 'payments'
     this.recruitsCollection = 'recruits'
+    this.reconciliationCollection = 'reconciliationReports'
+    this.couponsCollection = 'coupons'
+    this.offlinePaymentsCollection = 'offlinePayments'
+    this.paymentEventsCollection = 'paymentEvents'
+    this.apiBaseUrl = import.meta.env.VITE_API_BASE_URL || ''
+  }
+
+  /**
+   * Call an admin-only backend endpoint with the signed-in admin's ID token
+   */
+  async callAdminApi(path, body) {
+    if (!this.apiBaseUrl) {
+      throw new Error('Backend API is not configured')
+    }
+
+    const token = await auth?.currentUser?.getIdToken()
+    if (!token) {
+      throw new Error('Admin session expired. Please sign in again.')
+    }
+
+    const response = await fetch(`${this.apiBaseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(body)
+    })
+
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed')
+    }
+    return data
+  }
+
+  /**
+   * Ask the backend to refund a payment through Razorpay.
+   * The payment record updates once the refund webhooks arrive.
+   * @param {string} paymentId - Razorpay payment ID
+   * @param {Object} refund - { amount (rupees, omit for full), reason }
+   */
+  async requestRefund(paymentId, { amount, reason }) {
+    return this.callAdminApi(`/admin/payments/${encodeURIComponent(paymentId)}/refund`, {
+      amount,
+      reason
+    })
+  }
+
+  /**
+   * Run a Razorpay vs Firestore reconciliation on the backend
+   * @param {string} from - Start date (YYYY-MM-DD)
+   * @param {string} to - End date (YYYY-MM-DD), inclusive
+   */
+  async runReconciliation(from, to) {
+    const { report } = await this.callAdminApi('/admin/reconciliation', { from, to })
+    return report
+  }
+
+  /**
+   * Most recent stored reconciliation report, or null
+   */
+  async fetchLatestReconciliation() {
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, this.reconciliationCollection),
+        orderBy('createdAt', 'desc'),
+        limit(1)
+      ))
+      if (snapshot.empty) return null
+
+      const reportDoc = snapshot.docs[0]
+      const data = reportDoc.data()
+      return { id: reportDoc.id, ...data, createdAt: data.createdAt?.toDate?.() || null }
+    } catch (error) {
+      console.error('Error fetching reconciliation report:', error)
+      return null
+    }
+  }
+
+  /**
+   * Fetch all coupon codes, newest first
+   */
+  async fetchCoupons() {
+    const snapshot = await getDocs(query(
+      collection(db, this.couponsCollection),
+      orderBy('createdAt', 'desc')
+    ))
+    return snapshot.docs.map(couponDoc => {
+      const data = couponDoc.data()
+      return {
+        id: couponDoc.id,
+        ...data,
+        validFrom: data.validFrom?.toDate?.() || null,
+        expiresAt: data.expiresAt?.toDate?.() || null
+      }
+    })
+  }
+
+  /**
+   * Create a coupon code. The code (upper-cased) is the document ID.
+   * @param {Object} coupon - { code, type: 'percent'|'flat', value, maxRedemptions,
+   *   perUserLimit, validFrom, expiresAt, planIds, branches }
+   * @param {string} createdBy - Admin email
+   */
+  async createCoupon(coupon, createdBy) {
+    const code = coupon.code.trim().toUpperCase()
+    const couponRef = doc(db, this.couponsCollection, code)
+
+    const existing = await getDoc(couponRef)
+    if (existing.exists()) {
+      throw new Error(`Coupon ${code} already exists`)
+    }
+
+    await setDoc(couponRef, {
+      code,
+      type: coupon.type,
+      value: Number(coupon.value),
+      maxRedemptions: coupon.maxRedemptions ? Number(coupon.maxRedemptions) : null,
+      perUserLimit: coupon.perUserLimit === '' ? 1 : Number(coupon.perUserLimit),
+      validFrom: coupon.validFrom ? Timestamp.fromDate(new Date(coupon.validFrom)) : null,
+      expiresAt: coupon.expiresAt ? Timestamp.fromDate(new Date(coupon.expiresAt)) : null,
+      planIds: coupon.planIds || [],
+      branches: coupon.branches || [],
+      active: true,
+      redemptionCount: 0,
+      createdBy,
+      createdAt: serverTimestamp()
+    })
+    return code
+  }
+
+  /**
+   * Enable or disable a coupon without deleting its redemption history
+   */
+  async setCouponActive(code, active) {
+    await updateDoc(doc(db, this.couponsCollection, code), {
+      active,
+      updatedAt: serverTimestamp()
+    })
+  }
+
+  /**
+   * Record a cash / direct UPI payment for a second admin to approve
+   * @param {Object} offlinePayment - { payerEmail, planId, amount, method, reference, note }
+   */
+  async recordOfflinePayment(offlinePayment) {
+    return this.callAdminApi('/admin/offline-payments', offlinePayment)
+  }
+
+  /**
+   * Approve a recorded offline payment; the backend activates the membership
+   * @param {string} id - offlinePayments document ID
+   */
+  async approveOfflinePayment(id) {
+    return this.callAdminApi(`/admin/offline-payments/${encodeURIComponent(id)}/approve`, {})
+  }
+
+  /**
+   * Reject a recorded offline payment
+   * @param {string} id - offlinePayments document ID
+   * @param {string} reason - Shown to the admin who recorded it
+   */
+  async rejectOfflinePayment(id, reason) {
+    return this.callAdminApi(`/admin/offline-payments/${encodeURIComponent(id)}/reject`, { reason })
+  }
+
+  /**
+   * Fetch recorded offline payments, newest first
+   */
+  async fetchOfflinePayments() {
+    const snapshot = await getDocs(query(
+      collection(db, this.offlinePaymentsCollection),
+      orderBy('recordedAt', 'desc'),
+      limit(50)
+    ))
+    return snapshot.docs.map(recordDoc => {
+      const data = recordDoc.data()
+      return {
+        id: recordDoc.id,
+        ...data,
+        recordedAt: data.recordedAt?.toDate?.() || null
+      }
+    })
+  }
+
+  /**
+   * Fetch the payment audit trail for one user, newest first.
+   * Sorted here rather than in the query so no composite index is needed.
+   */
+  async fetchPaymentEvents(userId) {
+    if (!userId) return []
+
+    const snapshot = await getDocs(query(
+      collection(db, this.paymentEventsCollection),
+      where('userId', '==', userId)
+    ))
+    return snapshot.docs
+      .map(eventDoc => {
+        const data = eventDoc.data()
+        return {
+          id: eventDoc.id,
+          ...data,
+          createdAt: data.createdAt?.toDate?.() || null
+        }
+      })
+      .sort((a, b) => (b.createdAt?.getTime() || 0) - (a.createdAt?.getTime() || 0))
   }
 
   /**
@@ -91,7 +300,18 @@ class PaymentDataService {
           })
           
           // If we found payments in membershipPayments, return them
+          // together with gateway records (failures, refunds) the backend wrote
           if (payments.length > 0) {
+            const gatewayPayments = await this.fetchGatewayPayments()
+            gatewayPayments.forEach(payment => {
+              const isDuplicate = payment.paymentId &&
+                payments.some(p => p.paymentId === payment.paymentId)
+              if (!isDuplicate) {
+                payments.push(payment)
+              }
+            })
+            payments.sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())
+
             const stats = this.calculatePaymentStats(payments)
             return {
               payments,
@@ -104,27 +324,7 @@ class PaymentDataService {
       }
       
       // FALLBACK: If no membershipPayments, try other collections
-      try {
-        const paymentsQuery = query(
-          collection(db, this.paymentsCollection),
-          orderBy('createdAt', 'desc')
-        )
-        const paymentsSnapshot = await getDocs(paymentsQuery)
-        
-        if (!paymentsSnapshot.empty) {
-          paymentsSnapshot.docs.forEach(doc => {
-            const data = doc.data()
-            payments.push({
-              id: doc.id,
-              ...data,
-              status: data.status || 'success',
-              createdAt: data.createdAt?.toDate?.() || data.createdAt || new Date()
-            })
-          })
-        }
-      } catch (error) {
-        // console.log('Payments collection not found, checking users...')
-      }
+      payments.push(...await this.fetchGatewayPayments())
       
       // Get Executive Members from users collection - only those with actual payment data
       const usersQuery = query(
@@ -318,6 +518,35 @@ class PaymentDataService {
     }
   }
 
+  /**
+   * Fetch records written by the backend from Razorpay events
+   * (successful captures, failures and refunds)
+   */
+  async fetchGatewayPayments() {
+    try {
+      const paymentsQuery = query(
+        collection(db, this.paymentsCollection),
+        orderBy('createdAt', 'desc')
+      )
+      const paymentsSnapshot = await getDocs(paymentsQuery)
+      
+      return paymentsSnapshot.docs.map(doc => {
+        const data = doc.data()
+        return {
+          id: doc.id,
+          ...data,
+          transactionId: data.transactionId || data.paymentId || doc.id,
+          status: data.status || 'success',
+          createdAt: data.createdAt?.toDate?.() || data.createdAt || new Date(),
+          updatedAt: data.updatedAt?.toDate?.() || data.updatedAt
+        }
+      })
+    } catch (error) {
+      // console.log('Payments collection not found, checking users...')
+      return []
+    }
+  }
+
   /**
    * Calculate payment statistics from real data
    */
@@ -332,6 +561,8 @@ class PaymentDataService {
       successfulPayments: 0,
       pendingPayments: 0,
       failedPayments: 0,
+      refundedPayments: 0,
+      refundedAmount: 0,
       averagePayment: 0,
       todayRevenue: 0,
       monthlyRevenue: 0
@@ -342,19 +573,25 @@ class PaymentDataService {
       const paymentDate = new Date(payment.createdAt)
       
       // Count by status
-      if (payment.status === 'success') {
+      if (payment.status === 'success' || payment.status === 'partially_refunded') {
+        // Only the part that was kept counts as revenue
+        const netAmount = amount - (payment.amountRefunded || 0)
         stats.successfulPayments++
-        stats.totalRevenue += amount
+        stats.totalRevenue += netAmount
+        stats.refundedAmount += payment.amountRefunded || 0
         
         // Today's revenue
         if (paymentDate >= todayStart) {
-          stats.todayRevenue += amount
+          stats.todayRevenue += netAmount
         }
         
         // Monthly revenue
         if (paymentDate >= monthStart) {
-          stats.monthlyRevenue += amount
+          stats.monthlyRevenue += netAmount
         }
+      } else if (payment.status === 'refunded') {
+        stats.refundedPayments++
+        stats.refundedAmount += payment.amountRefunded || amount
       } else if (payment.status === 'pending') {
         stats.pendingPayments++
       } else if (payment.status === 'failed') {
@@ -388,6 +625,8 @@ class PaymentDataService {
       'Duration',
       'Status',
       'Payment Method',
+      'Failure Reason',
+      'Refunded (₹)',
       'Date',
       'Time'
     ]
@@ -408,6 +647,8 @@ class PaymentDataService {
         payment.planDuration || '',
         payment.status || '',
         payment.paymentMethod || '',
+        payment.failureReason || '',
+        payment.amountRefunded || '',
         date.toLocaleDateString('en-IN'),
         date.toLocaleTimeString('en-IN')
       ]
@@ -0,0 +1,440 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import jsQR from 'jsqr'
+import { ScanLine, Camera, CameraOff, RefreshCw, Search, WifiOff, CheckCircle, XCircle } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { getAllEvents } from '../services/eventService'
+import { getCheckInRoster, checkInAttendee } from '../services/eventRegistrationService'
+import firestoreFallback from '../utils/firestoreFallback'
+
+// firestoreFallback collections: check-ins waiting to sync, and the last
+// roster loaded per event so scanning keeps working offline
+const QUEUE_COLLECTION = 'checkIns'
+const ROSTER_COLLECTION = 'checkInRosters'
+
+const ROSTER_REFRESH_MS = 15000
+// A ticket held in front of the camera is read many times a second
+const RESCAN_PAUSE_MS = 2500
+
+// Same layout the backend signs: CSI1.<registrationId>.<eventId>.<signature>
+const parseTicket = (text) => {
+  const parts = String(text || '').trim().split('.')
+  if (parts.length !== 4 || parts[0] !== 'CSI1' || !parts[1] || !parts[2]) return null
+  return { registrationId: parts[1], eventId: parts[2] }
+}
+
+const formatTime = (iso) => iso ? new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : ''
+
+// A failed fetch has no code; an answer from the backend always does
+const isOfflineError = (error) => !error.code && (!firestoreFallback.isNetworkAvailable() || error instanceof TypeError)
+
+/**
+ * Door check-in for admins and core members with the 'events' permission.
+ * Tickets are scanned with the camera, or attendees are picked from the
+ * roster by hand. Offline check-ins are kept in firestoreFallback and
+ * synced when the connection comes back.
+ */
+const CheckIn = () => {
+  const [events, setEvents] = useState([])
+  const [eventId, setEventId] = useState('')
+  const [roster, setRoster] = useState(null)
+  const [rosterLoading, setRosterLoading] = useState(false)
+  const [online, setOnline] = useState(firestoreFallback.isNetworkAvailable())
+  const [pendingCount, setPendingCount] = useState(firestoreFallback.getFallbackCollection(QUEUE_COLLECTION).length)
+  const [syncing, setSyncing] = useState(false)
+  const [lastResult, setLastResult] = useState(null)
+  const [search, setSearch] = useState('')
+  const [cameraOn, setCameraOn] = useState(false)
+  const [cameraError, setCameraError] = useState(null)
+
+  const videoRef = useRef(null)
+  const canvasRef = useRef(null)
+  const streamRef = useRef(null)
+  const frameRef = useRef(null)
+  const pausedUntilRef = useRef(0)
+  const handleTicketRef = useRef(null)
+
+  useEffect(() => {
+    getAllEvents()
+      .then(list => setEvents(list.filter(e => e.registrationsAvailable || e.participantCount > 0)))
+      .catch(() => toast.error('Failed to load events'))
+  }, [])
+
+  const refreshPendingCount = () => setPendingCount(firestoreFallback.getFallbackCollection(QUEUE_COLLECTION).length)
+
+  // Server roster with this device's unsynced check-ins laid over it
+  const withPending = useCallback((base) => {
+    const pending = firestoreFallback.getFallbackCollection(QUEUE_COLLECTION)
+      .filter(entry => entry.data?.eventId === base.eventId)
+    const registrations = base.registrations.map(r => {
+      const queued = pending.find(entry => entry.docId === r.id)
+      return queued && !r.attendedAt ? { ...r, attendedAt: queued.data.scannedAt, pendingSync: true } : r
+    })
+    return {
+      ...base,
+      registrations,
+      counts: { registered: registrations.length, checkedIn: registrations.filter(r => r.attendedAt).length }
+    }
+  }, [])
+
+  const loadRoster = useCallback(async (id, { quiet = false } = {}) => {
+    if (!id) return
+    if (!quiet) setRosterLoading(true)
+    try {
+      const fresh = await getCheckInRoster(id)
+      firestoreFallback.setFallbackData(ROSTER_COLLECTION, id, fresh)
+      setRoster(withPending(fresh))
+    } catch (error) {
+      const cached = firestoreFallback.getFallbackData(ROSTER_COLLECTION, id)
+      if (cached) {
+        setRoster(withPending(cached))
+        if (!quiet) toast('Offline: using the last loaded list', { icon: '📦' })
+      } else if (!quiet) {
+        setRoster(null)
+        toast.error(error.message || 'Failed to load registrations')
+      }
+    } finally {
+      setRosterLoading(false)
+    }
+  }, [withPending])
+
+  const syncQueue = useCallback(async () => {
+    if (firestoreFallback.getFallbackCollection(QUEUE_COLLECTION).length === 0) return
+    setSyncing(true)
+    const rejected = []
+    try {
+      await firestoreFallback.syncFallbackToFirestore(async (collection, registrationId, data) => {
+        try {
+          await checkInAttendee(data.eventId, {
+            ticket: data.ticket,
+            registrationId: data.ticket ? null : registrationId,
+            scannedAt: data.scannedAt
+          })
+        } catch (error) {
+          // Keep it for the next sync if the connection dropped again;
+          // a refusal from the backend is final
+          if (isOfflineError(error)) throw error
+          if (error.code !== 'already_checked_in') {
+            rejected.push(`${data.name || 'Ticket'}: ${error.message}`)
+          }
+        }
+      }, QUEUE_COLLECTION)
+    } finally {
+      setSyncing(false)
+      refreshPendingCount()
+    }
+
+    rejected.forEach(message => toast.error(`Offline check-in refused. ${message}`, { duration: 8000 }))
+    const remaining = firestoreFallback.getFallbackCollection(QUEUE_COLLECTION).length
+    if (remaining === 0) toast.success('Offline check-ins synced')
+    loadRoster(eventId, { quiet: true })
+  }, [eventId, loadRoster])
+
+  useEffect(() => {
+    const goOnline = () => {
+      setOnline(true)
+      syncQueue()
+    }
+    const goOffline = () => setOnline(false)
+    window.addEventListener('online', goOnline)
+    window.addEventListener('offline', goOffline)
+    return () => {
+      window.removeEventListener('online', goOnline)
+      window.removeEventListener('offline', goOffline)
+    }
+  }, [syncQueue])
+
+  useEffect(() => {
+    if (!eventId) {
+      setRoster(null)
+      return
+    }
+    loadRoster(eventId)
+    syncQueue()
+    // Other scanners at other doors check people in too
+    const interval = setInterval(() => {
+      if (firestoreFallback.isNetworkAvailable()) loadRoster(eventId, { quiet: true })
+    }, ROSTER_REFRESH_MS)
+    return () => clearInterval(interval)
+  }, [eventId])
+
+  const markLocally = (registrationId, attendedAt, pendingSync = false) => {
+    setRoster(prev => {
+      if (!prev) return prev
+      const registrations = prev.registrations.map(r =>
+        r.id === registrationId ? { ...r, attendedAt, pendingSync } : r
+      )
+      return {
+        ...prev,
+        registrations,
+        counts: { registered: registrations.length, checkedIn: registrations.filter(r => r.attendedAt).length }
+      }
+    })
+  }
+
+  const checkIn = async ({ ticket = null, registrationId }) => {
+    const entry = roster?.registrations.find(r => r.id === registrationId)
+    if (entry?.attendedAt) {
+      setLastResult({ ok: false, title: 'Already checked in', detail: `${entry.name} at ${formatTime(entry.attendedAt)}` })
+      return
+    }
+
+    const queueOffline = () => {
+      const scannedAt = new Date().toISOString()
+      firestoreFallback.setFallbackData(QUEUE_COLLECTION, registrationId, {
+        eventId,
+        ticket,
+        name: entry?.name || null,
+        scannedAt
+      })
+      refreshPendingCount()
+      markLocally(registrationId, scannedAt, true)
+      setLastResult({
+        ok: true,
+        offline: true,
+        title: entry ? `${entry.name} checked in` : 'Ticket saved',
+        detail: entry
+          ? 'Saved offline; it will sync when the connection is back'
+          : 'Not on the saved list; the server will verify it when the connection is back'
+      })
+    }
+
+    if (!firestoreFallback.isNetworkAvailable()) {
+      queueOffline()
+      return
+    }
+
+    try {
+      const result = await checkInAttendee(eventId, { ticket, registrationId: ticket ? null : registrationId })
+      markLocally(result.registrationId, result.attendedAt)
+      setLastResult({ ok: true, title: `${result.name} checked in`, detail: formatTime(result.attendedAt) })
+    } catch (error) {
+      if (isOfflineError(error)) {
+        queueOffline()
+        return
+      }
+      if (error.code === 'already_checked_in') {
+        loadRoster(eventId, { quiet: true })
+      }
+      setLastResult({ ok: false, title: 'Check-in refused', detail: error.message })
+    }
+  }
+
+  const handleTicket = (text) => {
+    const parsed = parseTicket(text)
+    if (!parsed) {
+      setLastResult({ ok: false, title: 'Not a CSI event ticket', detail: 'Ask the attendee to open the ticket from their profile' })
+      return
+    }
+    // Checked without the network: the event ID in the ticket is readable
+    if (parsed.eventId !== eventId) {
+      setLastResult({ ok: false, title: 'Wrong event', detail: 'This ticket is for a different event' })
+      return
+    }
+    checkIn({ ticket: String(text).trim(), registrationId: parsed.registrationId })
+  }
+  handleTicketRef.current = handleTicket
+
+  const stopCamera = () => {
+    cancelAnimationFrame(frameRef.current)
+    streamRef.current?.getTracks().forEach(track => track.stop())
+    streamRef.current = null
+    setCameraOn(false)
+  }
+
+  const scanFrame = () => {
+    const video = videoRef.current
+    const canvas = canvasRef.current
+    if (video && canvas && video.readyState === video.HAVE_ENOUGH_DATA && Date.now() > pausedUntilRef.current) {
+      canvas.width = video.videoWidth
+      canvas.height = video.videoHeight
+      const context = canvas.getContext('2d', { willReadFrequently: true })
+      context.drawImage(video, 0, 0, canvas.width, canvas.height)
+      const image = context.getImageData(0, 0, canvas.width, canvas.height)
+      const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' })
+      if (code?.data) {
+        pausedUntilRef.current = Date.now() + RESCAN_PAUSE_MS
+        handleTicketRef.current(code.data)
+      }
+    }
+    frameRef.current = requestAnimationFrame(scanFrame)
+  }
+
+  const startCamera = async () => {
+    setCameraError(null)
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setCameraError('This browser has no camera access. Use the list below instead.')
+      return
+    }
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false })
+      streamRef.current = stream
+      videoRef.current.srcObject = stream
+      await videoRef.current.play()
+      setCameraOn(true)
+      frameRef.current = requestAnimationFrame(scanFrame)
+    } catch (error) {
+      setCameraError('Camera unavailable or permission denied. Use the list below instead.')
+    }
+  }
+
+  // Release the camera when leaving the page
+  useEffect(() => stopCamera, [])
+
+  const term = search.trim().toLowerCase()
+  const matches = roster && term
+    ? roster.registrations.filter(r =>
+      r.name.toLowerCase().includes(term) ||
+      r.email?.toLowerCase().includes(term) ||
+      r.teamCode?.toLowerCase() === term
+    ).slice(0, 20)
+    : []
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <div className="django-module">
+        <div className="django-module-header flex items-center justify-between">
+          <div className="flex items-center">
+            <ScanLine className="mr-2" size={18} />
+            Event check-in
+          </div>
+          <div className="flex items-center gap-3 text-xs">
+            {!online && (
+              <span className="flex items-center gap-1">
+                <WifiOff size={14} />
+                Offline
+              </span>
+            )}
+            {pendingCount > 0 && (
+              <button
+                onClick={syncQueue}
+                disabled={syncing || !online}
+                className="django-btn django-btn-default flex items-center gap-1 disabled:opacity-50"
+              >
+                <RefreshCw size={14} className={syncing ? 'animate-spin' : ''} />
+                Sync {pendingCount}
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="django-module-content space-y-4">
+          <div>
+            <label className="django-form-label">Event</label>
+            <select
+              value={eventId}
+              onChange={(e) => {
+                setEventId(e.target.value)
+                setLastResult(null)
+                setSearch('')
+              }}
+              className="django-form-input w-full"
+            >
+              <option value="">Select an event...</option>
+              {events.map(event => (
+                <option key={event.id} value={event.id}>
+                  {event.title}{event.date ? ` (${String(event.date).slice(0, 10)})` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {eventId && (
+            <>
+              <div className="grid grid-cols-2 gap-4 text-center">
+                <div className="border border-[#eee] rounded p-3">
+                  <div className="text-2xl font-semibold text-[#205067]">
+                    {rosterLoading ? '-' : roster?.counts.checkedIn ?? 0}
+                  </div>
+                  <div className="text-xs text-[#666]">Checked in</div>
+                </div>
+                <div className="border border-[#eee] rounded p-3">
+                  <div className="text-2xl font-semibold text-[#205067]">
+                    {rosterLoading ? '-' : roster?.counts.registered ?? 0}
+                  </div>
+                  <div className="text-xs text-[#666]">Registered</div>
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <div className="relative bg-black rounded overflow-hidden aspect-video">
+                  <video ref={videoRef} className={`w-full h-full object-cover ${cameraOn ? '' : 'hidden'}`} muted playsInline />
+                  {!cameraOn && (
+                    <div className="absolute inset-0 flex items-center justify-center text-sm text-gray-300">
+                      Camera is off
+                    </div>
+                  )}
+                  <canvas ref={canvasRef} className="hidden" />
+                </div>
+                <button
+                  onClick={cameraOn ? stopCamera : startCamera}
+                  className="django-btn django-btn-primary flex items-center gap-2"
+                >
+                  {cameraOn ? <CameraOff size={16} /> : <Camera size={16} />}
+                  {cameraOn ? 'Stop camera' : 'Scan tickets'}
+                </button>
+                {cameraError && <p className="text-sm text-[#ba2121]">{cameraError}</p>}
+              </div>
+
+              {lastResult && (
+                <div className={`flex items-start gap-3 rounded p-3 border ${lastResult.ok ? 'bg-[#dff0d8] border-[#c3e6cb] text-[#3c763d]' : 'bg-[#f8d7da] border-[#f5c6cb] text-[#721c24]'}`}>
+                  {lastResult.ok ? <CheckCircle size={20} /> : <XCircle size={20} />}
+                  <div>
+                    <div className="font-medium">{lastResult.title}</div>
+                    <div className="text-sm">{lastResult.detail}</div>
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <label className="django-form-label">No ticket? Find the attendee</label>
+                <div className="relative">
+                  <Search size={16} className="absolute left-2 top-1/2 -translate-y-1/2 text-[#999]" />
+                  <input
+                    type="text"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    placeholder="Name, email or team code"
+                    className="django-form-input w-full pl-8"
+                  />
+                </div>
+                {matches.length > 0 && (
+                  <table className="django-table w-full text-sm mt-2">
+                    <tbody>
+                      {matches.map(r => (
+                        <tr key={r.id}>
+                          <td>
+                            <div className="font-medium">{r.name}</div>
+                            <div className="text-xs text-[#999]">{r.email}</div>
+                          </td>
+                          <td className="text-right">
+                            {r.attendedAt ? (
+                              <span className="text-xs text-[#3c763d]">
+                                In at {formatTime(r.attendedAt)}{r.pendingSync ? ' (not synced)' : ''}
+                              </span>
+                            ) : (
+                              <button
+                                onClick={() => checkIn({ registrationId: r.id })}
+                                className="django-btn django-btn-default text-xs"
+                              >
+                                Check in
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                {term && roster && matches.length === 0 && (
+                  <p className="text-sm text-[#666] mt-2">No registration matches.</p>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CheckIn
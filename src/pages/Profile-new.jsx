@@ -2,11 +2,14 @@ import React, { useEffect } from 'react'
 import { useLocation, useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { useProfileFirestore } from '../hooks/useProfileFirestore'
+import { useMembershipStatus } from '../hooks/useMembershipStatus'
 import ProfileHero from '../components/Profile/ProfileHero'
 import ProfileCard from '../components/Profile/ProfileCard'
 import ProfileForm from '../components/Profile/ProfileForm'
 import MembershipDetails from '../components/Profile/MembershipDetails'
 import QuickActions from '../components/Profile/QuickActions'
+import EventTickets from '../components/Profile/EventTickets'
+import Certificates from '../components/Profile/Certificates'
 import { Toaster } from 'react-hot-toast'
 
 const Profile = () => {
@@ -20,6 +23,11 @@ const Profile = () => {
     handleSave,
     handleInputChange
   } = useProfileFirestore()
+  const {
+    membership,
+    loading: membershipLoading,
+    error: membershipError
+  } = useMembershipStatus()
 
   const location = useLocation()
   const navigate = useNavigate()
@@ -69,7 +77,12 @@ const Profile = () => {
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
               {/* Left Column - Profile Card & Quick Actions */}
               <div className="lg:col-span-1 space-y-6">
-                <ProfileCard user={user} profileData={profileData} />
+                <ProfileCard
+                  user={user}
+                  profileData={profileData}
+                  membershipStatus={membership?.status}
+                  membershipType="Executive"
+                />
                 <QuickActions />
               </div>
 
@@ -85,10 +98,14 @@ const Profile = () => {
                   onInputChange={handleInputChange}
                 />
                 <MembershipDetails
-                  user={user}
+                  membership={membership}
+                  loading={membershipLoading}
+                  error={membershipError}
                   isEditing={isEditing}
                   onSave={handleSaveWrapper}
                 />
+                <EventTickets />
+                <Certificates />
               </div>
             </div>
           </>
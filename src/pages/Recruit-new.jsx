@@ -4,15 +4,21 @@ import BenefitsSection from '../components/Recruit/BenefitsSection'
 import MembershipPlans from '../components/Recruit/MembershipPlans'
 import RegistrationForm from '../components/Recruit/RegistrationForm'
 import { useSecureRecruit } from '../hooks/useSecureRecruit'
+import { useMembershipPlans } from '../hooks/useMembershipPlans'
 
 const Recruit = () => {
   const { user } = useAuth()
+  const { plans } = useMembershipPlans()
   
   const {
     formData,
     loading,
     selectedPlan,
     setSelectedPlan,
+    coupon,
+    applyingCoupon,
+    applyCoupon,
+    removeCoupon,
     handleInputChange,
     handleSubmit,
     signInWithGoogle
@@ -28,6 +34,7 @@ const Recruit = () => {
 
       {/* Membership Plans */}
       <MembershipPlans 
+        plans={plans}
         selectedPlan={selectedPlan}
         setSelectedPlan={setSelectedPlan}
       />
@@ -35,9 +42,14 @@ const Recruit = () => {
       {/* Registration Form */}
       <RegistrationForm
         user={user}
+        plans={plans}
         formData={formData}
         loading={loading}
         selectedPlan={selectedPlan}
+        coupon={coupon}
+        applyingCoupon={applyingCoupon}
+        onApplyCoupon={applyCoupon}
+        onRemoveCoupon={removeCoupon}
         onInputChange={handleInputChange}
         onSubmit={handleSubmit}
         onSignIn={signInWithGoogle}
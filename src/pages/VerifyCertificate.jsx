@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react'
+import { useParams } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { BadgeCheck, ShieldAlert, SearchX } from 'lucide-react'
+import { verifyCertificate } from '../services/certificateService'
+
+const formatDate = (iso) => iso
+  ? new Date(iso).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Asia/Kolkata' })
+  : null
+
+/**
+ * Public check that a CSI certificate is genuine. The QR code on every
+ * certificate PDF links here.
+ */
+const VerifyCertificate = () => {
+  const { certificateId } = useParams()
+  const [certificate, setCertificate] = useState(null)
+  const [state, setState] = useState('loading')
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const lookUp = async () => {
+      setState('loading')
+      try {
+        const result = await verifyCertificate(certificateId)
+        setCertificate(result)
+        setState(!result ? 'not_found' : result.status === 'issued' ? 'valid' : 'revoked')
+      } catch (err) {
+        setError(err.message || 'Failed to verify certificate')
+        setState('error')
+      }
+    }
+    lookUp()
+  }, [certificateId])
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 py-24">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="glass-card rounded-xl p-8 w-full max-w-lg"
+      >
+        <p className="text-xs uppercase tracking-widest text-gray-500 dark:text-gray-400 mb-1">Certificate verification</p>
+        <p className="font-mono text-sm mb-6 break-all">{certificateId}</p>
+
+        {state === 'loading' && (
+          <p className="text-sm text-gray-600 dark:text-gray-400">Checking...</p>
+        )}
+
+        {state === 'error' && (
+          <p className="text-sm text-red-600 dark:text-red-400">{error} Please try again later.</p>
+        )}
+
+        {state === 'not_found' && (
+          <div className="flex items-start gap-3">
+            <SearchX className="w-8 h-8 text-red-500 shrink-0" />
+            <div>
+              <h1 className="text-xl font-semibold text-red-600 dark:text-red-400">Certificate not found</h1>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                CSI NMAMIT has not issued a certificate with this ID. Check it against the ID printed at the bottom of the certificate.
+              </p>
+            </div>
+          </div>
+        )}
+
+        {state === 'revoked' && (
+          <div className="flex items-start gap-3">
+            <ShieldAlert className="w-8 h-8 text-red-500 shrink-0" />
+            <div>
+              <h1 className="text-xl font-semibold text-red-600 dark:text-red-400">Certificate revoked</h1>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                This certificate was issued by CSI NMAMIT but has been revoked
+                {certificate.revokedAt && ` on ${formatDate(certificate.revokedAt)}`}. It is no longer valid.
+              </p>
+            </div>
+          </div>
+        )}
+
+        {state === 'valid' && (
+          <>
+            <div className="flex items-center gap-3 mb-6">
+              <BadgeCheck className="w-8 h-8 text-green-500 shrink-0" />
+              <h1 className="text-xl font-semibold text-green-600 dark:text-green-400">Valid certificate</h1>
+            </div>
+            <dl className="space-y-3 text-sm">
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Awarded to</dt>
+                <dd className="text-lg font-medium">
+                  {certificate.holderName}
+                  {certificate.teamName && <span className="text-sm text-gray-500"> · {certificate.teamName}</span>}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Event</dt>
+                <dd className="font-medium">{certificate.eventTitle}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Date</dt>
+                <dd className="font-medium">{certificate.eventDate}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Issued by</dt>
+                <dd className="font-medium">{certificate.issuer}</dd>
+                {certificate.signatories.map(signatory => (
+                  <dd key={`${signatory.name}-${signatory.title}`} className="text-gray-600 dark:text-gray-400">
+                    {[signatory.name, signatory.title].filter(Boolean).join(', ')}
+                  </dd>
+                ))}
+                {certificate.issuedAt && (
+                  <dd className="text-xs text-gray-500 mt-1">Issued {formatDate(certificate.issuedAt)}</dd>
+                )}
+              </div>
+            </dl>
+          </>
+        )}
+      </motion.div>
+    </div>
+  )
+}
+
+export default VerifyCertificate
@@ -0,0 +1,38 @@
+/**
+ * Backend status probes for the admin settings page.
+ * /health, /ready and /version are public and never return secret values.
+ */
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || ''
+
+const fetchJson = async (path) => {
+  const response = await fetch(`${API_BASE_URL}${path}`, { cache: 'no-store' })
+  // /ready answers 503 with the failing checks in the body
+  const data = await response.json().catch(() => null)
+  if (!data) {
+    throw new Error(`${path} returned ${response.status}`)
+  }
+  return data
+}
+
+/**
+ * Query all three endpoints; each result is { data } or { error }
+ * @returns {Promise<{configured: boolean, health?: Object, ready?: Object, version?: Object}>}
+ */
+export const fetchBackendStatus = async () => {
+  if (!API_BASE_URL) {
+    return { configured: false }
+  }
+
+  const settle = (promise) => promise
+    .then(data => ({ data }))
+    .catch(error => ({ error: error.message || 'Backend unreachable' }))
+
+  const [health, ready, version] = await Promise.all([
+    settle(fetchJson('/health')),
+    settle(fetchJson('/ready')),
+    settle(fetchJson('/version'))
+  ])
+
+  return { configured: true, apiBaseUrl: API_BASE_URL, health, ready, version }
+}
@@ -0,0 +1,146 @@
+/**
+ * Event certificates. Templates are edited straight in Firestore by admins;
+ * issuing and the PDFs go through the backend, which renders them on demand.
+ */
+
+import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore'
+import { db } from '../config/firebase'
+import paymentService from './paymentService'
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || ''
+
+export const TEMPLATE_DEFAULTS = {
+  backgroundUrl: '',
+  title: 'CERTIFICATE',
+  subtitle: 'OF PARTICIPATION',
+  intro: 'THE FOLLOWING CERTIFICATE IS GIVEN TO',
+  body: 'for participating in {event} held at NMAMIT on {date}',
+  accentColor: '#1f3d2b',
+  signatures: []
+}
+
+// The PDF has room for three signatures side by side
+export const MAX_SIGNATURES = 3
+
+const request = async (path, { method = 'GET', body } = {}) => {
+  if (!API_BASE_URL) {
+    throw new Error('Certificates are not available right now')
+  }
+
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...await paymentService.getAuthHeaders()
+    },
+    ...(body !== undefined && { body: JSON.stringify(body) })
+  })
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}))
+    const error = new Error(data.error || 'Request failed')
+    error.code = data.code || null
+    throw error
+  }
+  return response
+}
+
+const downloadPdf = async (path, fallbackName) => {
+  const response = await request(path)
+  const disposition = response.headers.get('Content-Disposition') || ''
+  const filename = disposition.match(/filename="(.+)"/)?.[1] || fallbackName
+
+  const url = window.URL.createObjectURL(await response.blob())
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  window.URL.revokeObjectURL(url)
+}
+
+/**
+ * An event's certificate template, or the defaults if none is saved yet
+ * @param {string} eventId
+ * @returns {Promise<{template: Object, saved: boolean}>}
+ */
+export const getCertificateTemplate = async (eventId) => {
+  const snapshot = await getDoc(doc(db, 'certificateTemplates', eventId))
+  return snapshot.exists()
+    ? { template: { ...TEMPLATE_DEFAULTS, ...snapshot.data() }, saved: true }
+    : { template: { ...TEMPLATE_DEFAULTS }, saved: false }
+}
+
+/**
+ * Save an event's certificate template. Certificates already issued keep
+ * the template they were issued with.
+ * @param {string} eventId
+ * @param {Object} template
+ */
+export const saveCertificateTemplate = (eventId, template) => setDoc(doc(db, 'certificateTemplates', eventId), {
+  backgroundUrl: template.backgroundUrl || null,
+  title: template.title.trim(),
+  subtitle: template.subtitle.trim(),
+  intro: template.intro.trim(),
+  body: template.body.trim(),
+  accentColor: template.accentColor,
+  signatures: template.signatures
+    .filter(s => s.name.trim() || s.title.trim())
+    .slice(0, MAX_SIGNATURES)
+    .map(s => ({ name: s.name.trim(), title: s.title.trim(), imageUrl: s.imageUrl || null })),
+  updatedAt: serverTimestamp()
+})
+
+/**
+ * Issue certificates to everyone checked in at the event who has none yet
+ * @param {string} eventId
+ * @returns {Promise<{issued: number, alreadyIssued: number, attendees: number}>}
+ */
+export const issueEventCertificates = async (eventId) => {
+  const response = await request(`/admin/events/${encodeURIComponent(eventId)}/certificates`, { method: 'POST' })
+  return response.json()
+}
+
+export const downloadCertificatePreview = (eventId) =>
+  downloadPdf(`/admin/events/${encodeURIComponent(eventId)}/certificates/preview`, 'certificate-preview.pdf')
+
+export const downloadEventCertificates = (eventId) =>
+  downloadPdf(`/admin/events/${encodeURIComponent(eventId)}/certificates/pdf`, 'certificates.pdf')
+
+/**
+ * Download one of your certificates (admins may download anyone's)
+ * @param {string} certificateId
+ */
+export const downloadCertificate = (certificateId) =>
+  downloadPdf(`/certificates/${encodeURIComponent(certificateId)}/pdf`, `certificate-${certificateId}.pdf`)
+
+/**
+ * Revoke an issued certificate; /verify then reports it as revoked
+ * @param {string} certificateId
+ * @param {string} [reason] - Kept for admins, not shown publicly
+ * @returns {Promise<{certificateId: string, status: 'revoked'}>}
+ */
+export const revokeCertificate = async (certificateId, reason = null) => {
+  const response = await request(`/admin/certificates/${encodeURIComponent(certificateId)}/revoke`, {
+    method: 'POST',
+    body: { reason }
+  })
+  return response.json()
+}
+
+/**
+ * Look a certificate up for the public verification page. Needs no sign-in.
+ * @param {string} certificateId
+ * @returns {Promise<Object|null>} null if no certificate has this ID
+ */
+export const verifyCertificate = async (certificateId) => {
+  if (!API_BASE_URL) {
+    throw new Error('Certificate verification is not available right now')
+  }
+
+  const response = await fetch(`${API_BASE_URL}/certificates/${encodeURIComponent(certificateId)}/verify`)
+  if (response.status === 404) return null
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to verify certificate')
+  }
+  return data
+}
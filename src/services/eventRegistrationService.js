@@ -0,0 +1,106 @@
+/**
+ * Event registrations through the backend, which checks capacity and keeps
+ * the waitlist in one Firestore transaction. Paid places are bought through
+ * paymentService.payForEvent.
+ */
+
+import paymentService from './paymentService'
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || ''
+
+const requestJson = async (path, { method = 'GET', body } = {}) => {
+  if (!API_BASE_URL) {
+    throw new Error('Event registration is not available right now')
+  }
+
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...await paymentService.getAuthHeaders()
+    },
+    ...(body !== undefined && { body: JSON.stringify(body) })
+  })
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    const error = new Error(data.error || 'Request failed')
+    error.code = data.code || null
+    throw error
+  }
+  return data
+}
+
+const postJson = (path, body = {}) => requestJson(path, { method: 'POST', body })
+
+/**
+ * Register for a free event, or join the waitlist of a full one
+ * @param {string} eventId
+ * @param {Object} [team] - { teamName, teamSize } for team events
+ * @returns {Promise<{registrationId: string, status: 'pending'|'waitlisted', waitlistPosition: number|null, teamCode: string|null}>}
+ */
+export const registerForEvent = (eventId, team = null) =>
+  postJson(`/events/${encodeURIComponent(eventId)}/register`, team || {})
+
+/**
+ * Cancel your own registration or leave a waitlist. Closes some hours
+ * before the event (error code 'cancellation_closed').
+ * @param {string} registrationId
+ * @param {string} [reason]
+ * @returns {Promise<{registrationId: string, status: 'cancelled'}>}
+ */
+export const cancelEventRegistration = (registrationId, reason = null) =>
+  postJson(`/event-registrations/${encodeURIComponent(registrationId)}/cancel`, { reason })
+
+/**
+ * Admin: confirm a pending registration
+ * @param {string} registrationId
+ * @returns {Promise<{registrationId: string, status: 'confirmed', promoted: number}>}
+ */
+export const confirmEventRegistration = (registrationId) =>
+  postJson(`/admin/event-registrations/${encodeURIComponent(registrationId)}/confirm`)
+
+/**
+ * Admin: reject a registration; its place goes to the waitlist
+ * @param {string} registrationId
+ * @param {string} [reason] - Shown to the member
+ * @returns {Promise<{registrationId: string, status: 'rejected', promoted: number}>}
+ */
+export const rejectEventRegistration = (registrationId, reason = null) =>
+  postJson(`/admin/event-registrations/${encodeURIComponent(registrationId)}/reject`, { reason })
+
+/**
+ * Admin: cancel any live registration, ignoring the member cutoff
+ * @param {string} registrationId
+ * @param {string} [reason] - Shown to the member
+ * @returns {Promise<{registrationId: string, status: 'cancelled', promoted: number}>}
+ */
+export const adminCancelEventRegistration = (registrationId, reason = null) =>
+  postJson(`/admin/event-registrations/${encodeURIComponent(registrationId)}/cancel`, { reason })
+
+/**
+ * Signed QR ticket for one of your pending or confirmed registrations
+ * @param {string} registrationId
+ * @returns {Promise<{registrationId: string, eventId: string, ticket: string, attendedAt: string|null}>}
+ */
+export const getEventTicket = (registrationId) =>
+  requestJson(`/event-registrations/${encodeURIComponent(registrationId)}/ticket`)
+
+/**
+ * Staff: an event's pending and confirmed registrations and check-in counts
+ * @param {string} eventId
+ * @returns {Promise<{eventId: string, title: string, registrations: Array, counts: {registered: number, checkedIn: number}}>}
+ */
+export const getCheckInRoster = (eventId) =>
+  requestJson(`/check-in/events/${encodeURIComponent(eventId)}`)
+
+/**
+ * Staff: check an attendee in from a scanned ticket, or by registration ID
+ * when picked from the roster by hand. Errors carry a code: invalid_ticket,
+ * wrong_event, not_confirmed or already_checked_in.
+ * @param {string} eventId
+ * @param {Object} checkIn - { ticket } or { registrationId }
+ * @param {string} [checkIn.scannedAt] - ISO time, for check-ins synced after going offline
+ * @returns {Promise<{registrationId: string, name: string, attendedAt: string}>}
+ */
+export const checkInAttendee = (eventId, { ticket = null, registrationId = null, scannedAt = null }) =>
+  postJson(`/check-in/events/${encodeURIComponent(eventId)}`, { ticket, registrationId, scannedAt })
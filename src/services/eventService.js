@@ -146,7 +146,10 @@ export const updateEvent = async (eventId, eventData, imageFile) => {
   try {
     // Sanitize incoming event update data
     let updateData = { ...sanitizeFormData(eventData) }
-    
+    // The backend keeps these in step with registrations; the form's copy may be stale
+    delete updateData.participantCount
+    delete updateData.participants
+
     // Check if cloudinaryUrl is already provided in eventData
     if (eventData.cloudinaryUrl) {
       updateData.image = eventData.cloudinaryUrl
@@ -9,42 +9,75 @@ import {
   sanitizeFormData
 } from '../utils/securityUtils'
 import { membershipPlans } from '../data/membershipData'
+import { auth } from '../config/firebase'
 
 class PaymentService {
   constructor() {
     this.razorpayKeyId = import.meta.env.VITE_RAZORPAY_KEY_ID
     this.apiBaseUrl = import.meta.env.VITE_API_BASE_URL || ''
     this.isTestMode = import.meta.env.VITE_APP_ENV !== 'production'
-    this.rateLimitMap = new Map()
+    this.plans = null
   }
 
   /**
-   * Rate limiting for payment attempts
+   * Fetch the plan catalogue from the backend (falls back to bundled plans)
    */
-  checkRateLimit(userId) {
-    const now = Date.now()
-    const userAttempts = this.rateLimitMap.get(userId) || []
-    const recentAttempts = userAttempts.filter(
-      timestamp => now - timestamp < 300000 // 5 minutes window
-    )
-
-    if (recentAttempts.length >= 3) {
-      throw new Error('Too many payment attempts. Please try again later.')
+  async getPlans() {
+    if (this.plans) {
+      return this.plans
     }
 
-    recentAttempts.push(now)
-    this.rateLimitMap.set(userId, recentAttempts)
-    return true
+    let plans = membershipPlans
+    if (this.apiBaseUrl) {
+      try {
+        const response = await fetch(`${this.apiBaseUrl}/plans`)
+        if (response.ok) {
+          const data = await response.json()
+          plans = data.plans
+        }
+      } catch (error) {
+        // console.error('Plan catalogue fetch error:', error)
+      }
+    }
+
+    this.plans = plans.map(plan => ({
+      ...plan,
+      price: plan.price ?? plan.basePrice + plan.platformFee
+    }))
+    return this.plans
+  }
+
+  /**
+   * Authorization header carrying the signed-in user's Firebase ID token.
+   * The backend derives the user from this token, never from the request body.
+   */
+  async getAuthHeaders() {
+    const token = await auth?.currentUser?.getIdToken()
+    if (!token) {
+      throw new Error('Please sign in to continue')
+    }
+    return { 'Authorization': `Bearer ${token}` }
+  }
+
+  /**
+   * The backend rate-limits orders and verifications per IP and per user;
+   * turn its 429 into a message that says how long to wait
+   */
+  throwIfRateLimited(response) {
+    if (response.status !== 429) return
+
+    const minutes = Math.ceil((Number(response.headers.get('Retry-After')) || 60) / 60)
+    throw new Error(`Too many payment attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`)
   }
 
   /**
    * Validate payment data before processing
    */
-  validatePaymentData(formData, selectedPlan) {
+  validatePaymentData(formData, selectedPlan, plans = this.plans || membershipPlans) {
     const errors = []
 
     // Validate plan exists
-    const plan = membershipPlans.find(p => p.id === selectedPlan)
+    const plan = plans.find(p => p.id === selectedPlan)
     if (!plan) {
       errors.push('Invalid membership plan selected')
     }
@@ -83,22 +116,45 @@ class PaymentService {
     return true
   }
 
+  /**
+   * Price a coupon code for a plan. The backend checks it again on order creation.
+   * @returns {Promise<{code: string, discount: number, amount: number, originalAmount: number}>}
+   */
+  async validateCoupon(code, planId) {
+    if (!this.apiBaseUrl) {
+      throw new Error('Coupons are not available right now')
+    }
+
+    const response = await fetch(`${this.apiBaseUrl}/coupons/validate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...await this.getAuthHeaders()
+      },
+      body: JSON.stringify({ code, planId })
+    })
+
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(data.error || 'Invalid coupon code')
+    }
+    return data
+  }
+
   /**
    * Create payment order (should be done on backend in production)
    */
-  async createOrder(userId, planId, formData) {
+  async createOrder(userId, planId, formData, couponCode = null) {
     try {
-      // Check rate limiting
-      this.checkRateLimit(userId)
-
       // Get plan details
-      const plan = membershipPlans.find(p => p.id === planId)
+      const plans = await this.getPlans()
+      const plan = plans.find(p => p.id === planId)
       if (!plan) {
         throw new Error('Invalid plan selected')
       }
 
       // Validate form data
-      this.validatePaymentData(formData, planId)
+      this.validatePaymentData(formData, planId, plans)
 
       // Sanitize form data
       const sanitizedData = sanitizeFormData(formData)
@@ -112,19 +168,22 @@ class PaymentService {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
-            'X-Request-ID': transactionId
+            'X-Request-ID': transactionId,
+            ...await this.getAuthHeaders()
           },
           body: JSON.stringify({
-            userId,
             planId,
-            amount: plan.price,
+            couponCode,
             formData: sanitizedData,
             transactionId
           })
         })
 
+        this.throwIfRateLimited(response)
         if (!response.ok) {
-          throw new Error('Failed to create payment order')
+          // Coupon and eligibility problems come back with a readable message
+          const data = await response.json().catch(() => ({}))
+          throw new Error(data.error || 'Failed to create payment order')
         }
 
         return await response.json()
@@ -145,7 +204,7 @@ class PaymentService {
   /**
    * Initialize Razorpay payment
    */
-  async initializePayment(userId, planId, formData, onSuccess, onFailure) {
+  async initializePayment(userId, planId, formData, onSuccess, onFailure, couponCode = null) {
     try {
       // Validate Razorpay key exists
       if (!this.razorpayKeyId) {
@@ -153,8 +212,9 @@ class PaymentService {
       }
 
       // Create order
-      const order = await this.createOrder(userId, planId, formData)
-      const plan = membershipPlans.find(p => p.id === planId)
+      const order = await this.createOrder(userId, planId, formData, couponCode)
+      const plans = await this.getPlans()
+      const plan = plans.find(p => p.id === planId)
 
       // Razorpay options
       const options = {
@@ -166,8 +226,12 @@ class PaymentService {
         image: '/csi-logo.png',
         order_id: order.orderId,
         handler: async (response) => {
-          // Verify payment on backend
-          await this.verifyPayment(response, order.transactionId, onSuccess)
+          // Verify payment on backend; rate limits and failures reach the UI through onFailure
+          try {
+            await this.verifyPayment(response, order.transactionId, onSuccess)
+          } catch (error) {
+            onFailure(error.message)
+          }
         },
         prefill: {
           name: formData.name,
@@ -198,6 +262,14 @@ class PaymentService {
     }
   }
 
+  /**
+   * Append the backend's request ID so support can find the request in the logs
+   */
+  withRequestRef(message, response) {
+    const requestId = response.headers.get('X-Request-Id')
+    return requestId ? `${message} (ref: ${requestId})` : message
+  }
+
   /**
    * Verify payment (MUST be done on backend in production)
    */
@@ -209,7 +281,8 @@ class PaymentService {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
-            'X-Transaction-ID': transactionId
+            'X-Transaction-ID': transactionId,
+            ...await this.getAuthHeaders()
           },
           body: JSON.stringify({
             razorpay_payment_id: paymentResponse.razorpay_payment_id,
@@ -219,15 +292,12 @@ class PaymentService {
           })
         })
 
-        if (!response.ok) {
-          throw new Error('Payment verification failed')
-        }
-
-        const result = await response.json()
-        if (result.verified) {
+        this.throwIfRateLimited(response)
+        const result = await response.json().catch(() => ({}))
+        if (response.ok && result.verified) {
           onSuccess(result)
         } else {
-          throw new Error('Payment verification failed')
+          throw new Error(this.withRequestRef('Payment verification failed', response))
         }
       } else {
         // console.warn('Payment verification should be done on backend')
@@ -242,6 +312,159 @@ class PaymentService {
     }
   }
 
+  /**
+   * Pay the entry fee for an event through Razorpay.
+   * The backend holds a pending_payment registration and confirms it once
+   * the payment is verified; team events get their team code from the backend.
+   * @param {Object} params
+   * @param {Object} params.event - Event document (with id)
+   * @param {Object} [params.team] - { teamName, teamSize } for team events
+   * @param {Object} params.prefill - { name, email, phone }
+   * @param {Function} params.onSuccess - Called with { registrationId, teamCode, confirmed }
+   * @param {Function} params.onFailure - Called with an error message and, if the backend sent one, an error code
+   */
+  async payForEvent({ event, team = null, prefill = {}, onSuccess, onFailure }) {
+    try {
+      if (!this.razorpayKeyId || !this.apiBaseUrl) {
+        throw new Error('Payment gateway not configured')
+      }
+
+      const scriptLoaded = await this.loadRazorpayScript()
+      if (!scriptLoaded) {
+        throw new Error('Failed to load payment gateway')
+      }
+
+      const response = await fetch(`${this.apiBaseUrl}/create-event-order`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...await this.getAuthHeaders()
+        },
+        body: JSON.stringify({ eventId: event.id, ...team })
+      })
+      this.throwIfRateLimited(response)
+      const order = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        const error = new Error(order.error || 'Failed to create payment order')
+        // 'event_full' lets the caller offer the waitlist
+        error.code = order.code || null
+        throw error
+      }
+
+      const razorpay = new window.Razorpay({
+        key: this.razorpayKeyId,
+        amount: order.amount,
+        currency: order.currency,
+        name: 'CSI NMAMIT',
+        description: `${event.title}${order.isMemberPrice ? ' (member price)' : ''}`,
+        image: '/csi-logo.png',
+        order_id: order.orderId,
+        handler: async (paymentResponse) => {
+          try {
+            const result = await this.verifyEventPayment(paymentResponse)
+            onSuccess({ ...result, teamCode: order.teamCode })
+          } catch (error) {
+            onFailure(error.message)
+          }
+        },
+        prefill: {
+          name: prefill.name,
+          email: prefill.email,
+          contact: prefill.phone
+        },
+        notes: {
+          type: 'event',
+          eventId: event.id,
+          registrationId: order.registrationId
+        },
+        theme: {
+          color: '#3b82f6'
+        },
+        modal: {
+          ondismiss: () => {
+            onFailure('Payment cancelled by user')
+          }
+        }
+      })
+      razorpay.open()
+    } catch (error) {
+      onFailure(error.message, error.code)
+    }
+  }
+
+  /**
+   * Confirm an event payment on the backend
+   */
+  async verifyEventPayment(paymentResponse) {
+    const response = await fetch(`${this.apiBaseUrl}/verify-event-payment`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...await this.getAuthHeaders()
+      },
+      body: JSON.stringify({
+        razorpay_payment_id: paymentResponse.razorpay_payment_id,
+        razorpay_order_id: paymentResponse.razorpay_order_id,
+        razorpay_signature: paymentResponse.razorpay_signature
+      })
+    })
+
+    this.throwIfRateLimited(response)
+    const result = await response.json().catch(() => ({}))
+    if (!response.ok || !result.verified) {
+      throw new Error(this.withRequestRef(result.error || 'Payment verification failed', response))
+    }
+    return result
+  }
+
+  /**
+   * Download the PDF receipt for a captured payment.
+   * Works for the payer and for admins; the backend checks which.
+   * @param {string} paymentId - Razorpay payment ID
+   */
+  async downloadReceipt(paymentId) {
+    if (!this.apiBaseUrl) {
+      throw new Error('Receipts are not available right now')
+    }
+
+    const response = await fetch(`${this.apiBaseUrl}/receipts/${encodeURIComponent(paymentId)}`, {
+      headers: await this.getAuthHeaders()
+    })
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      throw new Error(data.error || 'Failed to download receipt')
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || ''
+    const filename = disposition.match(/filename="(.+)"/)?.[1] || `receipt-${paymentId}.pdf`
+
+    const url = window.URL.createObjectURL(await response.blob())
+    const a = document.createElement('a')
+    a.href = url
+    a.download = filename
+    a.click()
+    window.URL.revokeObjectURL(url)
+  }
+
+  /**
+   * The signed-in user's membership as the backend sees it: status as of now,
+   * plan, expiry, days remaining, renewal eligibility and payment history
+   */
+  async getMembershipStatus() {
+    if (!this.apiBaseUrl) {
+      throw new Error('Membership status is not available right now')
+    }
+
+    const response = await fetch(`${this.apiBaseUrl}/membership/me`, {
+      headers: await this.getAuthHeaders()
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load membership')
+    }
+    return data
+  }
+
   /**
    * Load Razorpay script securely
    */
@@ -254,7 +477,8 @@ class PaymentService {
       }
 
       const script = document.createElement('script')
-      script.src = 'https://checkout.razorpay.com/v1/checkout.js'
+      // VITE_RAZORPAY_CHECKOUT_URL points at the backend's mock server in local testing
+      script.src = import.meta.env.VITE_RAZORPAY_CHECKOUT_URL || 'https://checkout.razorpay.com/v1/checkout.js'
       script.async = true
       script.defer = true
 
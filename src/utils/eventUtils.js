@@ -1,5 +1,27 @@
 import { EVENT_TYPE_COLORS } from '../constants/eventConstants'
 
+// Hours before an event when members can no longer cancel (keep in sync with backend EVENT_CANCELLATION_CUTOFF_HOURS)
+export const CANCELLATION_CUTOFF_HOURS = Number(import.meta.env.VITE_EVENT_CANCELLATION_CUTOFF_HOURS ?? 24)
+
+/**
+ * Last moment a member can cancel their own registration. Event dates and
+ * times are entered in IST.
+ * @param {Object} event - Event with date (YYYY-MM-DD or Timestamp) and optional HH:MM time
+ * @returns {Date|null} - Null when the event has no readable date
+ */
+export const getCancellationDeadline = (event) => {
+  if (!event?.date) return null
+  let start
+  if (typeof event.date.toDate === 'function') {
+    start = event.date.toDate()
+  } else {
+    const time = /^\d{2}:\d{2}$/.test(event.time || '') ? event.time : '00:00'
+    start = new Date(`${String(event.date).slice(0, 10)}T${time}:00+05:30`)
+  }
+  if (Number.isNaN(start.getTime())) return null
+  return new Date(start.getTime() - CANCELLATION_CUTOFF_HOURS * 60 * 60 * 1000)
+}
+
 /**
  * Get the color gradient for an event type
  * @param {string} type - The event type
@@ -83,6 +83,21 @@ class FirestoreFallback {
     }
   }
 
+  /**
+   * List every fallback entry stored for a collection
+   */
+  getFallbackCollection(collection) {
+    try {
+      const keyPrefix = `${this.prefix}${collection}_`;
+      return Object.keys(localStorage)
+        .filter(key => key.startsWith(keyPrefix))
+        .map(key => ({ docId: key.slice(keyPrefix.length), data: JSON.parse(localStorage.getItem(key)) }));
+    } catch (e) {
+      console.error('Failed to list localStorage fallback:', e);
+      return [];
+    }
+  }
+
   /**
    * Update data in localStorage fallback
    */
@@ -227,9 +242,11 @@ class FirestoreFallback {
   }
 
   /**
-   * Sync fallback data to Firestore when connection is restored
+   * Sync fallback data to Firestore when connection is restored.
+   * Pass a collection to sync only its entries. An entry is removed once
+   * syncFunction resolves and kept for the next sync if it throws.
    */
-  async syncFallbackToFirestore(syncFunction) {
+  async syncFallbackToFirestore(syncFunction, collectionName = null) {
     if (!this.isNetworkAvailable() || this.isFirestoreBlocked()) {
       console.log('⏸️ Sync skipped: Network unavailable or Firestore blocked');
       return false;
@@ -237,8 +254,9 @@ class FirestoreFallback {
     
     try {
       // Get all fallback keys
+      const keyPrefix = collectionName ? `${this.prefix}${collectionName}_` : this.prefix;
       const fallbackKeys = Object.keys(localStorage)
-        .filter(key => key.startsWith(this.prefix));
+        .filter(key => key.startsWith(keyPrefix));
       
       if (fallbackKeys.length === 0) {
         console.log('✅ No fallback data to sync');
@@ -250,7 +268,11 @@ class FirestoreFallback {
       for (const key of fallbackKeys) {
         try {
           const data = JSON.parse(localStorage.getItem(key));
-          const [, collection, docId] = key.replace(this.prefix, '').split('_');
+          // Keys are <prefix><collection>_<docId>; document IDs may contain '_'
+          const rest = key.slice(this.prefix.length);
+          const separator = rest.indexOf('_');
+          const collection = rest.slice(0, separator);
+          const docId = rest.slice(separator + 1);
           
           if (data && collection && docId) {
             await syncFunction(collection, docId, data);
@@ -0,0 +1,26 @@
+/**
+ * Whether a membership currently counts for member pricing (active or in grace)
+ * @param {Object} membership - The user's membership block
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const hasActiveMembership = (membership, now = new Date()) => {
+  const expiresAt = membership?.expiresAt?.toDate?.() || null
+  return ['active', 'grace'].includes(membership?.status) && !!expiresAt && expiresAt > now
+}
+
+/**
+ * Fee a user pays for an event (mirrors getEventPrice in the backend)
+ * @param {Object} event - Event document with entryFee and optional memberFee
+ * @param {Object} membership - The user's membership block
+ * @returns {Object} - { amount, isMemberPrice }
+ */
+export const getEventFee = (event, membership, now = new Date()) => {
+  const entryFee = Number(event?.entryFee) || 0
+  const memberFee = event?.memberFee === null || event?.memberFee === undefined ? null : Number(event.memberFee)
+
+  if (memberFee !== null && memberFee < entryFee && hasActiveMembership(membership, now)) {
+    return { amount: memberFee, isMemberPrice: true }
+  }
+  return { amount: entryFee, isMemberPrice: false }
+}
@@ -97,6 +97,19 @@ export const hasPermission = (userRole, permission) => {
   return roleData.permissions.includes('all') || roleData.permissions.includes(permission);
 };
 
+/**
+ * Check whether a core member (by email) holds a permission
+ * @param {string} email - Core member email
+ * @param {string} permission - Permission key (see PERMISSIONS in config/coreMembers.js)
+ * @returns {boolean} True if the member has the permission or 'all'
+ */
+export const emailHasPermission = (email, permission) => {
+  const roleData = getRoleByEmail(email);
+  if (!roleData || !Array.isArray(roleData.permissions)) return false;
+
+  return roleData.permissions.includes('all') || roleData.permissions.includes(permission);
+};
+
 /**
  * Get role level for hierarchy
  * @param {string} role - Role to check
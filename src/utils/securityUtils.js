@@ -2,6 +2,8 @@
  * Security utilities for protecting the application
  */
 
+import cspDirectives from '../../backend/config/csp.json'
+
 // Input sanitization to prevent XSS attacks
 export const sanitizeInput = (input) => {
   if (typeof input !== 'string') return input;
@@ -126,22 +128,10 @@ export const createRateLimiter = (maxAttempts = 5, windowMs = 60000) => {
   };
 };
 
-// Content Security Policy headers (to be set on server)
+// Content Security Policy headers. The directives live in backend/config/csp.json,
+// which the backend also sends, so the policy is defined in one place.
 export const getCSPHeaders = () => {
   return {
-    'Content-Security-Policy': [
-      "default-src 'self'",
-      "script-src 'self' 'unsafe-inline' https://checkout.razorpay.com",
-      "style-src 'self' 'unsafe-inline'",
-      "img-src 'self' data: https:",
-      "font-src 'self' data:",
-      "connect-src 'self' https://api.razorpay.com https://api.cloudinary.com https://res.cloudinary.com",
-      "frame-src https://api.razorpay.com",
-      "object-src 'none'",
-      "base-uri 'self'",
-      "form-action 'self'",
-      "frame-ancestors 'none'",
-      "upgrade-insecure-requests"
-    ].join('; ')
+    'Content-Security-Policy': cspDirectives.join('; ')
   };
 };